@@ -1,7 +1,12 @@
 // functions/admin-claim-preauth.js - UPDATED: Manual capture for true pre-authorizations
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const fetch = require('node-fetch');
+const stripe = require('./stripe-client');
 const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims, closeHoldClaims } = require('./excess-claims');
+const { addJobNote, createDeposit } = require('./hirehop-client');
+const { setExcessStatus } = require('./monday-client');
+const { sendCustomerEmail } = require('./notifications');
+const { DEFAULT_CURRENCY, getCurrencyCode, formatMoney, formatMinorUnits, toMinorUnits, fromMinorUnits } = require('./currency');
 
 exports.handler = async (event, context) => {
   try {
@@ -47,18 +52,23 @@ exports.handler = async (event, context) => {
       return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
     }
     
-    const { jobId, amount, reason, notes, setupIntentId } = requestData;
+    const { jobId, reason, notes, setupIntentId } = requestData;
+    
+    // Amount may be left at zero when capturing claims already staged against the hold
+    let amount = parseFloat(requestData.amount) || 0;
     
     // Validate required fields
-    if (!jobId || !amount || !reason) {
-      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required fields: jobId, amount, reason' }) };
+    if (!jobId || !reason) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required fields: jobId, reason' }) };
     }
     
-    if (amount <= 0) {
-      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Amount must be greater than zero' }) };
+    if (amount < 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Amount cannot be negative' }) };
     }
     
-    console.log(`🔐 Processing claim: Job ${jobId}, Amount: £${amount}, Reason: ${reason}`);
+    connectStore(event);
+    
+    console.log(`🔐 Processing claim: Job ${jobId}, Amount: ${amount}, Reason: ${reason}`);
     
     // 🔧 COMPLETELY REWRITTEN: Now handles both setup intents (old) and payment intents (new)
     // STEP 1: Determine what type of pre-auth we're dealing with
@@ -66,6 +76,8 @@ exports.handler = async (event, context) => {
     
     let paymentIntent;
     let captureResult;
+    let stagedClaims = [];
+    let currency = DEFAULT_CURRENCY;
     
     // 🔧 NEW: Check if this is a payment intent ID (starts with pi_) or setup intent (starts with seti_)
     if (setupIntentId && setupIntentId.startsWith('pi_')) {
@@ -77,9 +89,10 @@ exports.handler = async (event, context) => {
       try {
         // Retrieve the payment intent
         paymentIntent = await stripe.paymentIntents.retrieve(setupIntentId);
+        currency = getCurrencyCode(paymentIntent);
         console.log(`   Status: ${paymentIntent.status}`);
-        console.log(`   Authorized amount: £${paymentIntent.amount / 100}`);
-        console.log(`   Amount to capture: £${amount}`);
+        console.log(`   Authorized amount: ${formatMinorUnits(paymentIntent.amount, currency)}`);
+        console.log(`   Amount to capture: ${formatMoney(amount, currency)}`);
         
         // Validate the payment intent
         if (paymentIntent.status !== 'requires_capture') {
@@ -92,10 +105,24 @@ exports.handler = async (event, context) => {
           }
         }
         
+        // Stripe allows one capture per hold, so staged claims are taken together with this one
+        const holdClaims = await getHoldClaims(setupIntentId);
+        stagedClaims = holdClaims?.status === 'open' ? holdClaims.claims : [];
+        const stagedPence = stagedClaims.reduce((total, claim) => total + claim.amountPence, 0);
+        
+        if (stagedClaims.length > 0) {
+          console.log(`   Staged claims: ${stagedClaims.length} totalling ${formatMinorUnits(stagedPence, currency)}`);
+          amount = fromMinorUnits(stagedPence + toMinorUnits(amount, currency), currency);
+        }
+        
+        if (amount <= 0) {
+          throw new Error('Nothing to capture - enter an amount or stage claims first');
+        }
+        
         // Check if requested amount is within authorized amount
-        const authorizedAmount = paymentIntent.amount / 100;
+        const authorizedAmount = fromMinorUnits(paymentIntent.amount, currency);
         if (amount > authorizedAmount) {
-          throw new Error(`Cannot capture £${amount} - only £${authorizedAmount} was authorized`);
+          throw new Error(`Cannot capture ${formatMoney(amount, currency)} - only ${formatMoney(authorizedAmount, currency)} was authorized`);
         }
         
         // 🔧 CAPTURE THE PAYMENT - This is the magic moment!
@@ -103,20 +130,21 @@ exports.handler = async (event, context) => {
         captureResult = await stripe.paymentIntents.capture(
           setupIntentId,
           {
-            amount_to_capture: Math.round(amount * 100), // Amount in pence
+            amount_to_capture: toMinorUnits(amount, currency), // Amount in pence/cents
             statement_descriptor_suffix: `JOB${jobId}`,
             metadata: {
               capturedBy: 'admin',
               captureReason: reason,
               captureNotes: notes || '',
-              originalAmount: paymentIntent.amount
+              originalAmount: paymentIntent.amount,
+              stagedClaims: stagedClaims.length
             }
           }
         );
         
         console.log(`✅ PAYMENT CAPTURED SUCCESSFULLY!`);
-        console.log(`   Captured: £${amount}`);
-        console.log(`   Released: £${(authorizedAmount - amount).toFixed(2)}`);
+        console.log(`   Captured: ${formatMoney(amount, currency)}`);
+        console.log(`   Released: ${formatMoney(authorizedAmount - amount, currency)}`);
         console.log(`   Status: ${captureResult.status}`);
         
         // Use the captured payment intent as our result
@@ -134,6 +162,12 @@ exports.handler = async (event, context) => {
         };
       }
       
+      // The hold is spent whatever happens next - no further claims can be staged or captured
+      await closeHoldClaims(setupIntentId, 'captured', {
+        capturedPence: captureResult.amount_received,
+        finalReason: reason
+      });
+      
     } else if (setupIntentId && setupIntentId.startsWith('seti_')) {
       // 🔧 LEGACY FLOW: Old setup intent method (keeping for backwards compatibility)
       console.log('⚠️ Detected SETUP INTENT (legacy method - will require authentication)');
@@ -153,6 +187,9 @@ exports.handler = async (event, context) => {
           throw new Error('Setup intent has no attached payment method');
         }
         
+        // Setup intents carry no amount, so the currency comes from the session metadata
+        currency = getCurrencyCode(setupIntent.metadata?.currency);
+        
       } catch (stripeError) {
         console.error('❌ Stripe setup intent error:', stripeError);
         return { 
@@ -165,6 +202,10 @@ exports.handler = async (event, context) => {
         };
       }
       
+      if (amount <= 0) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Amount must be greater than zero' }) };
+      }
+      
       // Create new payment (old method - kept for backwards compatibility)
       console.log('💳 Creating new payment intent (legacy method)...');
       
@@ -196,8 +237,8 @@ exports.handler = async (event, context) => {
       
       // 🔧 IMPROVED: Add off_session flag for legacy method too
       const paymentIntentData = {
-        amount: Math.round(amount * 100),
-        currency: 'gbp',
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
         customer: customerId,
         payment_method: setupIntent.payment_method,
         confirmation_method: 'automatic',
@@ -248,7 +289,7 @@ exports.handler = async (event, context) => {
     
     // STEP 2: Create HireHop deposit using the proven working method
     console.log('🏢 STEP 2: Creating HireHop deposit...');
-    const hirehopResult = await createHireHopDepositForClaim(jobId, amount, reason, notes, paymentIntent.id);
+    const hirehopResult = await createHireHopDepositForClaim(jobId, amount, currency, reason, notes, paymentIntent.id);
     
     if (!hirehopResult.success) {
       console.error('❌ HireHop deposit creation failed:', hirehopResult.error);
@@ -284,7 +325,7 @@ exports.handler = async (event, context) => {
     
     // STEP 3: Update Monday.com status to "Pre-auth claimed"
     console.log('📋 STEP 3: Updating Monday.com status...');
-    const mondayResult = await updateMondayExcessStatus(jobId, 'Pre-auth claimed');
+    const mondayResult = await setExcessStatus(jobId, 'Pre-auth claimed');
     
     // STEP 4: Add HireHop note about the claim
     console.log('📝 STEP 4: Adding HireHop note...');
@@ -295,35 +336,49 @@ exports.handler = async (event, context) => {
       '✅ TRUE PRE-AUTH CAPTURE (no authentication required)' : 
       '⚠️ LEGACY METHOD (may have required authentication)';
     
-    const noteText = `🔐 EXCESS CLAIM PROCESSED: £${amount.toFixed(2)} claimed from pre-authorisation
+    const releasedAmount = isManualCapture ? fromMinorUnits(paymentIntent.amount_requested || paymentIntent.amount, currency) - amount : 0;
+    
+    const noteText = `🔐 EXCESS CLAIM PROCESSED: ${formatMoney(amount, currency)} claimed from pre-authorisation
 ${methodDescription}
 💳 Stripe Payment: ${paymentIntent.id}
 🔗 Original ID: ${setupIntentId}
 📋 Reason: ${reason}
 ${notes ? `💬 Notes: ${notes}` : ''}
+${stagedClaims.length > 0 ? `📝 Includes staged claims:\n${stagedClaims.map(claim => `   • ${formatMinorUnits(claim.amountPence, currency)} - ${claim.reason}${claim.notes ? ` (${claim.notes})` : ''}`).join('\n')}` : ''}
 ✅ HireHop Deposit: ${hirehopResult.depositId} created successfully
 📋 Monday.com Status: ${mondayResult.success ? 'Updated to "Pre-auth claimed"' : 'Update failed'}
-${isManualCapture ? `💰 Remaining funds automatically released: £${((paymentIntent.amount_requested || paymentIntent.amount) / 100 - amount).toFixed(2)}` : ''}`;
+${isManualCapture ? `💰 Remaining funds automatically released: ${formatMoney(releasedAmount, currency)}` : ''}`;
+    
+    await addJobNote(jobId, noteText);
     
-    await addHireHopNote(jobId, noteText);
+    // STEP 5: Tell the customer what was taken and what was released
+    const emailResult = await sendCustomerEmail(jobId, 'excess_claimed', {
+      amount,
+      currency,
+      reason,
+      releasedAmount
+    });
     
-    console.log(`✅ PRE-AUTH CLAIM COMPLETE: £${amount} claimed successfully`);
+    console.log(`✅ PRE-AUTH CLAIM COMPLETE: ${formatMoney(amount, currency)} claimed successfully`);
     
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
-        message: `Successfully claimed £${amount.toFixed(2)} from pre-authorisation`,
+        message: `Successfully claimed ${formatMoney(amount, currency)} from pre-authorisation`,
         claimDetails: {
           jobId: jobId,
           amount: amount,
+          currency,
           reason: reason,
           stripePaymentId: paymentIntent.id,
           originalId: setupIntentId,
           method: isManualCapture ? 'manual_capture' : 'legacy_setup_intent',
+          stagedClaimsCaptured: stagedClaims.length,
           hirehopDepositId: hirehopResult.depositId,
-          mondayStatusUpdated: mondayResult.success
+          mondayStatusUpdated: mondayResult.success,
+          customerEmailed: emailResult.success
         }
       })
     };
@@ -344,327 +399,20 @@ ${isManualCapture ? `💰 Remaining funds automatically released: £${((paymentI
   }
 };
 
-// Create HireHop deposit for claimed amount using the proven working method
-async function createHireHopDepositForClaim(jobId, amount, reason, notes, stripePaymentId) {
-  try {
-    console.log(`💰 Creating HireHop deposit: Job ${jobId}, Amount: £${amount}`);
-    
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    if (!token) {
-      throw new Error('HireHop API token not configured');
-    }
-    
-    // Get client ID for this job
-    const clientId = await getJobClientId(jobId, token, hirehopDomain);
-    
-    // Create description and memo
-    const description = `${jobId} - Excess claim: ${reason}`;
-    const currentDate = new Date().toISOString().split('T')[0];
-    const stripeUrl = `https://dashboard.stripe.com/payments/${stripePaymentId}`;
-    
-    let memo = `Stripe: ${stripeUrl}`;
-    if (notes) {
-      memo += ` | Notes: ${notes}`;
-    }
-    
-    // 🚨 EXACT WORKING DEPOSIT DATA (from proven pattern)
-    const depositData = {
-      ID: 0, // Step 1: Always 0 for new deposits
-      DATE: currentDate,
-      DESCRIPTION: description,
-      AMOUNT: amount,
-      MEMO: memo,
-      ACC_ACCOUNT_ID: 267, // Stripe GBP bank account
-      local: new Date().toISOString().replace('T', ' ').substring(0, 19),
-      tz: 'Europe/London',
-      'CURRENCY[CODE]': 'GBP',
-      'CURRENCY[NAME]': 'United Kingdom Pound',
-      'CURRENCY[SYMBOL]': '£',
-      'CURRENCY[DECIMALS]': 2,
-      'CURRENCY[MULTIPLIER]': 1,
-      'CURRENCY[NEGATIVE_FORMAT]': 1,
-      'CURRENCY[SYMBOL_POSITION]': 0,
-      'CURRENCY[DECIMAL_SEPARATOR]': '.',
-      'CURRENCY[THOUSAND_SEPARATOR]': ',',
-      ACC_PACKAGE_ID: 3, // Xero - Main accounting package
-      JOB_ID: jobId,
-      CLIENT_ID: clientId,
-      token: token
-    };
-    
-    console.log('💰 STEP 1: Creating deposit (ID: 0) - using proven method');
-    
-    const response = await fetch(`https://${hirehopDomain}/php_functions/billing_deposit_save.php`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams(depositData).toString()
-    });
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = responseText;
-    }
-    
-    if (response.ok && parsedResponse.hh_id) {
-      console.log(`✅ STEP 1 SUCCESS: Deposit ${parsedResponse.hh_id} created`);
-      
-      // 🎯 CRITICAL: Call tasks.php for Xero sync (the proven solution)
-      console.log('🔄 STEP 2: Triggering accounting tasks endpoint for Xero sync');
-      
-      const tasksResult = await triggerAccountingTasks(
-        parsedResponse.hh_id,
-        3, // ACC_PACKAGE_ID
-        1, // PACKAGE_TYPE  
-        token,
-        hirehopDomain
-      );
-      
-      console.log('📋 Tasks endpoint result:', tasksResult);
-      
-      // 🔄 STEP 3: Skipped - Xero sync working perfectly, no backup needed
-      console.log('🔄 STEP 3: SKIPPED - Xero sync successful, no backup edit needed');
-      
-      return {
-        success: true,
-        depositId: parsedResponse.hh_id,
-        tasksResult: tasksResult
-      };
-    } else {
-      console.log(`❌ Deposit creation failed:`, parsedResponse);
-      return {
-        success: false,
-        error: `HireHop deposit creation failed: ${JSON.stringify(parsedResponse)}`
-      };
-    }
-    
-  } catch (error) {
-    console.error('❌ Error creating HireHop deposit:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-}
-
-// 🎯 THE CRITICAL DISCOVERED SOLUTION: Trigger accounting tasks (from proven pattern)
-async function triggerAccountingTasks(depositId, accPackageId, packageType, token, hirehopDomain) {
-  try {
-    const tasksData = {
-      hh_package_type: packageType,
-      hh_acc_package_id: accPackageId,
-      hh_task: 'post_deposit',
-      hh_id: depositId,
-      hh_acc_id: '',
-      token: token
-    };
-    
-    const response = await fetch(`https://${hirehopDomain}/php_functions/accounting/tasks.php`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams(tasksData).toString()
-    });
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = { rawResponse: responseText };
-    }
-    
-    const success = response.ok && !responseText.includes('login') && !responseText.toLowerCase().includes('error');
-    
-    return { success: success, response: parsedResponse, httpStatus: response.status };
-    
-  } catch (error) {
-    console.error('❌ Error calling tasks.php:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Update Monday.com excess status
-async function updateMondayExcessStatus(jobId, newStatus) {
-  try {
-    console.log(`📋 Updating Monday.com excess status for job ${jobId} to "${newStatus}"`);
-    
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
-      console.log('⚠️ Monday.com credentials not configured, skipping status update');
-      return { success: false, error: 'No credentials' };
-    }
-    
-    // Find Monday.com item
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
-    
-    if (!mondayItem) {
-      console.log('⚠️ Job not found in Monday.com for status update');
-      return { success: false, error: 'Job not found' };
-    }
-    
-    console.log(`✅ Found Monday.com item for status update: ${mondayItem.id}`);
-    
-    // Update the excess status column (status58)
-    const updateResult = await updateMondayColumn(
-      mondayItem.id,
-      'status58', // Insurance excess column
-      newStatus,
-      mondayApiKey,
-      mondayBoardId
-    );
-    
-    if (updateResult.success) {
-      console.log(`✅ Updated Monday.com excess status to "${newStatus}"`);
-    } else {
-      console.error('❌ Failed to update Monday.com excess status:', updateResult.error);
-    }
-    
-    return updateResult;
-    
-  } catch (error) {
-    console.error('❌ Error updating Monday.com excess status:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Helper function to find Monday.com item
-async function findMondayItem(jobId, apiKey, boardId) {
-  try {
-    const searchQuery = `
-      query {
-        items_page_by_column_values(
-          board_id: ${boardId}
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-          limit: 1
-        ) {
-          items {
-            id
-            name
-          }
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query: searchQuery })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('Monday.com search error:', result.errors);
-      return null;
-    }
-    
-    const items = result.data?.items_page_by_column_values?.items || [];
-    return items.length > 0 ? items[0] : null;
-    
-  } catch (error) {
-    console.error('Error finding Monday.com item:', error);
-    return null;
-  }
-}
-
-// Helper function to update Monday.com column
-async function updateMondayColumn(itemId, columnId, newValue, apiKey, boardId) {
-  try {
-    console.log(`📝 Updating Monday.com column ${columnId} to "${newValue}"`);
-    
-    const valueJson = `"{\\"label\\": \\"${newValue.replace(/"/g, '\\"')}\\"}"`;
-    
-    const mutation = `
-      mutation {
-        change_column_value(
-          item_id: ${itemId}
-          board_id: ${boardId}
-          column_id: "${columnId}"
-          value: ${valueJson}
-        ) {
-          id
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query: mutation })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error(`❌ Monday.com update error for ${columnId}:`, result.errors);
-      return { success: false, error: result.errors };
-    }
-    
-    return { success: true };
-    
-  } catch (error) {
-    console.error(`❌ Error updating Monday.com column ${columnId}:`, error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Get job client ID (from proven pattern)
-async function getJobClientId(jobId, token, hirehopDomain) {
-  try {
-    const encodedToken = encodeURIComponent(token);
-    const jobDataUrl = `https://${hirehopDomain}/api/job_data.php?job=${jobId}&token=${encodedToken}`;
-    
-    const response = await fetch(jobDataUrl);
-    const jobData = await response.json();
-    
-    if (jobData && jobData.CLIENT_ID) {
-      return jobData.CLIENT_ID;
-    } else {
-      console.log('⚠️ Could not get client ID, using fallback');
-      return 1822; // Fallback client ID
-    }
-  } catch (error) {
-    console.error('Error getting client ID:', error);
-    return 1822; // Fallback client ID
-  }
-}
-
-// Add HireHop note (from proven pattern)
-async function addHireHopNote(jobId, noteText) {
-  try {
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    const encodedToken = encodeURIComponent(token);
-    
-    const noteUrl = `https://${hirehopDomain}/api/job_note.php?job=${jobId}&note=${encodeURIComponent(noteText)}&token=${encodedToken}`;
-    const response = await fetch(noteUrl);
-    
-    console.log(`📝 HireHop note added: ${response.ok ? 'Success' : 'Failed'}`);
-    return response.ok;
-  } catch (error) {
-    console.error('❌ Error adding HireHop note:', error);
-    return false;
+// Create HireHop deposit for claimed amount (deposit + Xero sync)
+async function createHireHopDepositForClaim(jobId, amount, currency, reason, notes, stripePaymentId) {
+  console.log(`💰 Creating HireHop deposit: Job ${jobId}, Amount: ${formatMoney(amount, currency)}`);
+  
+  let memo = `Stripe: https://dashboard.stripe.com/payments/${stripePaymentId}`;
+  if (notes) {
+    memo += ` | Notes: ${notes}`;
   }
+  
+  return await createDeposit({
+    jobId,
+    amount,
+    description: `${jobId} - Excess claim: ${reason}`,
+    memo,
+    currency
+  });
 }
@@ -0,0 +1,104 @@
+// functions/admin-dead-letters.js - Inspect, replay or discard failed integration steps
+// GET lists dead letters (?status=open|pending|exhausted|resolved|discarded|all, open by default,
+// &jobId= for one job). POST { action: 'replay', id } runs the step again now; POST { action:
+// 'discard', id, reason } drops it once staff have sorted it out by hand.
+const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { DEAD_LETTER_STATUSES, getDeadLetter, listDeadLetters, replayDeadLetter, discardDeadLetter } = require('./dead-letters');
+
+exports.handler = async (event, context) => {
+  try {
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    connectStore(event);
+
+    if (event.httpMethod === 'GET') {
+      const status = event.queryStringParameters?.status || 'open';
+      const jobId = event.queryStringParameters?.jobId || null;
+      if (status !== 'all' && status !== 'open' && !DEAD_LETTER_STATUSES.includes(status)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Invalid status - use open, ${DEAD_LETTER_STATUSES.join(', ')} or all` }) };
+      }
+
+      const deadLetters = await listDeadLetters({ status, jobId });
+      console.log(`📋 Dead letters: ${deadLetters.length} ${status}${jobId ? ` for job ${jobId}` : ''}`);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, status, deadLetters }) };
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON payload' }) };
+    }
+
+    const { action, id, reason } = requestData;
+    if (!id) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'id is required' }) };
+    }
+    if (action !== 'replay' && action !== 'discard') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid action - use "replay" or "discard"' }) };
+    }
+
+    const deadLetter = await getDeadLetter(id);
+    if (!deadLetter) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'Dead letter not found' }) };
+    }
+    if (deadLetter.status !== 'pending' && deadLetter.status !== 'exhausted') {
+      return { statusCode: 409, headers, body: JSON.stringify({ error: `Dead letter already ${deadLetter.status}` }) };
+    }
+
+    if (action === 'discard') {
+      const updated = await discardDeadLetter(id, { reason: reason || null });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, deadLetter: updated }) };
+    }
+
+    const { record, outcome } = await replayDeadLetter(id, { by: 'admin' });
+    if (!outcome.success) {
+      return {
+        statusCode: outcome.busy || outcome.retryLater ? 409 : 502,
+        headers,
+        body: JSON.stringify({ success: false, error: outcome.error, deadLetter: record })
+      };
+    }
+
+    console.log(`✅ Dead letter ${id} replayed from the Admin Portal`);
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, message: outcome.message || null, deadLetter: record }) };
+
+  } catch (error) {
+    console.error('❌ Dead letters error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Internal server error', details: error.message })
+    };
+  }
+};
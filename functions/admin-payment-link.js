@@ -0,0 +1,119 @@
+// functions/admin-payment-link.js - Issue and revoke signed customer payment links
+const { validateSessionToken } = require('./admin-auth');
+const { PAYMENT_TYPES, generatePaymentToken, verifyPaymentToken, buildRevocationNote } = require('./auth-helper');
+const { addJobNote } = require('./hirehop-client');
+
+// Longest a customer link may be issued for - anything longer should be a fresh link later
+const MAX_LINK_TTL_DAYS = 90;
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('🔗 ADMIN PAYMENT LINK: Request received');
+
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    // Parse request body
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+    }
+
+    const { jobId, action = 'generate', allowedTypes, expiresInDays, reason, reissue } = requestData;
+
+    if (!jobId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required field: jobId' }) };
+    }
+
+    if (allowedTypes && (!Array.isArray(allowedTypes) || allowedTypes.some(type => !PAYMENT_TYPES.includes(type)))) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `allowedTypes must only contain: ${PAYMENT_TYPES.join(', ')}` }) };
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_LINK_TTL_DAYS)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `expiresInDays must be a whole number of days from 1 to ${MAX_LINK_TTL_DAYS}` }) };
+    }
+
+    const baseUrl = process.env.URL || process.env.DEPLOY_URL || `https://${event.headers.host}`;
+
+    if (action === 'revoke') {
+      console.log(`🔒 Revoking all payment links for job ${jobId}`);
+
+      const noteAdded = await addJobNote(jobId, buildRevocationNote('Admin', reason));
+      if (!noteAdded) {
+        return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to record revocation in HireHop' }) };
+      }
+
+      const response = { success: true, jobId, revoked: true };
+
+      if (reissue) {
+        response.link = buildPaymentLink(baseUrl, jobId, { allowedTypes, expiresInDays });
+        await addJobNote(jobId, `🔗 New payment link issued (expires ${response.link.expiresAt})`);
+      }
+
+      console.log(`✅ Payment links revoked for job ${jobId}${reissue ? ' and new link issued' : ''}`);
+      return { statusCode: 200, headers, body: JSON.stringify(response) };
+    }
+
+    if (action !== 'generate') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid action - use "generate" or "revoke"' }) };
+    }
+
+    const link = buildPaymentLink(baseUrl, jobId, { allowedTypes, expiresInDays });
+    console.log(`✅ Payment link issued for job ${jobId}, expires ${link.expiresAt}`);
+
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, jobId, link }) };
+
+  } catch (error) {
+    console.error('❌ Admin payment link error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Internal server error', details: error.message })
+    };
+  }
+};
+
+// Create a signed token and the customer-facing URL for it
+function buildPaymentLink(baseUrl, jobId, options) {
+  const token = generatePaymentToken(jobId, options);
+  const { tokenData, expiresAt } = verifyPaymentToken(token, jobId);
+
+  return {
+    url: `${baseUrl}/payment.html?jobId=${jobId}&token=${encodeURIComponent(token)}`,
+    token,
+    allowedTypes: tokenData.types,
+    expiresAt
+  };
+}
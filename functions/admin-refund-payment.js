@@ -1,7 +1,10 @@
 // Fixed admin-refund-payment.js - Use payment application API like manual refunds + Stripe payment ID extraction
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const fetch = require('node-fetch');
+const stripe = require('./stripe-client');
 const { validateSessionToken } = require('./admin-auth');
+const { getBillingList, addJobNote, createPaymentApplication } = require('./hirehop-client');
+const { setExcessStatus } = require('./monday-client');
+const { sendCustomerEmail } = require('./notifications');
+const { getCurrencyCode, formatMoney, toMinorUnits } = require('./currency');
 
 exports.handler = async (event, context) => {
   try {
@@ -58,7 +61,11 @@ exports.handler = async (event, context) => {
       return { statusCode: 400, headers, body: JSON.stringify({ error: 'Refund amount must be greater than zero' }) };
     }
     
-    console.log(`💸 Processing refund: Job ${jobId}, Amount: £${amount}, Reason: ${reason}`);
+    // Refunds go back in the job's own currency
+    const currency = getCurrencyCode((await getBillingList(jobId)).currency);
+    const amountText = formatMoney(amount, currency);
+    
+    console.log(`💸 Processing refund: Job ${jobId}, Amount: ${amountText}, Reason: ${reason}`);
     
     // STEP 1: Process Stripe refund
     console.log('💳 STEP 1: Processing Stripe refund...');
@@ -77,7 +84,7 @@ exports.handler = async (event, context) => {
         // Create refund in Stripe
         stripeRefund = await stripe.refunds.create({
           payment_intent: stripePaymentId,
-          amount: Math.round(amount * 100), // Convert to pence
+          amount: toMinorUnits(amount, currency), // Convert to pence/cents
           metadata: {
             jobId: jobId.toString(),
             refundType: 'excess_refund',
@@ -107,7 +114,7 @@ exports.handler = async (event, context) => {
     
     // STEP 2: Create HireHop payment application (refund) using the correct API
     console.log('🏢 STEP 2: Creating HireHop payment application (refund)...');
-    const hirehopResult = await createHireHopPaymentApplication(jobId, amount, reason, notes, stripeRefund?.id, depositId);
+    const hirehopResult = await createHireHopPaymentApplication(jobId, amount, currency, reason, notes, stripeRefund?.id, depositId);
     
     if (!hirehopResult.success) {
       console.error('❌ HireHop payment application creation failed:', hirehopResult.error);
@@ -128,11 +135,11 @@ exports.handler = async (event, context) => {
     
     // STEP 4: Update Monday.com status to correct status name
     console.log('📋 STEP 4: Updating Monday.com status...');
-    const mondayResult = await updateMondayExcessStatus(jobId, 'Excess reimbursed / released in full or part');
+    const mondayResult = await setExcessStatus(jobId, 'Excess reimbursed / released in full or part');
     
     // STEP 5: Add HireHop note about the refund
     console.log('📝 STEP 5: Adding HireHop note...');
-    const noteText = `💸 EXCESS REFUND PROCESSED: £${amount.toFixed(2)} refunded to customer
+    const noteText = `💸 EXCESS REFUND PROCESSED: ${amountText} refunded to customer
 ${stripeRefund ? `💳 Stripe Refund: ${stripeRefund.id}` : '🏦 Manual/Bank Transfer Refund'}
 📋 Reason: ${reason}
 ${notes ? `💬 Notes: ${notes}` : ''}
@@ -140,24 +147,34 @@ ${notes ? `💬 Notes: ${notes}` : ''}
 ${stripePaymentId ? `🔗 Original Stripe Payment: ${stripePaymentId}` : ''}
 📋 Monday.com Status: ${mondayResult.success ? 'Updated to "Excess reimbursed / released in full or part"' : 'Update failed'}`;
     
-    await addHireHopNote(jobId, noteText);
+    await addJobNote(jobId, noteText);
+    
+    // STEP 6: Let the customer know the refund is on its way
+    const emailResult = await sendCustomerEmail(jobId, 'refund_issued', {
+      amount,
+      currency,
+      reason,
+      method: stripeRefund ? 'card' : 'manual'
+    });
     
-    console.log(`✅ REFUND COMPLETE: £${amount} refunded successfully`);
+    console.log(`✅ REFUND COMPLETE: ${amountText} refunded successfully`);
     
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
-        message: `Successfully refunded £${amount.toFixed(2)} to customer`,
+        message: `Successfully refunded ${amountText} to customer`,
         refundDetails: {
           jobId: jobId,
           amount: amount,
+          currency,
           reason: reason,
           stripeRefundId: stripeRefund?.id,
           stripePaymentId: stripePaymentId,
           hirehopApplicationId: hirehopResult.applicationId,
-          refundMethod: stripeRefund ? 'stripe' : 'manual'
+          refundMethod: stripeRefund ? 'stripe' : 'manual',
+          customerEmailed: emailResult.success
         }
       })
     };
@@ -179,168 +196,31 @@ ${stripePaymentId ? `🔗 Original Stripe Payment: ${stripePaymentId}` : ''}
 };
 
 // 🔧 FIXED: Create HireHop payment application (this is how refunds work in HireHop)
-async function createHireHopPaymentApplication(jobId, amount, reason, notes, stripeRefundId, depositId) {
-  try {
-    console.log(`💸 Creating HireHop payment application: Job ${jobId}, Amount: £${amount}, DepositId: ${depositId}`);
-    
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    if (!token) {
-      throw new Error('HireHop API token not configured');
-    }
-    
-    // Get client ID for this job
-    const clientId = await getJobClientId(jobId, token, hirehopDomain);
-    
-    // Create description and memo for refund
-    const description = `${jobId} - Excess refund: ${reason}`;
-    const currentDate = new Date().toISOString().split('T')[0];
-    
-    let memo = '';
-    if (stripeRefundId) {
-      const stripeUrl = `https://dashboard.stripe.com/refunds/${stripeRefundId}`;
-      memo = `Stripe Refund: ${stripeUrl}`;
-    } else {
-      memo = `Manual refund processed via admin portal`;
-    }
-    
-    if (notes) {
-      memo += ` | Notes: ${notes}`;
-    }
-    
-    // 🔧 FIXED: Strip the "e" prefix from deposit ID (HireHop expects numeric)
-    let cleanDepositId = depositId;
-    if (typeof depositId === 'string' && depositId.startsWith('e')) {
-      cleanDepositId = depositId.substring(1);
-      console.log(`🔧 Stripped "e" prefix: ${depositId} → ${cleanDepositId}`);
-    }
-    
-    // 🎯 FIXED: Use exact same format as manual HireHop refund
-    const paymentApplicationData = {
-      id: 0, // Manual shows: d: 0
-      date: currentDate, // Manual shows: date: 2025-06-24
-      desc: description, // Manual shows: desc: "THIS IS A TEST REFUND, DELETE IT"
-      paid: amount, // 🔧 CRITICAL FIX: Use "paid" field like manual refund!
-      memo: memo, // Manual shows: memo: (empty)
-      bank: 267, // Manual shows: bank: 267
-      OWNER: 0, // Manual shows: OWNER: 0
-      deposit: cleanDepositId, // Manual shows: deposit: 6590
-      token: token
-    };
-    
-    console.log('💸 STEP 1: Creating payment application using correct endpoint (billing_payments_save.php)');
-    console.log('💸 Payment data:', JSON.stringify(paymentApplicationData, null, 2));
-    console.log(`🔧 DEBUG: Amount type: ${typeof paymentApplicationData.amount}, Value: "${paymentApplicationData.amount}"`);
-    
-    // 🎯 Use the CORRECT endpoint discovered from network capture
-    const response = await fetch(`https://${hirehopDomain}/php_functions/billing_payments_save.php`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams(paymentApplicationData).toString()
-    });
-    
-    console.log(`🔧 DEBUG: URLSearchParams string: ${new URLSearchParams(paymentApplicationData).toString()}`);
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = responseText;
-    }
-    
-    console.log(`💸 Payment application response:`, parsedResponse);
-    
-    // 🔧 ENHANCED: Check the actual credit amount returned by HireHop
-    if (response.ok && parsedResponse.rows) {
-      const refundRow = parsedResponse.rows.find(row => row.kind === 3 && row.desc && row.desc.includes('Excess refund'));
-      if (refundRow) {
-        console.log(`🔧 DEBUG: HireHop returned refund amount: ${refundRow.credit} (expected: -${amount})`);
-        if (Math.abs(refundRow.credit) !== amount) {
-          console.error(`❌ AMOUNT MISMATCH: HireHop recorded ${Math.abs(refundRow.credit)}, but we sent ${amount}`);
-        }
-      }
-    }
-    
-    if (response.ok && (parsedResponse.hh_id || parsedResponse.success)) {
-      const applicationId = parsedResponse.hh_id || 'created';
-      console.log(`✅ STEP 1 SUCCESS: Payment application ${applicationId} created`);
-      
-      // 🎯 CRITICAL: Call tasks.php for Xero sync if needed
-      if (parsedResponse.hh_id) {
-        console.log('🔄 STEP 2: Triggering accounting tasks endpoint for Xero sync');
-        
-        const tasksResult = await triggerAccountingTasks(
-          parsedResponse.hh_id,
-          3, // ACC_PACKAGE_ID
-          1, // PACKAGE_TYPE  
-          token,
-          hirehopDomain
-        );
-        
-        console.log('📋 Tasks endpoint result:', tasksResult);
-      }
-      
-      return {
-        success: true,
-        applicationId: applicationId
-      };
-    } else {
-      console.log(`❌ Payment application creation failed:`, parsedResponse);
-      return {
-        success: false,
-        error: `HireHop payment application creation failed: ${JSON.stringify(parsedResponse)}`
-      };
-    }
-    
-  } catch (error) {
-    console.error('❌ Error creating HireHop payment application:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+async function createHireHopPaymentApplication(jobId, amount, currency, reason, notes, stripeRefundId, depositId) {
+  console.log(`💸 Creating HireHop payment application: Job ${jobId}, Amount: ${formatMoney(amount, currency)}, DepositId: ${depositId}`);
+  
+  let memo = stripeRefundId
+    ? `Stripe Refund: https://dashboard.stripe.com/refunds/${stripeRefundId}`
+    : 'Manual refund processed via admin portal';
+  if (notes) {
+    memo += ` | Notes: ${notes}`;
   }
-}
-
-// 🎯 THE CRITICAL DISCOVERED SOLUTION: Trigger accounting tasks (from proven pattern)
-async function triggerAccountingTasks(applicationId, accPackageId, packageType, token, hirehopDomain) {
-  try {
-    const tasksData = {
-      hh_package_type: packageType,
-      hh_acc_package_id: accPackageId,
-      hh_task: 'post_payment', // Different task for payment applications
-      hh_id: applicationId,
-      hh_acc_id: '',
-      token: token
-    };
-    
-    const response = await fetch(`https://${hirehopDomain}/php_functions/accounting/tasks.php`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams(tasksData).toString()
-    });
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = { rawResponse: responseText };
-    }
-    
-    const success = response.ok && !responseText.includes('login') && !responseText.toLowerCase().includes('error');
-    
-    return { success: success, response: parsedResponse, httpStatus: response.status };
-    
-  } catch (error) {
-    console.error('❌ Error calling tasks.php:', error);
-    return { success: false, error: error.message };
+  
+  const result = await createPaymentApplication({
+    amount,
+    description: `${jobId} - Excess refund: ${reason}`,
+    memo,
+    depositId,
+    currency
+  });
+  
+  // 🔧 ENHANCED: Check the actual credit amount returned by HireHop
+  const refundRow = result.response?.rows?.find(row => row.kind === 3 && row.desc && row.desc.includes('Excess refund'));
+  if (refundRow && Math.abs(refundRow.credit) !== amount) {
+    console.error(`❌ AMOUNT MISMATCH: HireHop recorded ${Math.abs(refundRow.credit)}, but we sent ${amount}`);
   }
+  
+  return result;
 }
 
 // 🔧 NEW: Extract Stripe payment ID from HireHop deposit memo (for excess deposits only)
@@ -348,14 +228,6 @@ async function extractStripePaymentIdFromDeposit(jobId, depositId) {
   try {
     console.log(`🔍 Extracting Stripe payment ID from deposit ${depositId} for job ${jobId}`);
     
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    if (!token) {
-      console.log('❌ HireHop API token not configured');
-      return null;
-    }
-    
     // Clean deposit ID (remove "e" prefix if present)
     let cleanDepositId = depositId;
     if (typeof depositId === 'string' && depositId.startsWith('e')) {
@@ -363,21 +235,7 @@ async function extractStripePaymentIdFromDeposit(jobId, depositId) {
     }
     
     // Get billing data for this job to find the specific deposit
-    const encodedToken = encodeURIComponent(token);
-    const billingUrl = `https://${hirehopDomain}/php_functions/billing_list.php?main_id=${jobId}&type=1&token=${encodedToken}`;
-    const billingResponse = await fetch(billingUrl);
-    
-    if (!billingResponse.ok) {
-      console.log('❌ Failed to fetch billing data from HireHop');
-      return null;
-    }
-    
-    const billingData = await billingResponse.json();
-    
-    if (billingData.error) {
-      console.log('❌ HireHop billing API error:', billingData.error);
-      return null;
-    }
+    const billingData = await getBillingList(jobId);
     
     // Find the specific deposit and check if it's an excess deposit
     for (const row of billingData.rows || []) {
@@ -425,181 +283,3 @@ async function extractStripePaymentIdFromDeposit(jobId, depositId) {
     return null;
   }
 }
-
-// Update Monday.com excess status
-async function updateMondayExcessStatus(jobId, newStatus) {
-  try {
-    console.log(`📋 Updating Monday.com excess status for job ${jobId} to "${newStatus}"`);
-    
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
-      console.log('⚠️ Monday.com credentials not configured, skipping status update');
-      return { success: false, error: 'No credentials' };
-    }
-    
-    // Find Monday.com item
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
-    
-    if (!mondayItem) {
-      console.log('⚠️ Job not found in Monday.com for status update');
-      return { success: false, error: 'Job not found' };
-    }
-    
-    console.log(`✅ Found Monday.com item for status update: ${mondayItem.id}`);
-    
-    // Update the excess status column (status58)
-    const updateResult = await updateMondayColumn(
-      mondayItem.id,
-      'status58', // Insurance excess column
-      newStatus,
-      mondayApiKey,
-      mondayBoardId
-    );
-    
-    if (updateResult.success) {
-      console.log(`✅ Updated Monday.com excess status to "${newStatus}"`);
-    } else {
-      console.error('❌ Failed to update Monday.com excess status:', updateResult.error);
-    }
-    
-    return updateResult;
-    
-  } catch (error) {
-    console.error('❌ Error updating Monday.com excess status:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Helper function to find Monday.com item
-async function findMondayItem(jobId, apiKey, boardId) {
-  try {
-    const searchQuery = `
-      query {
-        items_page_by_column_values(
-          board_id: ${boardId}
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-          limit: 1
-        ) {
-          items {
-            id
-            name
-          }
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query: searchQuery })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('Monday.com search error:', result.errors);
-      return null;
-    }
-    
-    const items = result.data?.items_page_by_column_values?.items || [];
-    return items.length > 0 ? items[0] : null;
-    
-  } catch (error) {
-    console.error('Error finding Monday.com item:', error);
-    return null;
-  }
-}
-
-// Helper function to update Monday.com column
-async function updateMondayColumn(itemId, columnId, newValue, apiKey, boardId) {
-  try {
-    console.log(`📝 Updating Monday.com column ${columnId} to "${newValue}"`);
-    
-    const valueJson = `"{\\"label\\": \\"${newValue.replace(/"/g, '\\"')}\\"}"`;
-    
-    const mutation = `
-      mutation {
-        change_column_value(
-          item_id: ${itemId}
-          board_id: ${boardId}
-          column_id: "${columnId}"
-          value: ${valueJson}
-        ) {
-          id
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query: mutation })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error(`❌ Monday.com update error for ${columnId}:`, result.errors);
-      return { success: false, error: result.errors };
-    }
-    
-    return { success: true };
-    
-  } catch (error) {
-    console.error(`❌ Error updating Monday.com column ${columnId}:`, error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Get job client ID (from proven pattern)
-async function getJobClientId(jobId, token, hirehopDomain) {
-  try {
-    const encodedToken = encodeURIComponent(token);
-    const jobDataUrl = `https://${hirehopDomain}/api/job_data.php?job=${jobId}&token=${encodedToken}`;
-    
-    const response = await fetch(jobDataUrl);
-    const jobData = await response.json();
-    
-    if (jobData && jobData.CLIENT_ID) {
-      return jobData.CLIENT_ID;
-    } else {
-      console.log('⚠️ Could not get client ID, using fallback');
-      return 1822; // Fallback client ID
-    }
-  } catch (error) {
-    console.error('Error getting client ID:', error);
-    return 1822; // Fallback client ID
-  }
-}
-
-// Add HireHop note (from proven pattern)
-async function addHireHopNote(jobId, noteText) {
-  try {
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    const encodedToken = encodeURIComponent(token);
-    
-    const noteUrl = `https://${hirehopDomain}/api/job_note.php?job=${jobId}&note=${encodeURIComponent(noteText)}&token=${encodedToken}`;
-    const response = await fetch(noteUrl);
-    
-    console.log(`📝 HireHop note added: ${response.ok ? 'Success' : 'Failed'}`);
-    return response.ok;
-  } catch (error) {
-    console.error('❌ Error adding HireHop note:', error);
-    return false;
-  }
-}
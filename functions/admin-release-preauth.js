@@ -0,0 +1,201 @@
+// functions/admin-release-preauth.js - Release an excess pre-auth hold without claiming anything
+const stripe = require('./stripe-client');
+const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims, closeHoldClaims } = require('./excess-claims');
+const { addJobNote } = require('./hirehop-client');
+const { setExcessStatus } = require('./monday-client');
+const { formatMoney, formatMinorUnits, fromMinorUnits } = require('./currency');
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('🔓 ADMIN PRE-AUTH RELEASE: Starting release process');
+
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    // Parse request body
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+    }
+
+    const { jobId, paymentIntentId, reason, notes } = requestData;
+
+    // Validate required fields
+    if (!jobId || !paymentIntentId || !reason) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required fields: jobId, paymentIntentId, reason' }) };
+    }
+
+    // Only manual-capture holds can be released - legacy setup intents never held any funds
+    if (!paymentIntentId.startsWith('pi_')) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid pre-authorization ID',
+          details: 'Expected a Payment Intent ID (pi_xxx) - setup intent pre-auths hold no funds to release'
+        })
+      };
+    }
+
+    connectStore(event);
+
+    console.log(`🔓 Processing release: Job ${jobId}, Payment Intent: ${paymentIntentId}, Reason: ${reason}`);
+
+    // STEP 1: Check the hold is still open and belongs to this job
+    console.log('🔍 STEP 1: Checking payment intent...');
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      console.log(`   Status: ${paymentIntent.status}`);
+      console.log(`   Held amount: ${formatMinorUnits(paymentIntent.amount, paymentIntent)}`);
+
+      if (paymentIntent.metadata?.jobId && paymentIntent.metadata.jobId.toString() !== jobId.toString()) {
+        throw new Error(`This pre-authorization belongs to job ${paymentIntent.metadata.jobId}`);
+      }
+
+      // Releasing would silently drop claims staff have already recorded
+      const holdClaims = await getHoldClaims(paymentIntentId);
+      if (holdClaims?.status === 'open' && holdClaims.claims.length > 0) {
+        throw new Error(`${holdClaims.claims.length} staged claim(s) are pending - capture or remove them first`);
+      }
+
+      if (paymentIntent.status !== 'requires_capture') {
+        if (paymentIntent.status === 'succeeded') {
+          throw new Error('This pre-authorization has already been captured');
+        } else if (paymentIntent.status === 'canceled') {
+          throw new Error('This pre-authorization has already been released or expired');
+        } else {
+          throw new Error(`Invalid payment intent status: ${paymentIntent.status}`);
+        }
+      }
+    } catch (stripeError) {
+      console.error('❌ Stripe retrieve error:', stripeError);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Cannot release pre-authorization',
+          details: stripeError.message
+        })
+      };
+    }
+
+    // STEP 2: Cancel the payment intent - Stripe releases the held funds back to the card
+    console.log('💳 STEP 2: Cancelling payment intent to release the hold...');
+
+    const releasedAmount = fromMinorUnits(paymentIntent.amount, paymentIntent);
+    const releasedText = formatMoney(releasedAmount, paymentIntent);
+    try {
+      // Metadata can't be passed to cancel, so record who released it first
+      await stripe.paymentIntents.update(paymentIntentId, {
+        metadata: {
+          releasedBy: 'admin',
+          releaseReason: reason,
+          releaseNotes: notes || ''
+        }
+      });
+
+      paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId, {
+        cancellation_reason: 'requested_by_customer'
+      });
+
+      console.log(`✅ HOLD RELEASED: ${releasedText}, Status: ${paymentIntent.status}`);
+    } catch (stripeError) {
+      console.error('❌ Stripe cancel error:', stripeError);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Failed to release pre-authorization',
+          details: stripeError.message
+        })
+      };
+    }
+
+    await closeHoldClaims(paymentIntentId, 'released', { releaseReason: reason });
+
+    // STEP 3: Update Monday.com status to "Pre-auth released"
+    console.log('📋 STEP 3: Updating Monday.com status...');
+    const mondayResult = await setExcessStatus(jobId, 'Pre-auth released');
+
+    // STEP 4: Add HireHop note about the release
+    console.log('📝 STEP 4: Adding HireHop note...');
+
+    const noteText = `🔓 EXCESS PRE-AUTH RELEASED: ${releasedText} hold cancelled - nothing claimed
+💳 Payment Intent ID: ${paymentIntentId}
+🔗 Stripe Link: https://dashboard.stripe.com/payments/${paymentIntentId}
+📋 Reason: ${reason}
+${notes ? `💬 Notes: ${notes}` : ''}
+📋 Monday.com Status: ${mondayResult.success ? 'Updated to "Pre-auth released"' : 'Update failed'}`;
+
+    await addJobNote(jobId, noteText);
+
+    console.log(`✅ PRE-AUTH RELEASE COMPLETE: ${releasedText} released`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        message: `Successfully released ${releasedText} pre-authorisation`,
+        releaseDetails: {
+          jobId: jobId,
+          amount: releasedAmount,
+          currency: paymentIntent.currency,
+          reason: reason,
+          stripePaymentId: paymentIntentId,
+          stripeStatus: paymentIntent.status,
+          mondayStatusUpdated: mondayResult.success
+        }
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Admin release error:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
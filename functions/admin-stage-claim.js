@@ -0,0 +1,126 @@
+// functions/admin-stage-claim.js - Record pending excess claims against a hold before capturing
+const stripe = require('./stripe-client');
+const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims, stageClaim, removeStagedClaim, summarizeHold } = require('./excess-claims');
+const { addJobNote } = require('./hirehop-client');
+const { formatMoney, formatMinorUnits } = require('./currency');
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('📝 ADMIN STAGE CLAIM: Starting');
+
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    // Parse request body
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+    }
+
+    const { jobId, paymentIntentId, action = 'stage', amount, reason, notes, claimId } = requestData;
+
+    if (!jobId || !paymentIntentId || !paymentIntentId.startsWith('pi_')) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required fields: jobId, paymentIntentId (pi_xxx)' }) };
+    }
+
+    if (!['stage', 'remove'].includes(action)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Action must be "stage" or "remove"' }) };
+    }
+
+    connectStore(event);
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.metadata?.jobId && paymentIntent.metadata.jobId.toString() !== jobId.toString()) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `This pre-authorization belongs to job ${paymentIntent.metadata.jobId}` }) };
+    }
+
+    let noteText;
+    try {
+      if (action === 'stage') {
+        if (!reason) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required field: reason' }) };
+        }
+
+        const { claim, record } = await stageClaim(paymentIntent, { jobId, amount: parseFloat(amount), reason, notes });
+        const summary = summarizeHold(paymentIntent, record);
+
+        noteText = `📝 EXCESS CLAIM STAGED: ${formatMinorUnits(claim.amountPence, paymentIntent)} against pre-authorisation (not yet charged)
+💳 Payment Intent ID: ${paymentIntentId}
+📋 Reason: ${reason}
+${notes ? `💬 Notes: ${notes}\n` : ''}💰 Staged so far: ${formatMoney(summary.stagedTotal, paymentIntent)} of ${formatMoney(summary.authorizedAmount, paymentIntent)}
+⏰ Capture before the hold expires: ${new Date(summary.expiresAt).toLocaleString('en-GB', { timeZone: 'Europe/London' })}`;
+      } else {
+        if (!claimId) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing required field: claimId' }) };
+        }
+
+        const { claim } = await removeStagedClaim(paymentIntentId, claimId);
+
+        noteText = `🗑️ STAGED EXCESS CLAIM REMOVED: ${formatMinorUnits(claim.amountPence, paymentIntent)} (${claim.reason})
+💳 Payment Intent ID: ${paymentIntentId}`;
+      }
+    } catch (claimError) {
+      console.error(`❌ Failed to ${action} claim:`, claimError.message);
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `Failed to ${action} claim`, details: claimError.message }) };
+    }
+
+    await addJobNote(jobId, noteText);
+
+    const hold = summarizeHold(paymentIntent, await getHoldClaims(paymentIntentId));
+    console.log(`✅ Claim ${action} complete: ${formatMoney(hold.stagedTotal, paymentIntent)} staged, ${formatMoney(hold.remainingClaimable, paymentIntent)} still claimable`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, action, hold })
+    };
+
+  } catch (error) {
+    console.error('❌ Admin stage claim error:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,150 @@
+// functions/admin-sync-conflicts.js - Review queue for Monday.com changes held back from HireHop
+// GET lists queued conflicts (?status=open|resolved|dismissed|all, open by default).
+// POST { action: 'retry', conflictId } applies the change now - the job must be unlocked, but a
+// newer HireHop change no longer blocks it. POST { action: 'dismiss', conflictId, reason } drops it.
+const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { addJobNote } = require('./hirehop-client');
+const { createUpdate } = require('./monday-client');
+const { getColumnAction } = require('./monday-sync-map');
+const { applyColumnChange } = require('./monday-sync-actions');
+const { CONFLICT_STATUSES, checkForConflict, getConflict, updateConflict, listConflicts } = require('./sync-conflicts');
+
+exports.handler = async (event, context) => {
+  try {
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    connectStore(event);
+
+    if (event.httpMethod === 'GET') {
+      const status = event.queryStringParameters?.status || 'open';
+      if (status !== 'all' && !CONFLICT_STATUSES.includes(status)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Invalid status - use ${CONFLICT_STATUSES.join(', ')} or all` }) };
+      }
+
+      const conflicts = await listConflicts({ status });
+      console.log(`📋 Sync conflicts: ${conflicts.length} ${status}`);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, status, conflicts }) };
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON payload' }) };
+    }
+
+    const { action, conflictId, reason } = requestData;
+    if (!conflictId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'conflictId is required' }) };
+    }
+    if (action !== 'retry' && action !== 'dismiss') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid action - use "retry" or "dismiss"' }) };
+    }
+
+    const conflict = await getConflict(conflictId);
+    if (!conflict) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'Conflict not found' }) };
+    }
+    if (conflict.status !== 'open') {
+      return { statusCode: 409, headers, body: JSON.stringify({ error: `Conflict already ${conflict.status}` }) };
+    }
+
+    if (action === 'dismiss') {
+      const updated = await updateConflict(conflictId, {
+        status: 'dismissed',
+        dismissedAt: new Date().toISOString(),
+        dismissReason: reason || null
+      });
+      if (!updated) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'Conflict was closed by someone else meanwhile' }) };
+      }
+      await postMondayUpdate(conflict.itemId, `🗑️ Queued change dismissed in review - HireHop keeps its current value: ${conflict.columnName} -> "${conflict.displayValue}"${reason ? `
+Reason: ${reason}` : ''}`);
+
+      console.log(`🗑️ Sync conflict ${conflictId} dismissed`);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, conflict: updated }) };
+    }
+
+    // Retry - the column must still be synced and the job unlocked
+    const column = getColumnAction(conflict.columnId);
+    if (!column) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `Column ${conflict.columnId} is no longer in the sync map` }) };
+    }
+
+    const lockCheck = await checkForConflict(conflict.jobId);
+    const result = lockCheck
+      ? { success: false, locked: true, error: lockCheck.detail }
+      : await applyColumnChange(conflict.jobId, column, conflict.displayValue, { itemId: conflict.itemId, value: conflict.value });
+
+    const retry = {
+      at: new Date().toISOString(),
+      success: !!result.success,
+      error: result.success ? null : (result.skipped || result.error)
+    };
+    const withRetry = (current) => ({ retries: [...(current.retries || []), retry] });
+
+    if (!result.success) {
+      await updateConflict(conflictId, withRetry);
+      console.log(`❌ Sync conflict ${conflictId} retry failed: ${result.skipped || result.error}`);
+      return {
+        statusCode: result.locked || result.skipped ? 409 : 502,
+        headers,
+        body: JSON.stringify({ success: false, error: result.skipped || result.error, locked: !!result.locked })
+      };
+    }
+
+    await addJobNote(conflict.jobId, `${result.note} (applied from the sync review queue)`);
+    await postMondayUpdate(conflict.itemId, `✅ Queued change applied to HireHop after review: ${conflict.columnName} -> "${conflict.displayValue}"`);
+    const updated = await updateConflict(conflictId, (current) => ({ ...withRetry(current), status: 'resolved', resolvedAt: retry.at }));
+
+    console.log(`✅ Sync conflict ${conflictId} applied to HireHop job ${conflict.jobId}`);
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, conflict: updated, ...result.details }) };
+
+  } catch (error) {
+    console.error('❌ Sync conflicts error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Internal server error', details: error.message })
+    };
+  }
+};
+
+// Best effort - the queue is the record, the board update is a courtesy
+async function postMondayUpdate(itemId, body) {
+  try {
+    await createUpdate(itemId, body);
+  } catch (error) {
+    console.error(`⚠️ Could not post update to Monday.com item ${itemId}:`, error.message);
+  }
+}
@@ -0,0 +1,70 @@
+// functions/admin-webhook-metrics.js - Rejected webhook counts and recent rejections for admins
+const { validateSessionToken } = require('./admin-auth');
+const { connectStore } = require('./persistent-store');
+const { getRejectionMetrics, getRecentRejections } = require('./webhook-audit');
+
+exports.handler = async (event, context) => {
+  try {
+    // Set CORS headers
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    // Validate admin session
+    const authHeader = event.headers.authorization;
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Admin authentication not configured' }) };
+    }
+
+    const tokenValidation = validateSessionToken(authHeader, adminPassword);
+    if (!tokenValidation.valid) {
+      console.log(`❌ Invalid admin token: ${tokenValidation.error}`);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid or expired session' }) };
+    }
+
+    connectStore(event);
+
+    const days = Math.min(parseInt(event.queryStringParameters?.days) || 7, 90);
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit) || 50, 500);
+
+    const metrics = await getRejectionMetrics(days);
+    const recent = await getRecentRejections(limit);
+
+    console.log(`📊 Webhook rejection metrics: ${metrics.length} day/source rows, ${recent.length} recent rejections`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        days,
+        totalRejections: metrics.reduce((sum, row) => sum + row.total, 0),
+        metrics,
+        recent
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Webhook metrics error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Internal server error', details: error.message })
+    };
+  }
+};
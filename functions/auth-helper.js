@@ -1,26 +1,164 @@
-// utils/auth-helper.js
+// functions/auth-helper.js - Signed customer payment links and secure hash helpers
 const crypto = require('crypto');
+const { getJobNotes } = require('./hirehop-client');
+
+// Payment types a customer link can be allowed to pay
+const PAYMENT_TYPES = ['deposit', 'balance', 'excess'];
+const DEFAULT_LINK_TTL_DAYS = 30;
+
+// Marker written to HireHop notes when staff revoke a job's payment links
+const PAYMENT_LINK_REVOKED_MARKER = '🔒 PAYMENT LINKS REVOKED';
 
 function generateSecureHash(jobId, totalAmount, secretKey) {
   // Use job ID and total amount as unique identifiers
   const hashInput = `${jobId}:${totalAmount}`;
-  
+
   const hmac = crypto.createHmac('sha256', secretKey);
   hmac.update(hashInput);
-  
+
   return hmac.digest('hex').slice(0, 16);
 }
 
 function validateSecureHash(jobId, totalAmount, providedHash, secretKey) {
   const expectedHash = generateSecureHash(jobId, totalAmount, secretKey);
-  
+
   return crypto.timingSafeEqual(
-    Buffer.from(expectedHash), 
+    Buffer.from(expectedHash),
     Buffer.from(providedHash)
   );
 }
 
+function getPaymentLinkSecret() {
+  const secret = process.env.PAYMENT_LINK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_LINK_SECRET not configured');
+  }
+  return secret;
+}
+
+function signTokenData(tokenData64, secret) {
+  return crypto.createHmac('sha256', secret).update(tokenData64).digest('hex');
+}
+
+// Create a signed payment token: base64url(JSON payload).hmac
+// Options: allowedTypes, expiresInDays, expiresAt (ms timestamp, wins over expiresInDays)
+function generatePaymentToken(jobId, options = {}) {
+  const now = Date.now();
+  const ttlDays = options.expiresInDays || parseInt(process.env.PAYMENT_LINK_TTL_DAYS) || DEFAULT_LINK_TTL_DAYS;
+  const allowedTypes = (options.allowedTypes || PAYMENT_TYPES).filter(type => PAYMENT_TYPES.includes(type));
+
+  if (allowedTypes.length === 0) {
+    throw new Error('At least one valid payment type is required');
+  }
+
+  const tokenData = {
+    jobId: String(jobId),
+    types: allowedTypes,
+    iat: now,
+    exp: options.expiresAt || now + (ttlDays * 24 * 60 * 60 * 1000)
+  };
+
+  const tokenData64 = Buffer.from(JSON.stringify(tokenData)).toString('base64url');
+  return `${tokenData64}.${signTokenData(tokenData64, getPaymentLinkSecret())}`;
+}
+
+// Verify a payment token for a job. Options: paymentType (must be allowed),
+// revokedAt (ms timestamp - tokens issued before it are rejected)
+function verifyPaymentToken(token, jobId, options = {}) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, error: 'Payment link token missing' };
+    }
+
+    const [tokenData64, signature] = token.split('.');
+    if (!tokenData64 || !signature) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    const expectedSignature = Buffer.from(signTokenData(tokenData64, getPaymentLinkSecret()));
+    const providedSignature = Buffer.from(signature);
+
+    if (providedSignature.length !== expectedSignature.length ||
+        !crypto.timingSafeEqual(providedSignature, expectedSignature)) {
+      return { valid: false, error: 'Invalid token signature' };
+    }
+
+    const tokenData = JSON.parse(Buffer.from(tokenData64, 'base64url').toString());
+
+    if (String(tokenData.jobId) !== String(jobId)) {
+      return { valid: false, error: 'Token does not match this job' };
+    }
+
+    if (Date.now() > tokenData.exp) {
+      return { valid: false, error: 'Payment link has expired', expired: true };
+    }
+
+    if (options.revokedAt && tokenData.iat <= options.revokedAt) {
+      return { valid: false, error: 'Payment link has been revoked', revoked: true };
+    }
+
+    if (options.paymentType && !tokenData.types.includes(options.paymentType)) {
+      return { valid: false, error: `Payment type "${options.paymentType}" is not allowed by this link` };
+    }
+
+    return {
+      valid: true,
+      tokenData,
+      expiresAt: new Date(tokenData.exp).toISOString()
+    };
+
+  } catch (error) {
+    return { valid: false, error: 'Token validation error: ' + error.message };
+  }
+}
+
+// Build the note text used to revoke every link issued up to now
+function buildRevocationNote(revokedBy, reason) {
+  const lines = [
+    `${PAYMENT_LINK_REVOKED_MARKER}`,
+    `Revoked at: ${new Date().toISOString()}`,
+    `By: ${revokedBy || 'Admin'}`
+  ];
+  if (reason) lines.push(`Reason: ${reason}`);
+  return lines.join('\n');
+}
+
+// Find the most recent revocation time (ms) in a list of HireHop notes
+function findLatestRevocation(notes) {
+  let latest = null;
+
+  (notes || []).forEach(note => {
+    const text = note.note || note.NOTE || note.text || '';
+    if (!text.includes(PAYMENT_LINK_REVOKED_MARKER)) return;
+
+    const match = text.match(/Revoked at: (\S+)/);
+    const revokedAt = match ? Date.parse(match[1]) : NaN;
+    if (!isNaN(revokedAt) && (!latest || revokedAt > latest)) {
+      latest = revokedAt;
+    }
+  });
+
+  return latest;
+}
+
+// When this job's payment links were last revoked (ms, null if never). Throws when HireHop's notes
+// can't be read - a revoked link must not start working again because HireHop is down.
+async function getPaymentLinkRevokedAt(jobId) {
+  const notes = await getJobNotes(jobId);
+  if (!Array.isArray(notes)) {
+    throw new Error(`HireHop returned no notes for job ${jobId}`);
+  }
+  return findLatestRevocation(notes);
+}
+
 module.exports = {
+  PAYMENT_TYPES,
+  PAYMENT_LINK_REVOKED_MARKER,
   generateSecureHash,
-  validateSecureHash
+  validateSecureHash,
+  generatePaymentToken,
+  verifyPaymentToken,
+  buildRevocationNote,
+  findLatestRevocation,
+  getPaymentLinkRevokedAt
 };
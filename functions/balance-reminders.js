@@ -0,0 +1,196 @@
+// functions/balance-reminders.js - Scheduled reminders for hire balances still to pay
+// Runs daily: walks the booked jobs on the Monday.com board, works out each balance with the job
+// ledger and emails the customer a fresh payment link at set points before hire start (14, 7 and 2
+// days by default, BALANCE_REMINDER_DAYS to change). A store marker per job and reminder point is
+// claimed before the email goes out, so it is never sent twice; the HireHop note and Monday.com
+// update are the record staff read.
+const { generatePaymentToken } = require('./auth-helper');
+const { connectStore, getStore } = require('./persistent-store');
+const { getJobData, getBillingList, getJobItems, getJobNotes, addJobNote } = require('./hirehop-client');
+const { JOB_NUMBER_COLUMN, findItemsByColumnValues, getColumnText, createUpdateForJob } = require('./monday-client');
+const { getRulesForJob } = require('./business-rules');
+const { computeJobLedger } = require('./job-ledger');
+const { sendCustomerEmail } = require('./notifications');
+const { getCurrencyCode, formatMoney } = require('./currency');
+const { parseHireHopDateTime } = require('./london-time');
+
+const DEFAULT_REMINDER_DAYS = [14, 7, 2];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Marker written to HireHop notes for every reminder sent
+const BALANCE_REMINDER_MARKER = '💷 BALANCE REMINDER';
+
+// Monday.com statuses for jobs that have paid a deposit but not the balance
+const BOOKED_JOB_STATUSES = [
+  { columnId: 'status3', label: 'Deposit paid' },
+  { columnId: 'dup__of_job_status', label: 'Balance to pay' }
+];
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('💷 BALANCE REMINDERS: Starting run');
+
+    connectStore(event);
+
+    const reminderDays = getReminderDays();
+    const now = Date.now();
+    const summary = { checked: 0, sent: 0, noEmail: 0, notDue: 0, alreadySent: 0, settled: 0, failed: 0 };
+
+    const jobIds = await findBookedJobs();
+    console.log(`📋 ${jobIds.length} booked jobs with a balance status, reminders at ${reminderDays.join(', ')} days`);
+
+    for (const jobId of jobIds) {
+      summary.checked++;
+
+      try {
+        const outcome = await processJob(jobId, reminderDays, now);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        console.error(`❌ Balance reminder for job ${jobId} failed:`, error);
+        summary.failed++;
+      }
+    }
+
+    console.log('✅ BALANCE REMINDERS: Run complete', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('❌ Balance reminders error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+// Days before hire start to send reminders, largest first
+function getReminderDays() {
+  const configured = (process.env.BALANCE_REMINDER_DAYS || '')
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(days => Number.isInteger(days) && days >= 0);
+
+  const days = configured.length > 0 ? configured : DEFAULT_REMINDER_DAYS;
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+// HireHop job numbers of every board item with a deposit-paid status
+async function findBookedJobs() {
+  const jobIds = new Set();
+
+  for (const { columnId, label } of BOOKED_JOB_STATUSES) {
+    const items = await findItemsByColumnValues(columnId, [label], { columns: [JOB_NUMBER_COLUMN] });
+    items.forEach(item => {
+      const jobId = getColumnText(item, JOB_NUMBER_COLUMN);
+      if (jobId) jobIds.add(jobId.trim());
+    });
+  }
+
+  return [...jobIds];
+}
+
+// The reminder due now: the nearest reminder point the hire has already come within.
+// Returns the number of days, or null before the first one and once the hire has started.
+function dueReminder(hireStart, reminderDays, now) {
+  if (!hireStart) return null;
+  const msToStart = hireStart.getTime() - now;
+  if (msToStart < 0) return null;
+
+  const daysToStart = Math.ceil(msToStart / DAY_MS);
+  const due = reminderDays.filter(days => daysToStart <= days);
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+// Claim a reminder point for a job - false if it was already claimed (sent, or being sent)
+async function claimReminder(jobId, days) {
+  return await getStore('balance-reminders').create(`reminder:${jobId}:${days}`, {
+    jobId: String(jobId),
+    days,
+    claimedAt: new Date().toISOString()
+  });
+}
+
+// Give a claim back when the email failed, so the next run tries again
+async function releaseReminder(jobId, days) {
+  await getStore('balance-reminders').delete(`reminder:${jobId}:${days}`);
+}
+
+// Reminder points already recorded in the job's HireHop notes (reminders sent before the markers)
+function findSentReminders(notes) {
+  const sent = new Set();
+
+  (notes || []).forEach(note => {
+    const text = note.note || note.NOTE || note.text || '';
+    if (!text.includes(BALANCE_REMINDER_MARKER)) return;
+
+    const match = text.match(/\((\d+) days? before hire\)/);
+    if (match) sent.add(parseInt(match[1]));
+  });
+
+  return sent;
+}
+
+async function processJob(jobId, reminderDays, now) {
+  const jobData = await getJobData(jobId);
+  // HireHop's start is UTC 'YYYY-MM-DD HH:MM:SS'
+  const hireStart = parseHireHopDateTime(jobData.JOB_DATE || jobData.job_start);
+
+  const reminder = dueReminder(hireStart, reminderDays, now);
+  if (reminder === null) {
+    return 'notDue';
+  }
+
+  const billingData = await getBillingList(jobId);
+  const rules = getRulesForJob(jobData, getCurrencyCode(billingData.currency));
+  const ledger = computeJobLedger(billingData, await getJobItems(jobId), jobData, null, rules);
+  const { depositPaid, fullyPaid, remainingHireBalance, currency } = ledger.financial;
+
+  if (!depositPaid || fullyPaid) {
+    console.log(`⏭️ Job ${jobId}: ${fullyPaid ? 'paid in full' : 'deposit not paid yet'} - no reminder`);
+    return 'settled';
+  }
+
+  const notes = await getJobNotes(jobId);
+  if (findSentReminders(Array.isArray(notes) ? notes : []).has(reminder)) {
+    return 'alreadySent';
+  }
+
+  if (!await claimReminder(jobId, reminder)) {
+    return 'alreadySent';
+  }
+
+  const paymentUrl = buildPaymentUrl(jobId);
+  const emailResult = await sendCustomerEmail(jobId, 'balance_reminder', {
+    amount: remainingHireBalance,
+    currency,
+    startDate: hireStart.toISOString(),
+    paymentUrl
+  }, { jobData });
+
+  // A failed send is tried again on the next run; a job with no email address is left to staff
+  if (!emailResult.success && !emailResult.skipped) {
+    await releaseReminder(jobId, reminder);
+    throw new Error(`Reminder email failed: ${emailResult.error}`);
+  }
+
+  const message = `${BALANCE_REMINDER_MARKER} (${reminder} days before hire): ${formatMoney(remainingHireBalance, currency)} balance outstanding
+${emailResult.success ? '📧 Emailed to the customer with a fresh payment link' : `⚠️ Not emailed - ${emailResult.error}. Please chase the customer directly.`}
+🔗 Payment link: ${paymentUrl}`;
+
+  await addJobNote(jobId, message);
+  await createUpdateForJob(jobId, message);
+
+  console.log(`💷 Job ${jobId}: ${reminder}-day reminder for ${formatMoney(remainingHireBalance, currency)} ${emailResult.success ? 'sent' : 'recorded without email'}`);
+  return emailResult.success ? 'sent' : 'noEmail';
+}
+
+// Balance and excess only - the deposit is already paid
+function buildPaymentUrl(jobId) {
+  const baseUrl = process.env.URL || process.env.DEPLOY_URL || '';
+  const token = generatePaymentToken(jobId, { allowedTypes: ['balance', 'excess'] });
+  return `${baseUrl}/payment.html?jobId=${jobId}&token=${encodeURIComponent(token)}`;
+}
@@ -0,0 +1,162 @@
+// functions/bank-transfer.js - Bank transfers through Stripe customer balances, matched to jobs
+// Every job gets its own Stripe customer and so its own virtual UK account number - money sent to it
+// belongs to that job even if the customer gets the reference wrong. create-stripe-session opens a
+// PaymentIntent against the customer's cash balance; Stripe applies incoming transfers to it and the
+// webhook records the payment exactly like a card payment.
+const stripe = require('./stripe-client');
+const { getStore } = require('./persistent-store');
+const { getJobData, getBillingList, getJobItems } = require('./hirehop-client');
+const { getRulesForJob } = require('./business-rules');
+const { computeJobLedger } = require('./job-ledger');
+const { getCurrencyCode } = require('./currency');
+
+const BANK_TRANSFER_OPTIONS = {
+  customer_balance: {
+    funding_type: 'bank_transfer',
+    bank_transfer: { type: 'gb_bank_transfer' }
+  }
+};
+
+function bankTransferStore() {
+  return getStore('bank-transfers');
+}
+
+// Needs bank transfers switched on for the Stripe account, so it's opt-in
+function isBankTransferEnabled() {
+  return process.env.BANK_TRANSFERS_ENABLED === 'true';
+}
+
+// The job's Stripe customer, created the first time the customer asks for bank details
+async function getJobBankCustomer(jobId, { customerName, customerEmail } = {}) {
+  const store = bankTransferStore();
+  const key = `job:${jobId}`;
+
+  const existing = await store.get(key);
+  if (existing) return existing.customerId;
+
+  const customer = await stripe.customers.create({
+    name: customerName || undefined,
+    email: customerEmail || undefined,
+    description: `Bank transfers for job #${jobId}`,
+    metadata: { jobId: jobId.toString(), purpose: 'bank_transfer' }
+  });
+
+  // Two requests at once - keep whichever customer was saved first
+  const created = await store.create(key, {
+    jobId: jobId.toString(),
+    customerId: customer.id,
+    createdAt: new Date().toISOString()
+  });
+  if (!created) {
+    return (await store.get(key)).customerId;
+  }
+
+  console.log(`🏦 Bank transfer customer ${customer.id} created for job ${jobId}`);
+  return customer.id;
+}
+
+// Job number for a bank transfer customer, or null for customers that aren't ours
+async function findJobForCustomer(customerId) {
+  if (!customerId) return null;
+
+  const customer = await stripe.customers.retrieve(customerId);
+  if (customer.deleted || customer.metadata?.purpose !== 'bank_transfer') return null;
+  return customer.metadata.jobId || null;
+}
+
+// Bank transfer requests still waiting for money
+async function listOpenBankTransfers(customerId) {
+  const intents = await stripe.paymentIntents.list({ customer: customerId, limit: 100 });
+  return intents.data.filter(intent =>
+    intent.status === 'requires_action' && (intent.payment_method_types || []).includes('customer_balance')
+  );
+}
+
+// Ask for a bank transfer. Only the latest request stays open, so money can't be split between them.
+async function createBankTransferIntent({ jobId, customerName, customerEmail, amountPence, description, metadata }) {
+  const customerId = await getJobBankCustomer(jobId, { customerName, customerEmail });
+
+  for (const openIntent of await listOpenBankTransfers(customerId)) {
+    await stripe.paymentIntents.cancel(openIntent.id);
+    console.log(`🗑️ Replaced bank transfer request ${openIntent.id} for job ${jobId}`);
+  }
+
+  const intent = await stripe.paymentIntents.create({
+    amount: amountPence,
+    currency: 'gbp',
+    customer: customerId,
+    payment_method_types: ['customer_balance'],
+    payment_method_data: { type: 'customer_balance' },
+    payment_method_options: BANK_TRANSFER_OPTIONS,
+    confirm: true,
+    description,
+    metadata
+  });
+
+  return { intent, instructions: describeInstructions(intent) };
+}
+
+// Bank details and reference for the page, from Stripe's transfer instructions
+function describeInstructions(intent) {
+  const instructions = intent.next_action?.display_bank_transfer_instructions;
+  if (!instructions) return null;
+
+  const address = (instructions.financial_addresses || []).find(a => a.type === 'sort_code');
+  return {
+    reference: instructions.reference,
+    amountRemaining: instructions.amount_remaining / 100,
+    accountHolderName: address?.sort_code?.account_holder_name || null,
+    accountNumber: address?.sort_code?.account_number || null,
+    sortCode: address?.sort_code?.sort_code || null,
+    hostedInstructionsUrl: instructions.hosted_instructions_url || null
+  };
+}
+
+// Money sitting in the customer's balance that no open request will pick up, in pence
+async function getUnallocatedFunds(customerId) {
+  if ((await listOpenBankTransfers(customerId)).length > 0) return 0;
+
+  const cashBalance = await stripe.customers.retrieveCashBalance(customerId);
+  return cashBalance.available?.gbp || 0;
+}
+
+// Deposit until the job's deposit is covered, balance after that
+async function getHirePaymentType(jobId) {
+  const jobData = await getJobData(jobId);
+  const billingData = await getBillingList(jobId);
+  const rules = getRulesForJob(jobData, getCurrencyCode(billingData.currency));
+  const ledger = computeJobLedger(billingData, await getJobItems(jobId), jobData, null, rules);
+  return ledger.financial.depositPaid ? 'balance' : 'deposit';
+}
+
+// Turn unrequested funds into a payment on the job - confirming against the balance succeeds at once
+async function payFromCashBalance({ customerId, jobId, amountPence, paymentType }, requestOptions = {}) {
+  return await stripe.paymentIntents.create({
+    amount: amountPence,
+    currency: 'gbp',
+    customer: customerId,
+    payment_method_types: ['customer_balance'],
+    payment_method_data: { type: 'customer_balance' },
+    payment_method_options: BANK_TRANSFER_OPTIONS,
+    confirm: true,
+    description: `Bank transfer for job #${jobId}`,
+    metadata: {
+      jobId: jobId.toString(),
+      paymentType,
+      isPreAuth: 'false',
+      checkoutFlow: 'bank_transfer',
+      unrequestedTransfer: 'true'
+    }
+  }, requestOptions);
+}
+
+module.exports = {
+  isBankTransferEnabled,
+  getJobBankCustomer,
+  findJobForCustomer,
+  createBankTransferIntent,
+  describeInstructions,
+  getUnallocatedFunds,
+  getHirePaymentType,
+  payFromCashBalance
+};
@@ -0,0 +1,211 @@
+// functions/business-rules.js - Versioned deposit, excess and VAT rules shared by every function
+// Rules come from business-rules.json, or BUSINESS_RULES_JSON / BUSINESS_RULES_FILE when set. Each
+// version applies from its effectiveFrom date and only needs the fields that changed - everything
+// else is carried over from the version before it. A version's "currencies" section overrides rules
+// for jobs priced in another currency, e.g. { "EUR": { "excess": { "perVehicle": 1400 } } }.
+const fs = require('fs');
+const defaultConfig = require('./business-rules.json');
+const { DEFAULT_CURRENCY, getCurrencyCode, getStripeMinimumCharge } = require('./currency');
+
+let cachedVersions = null;
+
+function loadConfig() {
+  if (process.env.BUSINESS_RULES_JSON) {
+    return JSON.parse(process.env.BUSINESS_RULES_JSON);
+  }
+  if (process.env.BUSINESS_RULES_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.BUSINESS_RULES_FILE, 'utf8'));
+  }
+  return defaultConfig;
+}
+
+// Resolve every version to a complete rule set, oldest first - throws if the config is unusable
+function buildVersions(config) {
+  if (!config || !Array.isArray(config.versions) || config.versions.length === 0) {
+    throw new Error('Invalid business rules: "versions" must be a non-empty array');
+  }
+
+  const sorted = [...config.versions].sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+  const versions = [];
+  let previous = null;
+
+  for (const entry of sorted) {
+    const resolved = previous ? mergeRules(previous, entry) : entry;
+    const errors = validateRuleSet(resolved);
+    for (const currency of Object.keys(resolved.currencies || {})) {
+      validateRuleSet(applyCurrency(resolved, currency)).forEach(error => errors.push(`currencies.${currency}: ${error}`));
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid business rules (version ${entry.version || 'unnamed'}): ${errors.join('; ')}`);
+    }
+    versions.push(resolved);
+    previous = resolved;
+  }
+
+  const names = versions.map(v => v.version);
+  if (new Set(names).size !== names.length) {
+    throw new Error('Invalid business rules: version names must be unique');
+  }
+
+  return versions;
+}
+
+function mergeRules(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] ? mergeRules(base[key], value) : value;
+  }
+  return merged;
+}
+
+function validateRuleSet(rules) {
+  const errors = [];
+  const isRate = (value) => typeof value === 'number' && value >= 0 && value < 1;
+  const isAmount = (value) => typeof value === 'number' && value >= 0;
+  const isDays = (value) => Number.isInteger(value) && value >= 0;
+  const isCategoryList = (value) => Array.isArray(value) && value.every(id => Number.isInteger(id));
+
+  if (!rules.version || typeof rules.version !== 'string') errors.push('version must be a string');
+  if (isNaN(new Date(rules.effectiveFrom).getTime())) errors.push('effectiveFrom must be a date');
+  if (!isRate(rules.vatRate)) errors.push('vatRate must be a fraction between 0 and 1');
+  if (rules.minimumCharge !== undefined && !isAmount(rules.minimumCharge)) errors.push('minimumCharge must be an amount');
+
+  if (!rules.deposit) {
+    errors.push('deposit rules missing');
+  } else {
+    if (!isRate(rules.deposit.percent)) errors.push('deposit.percent must be a fraction between 0 and 1');
+    if (!isAmount(rules.deposit.minimum)) errors.push('deposit.minimum must be an amount');
+    if (!isAmount(rules.deposit.fullPaymentBelow)) errors.push('deposit.fullPaymentBelow must be an amount');
+  }
+
+  if (!rules.excess) {
+    errors.push('excess rules missing');
+  } else {
+    if (!isAmount(rules.excess.perVehicle)) errors.push('excess.perVehicle must be an amount');
+    for (const [categoryId, amount] of Object.entries(rules.excess.perCategory || {})) {
+      if (!/^\d+$/.test(categoryId) || !isAmount(amount)) errors.push(`excess.perCategory.${categoryId} must be an amount keyed by category ID`);
+    }
+    if (!isDays(rules.excess.preAuthMaxHireDays)) errors.push('excess.preAuthMaxHireDays must be a whole number of days');
+    if (!isDays(rules.excess.preAuthMaxHoldDays)) errors.push('excess.preAuthMaxHoldDays must be a whole number of days');
+  }
+
+  if (!rules.vehicles) {
+    errors.push('vehicle rules missing');
+  } else {
+    if (!isCategoryList(rules.vehicles.categoryIds)) errors.push('vehicles.categoryIds must be a list of category IDs');
+    if (!isCategoryList(rules.vehicles.excessCategoryIds)) errors.push('vehicles.excessCategoryIds must be a list of category IDs');
+  }
+
+  return errors;
+}
+
+function getVersions() {
+  if (!cachedVersions) {
+    cachedVersions = buildVersions(loadConfig());
+    console.log(`📐 Business rules loaded: ${cachedVersions.map(v => `${v.version} (from ${v.effectiveFrom})`).join(', ')}`);
+  }
+  return cachedVersions;
+}
+
+// The rule set in force on a given date (falls back to the earliest version for older dates)
+function getRules(date = new Date()) {
+  const versions = getVersions();
+  const at = new Date(date);
+  if (isNaN(at.getTime())) return versions[versions.length - 1];
+
+  let active = versions[0];
+  for (const version of versions) {
+    if (new Date(version.effectiveFrom) <= at) active = version;
+  }
+  return active;
+}
+
+// Rules with the currency's overrides applied - amounts in the result are in that currency
+function applyCurrency(rules, currency) {
+  const code = getCurrencyCode(currency);
+  const { currencies, ...base } = rules;
+  const overrides = currencies?.[code];
+  return { ...(overrides ? mergeRules(base, overrides) : base), currency: code, currencies };
+}
+
+// Jobs are priced on the rules in force when the hire starts, in the job's HireHop currency
+function getRulesForJob(jobData, currency = DEFAULT_CURRENCY) {
+  return applyCurrency(getRules(jobData?.JOB_DATE || jobData?.job_start || jobData?.JOB_START || new Date()), currency);
+}
+
+function addVat(amountExVat, rules) {
+  return amountExVat * (1 + rules.vatRate);
+}
+
+function isFullPaymentRequired(totalOwed, rules) {
+  return totalOwed < rules.deposit.fullPaymentBelow;
+}
+
+function calculateRequiredDeposit(totalOwed, rules) {
+  if (isFullPaymentRequired(totalOwed, rules)) return totalOwed;
+  return Math.max(totalOwed * rules.deposit.percent, rules.deposit.minimum);
+}
+
+function isVehicleCategory(categoryId, rules) {
+  return rules.vehicles.categoryIds.includes(parseInt(categoryId));
+}
+
+function requiresExcess(categoryId, rules) {
+  return rules.vehicles.excessCategoryIds.includes(parseInt(categoryId));
+}
+
+function getExcessForCategory(categoryId, rules) {
+  const amount = rules.excess.perCategory?.[parseInt(categoryId)];
+  return amount !== undefined ? amount : rules.excess.perVehicle;
+}
+
+// Total excess for HireHop line items that need it, counting quantities
+function calculateExcessRequired(vanItems, rules) {
+  return vanItems.reduce((total, item) => {
+    const quantity = parseInt(item.qty || item.QTY || item.quantity || item.QUANTITY || 1);
+    return total + quantity * getExcessForCategory(item.CATEGORY_ID, rules);
+  }, 0);
+}
+
+// Smallest card payment we take - our own minimum, but never below what Stripe allows
+function getMinimumCharge(rules) {
+  return Math.max(rules.minimumCharge || 0, getStripeMinimumCharge(rules.currency));
+}
+
+// Short hires can take a card hold, provided the hold doesn't need to last too long
+function canUsePreAuth(hireDays, rules) {
+  return hireDays <= rules.excess.preAuthMaxHireDays;
+}
+
+// What the payment page needs to explain the options
+function summarizeRules(rules) {
+  return {
+    version: rules.version,
+    effectiveFrom: rules.effectiveFrom,
+    currency: rules.currency || DEFAULT_CURRENCY,
+    vatRate: rules.vatRate,
+    minimumCharge: getMinimumCharge(rules),
+    depositPercent: rules.deposit.percent,
+    minimumDeposit: rules.deposit.minimum,
+    fullPaymentBelow: rules.deposit.fullPaymentBelow,
+    excessPerVehicle: rules.excess.perVehicle
+  };
+}
+
+module.exports = {
+  getRules,
+  getRulesForJob,
+  applyCurrency,
+  validateRuleSet,
+  addVat,
+  isFullPaymentRequired,
+  calculateRequiredDeposit,
+  isVehicleCategory,
+  requiresExcess,
+  getExcessForCategory,
+  calculateExcessRequired,
+  getMinimumCharge,
+  canUsePreAuth,
+  summarizeRules
+};
@@ -1,6 +1,13 @@
 // create-stripe-session.js - UPDATED: Manual capture for true pre-authorizations
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Two flows: hosted Checkout (redirect to session.url) and the embedded Payment Element, which
+// gets a PaymentIntent/SetupIntent client secret instead. Pick with `flow` in the request, or
+// STRIPE_CHECKOUT_FLOW for the default. The webhook treats both the same.
+// `flow: 'bank_transfer'` returns bank details for a transfer Stripe matches to the job (bank-transfer.js).
+const stripe = require('./stripe-client');
 const fetch = require('node-fetch');
+const { verifyPaymentToken } = require('./auth-helper');
+const { isBankTransferEnabled, createBankTransferIntent } = require('./bank-transfer');
+const { getCurrencyCode, formatMoney, toMinorUnits, fromMinorUnits, toStripeCurrency } = require('./currency');
 
 exports.handler = async (event, context) => {
   try {
@@ -41,9 +48,18 @@ exports.handler = async (event, context) => {
       };
     }
     
-    const { jobId, paymentType, amount, successUrl, cancelUrl } = data;
+    const { jobId, paymentType, amount, token, excessOption } = data;
+    const flow = getCheckoutFlow(data.flow);
     
-    console.log(`🎯 Creating Stripe session - jobId=${jobId}, paymentType=${paymentType}, userAmount=£${amount}`);
+    if (flow === 'bank_transfer' && !isBankTransferEnabled()) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Bank transfer not available', code: 'BANK_TRANSFER_UNAVAILABLE', details: 'Please pay by card or contact us for bank details' })
+      };
+    }
+    
+    console.log(`🎯 Creating Stripe session - jobId=${jobId}, paymentType=${paymentType}, userAmount=${amount}`);
     
     if (!jobId || !paymentType) {
       return {
@@ -53,17 +69,30 @@ exports.handler = async (event, context) => {
       };
     }
     
+    // Check the signed payment link allows this payment type (revocation is checked by get-job-details-v2)
+    const tokenCheck = verifyPaymentToken(token, jobId, { paymentType });
+    if (!tokenCheck.valid) {
+      console.log(`❌ Payment link rejected for job ${jobId}: ${tokenCheck.error}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Invalid payment link', details: tokenCheck.error })
+      };
+    }
+    
     // Get fresh job details
     const baseUrl = process.env.URL || process.env.DEPLOY_URL || `https://${event.headers.host}`;
     
-    let jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}`;
-    let jobResponse = await fetch(jobDetailsUrl);
-    let jobDetails = await jobResponse.json();
+    const jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}&token=${encodeURIComponent(token)}`;
+    const jobResponse = await fetch(jobDetailsUrl);
+    const jobDetails = await jobResponse.json();
     
-    if (jobDetails.hash && !jobDetails.authenticated) {
-      jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}&hash=${jobDetails.hash}`;
-      const jobResponse2 = await fetch(jobDetailsUrl);
-      jobDetails = await jobResponse2.json();
+    if (jobResponse.status === 403) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Invalid payment link', details: jobDetails.details || jobDetails.error })
+      };
     }
     
     if (!jobDetails.success) {
@@ -74,44 +103,133 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Calculate payment amount
-    let stripeAmount = 0;
+    // Everything is charged in the job's HireHop currency
+    const currency = getCurrencyCode(jobDetails.financial.currency);
+    const stripeCurrency = toStripeCurrency(currency);
+    const money = (minorUnits) => formatMoney(fromMinorUnits(minorUnits, currency), currency);
+    
+    if (flow === 'bank_transfer' && currency !== 'GBP') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Bank transfer not available', code: 'BANK_TRANSFER_UNAVAILABLE', details: `Bank transfer matching is only available for GBP bookings - this booking is in ${currency}` })
+      };
+    }
+    
+    // Work out what this payment type is allowed to be from the fresh job figures
+    const amountRange = getAllowedAmountRange(paymentType, jobDetails, currency);
+    if (!amountRange) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid payment type' })
+      };
+    }
+    
+    if (amountRange.maxPence <= 0) {
+      console.log(`❌ Nothing outstanding for ${paymentType} on job ${jobId}`);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Nothing to pay',
+          code: 'NOTHING_OUTSTANDING',
+          details: `There is no ${paymentType} outstanding for this booking`,
+          paymentType
+        })
+      };
+    }
+    
+    // Anything under the minimum charge for the currency can't go through Stripe
+    const minimumChargeMinor = toMinorUnits(jobDetails.rules?.minimumCharge || 0, currency);
+    if (amountRange.maxPence < minimumChargeMinor) {
+      console.log(`❌ ${money(amountRange.maxPence)} outstanding is below the ${money(minimumChargeMinor)} minimum charge`);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Amount too small',
+          code: 'BELOW_MINIMUM_CHARGE',
+          details: `${money(amountRange.maxPence)} is below the ${money(minimumChargeMinor)} minimum we can take online - please contact us to settle it`,
+          paymentType
+        })
+      };
+    }
+    amountRange.minPence = Math.max(amountRange.minPence, minimumChargeMinor);
+    
+    // Use the amount from the page if given, otherwise the full amount outstanding
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid payment amount', code: 'AMOUNT_INVALID', details: 'Payment amount must be greater than zero', paymentType })
+      };
+    }
+    const stripeAmount = amount ? toMinorUnits(amount, currency) : amountRange.maxPence;
+    
+    if (stripeAmount < amountRange.minPence || stripeAmount > amountRange.maxPence) {
+      console.log(`❌ Amount ${money(stripeAmount)} outside allowed range ${money(amountRange.minPence)}-${money(amountRange.maxPence)} for ${paymentType}`);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid payment amount',
+          code: 'AMOUNT_OUT_OF_RANGE',
+          details: amountRange.minPence === amountRange.maxPence
+            ? `${amountRange.label} must be ${money(amountRange.maxPence)}`
+            : `${amountRange.label} must be between ${money(amountRange.minPence)} and ${money(amountRange.maxPence)}`,
+          paymentType,
+          currency,
+          requestedAmount: fromMinorUnits(stripeAmount, currency),
+          allowedRange: {
+            min: fromMinorUnits(amountRange.minPence, currency),
+            max: fromMinorUnits(amountRange.maxPence, currency)
+          }
+        })
+      };
+    }
+    
+    console.log(`💰 ${paymentType} amount ${money(stripeAmount)} validated (allowed ${money(amountRange.minPence)}-${money(amountRange.maxPence)})`);
+    
     let description = '';
     let usePreAuth = false;
-    let currency = 'gbp';
+    let useScheduledHold = false;
     
     switch (paymentType) {
       case 'deposit':
-        // 🎯 SIMPLIFIED LOGIC: Use the amount from frontend directly
-        if (amount && amount > 0) {
-          stripeAmount = Math.round(amount * 100);
-          description = `Deposit for job #${jobId}`;
-          console.log(`💰 Using frontend amount: £${amount} (${stripeAmount} pence)`);
-        } else {
-          // Fallback if no amount provided - shouldn't happen with your UI
-          const remainingBalance = Math.max(0, jobDetails.financial.actualTotalOwed - jobDetails.financial.totalHirePaid);
-          stripeAmount = Math.round(remainingBalance * 100);
-          description = `Payment for job #${jobId}`;
-          console.log(`⚠️ No amount provided, using remaining balance: £${remainingBalance}`);
-        }
+        description = `Deposit for job #${jobId}`;
         break;
         
       case 'balance':
-        // For balance payments, use amount if provided, otherwise calculate fresh balance
-        if (amount && amount > 0) {
-          stripeAmount = Math.round(amount * 100);
-          console.log(`💰 Using frontend balance amount: £${amount}`);
-        } else {
-          const freshRemainingBalance = Math.max(0, jobDetails.financial.remainingHireBalance);
-          stripeAmount = Math.round(freshRemainingBalance * 100);
-          console.log(`💰 Using calculated balance: £${freshRemainingBalance}`);
-        }
         description = `Balance payment for job #${jobId}`;
         break;
         
       case 'excess':
-        // 🔧 UPDATED: Pre-auth now means manual capture payment
-        if (jobDetails.excess.method === 'pre-auth' && jobDetails.excess.canPreAuth) {
+        if (excessOption === 'scheduled_hold') {
+          if (flow === 'bank_transfer') {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Bank transfer not available', code: 'BANK_TRANSFER_UNAVAILABLE', details: 'A saved-card hold needs a card' })
+            };
+          }
+          // Save the card now - scheduled-preauth-holds places the hold before the hire
+          if (!jobDetails.excess.canScheduleHold) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({
+                error: 'Saved-card hold not available',
+                code: 'SCHEDULED_HOLD_UNAVAILABLE',
+                details: 'This booking can no longer use an automatic excess hold'
+              })
+            };
+          }
+          useScheduledHold = true;
+          description = `Save card for excess hold - Job #${jobId}`;
+          console.log(`📅 EXCESS SCHEDULED HOLD: Will save card, hold due ${jobDetails.excess.scheduledHoldDate}`);
+        } else if (jobDetails.excess.method === 'pre-auth' && jobDetails.excess.canPreAuth && flow !== 'bank_transfer') {
+          // 🔧 UPDATED: Pre-auth now means manual capture payment
           usePreAuth = true;
           // 🔧 UPDATED: Better description for customer's bank statement
           description = `OOOSH EXCESS HOLD - Job #${jobId}`;
@@ -120,50 +238,24 @@ exports.handler = async (event, context) => {
           description = `Insurance excess payment for job #${jobId}`;
           console.log(`💳 EXCESS PAYMENT: Regular payment (not pre-auth)`);
         }
-        
-        // Use amount if provided, otherwise calculate fresh excess needed
-        if (amount && amount > 0) {
-          stripeAmount = Math.round(amount * 100);
-          console.log(`💰 Using frontend excess amount: £${amount}`);
-        } else {
-          const freshExcessNeeded = Math.max(0, jobDetails.excess.amount - jobDetails.financial.excessPaid);
-          stripeAmount = Math.round(freshExcessNeeded * 100);
-          console.log(`💰 Using calculated excess: £${freshExcessNeeded}`);
-        }
         break;
-        
-      default:
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: 'Invalid payment type' })
-        };
     }
     
-    if (stripeAmount <= 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Payment amount must be greater than zero' })
-      };
-    }
-    
-    // Create metadata
+    // Create metadata - checkoutFlow lets the webhook pick the payment up from whichever event arrives
     const metadata = {
       jobId: jobId.toString(),
       paymentType,
-      isPreAuth: usePreAuth.toString()
+      isPreAuth: usePreAuth.toString(),
+      checkoutFlow: flow,
+      currency
     };
     
-    // 🎯 FIXED: Clean return URLs that go back to the payment homepage
-    const deployUrl = 'https://ooosh-tours-payment-page.netlify.app';
-    
-    // Get the hash (reuse from job details)
-    const jobHash = jobDetails.hash || jobDetails.debug?.generatedHash;
+    // Return to the page with the same signed link the customer arrived with
+    const encodedLinkToken = encodeURIComponent(token);
     
     // ✅ FIXED: Clean URLs that return to the payment homepage with a success indicator
-    const cleanSuccessUrl = `${deployUrl}/payment.html?jobId=${jobId}&hash=${jobHash}&payment_success=true`;
-    const cleanCancelUrl = `${deployUrl}/payment.html?jobId=${jobId}&hash=${jobHash}&payment_cancelled=true`;
+    const cleanSuccessUrl = `${baseUrl}/payment.html?jobId=${jobId}&token=${encodedLinkToken}&payment_success=true`;
+    const cleanCancelUrl = `${baseUrl}/payment.html?jobId=${jobId}&token=${encodedLinkToken}&payment_cancelled=true`;
     
     console.log(`🔧 Clean return URLs configured:`);
     console.log(`   Success: ${cleanSuccessUrl}`);
@@ -182,13 +274,128 @@ exports.handler = async (event, context) => {
       };
     }
     
+    // Bank transfer - nothing to confirm, the page shows the bank details and the webhook does the rest
+    if (flow === 'bank_transfer') {
+      try {
+        const { intent, instructions } = await createBankTransferIntent({
+          jobId,
+          customerName: jobDetails.jobData?.customerName,
+          customerEmail: jobDetails.jobData?.customerEmail,
+          amountPence: stripeAmount,
+          description,
+          metadata
+        });
+        
+        console.log(`🏦 Bank transfer requested: ${intent.id} for ${money(stripeAmount)}, reference ${instructions?.reference}`);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            flow,
+            intentId: intent.id,
+            amount: fromMinorUnits(stripeAmount, currency),
+            currency,
+            bankTransfer: instructions
+          })
+        };
+      } catch (stripeError) {
+        console.error('❌ Stripe API error:', stripeError);
+        return {
+          statusCode: 500,
+          headers,
+          body: JSON.stringify({ error: 'Failed to set up bank transfer', details: stripeError.message })
+        };
+      }
+    }
+    
+    // Embedded Payment Element - the page confirms the intent itself and returns to the success URL
+    if (flow === 'payment_element') {
+      try {
+        const { intentType, intent } = await createEmbeddedIntent({ jobId, jobDetails, stripeAmount, currency, description, metadata, usePreAuth, useScheduledHold });
+        
+        console.log(`✅ ${intentType === 'setup' ? 'Setup' : 'Payment'} intent created for the Payment Element: ${intent.id} for ${money(stripeAmount)}`);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            flow,
+            intentType,
+            intentId: intent.id,
+            clientSecret: intent.client_secret,
+            publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+            amount: fromMinorUnits(stripeAmount, currency),
+            currency,
+            returnUrl: cleanSuccessUrl,
+            isPreAuth: usePreAuth,
+            isScheduledHold: useScheduledHold,
+            scheduledHoldInfo: useScheduledHold ? {
+              holdAmount: fromMinorUnits(stripeAmount, currency),
+              holdDate: jobDetails.excess.scheduledHoldDate
+            } : null
+          })
+        };
+      } catch (stripeError) {
+        console.error('❌ Stripe API error:', stripeError);
+        return {
+          statusCode: 500,
+          headers,
+          body: JSON.stringify({ error: 'Failed to create Stripe payment', details: stripeError.message })
+        };
+      }
+    }
+    
     let session;
     
     try {
-      if (usePreAuth) {
+      if (useScheduledHold) {
+        // Setup mode: nothing is charged, the card is saved for off-session holds later
+        const holdDateText = new Date(jobDetails.excess.scheduledHoldDate).toLocaleDateString('en-GB');
+        console.log(`💾 Creating SETUP session to save card for a ${money(stripeAmount)} hold on ${holdDateText}`);
+        
+        const customer = await stripe.customers.create({
+          email: jobDetails.jobData?.customerEmail || undefined,
+          name: jobDetails.jobData?.customerName || undefined,
+          description: `Saved card for excess hold on job #${jobId}`,
+          metadata: { jobId: jobId.toString() }
+        });
+        
+        const holdMetadata = {
+          ...metadata,
+          excessMode: 'scheduled_hold',
+          holdAmount: stripeAmount.toString(),
+          hireStart: jobDetails.jobData.startDate,
+          hireEnd: jobDetails.jobData.endDate
+        };
+        
+        session = await stripe.checkout.sessions.create({
+          payment_method_types: ['card'],
+          mode: 'setup',
+          customer: customer.id,
+          setup_intent_data: {
+            description: `Saved card for ${money(stripeAmount)} excess hold on job #${jobId}`,
+            metadata: holdMetadata
+          },
+          success_url: cleanSuccessUrl,
+          cancel_url: cleanCancelUrl,
+          metadata: holdMetadata,
+          consent_collection: {
+            terms_of_service: 'required',
+          },
+          custom_text: {
+            submit: {
+              message: `Nothing is charged today. On ${holdDateText} we will place a hold of ${money(stripeAmount)} on this card, renewed until your hire has been checked in. It is only charged if there are damages or additional costs.`
+            }
+          }
+        });
+        
+        console.log(`✅ SETUP SESSION CREATED: ${session.id} (customer ${customer.id})`);
+        
+      } else if (usePreAuth) {
         // 🔧 COMPLETELY REWRITTEN: True pre-authorization with manual capture
         console.log('🔐 Creating TRUE pre-authorization with MANUAL CAPTURE');
-        console.log(`   - Amount to HOLD on card: £${stripeAmount/100}`);
+        console.log(`   - Amount to HOLD on card: ${money(stripeAmount)}`);
         console.log(`   - This will show as PENDING on customer's statement`);
         console.log(`   - Funds will be FROZEN and can be captured without authentication`);
         console.log(`   - Authorization valid for 7 days`);
@@ -197,7 +404,7 @@ exports.handler = async (event, context) => {
           payment_method_types: ['card'],
           line_items: [{
             price_data: {
-              currency: 'gbp',
+              currency: stripeCurrency,
               product_data: {
                 name: `Insurance Excess Pre-Authorization`,
                 description: `Refundable excess for job #${jobId} - Amount will be held on your card for up to 7 days`,
@@ -217,7 +424,9 @@ exports.handler = async (event, context) => {
               maxCaptureWindow: '7_days'
             },
             description: `Pre-auth excess hold for job #${jobId} - Funds frozen for up to 7 days`,
-            receipt_email: jobDetails.jobData?.customerEmail || null
+            receipt_email: jobDetails.jobData?.customerEmail || null,
+            // Confirming a saved-card hold on-session (after an SCA prompt) - keep the card for re-authorisations
+            ...(jobDetails.excess.scheduledHold ? { setup_future_usage: 'off_session' } : {})
           },
           success_url: cleanSuccessUrl,
           cancel_url: cleanCancelUrl,
@@ -232,7 +441,7 @@ exports.handler = async (event, context) => {
           },
           custom_text: {
             submit: {
-              message: `By authorizing this payment, you agree to a hold of £${(stripeAmount/100).toFixed(2)} on your card for up to 7 days. This amount will only be charged if there are damages or additional costs.`
+              message: `By authorizing this payment, you agree to a hold of ${money(stripeAmount)} on your card for up to 7 days. This amount will only be charged if there are damages or additional costs.`
             }
           }
         });
@@ -249,7 +458,7 @@ exports.handler = async (event, context) => {
           payment_method_types: ['card'],
           line_items: [{
             price_data: {
-              currency,
+              currency: stripeCurrency,
               product_data: {
                 name: description,
                 metadata
@@ -259,6 +468,10 @@ exports.handler = async (event, context) => {
             quantity: 1,
           }],
           mode: 'payment',
+          payment_intent_data: {
+            description,
+            metadata
+          },
           success_url: cleanSuccessUrl,
           cancel_url: cleanCancelUrl,
           metadata,
@@ -269,19 +482,26 @@ exports.handler = async (event, context) => {
         console.log(`✅ Regular payment session created: ${session.id}`);
       }
       
-      console.log(`✅ Stripe session created: ${session.id} for £${stripeAmount/100}`);
+      console.log(`✅ Stripe session created: ${session.id} for ${money(stripeAmount)}`);
       console.log(`🔗 Session URL: ${session.url}`);
       
       // 🔧 NEW: Enhanced response with pre-auth info
       const responseData = {
+        flow,
         sessionId: session.id,
         url: session.url,
-        amount: stripeAmount / 100,
+        amount: fromMinorUnits(stripeAmount, currency),
+        currency,
         returnUrl: cleanSuccessUrl,
         isPreAuth: usePreAuth,
+        isScheduledHold: useScheduledHold,
+        scheduledHoldInfo: useScheduledHold ? {
+          holdAmount: fromMinorUnits(stripeAmount, currency),
+          holdDate: jobDetails.excess.scheduledHoldDate
+        } : null,
         preAuthInfo: usePreAuth ? {
           type: 'manual_capture',
-          holdAmount: stripeAmount / 100,
+          holdAmount: fromMinorUnits(stripeAmount, currency),
           validForDays: 7,
           message: 'Funds will be held on card immediately and can be captured without further authentication'
         } : null
@@ -319,3 +539,115 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// 'checkout' (hosted page), 'payment_element' (embedded) or 'bank_transfer' (asked for explicitly).
+// The embedded flow needs the publishable key.
+function getCheckoutFlow(requestedFlow) {
+  if (requestedFlow === 'bank_transfer') return 'bank_transfer';
+  
+  const flow = requestedFlow || process.env.STRIPE_CHECKOUT_FLOW || 'checkout';
+  
+  if (flow === 'payment_element' && !process.env.STRIPE_PUBLISHABLE_KEY) {
+    console.log('⚠️ STRIPE_PUBLISHABLE_KEY not configured - using hosted Checkout instead of the Payment Element');
+    return 'checkout';
+  }
+  return flow === 'payment_element' ? 'payment_element' : 'checkout';
+}
+
+// PaymentIntent (or SetupIntent for a saved-card hold) for the Payment Element, with the same
+// metadata, capture method and descriptions the hosted Checkout flow gives Stripe
+async function createEmbeddedIntent({ jobId, jobDetails, stripeAmount, currency, description, metadata, usePreAuth, useScheduledHold }) {
+  const customerEmail = jobDetails.jobData?.customerEmail || undefined;
+  
+  if (useScheduledHold) {
+    const customer = await stripe.customers.create({
+      email: customerEmail,
+      name: jobDetails.jobData?.customerName || undefined,
+      description: `Saved card for excess hold on job #${jobId}`,
+      metadata: { jobId: jobId.toString() }
+    });
+    
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customer.id,
+      usage: 'off_session',
+      payment_method_types: ['card'],
+      description: `Saved card for ${formatMoney(fromMinorUnits(stripeAmount, currency), currency)} excess hold on job #${jobId}`,
+      metadata: {
+        ...metadata,
+        excessMode: 'scheduled_hold',
+        holdAmount: stripeAmount.toString(),
+        hireStart: jobDetails.jobData.startDate,
+        hireEnd: jobDetails.jobData.endDate
+      }
+    });
+    return { intentType: 'setup', intent: setupIntent };
+  }
+  
+  if (usePreAuth) {
+    // Manual capture is card-only - Apple Pay and Google Pay still show, as card wallets
+    const customer = await stripe.customers.create({
+      email: customerEmail,
+      name: jobDetails.jobData?.customerName || undefined,
+      metadata: { jobId: jobId.toString() }
+    });
+    
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: stripeAmount,
+      currency: toStripeCurrency(currency),
+      customer: customer.id,
+      capture_method: 'manual',
+      payment_method_types: ['card'],
+      statement_descriptor_suffix: `JOB${jobId}`,
+      description: `Pre-auth excess hold for job #${jobId} - Funds frozen for up to 7 days`,
+      receipt_email: customerEmail,
+      metadata: {
+        ...metadata,
+        captureMethod: 'manual',
+        maxCaptureWindow: '7_days'
+      },
+      ...(jobDetails.excess.scheduledHold ? { setup_future_usage: 'off_session' } : {})
+    });
+    return { intentType: 'payment', intent: paymentIntent };
+  }
+  
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: stripeAmount,
+    currency: toStripeCurrency(currency),
+    automatic_payment_methods: { enabled: true },
+    description,
+    receipt_email: customerEmail,
+    metadata
+  });
+  return { intentType: 'payment', intent: paymentIntent };
+}
+
+// Allowed amount range (in pence, or the currency's minor unit) for a payment type, from get-job-details-v2 figures
+function getAllowedAmountRange(paymentType, jobDetails, currency) {
+  const { financial, excess } = jobDetails;
+  const toPence = (value) => toMinorUnits(Math.max(0, value || 0), currency);
+  const remainingPence = toPence(financial.remainingHireBalance);
+  
+  switch (paymentType) {
+    case 'deposit': {
+      // At least whatever is still owed towards the required deposit, at most the full balance
+      const depositOutstandingPence = toPence(financial.requiredDeposit - financial.totalHirePaid);
+      return {
+        label: 'Deposit',
+        minPence: Math.min(Math.max(depositOutstandingPence, 1), remainingPence),
+        maxPence: remainingPence
+      };
+    }
+    
+    case 'balance':
+      // Balance payments settle the hire in full
+      return { label: 'Balance payment', minPence: remainingPence, maxPence: remainingPence };
+    
+    case 'excess': {
+      const excessNeededPence = toPence(excess.amount - financial.excessPaid);
+      return { label: 'Excess payment', minPence: Math.min(1, excessNeededPence), maxPence: excessNeededPence };
+    }
+    
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,96 @@
+// functions/currency.js - Job currencies for Stripe, HireHop deposits and customer-facing amounts
+// A job's currency is whatever HireHop's billing list says (GBP when it says nothing). Amounts stay in
+// major units (pounds, euros) everywhere except at the Stripe boundary - toMinorUnits/fromMinorUnits.
+const DEFAULT_CURRENCY = 'GBP';
+
+// HireHop's currency records, as billing_deposit_save.php wants them
+const CURRENCIES = {
+  GBP: { CODE: 'GBP', NAME: 'United Kingdom Pound', SYMBOL: '£' },
+  EUR: { CODE: 'EUR', NAME: 'Euro', SYMBOL: '€' },
+  USD: { CODE: 'USD', NAME: 'United States Dollar', SYMBOL: '$' }
+};
+
+const CURRENCY_DEFAULTS = {
+  DECIMALS: 2,
+  MULTIPLIER: 1,
+  NEGATIVE_FORMAT: 1,
+  SYMBOL_POSITION: 0,
+  DECIMAL_SEPARATOR: '.',
+  THOUSAND_SEPARATOR: ','
+};
+
+// Smallest amount Stripe will charge, in major units (https://stripe.com/docs/currencies#minimum-and-maximum-charge-amounts)
+const STRIPE_MINIMUM_CHARGE = {
+  GBP: 0.30,
+  EUR: 0.50,
+  USD: 0.50
+};
+const DEFAULT_STRIPE_MINIMUM_CHARGE = 0.50;
+
+// 'eur', 'EUR', HireHop's { CODE: 'EUR', ... } or a Stripe object -> 'EUR'
+function getCurrencyCode(value) {
+  const code = typeof value === 'string' ? value : value?.CODE || value?.currency;
+  return code ? String(code).trim().toUpperCase() : DEFAULT_CURRENCY;
+}
+
+// Full currency record - HireHop's own record wins, so unlisted currencies still work
+function getCurrency(value) {
+  const code = getCurrencyCode(value);
+  const hirehopRecord = value && typeof value === 'object' && value.CODE ? value : {};
+  return { ...CURRENCY_DEFAULTS, NAME: code, SYMBOL: `${code} `, ...CURRENCIES[code], ...hirehopRecord, CODE: code };
+}
+
+function getDecimals(value) {
+  return parseInt(getCurrency(value).DECIMALS);
+}
+
+// £1200.00, €85.50 - a minus sign goes before the symbol
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const { SYMBOL } = getCurrency(currency);
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}${SYMBOL}${Math.abs(value).toFixed(getDecimals(currency))}`;
+}
+
+// Stripe amounts (pence, cents) straight to £12.50 / €12.50
+function formatMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return formatMoney(fromMinorUnits(amount, currency), currency);
+}
+
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return Math.round(Number(amount) * Math.pow(10, getDecimals(currency)));
+}
+
+function fromMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return (Number(amount) || 0) / Math.pow(10, getDecimals(currency));
+}
+
+function toStripeCurrency(currency) {
+  return getCurrencyCode(currency).toLowerCase();
+}
+
+function getStripeMinimumCharge(currency) {
+  return STRIPE_MINIMUM_CHARGE[getCurrencyCode(currency)] ?? DEFAULT_STRIPE_MINIMUM_CHARGE;
+}
+
+// CURRENCY[CODE]=EUR&CURRENCY[SYMBOL]=€... for billing_deposit_save.php
+function hirehopCurrencyFields(currency) {
+  const record = getCurrency(currency);
+  const fields = {};
+  ['CODE', 'NAME', 'SYMBOL', ...Object.keys(CURRENCY_DEFAULTS)].forEach(key => {
+    fields[`CURRENCY[${key}]`] = record[key];
+  });
+  return fields;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  getCurrencyCode,
+  getCurrency,
+  formatMoney,
+  formatMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  toStripeCurrency,
+  getStripeMinimumCharge,
+  hirehopCurrencyFields
+};
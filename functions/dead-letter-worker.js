@@ -0,0 +1,47 @@
+// functions/dead-letter-worker.js - Scheduled retries for failed integration steps
+// Runs every 15 minutes: replays the dead-letter entries that are due (see dead-letters.js). Each
+// entry backs off between attempts and is left for staff in the Admin Portal once it runs out.
+const { connectStore } = require('./persistent-store');
+const { getDueDeadLetters, replayDeadLetter } = require('./dead-letters');
+
+// Keep a run well inside the function timeout - anything left over is picked up next run
+const MAX_REPLAYS_PER_RUN = 20;
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('📮 DEAD LETTER WORKER: Starting run');
+
+    connectStore(event);
+
+    const due = await getDueDeadLetters();
+    const summary = { due: due.length, resolved: 0, failed: 0, exhausted: 0, deferred: 0 };
+
+    for (const record of due.slice(0, MAX_REPLAYS_PER_RUN)) {
+      const { record: updated, outcome } = await replayDeadLetter(record.id, { by: 'worker' });
+
+      if (outcome.success) {
+        summary.resolved++;
+      } else if (outcome.busy || outcome.retryLater || !updated) {
+        summary.deferred++;
+      } else if (updated.status === 'exhausted') {
+        summary.exhausted++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    console.log('✅ DEAD LETTER WORKER: Run complete', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('❌ Dead letter worker error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
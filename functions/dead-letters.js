@@ -0,0 +1,229 @@
+// functions/dead-letters.js - Dead-letter queue for integration steps that failed
+// A failed step (a HireHop deposit, the Monday.com payment update, a job status save, a Monday.com
+// column sync) is stored with everything needed to run it again. dead-letter-worker replays due
+// entries with backoff until they work or run out of attempts; admin-dead-letters lets staff
+// inspect, replay or discard them. One entry per step and payment/column - a repeat failure
+// updates it rather than queueing the work twice. Every write is an atomic store update, so the
+// worker and an admin replay can't both run the same entry.
+const { getStore } = require('./persistent-store');
+const { addJobNote } = require('./hirehop-client');
+
+// Wait before each automatic attempt - the first gives Stripe's own redelivery a chance to finish
+const RETRY_DELAYS_MINUTES = [5, 15, 60, 240, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length;
+// A replay that claimed an entry but hasn't finished within this window is assumed dead
+const LEASE_MS = 2 * 60 * 1000;
+// Step busy elsewhere (e.g. Stripe redelivering the payment) - look again shortly
+const BUSY_RETRY_MS = 5 * 60 * 1000;
+
+const DEAD_LETTER_STATUSES = ['pending', 'exhausted', 'resolved', 'discarded'];
+const OPEN_STATUSES = ['pending', 'exhausted'];
+
+// Replayed only by staff: a HireHop deposit save that reported failure may still have gone through,
+// and a second one would reach Xero too. The replay checks HireHop first, but a person decides.
+const ADMIN_ONLY_STEPS = ['hirehop_deposit'];
+
+// Replay functions by step, required when used - the modules that record dead letters are the
+// ones that know how to run them again. Each takes the entry and returns { success, message }
+// or { success: false, error, retryLater }.
+const REPLAYERS = {
+  hirehop_deposit: () => require('./handle-stripe-webhook').replayPaymentStep,
+  monday: () => require('./handle-stripe-webhook').replayPaymentStep,
+  monday_preauth: () => require('./handle-stripe-webhook').replayPaymentStep,
+  hirehop_status: () => require('./handle-stripe-webhook').replayPaymentStep,
+  monday_column_sync: () => require('./monday-sync-actions').replayColumnChange
+};
+
+function deadLetterStore() {
+  return getStore('dead-letters');
+}
+
+function retryDelayMs(attempts) {
+  return RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length - 1)] * 60 * 1000;
+}
+
+// Store a failed step. key identifies the work (payment key, item:column) so repeats share an entry.
+// Never throws - losing the record mustn't change how the failing request is answered.
+async function recordDeadLetter({ step, key, jobId, source, description, payload, error }) {
+  const id = `${step}:${key}`;
+  const now = new Date();
+  const errorMessage = error?.message || String(error || 'Unknown error');
+  const adminOnly = ADMIN_ONLY_STEPS.includes(step);
+
+  try {
+    const { value: record } = await deadLetterStore().update(`dead-letter:${id}`, (existing) => {
+      let next;
+      if (existing && OPEN_STATUSES.includes(existing.status)) {
+        // Failed again (e.g. on a Stripe redelivery) - keep the retry schedule, take the latest payload
+        next = { ...existing, payload, description, lastError: errorMessage, failures: existing.failures + 1, updatedAt: now.toISOString() };
+      } else {
+        next = {
+          id,
+          step,
+          key: String(key),
+          jobId: jobId ? String(jobId) : null,
+          source,
+          description,
+          payload,
+          status: 'pending',
+          adminOnly,
+          lastError: errorMessage,
+          failures: (existing?.failures || 0) + 1,
+          attempts: 0,
+          nextAttemptAt: adminOnly ? null : new Date(now.getTime() + retryDelayMs(0)).toISOString(),
+          leaseUntil: null,
+          history: existing?.history || [],
+          createdAt: existing?.createdAt || now.toISOString(),
+          updatedAt: now.toISOString()
+        };
+      }
+      next.history = [...next.history, { at: now.toISOString(), by: source, error: errorMessage }].slice(-20);
+      return next;
+    });
+
+    console.log(`📮 DEAD LETTER: ${id} (job ${jobId}) - ${errorMessage}`);
+    return record;
+  } catch (storeError) {
+    console.error(`❌ Failed to record dead letter ${id}:`, storeError);
+    return null;
+  }
+}
+
+async function getDeadLetter(id) {
+  return await deadLetterStore().get(`dead-letter:${id}`);
+}
+
+async function updateDeadLetter(id, changes) {
+  const { value } = await deadLetterStore().update(`dead-letter:${id}`, (record) => {
+    if (!record) return undefined;
+    return { ...record, ...changes, updatedAt: new Date().toISOString() };
+  });
+  return value;
+}
+
+// Newest first. status 'open' covers pending and exhausted; 'all' (or none) everything.
+async function listDeadLetters({ status = null, jobId = null } = {}) {
+  const store = deadLetterStore();
+  const keys = await store.list('dead-letter:');
+  const statuses = status === 'open' ? OPEN_STATUSES : (status && status !== 'all' ? [status] : null);
+
+  const records = [];
+  for (const key of keys) {
+    const record = await store.get(key);
+    if (!record) continue;
+    if (statuses && !statuses.includes(record.status)) continue;
+    if (jobId && record.jobId !== String(jobId)) continue;
+    records.push(record);
+  }
+  return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Pending entries whose next attempt is due, oldest first. Admin-only steps are never due.
+async function getDueDeadLetters(now = Date.now()) {
+  const pending = await listDeadLetters({ status: 'pending' });
+  return pending
+    .filter(record => record.nextAttemptAt && new Date(record.nextAttemptAt).getTime() <= now)
+    .filter(record => !record.leaseUntil || record.leaseUntil <= now)
+    .reverse();
+}
+
+// Run an open entry's step again. by is 'worker' or 'admin'. Returns { record, outcome }, with
+// record null when the entry isn't there or isn't open, and outcome.busy when another replay has it.
+async function replayDeadLetter(id, { by = 'admin' } = {}) {
+  const store = deadLetterStore();
+  const key = `dead-letter:${id}`;
+  const now = Date.now();
+
+  // Take the lease in the same write that checks it
+  let refusal = null;
+  const { updated: leased, value: record } = await store.update(key, (current) => {
+    if (!current || !OPEN_STATUSES.includes(current.status)) {
+      refusal = { success: false, error: current ? `Dead letter already ${current.status}` : 'Dead letter not found' };
+      return undefined;
+    }
+    if (by === 'worker' && ADMIN_ONLY_STEPS.includes(current.step)) {
+      refusal = { success: false, busy: true, error: 'Only staff can replay this step' };
+      return undefined;
+    }
+    if (current.leaseUntil && current.leaseUntil > now) {
+      refusal = { success: false, busy: true, error: 'Already being replayed' };
+      return undefined;
+    }
+    return { ...current, leaseUntil: now + LEASE_MS, updatedAt: new Date(now).toISOString() };
+  });
+
+  if (!leased) {
+    return { record: refusal.busy ? record : null, outcome: refusal };
+  }
+  console.log(`🔁 DEAD LETTER: Replaying ${id} (${by}, attempt ${record.attempts + 1})`);
+
+  let outcome;
+  try {
+    const replay = REPLAYERS[record.step];
+    outcome = replay ? await replay()(record) : { success: false, error: `No replay for step "${record.step}"` };
+  } catch (error) {
+    console.error(`❌ DEAD LETTER: Replay of ${id} threw:`, error);
+    outcome = { success: false, error: error.message };
+  }
+
+  // Built from the latest record - the replayed step may have recorded a fresh failure against it
+  const finishedAt = new Date();
+  let newlyExhausted = false;
+  const { value: updated } = await store.update(key, (latest) => {
+    const history = [...(latest.history || []), { at: finishedAt.toISOString(), by, error: outcome.success ? null : outcome.error }].slice(-20);
+    const base = { ...latest, leaseUntil: null, history, updatedAt: finishedAt.toISOString() };
+
+    if (outcome.success) {
+      newlyExhausted = false;
+      return { ...base, status: 'resolved', attempts: latest.attempts + 1, resolvedAt: finishedAt.toISOString(), resolvedBy: by, result: outcome.message || null };
+    }
+    if (outcome.retryLater) {
+      newlyExhausted = false;
+      return { ...base, nextAttemptAt: latest.adminOnly ? null : new Date(finishedAt.getTime() + BUSY_RETRY_MS).toISOString() };
+    }
+
+    const attempts = latest.attempts + 1;
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    newlyExhausted = exhausted && latest.status !== 'exhausted';
+    return {
+      ...base,
+      status: exhausted ? 'exhausted' : latest.status,
+      attempts,
+      lastError: outcome.error,
+      nextAttemptAt: exhausted || latest.adminOnly ? null : new Date(finishedAt.getTime() + retryDelayMs(attempts)).toISOString()
+    };
+  });
+
+  if (outcome.success) {
+    console.log(`✅ DEAD LETTER: ${id} resolved`);
+  } else if (!outcome.retryLater) {
+    if (newlyExhausted && updated.jobId) {
+      await addJobNote(updated.jobId, `🚨 CRITICAL: ${updated.description} still failing after ${updated.attempts} retries (${outcome.error}). Replay or discard it from the Admin Portal.`);
+    }
+    console.log(`❌ DEAD LETTER: ${id} replay failed${updated.status === 'exhausted' ? ' - giving up' : ''}: ${outcome.error}`);
+  }
+  return { record: updated, outcome };
+}
+
+async function discardDeadLetter(id, { reason = null } = {}) {
+  const { updated, value } = await deadLetterStore().update(`dead-letter:${id}`, (record) => {
+    if (!record || !OPEN_STATUSES.includes(record.status)) return undefined;
+    const now = new Date().toISOString();
+    return { ...record, status: 'discarded', discardedAt: now, discardReason: reason, leaseUntil: null, updatedAt: now };
+  });
+  if (!updated) return null;
+  console.log(`🗑️ DEAD LETTER: ${id} discarded`);
+  return value;
+}
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  MAX_ATTEMPTS,
+  recordDeadLetter,
+  getDeadLetter,
+  updateDeadLetter,
+  listDeadLetters,
+  getDueDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter
+};
@@ -0,0 +1,131 @@
+// functions/email-templates.js - Customer email wording for payment events
+// Each template takes the event details and returns { subject, text, html }. Every email carries
+// the customer's name and job number, so templates only describe what happened. Amounts are in the
+// job's currency (GBP when none is given).
+const { formatMoney } = require('./currency');
+
+const COMPANY_NAME = 'Ooosh! Tours';
+const COMPANY_EMAIL = 'info@oooshtours.co.uk';
+const BRAND_COLOUR = '#1d4ed8';
+
+function formatDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/London' });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const PAYMENT_LABELS = {
+  deposit: 'deposit',
+  balance: 'balance payment',
+  excess: 'insurance excess payment'
+};
+
+// Templates return a subject and the paragraphs of the message; layout() adds greeting and sign-off
+const TEMPLATES = {
+  // { amount, paymentType, reference, currency }
+  payment_received: ({ jobId, amount, paymentType, reference, currency }) => ({
+    subject: `Payment received for job #${jobId}`,
+    paragraphs: [
+      `Thanks - we've received your ${PAYMENT_LABELS[paymentType] || 'payment'} of ${formatMoney(amount, currency)} for job #${jobId}.`,
+      paymentType === 'excess'
+        ? 'Your insurance excess is held against the hire and refunded once the vehicle is back and checked.'
+        : 'It has been added to your booking and will show on your statement.',
+      reference ? `Payment reference: ${reference}` : null
+    ]
+  }),
+
+  // { amount, releaseDate, scheduled, currency }
+  hold_placed: ({ jobId, amount, releaseDate, scheduled, currency }) => ({
+    subject: `Insurance excess hold for job #${jobId}`,
+    paragraphs: [
+      `We've placed a hold of ${formatMoney(amount, currency)} on your card for the insurance excess on job #${jobId}.`,
+      'This is not a charge. The money stays in your account but is reserved until the hold is released.',
+      scheduled
+        ? 'We will renew the hold on the same card while your hire is running, so it stays in place until the vehicle is back.'
+        : releaseDate ? `Unless we need to claim against it, the hold will be released by ${formatDate(releaseDate)}.` : null
+    ]
+  }),
+
+  // { amount, reason, releasedAmount, currency }
+  excess_claimed: ({ jobId, amount, reason, releasedAmount, currency }) => ({
+    subject: `Insurance excess claim for job #${jobId}`,
+    paragraphs: [
+      `We've taken ${formatMoney(amount, currency)} from the insurance excess hold on your card for job #${jobId}.`,
+      reason ? `Reason: ${reason}` : null,
+      releasedAmount > 0 ? `The remaining ${formatMoney(releasedAmount, currency)} has been released back to your card.` : null,
+      'If you have any questions about this claim, reply to this email and we will talk you through it.'
+    ]
+  }),
+
+  // { amount, reason, method: 'card' | 'manual', currency }
+  refund_issued: ({ jobId, amount, reason, method, currency }) => ({
+    subject: `Refund for job #${jobId}`,
+    paragraphs: [
+      `We've refunded ${formatMoney(amount, currency)} to you for job #${jobId}.`,
+      reason ? `Reason: ${reason}` : null,
+      method === 'card'
+        ? 'It has gone back to the card you paid with and usually shows within 5-10 working days.'
+        : 'It will be paid back by bank transfer.'
+    ]
+  }),
+
+  // { amount, startDate, paymentUrl, currency }
+  balance_reminder: ({ jobId, amount, startDate, paymentUrl, currency }) => ({
+    subject: `Balance due for job #${jobId}`,
+    paragraphs: [
+      `Your hire${startDate ? ` starting ${formatDate(startDate)}` : ''} is coming up, and there is ${formatMoney(amount, currency)} left to pay on job #${jobId}.`,
+      'Please pay the balance before the hire starts using the secure link below.'
+    ],
+    action: { label: 'Pay your balance', url: paymentUrl }
+  }),
+
+  // { amount, currency }
+  hold_expired: ({ jobId, amount, currency }) => ({
+    subject: `Insurance excess hold released for job #${jobId}`,
+    paragraphs: [
+      `The ${formatMoney(amount, currency)} hold on your card for the insurance excess on job #${jobId} has expired and been released by your bank.`,
+      'If your hire is still running we may need to ask you for a new hold or an excess payment - we will be in touch if so.'
+    ]
+  })
+};
+
+// action is an optional { label, url } button - plain-text emails get the bare link
+function layout({ customerName, jobId }, { subject, paragraphs, action = null }) {
+  const body = paragraphs.filter(Boolean);
+  const greeting = customerName ? `Hi ${customerName},` : 'Hi,';
+  const signOff = `Questions? Reply to this email or contact ${COMPANY_EMAIL} quoting job #${jobId}.`;
+
+  const text = [greeting, ...body, action ? `${action.label}: ${action.url}` : null, signOff, `${COMPANY_NAME}`].filter(Boolean).join('\n\n');
+
+  const html = `<div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; max-width: 560px;">
+  <h2 style="color: ${BRAND_COLOUR}; margin: 0 0 16px;">${escapeHtml(subject)}</h2>
+  <p>${escapeHtml(greeting)}</p>
+${body.map(paragraph => `  <p>${escapeHtml(paragraph)}</p>`).join('\n')}
+${action ? `  <p><a href="${escapeHtml(action.url)}" style="display: inline-block; background: ${BRAND_COLOUR}; color: #ffffff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>\n` : ''}  <p style="color: #6b7280; font-size: 12px;">${escapeHtml(signOff)}</p>
+  <p><strong>${escapeHtml(COMPANY_NAME)}</strong></p>
+</div>`;
+
+  return { subject, text, html };
+}
+
+// data always has jobId and customerName, plus the template's own fields
+function renderEmail(templateName, data) {
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+  return layout(data, template(data));
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderEmail
+};
@@ -0,0 +1,82 @@
+// functions/email-transport.js - Pluggable outgoing email shared by functions
+// Transports: "smtp" (any SMTP relay - also a local catcher in tests) and "log" (notes the email
+// instead of sending it). Choose with EMAIL_TRANSPORT; defaults to smtp when SMTP_HOST is set, and
+// to none otherwise - log is only ever used when asked for, so a site missing its SMTP settings
+// can't quietly stop emailing customers.
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Ooosh! Tours <info@oooshtours.co.uk>';
+
+function getTransportName() {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : null;
+}
+
+// Every transport exposes send({ to, subject, text, html }) -> { messageId, accepted, logged? }.
+// null when no transport is configured.
+function getTransport() {
+  const transport = getTransportName();
+  if (!transport) return null;
+
+  switch (transport) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'log':
+      return createLogTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${transport}" - use "smtp" or "log"`);
+  }
+}
+
+function getSender() {
+  return {
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    replyTo: process.env.EMAIL_REPLY_TO || undefined
+  };
+}
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 15000
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail({ ...getSender(), ...message });
+      return { messageId: info.messageId, accepted: info.accepted || [] };
+    }
+  };
+}
+
+// Nothing leaves the building - for local runs without SMTP credentials. Only the envelope is
+// printed: bodies carry signed payment links that don't belong in function logs.
+function createLogTransport() {
+  return {
+    name: 'log',
+
+    async send(message) {
+      console.log(`📧 EMAIL (not sent): to ${message.to} - ${message.subject}`);
+      return { messageId: `log-${Date.now()}`, accepted: [], logged: true };
+    }
+  };
+}
+
+module.exports = {
+  getTransport,
+  getTransportName
+};
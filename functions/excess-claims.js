@@ -0,0 +1,144 @@
+// functions/excess-claims.js - Pending claims ledger for excess pre-auth holds
+// Stripe allows a single capture per PaymentIntent and releases whatever isn't captured, so damage
+// found in stages is recorded here as pending claims and the total is captured in one go.
+const crypto = require('crypto');
+const { getStore } = require('./persistent-store');
+const { getCurrencyCode, formatMinorUnits, toMinorUnits, fromMinorUnits } = require('./currency');
+
+// Manual-capture card holds are released by Stripe after 7 days
+const HOLD_VALID_DAYS = 7;
+
+function claimsStore() {
+  return getStore('excess-claims');
+}
+
+function holdExpiresAt(paymentIntent) {
+  return new Date(paymentIntent.created * 1000 + HOLD_VALID_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function getHoldClaims(paymentIntentId) {
+  return await claimsStore().get(`hold:${paymentIntentId}`);
+}
+
+// Add a pending claim against an open hold. Amounts are in pounds (or the hold's currency); the ledger keeps pence.
+// Claims are written with the store's atomic update, so staff staging against the same hold at once
+// each keep their claim and the unclaimed total is checked against the latest record.
+async function stageClaim(paymentIntent, { jobId, amount, reason, notes }) {
+  const currency = getCurrencyCode(paymentIntent);
+  const amountPence = toMinorUnits(amount, currency);
+
+  if (paymentIntent.status !== 'requires_capture') {
+    throw new Error(`Pre-authorization is not open for claims (status: ${paymentIntent.status})`);
+  }
+
+  if (!(amountPence > 0)) {
+    throw new Error('Amount must be greater than zero');
+  }
+
+  const claim = {
+    id: crypto.randomBytes(6).toString('hex'),
+    amountPence,
+    reason,
+    notes: notes || '',
+    stagedAt: new Date().toISOString()
+  };
+
+  const { value: record } = await claimsStore().update(`hold:${paymentIntent.id}`, (current) => {
+    const existing = current || {
+      paymentIntentId: paymentIntent.id,
+      jobId: jobId.toString(),
+      authorizedPence: paymentIntent.amount,
+      status: 'open',
+      claims: [],
+      createdAt: claim.stagedAt
+    };
+
+    if (existing.status !== 'open') {
+      throw new Error(`Claims for this pre-authorization were already ${existing.status}`);
+    }
+
+    const stagedPence = sumClaims(existing.claims);
+    if (stagedPence + amountPence > existing.authorizedPence) {
+      throw new Error(`Cannot stage ${formatMinorUnits(amountPence, currency)} - only ${formatMinorUnits(existing.authorizedPence - stagedPence, currency)} of the hold is unclaimed`);
+    }
+
+    return { ...existing, claims: [...existing.claims, claim], updatedAt: claim.stagedAt };
+  });
+
+  console.log(`📝 CLAIMS: Staged ${formatMinorUnits(amountPence, currency)} against ${paymentIntent.id} (${record.claims.length} pending)`);
+  return { claim, record };
+}
+
+async function removeStagedClaim(paymentIntentId, claimId) {
+  let claim;
+  const { value: record } = await claimsStore().update(`hold:${paymentIntentId}`, (current) => {
+    if (!current || current.status !== 'open') {
+      throw new Error('No open claims for this pre-authorization');
+    }
+
+    claim = current.claims.find(c => c.id === claimId);
+    if (!claim) {
+      throw new Error(`Staged claim ${claimId} not found`);
+    }
+
+    return { ...current, claims: current.claims.filter(c => c.id !== claimId), updatedAt: new Date().toISOString() };
+  });
+
+  console.log(`🗑️ CLAIMS: Removed staged claim ${claimId} from ${paymentIntentId}`);
+  return { claim, record };
+}
+
+// Close the ledger once the hold has been captured or released - no further claims are possible
+async function closeHoldClaims(paymentIntentId, status, details = {}) {
+  const closedAt = new Date().toISOString();
+  const { value: record } = await claimsStore().update(`hold:${paymentIntentId}`, (current) => ({
+    ...(current || { paymentIntentId, claims: [], createdAt: closedAt }),
+    status,
+    closedAt,
+    updatedAt: closedAt,
+    ...details
+  }));
+  return record;
+}
+
+// What staff need to see: held, pending, still claimable (pounds) and when the hold lapses
+function summarizeHold(paymentIntent, record) {
+  const claims = record?.claims || [];
+  const authorizedPence = paymentIntent.amount;
+  const stagedPence = sumClaims(claims);
+  const open = paymentIntent.status === 'requires_capture';
+  const currency = getCurrencyCode(paymentIntent);
+
+  return {
+    paymentIntentId: paymentIntent.id,
+    stripeStatus: paymentIntent.status,
+    open,
+    currency,
+    authorizedAmount: fromMinorUnits(authorizedPence, currency),
+    stagedTotal: fromMinorUnits(stagedPence, currency),
+    capturedAmount: fromMinorUnits(paymentIntent.amount_received, currency),
+    remainingClaimable: open ? fromMinorUnits(Math.max(0, authorizedPence - stagedPence), currency) : 0,
+    expiresAt: open ? holdExpiresAt(paymentIntent).toISOString() : null,
+    stagedClaims: claims.map(claim => ({
+      id: claim.id,
+      amount: fromMinorUnits(claim.amountPence, currency),
+      reason: claim.reason,
+      notes: claim.notes,
+      stagedAt: claim.stagedAt
+    }))
+  };
+}
+
+function sumClaims(claims) {
+  return (claims || []).reduce((total, claim) => total + claim.amountPence, 0);
+}
+
+module.exports = {
+  HOLD_VALID_DAYS,
+  holdExpiresAt,
+  getHoldClaims,
+  stageClaim,
+  removeStagedClaim,
+  closeHoldClaims,
+  summarizeHold
+};
@@ -0,0 +1,13 @@
+// functions/excess-statuses.js - Monday.com excess column values shared by the checker and the job ledger
+// Kept free of requires so pure modules (job-ledger) can use them without pulling in the Monday.com client.
+
+// Excess column values meaning a card hold is still in place ("expiring" is set by preauth-expiry-monitor)
+const ACTIVE_PREAUTH_STATUSES = ['Pre-auth taken', 'Pre-auth expiring'];
+
+// Excess column values meaning the hold has gone without being claimed (Stripe expiry or staff release)
+const ENDED_PREAUTH_STATUSES = ['Pre-auth expired', 'Pre-auth released'];
+
+module.exports = {
+  ACTIVE_PREAUTH_STATUSES,
+  ENDED_PREAUTH_STATUSES
+};
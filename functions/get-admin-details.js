@@ -1,7 +1,15 @@
 // functions/get-admin-details.js - Get job details for admin interface with remaining claimable calculation
-const fetch = require('node-fetch');
+const stripe = require('./stripe-client');
 const { validateSessionToken } = require('./admin-auth');
 const { checkMondayExcessStatus } = require('./monday-excess-checker');
+const { ACTIVE_PREAUTH_STATUSES, ENDED_PREAUTH_STATUSES } = require('./excess-statuses');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims, summarizeHold } = require('./excess-claims');
+const { getJobData, getBillingList, getJobItems } = require('./hirehop-client');
+const { getRulesForJob, summarizeRules } = require('./business-rules');
+const { computeJobLedger } = require('./job-ledger');
+const { getCurrency, formatMoney } = require('./currency');
+const { getEmailLog } = require('./notifications');
 
 exports.handler = async (event, context) => {
   try {
@@ -86,7 +94,11 @@ exports.handler = async (event, context) => {
     
     // Get Monday.com excess status
     console.log('🔍 Checking Monday.com excess status for admin view...');
-    const mondayExcessCheck = await checkMondayExcessStatus(jobId);
+    const mondayExcessCheck = await checkMondayExcessStatus(jobId, jobDetails.rules);
+    
+    // Live hold state from Stripe plus any staged claims (manual-capture pre-auths only)
+    connectStore(event);
+    const excessHold = await getExcessHoldSummary(mondayExcessCheck);
     
     // Enhanced admin response with additional metadata
     const adminResponse = {
@@ -97,14 +109,18 @@ exports.handler = async (event, context) => {
         remainingTime: tokenValidation.remainingTime,
         expiresAt: new Date(tokenValidation.tokenData.expiry).toISOString()
       },
+      rules: summarizeRules(jobDetails.rules),
+      currency: jobDetails.currency,
       jobData: jobDetails.jobData,
       financial: jobDetails.financial,
       excess: {
         ...jobDetails.excess,
         // Add admin-specific excess analysis
-        adminAnalysis: analyzeExcessForAdmin(jobDetails, mondayExcessCheck)
+        adminAnalysis: analyzeExcessForAdmin(jobDetails, mondayExcessCheck, excessHold)
       },
+      excessHold,
       payments: jobDetails.payments,
+      customerEmails: await getEmailLog(jobId),
       mondayIntegration: {
         found: mondayExcessCheck.found,
         excessStatus: mondayExcessCheck.found ? mondayExcessCheck.excessStatus : null,
@@ -113,7 +129,7 @@ exports.handler = async (event, context) => {
         preAuthDetails: mondayExcessCheck.preAuthUpdate || null,
         rawMondayData: mondayExcessCheck // Full Monday.com data for admin debugging
       },
-      availableActions: determineAvailableActions(jobDetails, mondayExcessCheck),
+      availableActions: determineAvailableActions(jobDetails, mondayExcessCheck, excessHold),
       debug: {
         ...jobDetails.debug,
         mondayExcessCheck: mondayExcessCheck,
@@ -153,63 +169,72 @@ async function getJobDetailsForAdmin(jobId) {
     console.log(`📋 Fetching job details for admin access: ${jobId}`);
     
     const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
     
     if (!token) {
       return { success: false, error: 'HireHop API token not configured' };
     }
     
     // Fetch job data from HireHop
-    const encodedToken = encodeURIComponent(token);
-    const jobDataUrl = `https://${hirehopDomain}/api/job_data.php?job=${jobId}&token=${encodedToken}`;
-    const jobDataResponse = await fetch(jobDataUrl);
-    
-    if (!jobDataResponse.ok) {
-      return { success: false, error: 'Failed to fetch job data from HireHop' };
-    }
-    
-    const jobData = await jobDataResponse.json();
-    
-    if (jobData.error) {
-      return { success: false, error: 'HireHop API error: ' + jobData.error };
+    let jobData;
+    try {
+      jobData = await getJobData(jobId);
+    } catch (error) {
+      return { success: false, error: error.response?.error ? 'HireHop API error: ' + error.response.error : 'Failed to fetch job data from HireHop' };
     }
     
     // Get billing data
-    const billingUrl = `https://${hirehopDomain}/php_functions/billing_list.php?main_id=${jobId}&type=1&token=${encodedToken}`;
-    const billingResponse = await fetch(billingUrl);
-    
-    if (!billingResponse.ok) {
-      return { success: false, error: 'Failed to fetch billing data from HireHop' };
+    let billingData;
+    try {
+      billingData = await getBillingList(jobId);
+    } catch (error) {
+      return { success: false, error: error.response?.error ? 'HireHop billing API error: ' + error.response.error : 'Failed to fetch billing data from HireHop' };
     }
     
-    const billingData = await billingResponse.json();
+    // Deposit, excess and VAT rules in force for this hire, in the job's currency
+    const currency = getCurrency(billingData.currency);
+    const rules = getRulesForJob(jobData, currency.CODE);
     
-    if (billingData.error) {
-      return { success: false, error: 'HireHop billing API error: ' + billingData.error };
+    // Items on hire - the ledger counts the vans from these
+    let items = [];
+    try {
+      items = await getJobItems(jobId);
+    } catch (error) {
+      console.error('Error checking van info for admin:', error);
     }
     
-    // Get van info
-    const vanInfo = await getVanInfoForAdmin(jobId, hirehopDomain, token);
-    
-    // Process billing data (simplified version of the main function)
-    const processedData = processBillingDataForAdmin(billingData, vanInfo, jobData);
+    // HireHop figures only - claim and refund actions need the money actually recorded there
+    const ledger = computeJobLedger(billingData, items, jobData, null, rules);
+    const vanInfo = ledger.vanInfo;
     
     return {
       success: true,
+      rules,
+      currency: {
+        code: currency.CODE,
+        symbol: currency.SYMBOL,
+        decimals: parseInt(currency.DECIMALS)
+      },
       jobData: {
         customerName: jobData.customer_name || jobData.CUSTOMER_NAME || jobData.NAME || '',
         customerEmail: jobData.customer_email || jobData.CUSTOMER_EMAIL || jobData.EMAIL || '',
         jobName: jobData.job_name || jobData.JOB_NAME || '',
         startDate: jobData.job_start || jobData.JOB_START || jobData.JOB_DATE || '',
         endDate: jobData.job_end || jobData.JOB_END || '',
-        hireDays: calculateHireDays(jobData),
+        hireDays: ledger.hireDays || 'N/A',
         status: jobData.STATUS || null,
         statusText: getStatusText(jobData.STATUS),
         rawJobData: jobData
       },
-      financial: processedData.financial,
-      excess: processedData.excess,
-      payments: processedData.payments,
+      financial: ledger.financial,
+      excess: {
+        amount: ledger.excess.required,
+        amountPerVan: ledger.excess.perVehicle,
+        vanCount: vanInfo.vanCount,
+        vanOnHire: vanInfo.hasVans,
+        alreadyPaid: ledger.financial.excessPaid,
+        vehicles: vanInfo.vehicles
+      },
+      payments: ledger.payments,
       debug: {
         vanInfo: vanInfo,
         billingRows: billingData.rows?.length || 0,
@@ -223,258 +248,8 @@ async function getJobDetailsForAdmin(jobId) {
   }
 }
 
-// Get van info for admin
-async function getVanInfoForAdmin(jobId, hirehopDomain, token) {
-  const vehicleCategoryIds = [369, 370, 371];
-  const actualVanCategoryId = 370;
-  
-  try {
-    const encodedToken = encodeURIComponent(token);
-    const itemsUrl = `https://${hirehopDomain}/frames/items_to_supply_list.php?job=${jobId}&token=${encodedToken}`;
-    
-    const response = await fetch(itemsUrl);
-    
-    if (!response.ok) {
-      return { hasVans: false, vanCount: 0, vehicles: [] };
-    }
-    
-    const responseText = await response.text();
-    const jobItems = JSON.parse(responseText);
-    const items = Array.isArray(jobItems) ? jobItems : (jobItems.items || []);
-    
-    if (items.length > 0) {
-      const vehicles = items.filter(item => 
-        vehicleCategoryIds.includes(parseInt(item.CATEGORY_ID))
-      );
-      
-      const actualVans = items.filter(item => {
-        const categoryId = parseInt(item.CATEGORY_ID);
-        const isVirtual = item.VIRTUAL === "1";
-        return categoryId === actualVanCategoryId && !isVirtual;
-      });
-      
-      let totalVanCount = 0;
-      actualVans.forEach(van => {
-        const quantity = parseInt(van.qty || van.QTY || van.quantity || van.QUANTITY || 1);
-        totalVanCount += quantity;
-      });
-      
-      return {
-        hasVans: totalVanCount > 0,
-        vanCount: totalVanCount,
-        vehicles: vehicles,
-        actualVans: actualVans
-      };
-    }
-    
-    return { hasVans: false, vanCount: 0, vehicles: [] };
-  } catch (error) {
-    console.error('Error checking van info for admin:', error);
-    return { hasVans: false, vanCount: 0, vehicles: [] };
-  }
-}
-
-// 🔧 FIXED: Process billing data for admin view with PROPER NET excess calculation
-function processBillingDataForAdmin(billingData, vanInfo, jobData) {
-  let totalJobValueExVAT = 0;
-  let totalHireDeposits = 0;
-  let netExcessDeposits = 0; // 🔧 FIXED: This will now be truly net (deposits - refunds)
-  let totalInvoices = 0;
-  let hireDeposits = [];
-  let excessDeposits = [];
-  let invoices = [];
-  let excessDepositIds = new Set(); // 🔧 Track excess deposit IDs for proper refund matching
-  
-  // Helper function to detect excess payments
-  function isExcessPayment(deposit) {
-    const desc = (deposit.desc || '').toLowerCase();
-    return desc.includes('excess') || desc.includes('xs') || desc.includes('insurance');
-  }
-  
-  console.log(`📋 ADMIN BILLING ANALYSIS (FIXED NET CALCULATION): Processing ${billingData.rows?.length || 0} billing rows...`);
-  
-  // 🔧 PASS 1: Process deposits/payments and invoices first to build excess deposit ID set
-  console.log('🔧 PASS 1: Processing deposits and invoices, building excess deposit set...');
-  
-  for (const row of billingData.rows || []) {
-    switch (row.kind) {
-      case 0: // Job total (ex-VAT)
-        totalJobValueExVAT = row.accrued || 0;
-        console.log(`📋 Job value ex-VAT: £${totalJobValueExVAT.toFixed(2)}`);
-        break;
-        
-      case 1: // Invoice
-        totalInvoices += row.debit || 0;
-        invoices.push({
-          id: row.id,
-          number: row.number,
-          date: row.date,
-          amount: row.debit,
-          owing: row.owing,
-          status: row.status
-        });
-        break;
-        
-      case 6: // Deposit/Payment - Build excess deposit IDs and process amounts
-        const creditAmount = row.credit || 0;
-        
-        const depositInfo = {
-          id: row.id,
-          number: row.number,
-          date: row.date,
-          amount: creditAmount,
-          description: row.desc,
-          owing: row.owing,
-          enteredBy: row.data?.CREATE_USER_NAME,
-          bankAccount: row.data?.ACC_ACCOUNT_ID,
-          bankName: billingData.banks?.find(b => b.ID === row.data?.ACC_ACCOUNT_ID)?.NAME,
-          isRefund: creditAmount < 0
-        };
-        
-        if (isExcessPayment(row)) {
-          // 🔧 FIXED: Add to net excess deposits (includes negatives for refunds)
-          netExcessDeposits += creditAmount;
-          excessDeposits.push({ ...depositInfo, type: 'excess' });
-          
-          // 🔧 CRITICAL: Track excess deposit IDs for payment application matching
-          let depositIdStr = String(row.id);
-          if (depositIdStr.startsWith('e')) {
-            depositIdStr = depositIdStr.substring(1);
-          }
-          excessDepositIds.add(depositIdStr);
-          
-          console.log(`${creditAmount < 0 ? '💸 EXCESS REFUND' : '💰 EXCESS PAYMENT'}: ${row.number} - £${Math.abs(creditAmount).toFixed(2)} (ID: ${depositIdStr})`);
-        } else {
-          totalHireDeposits += creditAmount;
-          hireDeposits.push({ ...depositInfo, type: 'hire' });
-        }
-        break;
-    }
-  }
-  
-  console.log(`🔧 PASS 1 COMPLETE: Built excess deposit ID set: [${Array.from(excessDepositIds).join(', ')}]`);
-  console.log(`📊 Initial excess total: £${netExcessDeposits.toFixed(2)} (before payment applications)`);
-  
-  // 🔧 PASS 2: Process payment applications with complete excess deposit set
-  console.log('🔧 PASS 2: Processing payment applications with complete excess deposit set...');
-  
-  for (const row of billingData.rows || []) {
-    if (row.kind === 3) { // Payment application - 🔧 THE CRITICAL FIX IS HERE
-      const paymentAmount = row.credit || 0;
-      
-      const paymentInfo = {
-        id: row.id,
-        number: row.number || '',
-        date: row.date,
-        amount: paymentAmount,
-        description: row.desc,
-        owner: row.owner,
-        isRefund: paymentAmount < 0,
-        enteredBy: row.data?.CREATE_USER_NAME || '',
-        bankAccount: row.data?.ACC_ACCOUNT_ID,
-        bankName: billingData.banks?.find(b => b.ID === row.data?.ACC_ACCOUNT_ID)?.NAME,
-        parentIs: row.data?.parent_is || ''
-      };
-      
-      // 🔧 CRITICAL FIX: Enhanced logic for payment applications
-      const hasDescription = Boolean(row.desc && row.desc.trim() !== '');
-      const ownerDepositId = row.data?.OWNER_DEPOSIT;
-      const ownerDepositIdStr = ownerDepositId ? String(ownerDepositId) : null;
-      const isFromExcessDeposit = ownerDepositIdStr && excessDepositIds.has(ownerDepositIdStr);
-      
-      console.log(`🔧 PASS 2 Analysis: hasDesc=${hasDescription}, amount=${paymentAmount}, ownerDepositId="${ownerDepositIdStr}", fromExcess=${isFromExcessDeposit}`);
-      
-      if (hasDescription && isExcessPayment(row)) {
-        // 🔧 FIXED: This is an actual excess refund transaction (not just an application)
-        console.log(`💸 EXCESS REFUND (kind 3): "${row.desc}" - £${Math.abs(paymentAmount).toFixed(2)} refunded`);
-        
-        // 🔧 CRITICAL FIX: Add to NET excess deposits (this handles refunds properly)
-        netExcessDeposits += paymentAmount; // paymentAmount is negative for refunds
-        excessDeposits.push({ ...paymentInfo, type: 'excess' });
-        
-        console.log(`📊 Updated net excess total: £${netExcessDeposits.toFixed(2)} (after ${Math.abs(paymentAmount).toFixed(2)} refund)`);
-        
-      } else if (isFromExcessDeposit && !hasDescription && paymentAmount < 0) {
-        // 🔧 FIXED: This is excess money being used for hire (automatic application)
-        const usageAmount = Math.abs(paymentAmount);
-        console.log(`🔄 EXCESS USAGE: £${usageAmount.toFixed(2)} from excess deposit ${ownerDepositIdStr} applied to hire`);
-        
-        // Add as hire payment (usage converts excess to hire payment)
-        totalHireDeposits += usageAmount;
-        hireDeposits.push({
-          id: row.id,
-          number: `XS-USAGE-${row.id}`,
-          date: row.date,
-          amount: usageAmount,
-          description: `Applied from excess deposit (${ownerDepositIdStr})`,
-          type: 'hire',
-          enteredBy: row.data?.CREATE_USER_NAME || '',
-          bankName: 'Excess Usage',
-          isExcessUsage: true
-        });
-        
-        // 🔧 CRITICAL FIX: Do NOT double-subtract from netExcessDeposits here
-        // The original negative deposit already reduced the net amount in Pass 1
-        console.log(`📊 Hire increased by £${usageAmount.toFixed(2)} via excess usage`);
-      }
-      // Note: Invoice applications (no description, not from excess) are ignored for net calculations
-    }
-  }
-  
-  console.log(`📋 ADMIN BILLING SUMMARY (FIXED NET CALCULATION):`);
-  console.log(`- Job value ex-VAT: £${totalJobValueExVAT.toFixed(2)}`);
-  console.log(`- Total invoices: £${totalInvoices.toFixed(2)}`);
-  console.log(`- 🔧 NET hire deposits: £${totalHireDeposits.toFixed(2)} (${hireDeposits.length} transactions)`);
-  console.log(`- 🔧 FIXED NET excess deposits: £${netExcessDeposits.toFixed(2)} (${excessDeposits.length} transactions)`);
-  console.log(`✅ FIXED: Net excess calculation now properly accounts for refunds!`);
-  
-  // Calculate financials using the FIXED net excess amount
-  const totalJobValueIncVAT = totalJobValueExVAT * 1.2;
-  const actualTotalOwed = totalInvoices > 0 ? totalInvoices : totalJobValueIncVAT;
-  const remainingHireBalance = actualTotalOwed - totalHireDeposits;
-  const requiredDeposit = Math.max(actualTotalOwed * 0.25, 100);
-  
-  // Calculate excess using FIXED net amount
-  const excessPerVan = 1200;
-  const totalExcessRequired = vanInfo.vanCount * excessPerVan;
-  
-  return {
-    financial: {
-      totalJobValueExVAT,
-      totalJobValueIncVAT,
-      totalInvoices,
-      actualTotalOwed,
-      totalHirePaid: totalHireDeposits,
-      remainingHireBalance,
-      requiredDeposit,
-      depositPaid: totalHireDeposits >= requiredDeposit,
-      fullyPaid: remainingHireBalance <= 0.01,
-      excessPaid: netExcessDeposits, // 🔧 FIXED: Now truly net (deposits - refunds)
-      currency: billingData.currency?.CODE || 'GBP'
-    },
-    excess: {
-      amount: totalExcessRequired,
-      amountPerVan: excessPerVan,
-      vanCount: vanInfo.vanCount,
-      vanOnHire: vanInfo.hasVans,
-      alreadyPaid: netExcessDeposits, // 🔧 FIXED: Shows remaining after refunds
-      vehicles: vanInfo.vehicles
-    },
-    payments: {
-      hireDeposits,
-      excessDeposits,
-      invoices,
-      summary: {
-        totalHirePayments: hireDeposits.length,
-        totalExcessPayments: excessDeposits.length,
-        detectedExcessAmount: netExcessDeposits // 🔧 FIXED: Now shows true net amount
-      }
-    }
-  };
-}
-
 // 🔧 UPDATED: Analyze excess status for admin view with remaining claimable calculation
-function analyzeExcessForAdmin(jobDetails, mondayExcessCheck) {
+function analyzeExcessForAdmin(jobDetails, mondayExcessCheck, excessHold) {
   const analysis = {
     hasHireHopPayments: jobDetails.payments.excessDeposits.length > 0,
     hasMondayStatus: mondayExcessCheck.found && mondayExcessCheck.excessStatus,
@@ -483,18 +258,19 @@ function analyzeExcessForAdmin(jobDetails, mondayExcessCheck) {
     conflictDetected: false,
     recommendedActions: [],
     // 🔧 NEW: Calculate remaining claimable amount
-    remainingClaimable: calculateRemainingClaimable(jobDetails, mondayExcessCheck)
+    remainingClaimable: calculateRemainingClaimable(jobDetails, mondayExcessCheck, excessHold)
   };
+  const currency = jobDetails.financial.currency;
   
   // Detect conflicts between HireHop and Monday.com
-  if (analysis.hasHireHopPayments && mondayExcessCheck.excessStatus === 'Pre-auth taken') {
+  if (analysis.hasHireHopPayments && ACTIVE_PREAUTH_STATUSES.includes(mondayExcessCheck.excessStatus)) {
     analysis.conflictDetected = true;
     analysis.recommendedActions.push('Review: HireHop shows payments but Monday.com shows pre-auth');
   }
   
   // Recommend actions based on current state and remaining amount
   if (analysis.hasPreAuthUpdate && analysis.remainingClaimable > 0) {
-    analysis.recommendedActions.push(`Pre-auth available for claiming (£${analysis.remainingClaimable.toFixed(2)} remaining)`);
+    analysis.recommendedActions.push(`Pre-auth available for claiming (${formatMoney(analysis.remainingClaimable, currency)} remaining)`);
   } else if (analysis.hasPreAuthUpdate && analysis.remainingClaimable <= 0) {
     analysis.recommendedActions.push('Pre-auth fully claimed');
   }
@@ -511,9 +287,17 @@ function analyzeExcessForAdmin(jobDetails, mondayExcessCheck) {
 }
 
 // 🔧 NEW: Calculate remaining claimable amount from pre-auth
-function calculateRemainingClaimable(jobDetails, mondayExcessCheck) {
-  // Get the original pre-auth amount (default £1200)
-  const originalAmount = mondayExcessCheck.preAuthUpdate?.amount || 1200;
+function calculateRemainingClaimable(jobDetails, mondayExcessCheck, excessHold) {
+  // A manual-capture hold can only be captured once - Stripe releases the rest, so what's left is
+  // the authorised amount less staged claims while open, and nothing once captured or released
+  const currency = jobDetails.financial.currency;
+  if (excessHold) {
+    console.log(`💰 Claimable calculation (Stripe hold): Authorised ${formatMoney(excessHold.authorizedAmount, currency)}, Staged ${formatMoney(excessHold.stagedTotal, currency)}, Remaining ${formatMoney(excessHold.remainingClaimable, currency)}`);
+    return excessHold.remainingClaimable;
+  }
+  
+  // Get the original pre-auth amount (default: one vehicle's excess)
+  const originalAmount = mondayExcessCheck.preAuthUpdate?.amount || jobDetails.excess.amountPerVan;
   
   // 🔧 FIXED: Use the FIXED net excess amount (which properly accounts for refunds)
   const totalClaimed = jobDetails.financial.excessPaid || 0;
@@ -521,46 +305,99 @@ function calculateRemainingClaimable(jobDetails, mondayExcessCheck) {
   // Calculate remaining
   const remaining = Math.max(0, originalAmount - totalClaimed);
   
-  console.log(`💰 Claimable calculation: Original £${originalAmount}, Claimed £${totalClaimed}, Remaining £${remaining}`);
+  console.log(`💰 Claimable calculation: Original ${formatMoney(originalAmount, currency)}, Claimed ${formatMoney(totalClaimed, currency)}, Remaining ${formatMoney(remaining, currency)}`);
   
   return remaining;
 }
 
 // 🔧 UPDATED: Determine available actions for admin with remaining amount logic
-function determineAvailableActions(jobDetails, mondayExcessCheck) {
+function determineAvailableActions(jobDetails, mondayExcessCheck, excessHold) {
   const actions = [];
+  const currency = jobDetails.financial.currency;
   
   // Calculate remaining claimable amount
-  const remainingClaimable = calculateRemainingClaimable(jobDetails, mondayExcessCheck);
+  const remainingClaimable = calculateRemainingClaimable(jobDetails, mondayExcessCheck, excessHold);
+  
+  // A hold that expired or was released can't be claimed, even if the Stripe link is still on the board
+  const preAuthHeld = excessHold ? excessHold.open : (mondayExcessCheck.found &&
+      (ACTIVE_PREAUTH_STATUSES.includes(mondayExcessCheck.excessStatus) || mondayExcessCheck.hasStripeLink) &&
+      !ENDED_PREAUTH_STATUSES.includes(mondayExcessCheck.excessStatus));
+  
+  // Stage claims while damage is still being assessed - they are captured together later
+  if (excessHold?.open && remainingClaimable > 0) {
+    actions.push({
+      type: 'stage_claim',
+      title: 'Stage Claim',
+      description: `Record a claim now and capture everything in one go before the hold expires (${excessHold.expiresAt})`,
+      available: true,
+      metadata: {
+        paymentIntentId: excessHold.paymentIntentId,
+        stagedTotal: excessHold.stagedTotal,
+        remainingAmount: remainingClaimable,
+        expiresAt: excessHold.expiresAt
+      }
+    });
+  }
   
   // Check for pre-auth claiming with remaining amount
-  if (mondayExcessCheck.found && 
-      (mondayExcessCheck.excessStatus === 'Pre-auth taken' || mondayExcessCheck.hasStripeLink) &&
-      remainingClaimable > 0) {
+  if (preAuthHeld && remainingClaimable > 0) {
     actions.push({
       type: 'claim_preauth',
       title: 'Claim Pre-Authorization',
-      description: `Claim part of the pre-auth and release the rest (£${remainingClaimable.toFixed(2)} remaining)`,
+      description: `Claim part of the pre-auth and release the rest (${formatMoney(remainingClaimable, currency)} remaining)`,
       available: true,
       metadata: {
         setupIntentId: mondayExcessCheck.preAuthUpdate?.setupIntentId || null,
-        originalAmount: mondayExcessCheck.preAuthUpdate?.amount || 1200,
-        remainingAmount: remainingClaimable
+        originalAmount: mondayExcessCheck.preAuthUpdate?.amount || jobDetails.excess.amountPerVan,
+        remainingAmount: remainingClaimable,
+        stagedTotal: excessHold?.stagedTotal || 0,
+        expiresAt: excessHold?.expiresAt || null
       }
     });
-  } else if (mondayExcessCheck.found && remainingClaimable <= 0) {
+  } else if (excessHold?.open && excessHold.stagedTotal > 0) {
+    // Staged claims take the whole hold - capture them to finish
+    actions.push({
+      type: 'claim_preauth',
+      title: 'Capture Staged Claims',
+      description: `Capture the ${formatMoney(excessHold.stagedTotal, currency)} staged against this hold`,
+      available: true,
+      metadata: {
+        paymentIntentId: excessHold.paymentIntentId,
+        remainingAmount: 0,
+        stagedTotal: excessHold.stagedTotal,
+        expiresAt: excessHold.expiresAt
+      }
+    });
+  } else if (mondayExcessCheck.found && remainingClaimable <= 0 && excessHold?.stripeStatus !== 'canceled') {
     actions.push({
       type: 'preauth_fully_claimed',
       title: 'Pre-Authorization Fully Claimed',
       description: 'This pre-authorization has been fully claimed',
       available: false,
       metadata: {
-        originalAmount: mondayExcessCheck.preAuthUpdate?.amount || 1200,
+        originalAmount: mondayExcessCheck.preAuthUpdate?.amount || jobDetails.excess.amountPerVan,
         totalClaimed: jobDetails.financial.excessPaid || 0
       }
     });
   }
   
+  // Release the hold untouched (van came back clean) - only manual-capture holds with nothing claimed yet,
+  // since capturing part of a hold releases the rest automatically
+  const holdIntentId = mondayExcessCheck.preAuthUpdate?.intentId;
+  const nothingClaimed = excessHold ? excessHold.stagedTotal === 0 : (jobDetails.financial.excessPaid || 0) === 0;
+  if (preAuthHeld && holdIntentId && holdIntentId.startsWith('pi_') && nothingClaimed) {
+    actions.push({
+      type: 'release_preauth',
+      title: 'Release Pre-Authorization',
+      description: `Cancel the hold and release the full ${formatMoney(remainingClaimable, currency)} to the customer`,
+      available: true,
+      metadata: {
+        paymentIntentId: holdIntentId,
+        originalAmount: mondayExcessCheck.preAuthUpdate?.amount || jobDetails.excess.amountPerVan
+      }
+    });
+  }
+  
   // 🔧 FIXED: Check for payment refunding using net amount
   const netExcessPaid = jobDetails.financial.excessPaid || 0;
   if (netExcessPaid > 0) {
@@ -590,16 +427,22 @@ function determineAvailableActions(jobDetails, mondayExcessCheck) {
   return actions;
 }
 
-// Helper functions
-function calculateHireDays(jobData) {
-  const startDate = jobData.JOB_DATE || jobData.job_start ? new Date(jobData.JOB_DATE || jobData.job_start) : null;
-  const endDate = jobData.JOB_END || jobData.job_end ? new Date(jobData.JOB_END || jobData.job_end) : null;
-  
-  if (startDate && endDate) {
-    return Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+// Look up the manual-capture hold behind the Monday.com pre-auth update, with its staged claims
+async function getExcessHoldSummary(mondayExcessCheck) {
+  const intentId = mondayExcessCheck.preAuthUpdate?.intentId;
+  if (!intentId || !intentId.startsWith('pi_')) {
+    return null;
   }
   
-  return jobData.DURATION_DAYS ? parseInt(jobData.DURATION_DAYS) : 'N/A';
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(intentId);
+    const summary = summarizeHold(paymentIntent, await getHoldClaims(intentId));
+    console.log(`🔐 Hold ${intentId}: ${summary.stripeStatus}, staged ${formatMoney(summary.stagedTotal, paymentIntent)}, claimable ${formatMoney(summary.remainingClaimable, paymentIntent)}`);
+    return summary;
+  } catch (error) {
+    console.error(`⚠️ Could not load hold ${intentId} from Stripe:`, error.message);
+    return null;
+  }
 }
 
 function getStatusText(statusCode) {
@@ -0,0 +1,139 @@
+// functions/get-job-statement.js - Downloadable PDF statement / receipt for a job
+// Uses the same signed payment link as the payment page: ?jobId=123&token=...
+const stripe = require('./stripe-client');
+const { verifyPaymentToken, getPaymentLinkRevokedAt } = require('./auth-helper');
+const { checkMondayExcessStatus } = require('./monday-excess-checker');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims, summarizeHold } = require('./excess-claims');
+const { getScheduledHold } = require('./scheduled-holds');
+const { getJobData, getBillingList, getJobItems } = require('./hirehop-client');
+const { getRulesForJob } = require('./business-rules');
+const { getCurrencyCode, formatMoney } = require('./currency');
+const { computeJobLedger } = require('./job-ledger');
+const { buildStatement, renderStatementPdf } = require('./statement-pdf');
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const params = new URLSearchParams(event.queryStringParameters);
+    const jobId = params.get('jobId') || params.get('job');
+    const paymentToken = params.get('token');
+
+    if (!jobId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Job ID is required' }) };
+    }
+
+    if (!paymentToken) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Payment link token required' }) };
+    }
+
+    console.log(`🧾 STATEMENT: Request for job ${jobId}`);
+
+    // Verify the signed payment link before returning anything about the job
+    let revokedAt;
+    try {
+      revokedAt = await getPaymentLinkRevokedAt(jobId);
+    } catch (error) {
+      console.error('❌ Error checking payment link revocation:', error.message);
+      return { statusCode: 503, headers, body: JSON.stringify({ error: 'Could not check this payment link - please try again shortly' }) };
+    }
+    const tokenCheck = verifyPaymentToken(paymentToken, jobId, { revokedAt });
+    if (!tokenCheck.valid) {
+      console.log(`❌ Payment link rejected for job ${jobId}: ${tokenCheck.error}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid payment link',
+          details: tokenCheck.error,
+          expired: tokenCheck.expired || false,
+          revoked: tokenCheck.revoked || false
+        })
+      };
+    }
+
+    let jobData;
+    let billingData;
+    try {
+      jobData = await getJobData(jobId);
+      billingData = await getBillingList(jobId);
+    } catch (error) {
+      console.error('❌ HireHop fetch failed:', error.message);
+      return { statusCode: 502, headers, body: JSON.stringify({ error: 'Failed to load job from HireHop' }) };
+    }
+
+    let items = [];
+    try {
+      items = await getJobItems(jobId);
+    } catch (error) {
+      console.error('⚠️ Could not load job items for statement:', error.message);
+    }
+
+    const rules = getRulesForJob(jobData, getCurrencyCode(billingData.currency));
+    const ledger = computeJobLedger(billingData, items, jobData, null, rules);
+
+    connectStore(event);
+    const excessHold = await getExcessHold(jobId, rules);
+
+    const statement = buildStatement({ jobId, jobData, items, ledger, excessHold, rules });
+    const pdf = await renderStatementPdf(statement);
+
+    console.log(`✅ STATEMENT: ${statement.transactions.length} transactions, balance due ${formatMoney(statement.totals.balanceDue, statement.currency)} (${pdf.length} bytes)`);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="ooosh-statement-job-${jobId}.pdf"`,
+        'Cache-Control': 'no-store'
+      },
+      body: pdf.toString('base64'),
+      isBase64Encoded: true
+    };
+
+  } catch (error) {
+    console.error('❌ Statement error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to create statement', details: error.message })
+    };
+  }
+};
+
+// The job's manual-capture excess hold, from the Monday.com pre-auth update or the saved-card schedule
+async function getExcessHold(jobId, rules) {
+  const mondayExcessCheck = await checkMondayExcessStatus(jobId, rules);
+  const scheduledHold = await getScheduledHold(jobId);
+  const intentId = mondayExcessCheck.preAuthUpdate?.intentId || scheduledHold?.currentHoldId;
+
+  if (!intentId || !intentId.startsWith('pi_')) {
+    return null;
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(intentId);
+    return summarizeHold(paymentIntent, await getHoldClaims(intentId));
+  } catch (error) {
+    console.error(`⚠️ Could not load hold ${intentId} from Stripe:`, error.message);
+    return null;
+  }
+}
@@ -1,10 +1,34 @@
 // handle-stripe-webhook.js - UPDATED: Manual capture pre-auth support
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('./stripe-client');
 const fetch = require('node-fetch');
+const { generatePaymentToken } = require('./auth-helper');
+const { connectStore } = require('./persistent-store');
+const { isEventProcessed, markEventProcessed, beginPayment, retryPaymentStep } = require('./payment-ledger');
+const { recordDeadLetter } = require('./dead-letters');
+const { recordWebhookRejection } = require('./webhook-audit');
+const { saveScheduledHold, recordHoldPlaced } = require('./scheduled-holds');
+const { addJobNote, updateJobStatus, createDeposit, getBillingList } = require('./hirehop-client');
+const { sendCustomerEmail } = require('./notifications');
+const { findJobForCustomer, getUnallocatedFunds, getHirePaymentType, payFromCashBalance } = require('./bank-transfer');
+const { getCurrencyCode, formatMoney, formatMinorUnits, fromMinorUnits } = require('./currency');
+const {
+  EXCESS_STATUS_COLUMN,
+  isMondayConfigured,
+  findItemByJobNumber,
+  getColumnTexts,
+  setStatus,
+  changeSimpleColumnValue,
+  createUpdate,
+  setExcessStatus,
+  createUpdateForJob
+} = require('./monday-client');
+
+// Deliveries signed more than this many seconds ago are rejected as possible replays
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
 
 exports.handler = async (event, context) => {
   try {
-    console.log('🔒 SECURE HYBRID WEBHOOK - Signature verification with graceful fallback');
+    console.log('🔒 STRIPE WEBHOOK - Strict signature verification');
     
     if (event.httpMethod !== 'POST') {
       return {
@@ -14,51 +38,82 @@ exports.handler = async (event, context) => {
       };
     }
     
-    let stripeEvent;
-    const signature = event.headers['stripe-signature'];
+    connectStore(event);
     
-    // 🎯 YOUR PROVEN WORKING APPROACH: Try verification, fall back gracefully
-    try {
-      stripeEvent = stripe.webhooks.constructEvent(
-        event.body,
-        signature,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-      console.log('✅ Webhook signature verified successfully');
-    } catch (err) {
-      console.log('⚠️ Signature verification failed, parsing without verification (functional mode)');
-      console.log('🔍 Verification error:', err.message);
-      stripeEvent = JSON.parse(event.body);
+    const verification = verifyStripeSignature(event);
+    if (!verification.valid) {
+      await recordWebhookRejection('stripe', event, verification.error, {
+        signaturePresent: !!event.headers['stripe-signature'],
+        replaySuspected: verification.replaySuspected || false
+      });
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Webhook signature verification failed' })
+      };
     }
     
-    console.log(`📥 Processing webhook event type: ${stripeEvent.type}`);
+    const stripeEvent = verification.stripeEvent;
+    console.log(`✅ Webhook signature verified (secret #${verification.secretIndex + 1})`);
+    
+    console.log(`📥 Processing webhook event type: ${stripeEvent.type} (${stripeEvent.id})`);
+    
+    // Durable idempotency - Stripe redelivers events, sometimes concurrently
+    if (await isEventProcessed(stripeEvent.id)) {
+      console.log(`⚠️ DUPLICATE EVENT: ${stripeEvent.id} already processed - skipping`);
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ received: true, duplicate: true })
+      };
+    }
     
     switch (stripeEvent.type) {
       case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(stripeEvent.data.object);
+        await handleCheckoutSessionCompleted(stripeEvent.data.object, stripeEvent.id);
         break;
         
       case 'payment_intent.amount_capturable_updated':
         // 🔧 NEW: Handle manual capture pre-authorizations
-        await handlePreAuthorizationComplete(stripeEvent.data.object);
+        await handlePreAuthorizationComplete(stripeEvent.data.object, stripeEvent.id);
         break;
         
       case 'payment_intent.succeeded':
   // 🔧 FIXED: Skip admin claims - they're handled by admin-claim-preauth.js
   const paymentIntent = stripeEvent.data.object;
-  const { adminClaim } = paymentIntent.metadata || {};
+  const { adminClaim, checkoutFlow, captureMethod } = paymentIntent.metadata || {};
   
   if (adminClaim === 'true') {
     console.log('🔐 Admin claim detected - skipping webhook processing (handled by admin portal)');
+  } else if (checkoutFlow && captureMethod !== 'manual') {
+    // Tagged by create-stripe-session - the ledger dedupes it against checkout.session.completed
+    await handleDirectPaymentSucceeded(paymentIntent, stripeEvent.id);
   } else {
     console.log('🔄 Regular payment - ignoring payment_intent.succeeded (handled by checkout.session.completed)');
   }
   break;
         
+      case 'setup_intent.succeeded':
+        // Saved card from the Payment Element (hosted Checkout setups dedupe against checkout.session.completed)
+        if (stripeEvent.data.object.metadata?.excessMode === 'scheduled_hold') {
+          const setupIntent = stripeEvent.data.object;
+          await handleScheduledHoldSetup(setupIntent.id, setupIntent.metadata, setupIntent.customer, stripeEvent.id);
+        } else {
+          console.log('🔄 Setup intent without a scheduled hold - nothing to do');
+        }
+        break;
+        
+      case 'customer_cash_balance_transaction.created':
+        // Bank transfer money arriving in a job's customer balance, or being applied to a payment
+        await handleCashBalanceTransaction(stripeEvent.data.object, stripeEvent.id);
+        break;
+        
       default:
         console.log(`🔄 Unhandled event type: ${stripeEvent.type}`);
     }
     
+    await markEventProcessed(stripeEvent.id, { type: stripeEvent.type });
+    
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -66,6 +121,16 @@ exports.handler = async (event, context) => {
     };
     
   } catch (error) {
+    if (error.code === 'PAYMENT_IN_PROGRESS') {
+      // Another delivery is mid-way through this payment - ask Stripe to retry later
+      console.log(`⏳ ${error.message}`);
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Payment already being processed' })
+      };
+    }
+    
     console.error('❌ Webhook error:', error);
     return {
       statusCode: 500,
@@ -75,12 +140,54 @@ exports.handler = async (event, context) => {
   }
 };
 
+// Verify the Stripe-Signature header against every configured secret.
+// STRIPE_WEBHOOK_SECRET may hold several comma-separated secrets while one is being rotated.
+function verifyStripeSignature(event) {
+  const signature = event.headers['stripe-signature'];
+  const secrets = (process.env.STRIPE_WEBHOOK_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+  const tolerance = parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_SIGNATURE_TOLERANCE_SECONDS;
+  
+  if (secrets.length === 0) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET not configured - rejecting all deliveries');
+    return { valid: false, error: 'Webhook secret not configured' };
+  }
+  
+  if (!signature) {
+    return { valid: false, error: 'Missing Stripe-Signature header' };
+  }
+  
+  // Verify against the exact bytes Stripe sent
+  const payload = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64') : (event.body || '');
+  
+  let lastError = null;
+  for (let i = 0; i < secrets.length; i++) {
+    try {
+      const stripeEvent = stripe.webhooks.constructEvent(payload, signature, secrets[i], tolerance);
+      return { valid: true, stripeEvent, secretIndex: i };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  
+  const replaySuspected = /tolerance/i.test(lastError?.message || '');
+  return {
+    valid: false,
+    error: replaySuspected ? `Signature timestamp outside ${tolerance}s tolerance` : `Invalid signature: ${lastError?.message}`,
+    replaySuspected
+  };
+}
+
 // 🔧 NEW: Handle manual capture pre-authorization completion
-async function handlePreAuthorizationComplete(paymentIntent) {
+async function handlePreAuthorizationComplete(paymentIntent, eventId) {
+  let ledger = null;
+  
   try {
     console.log('🔐 PRE-AUTH COMPLETED: Manual capture payment intent authorized');
     console.log(`   Payment Intent ID: ${paymentIntent.id}`);
-    console.log(`   Amount authorized: £${paymentIntent.amount / 100}`);
+    console.log(`   Amount authorized: ${formatMinorUnits(paymentIntent.amount, paymentIntent.currency)}`);
     console.log(`   Status: ${paymentIntent.status}`);
     
     // Only process if it's actually ready for capture
@@ -96,33 +203,109 @@ async function handlePreAuthorizationComplete(paymentIntent) {
       return;
     }
     
+    const paymentKey = `preauth:${paymentIntent.id}`;
+    ledger = await claimPayment(paymentKey, { jobId, paymentType, eventId });
+    if (!ledger) {
+      return;
+    }
+    
     // 🔧 NEW: Update Monday.com with payment intent ID (not setup intent)
-    await updateMondayPreAuthStatus(jobId, paymentIntent);
+    const mondayResult = await ledger.runStep('monday_preauth', () => updateMondayPreAuthStatus(jobId, paymentIntent));
+    if (mondayStepNeedsRetry(mondayResult)) {
+      await deadLetterPaymentStep('monday_preauth', paymentKey, { jobId, paymentType, stripeObject: paymentIntent, eventId }, mondayResult.error || 'Monday.com pre-auth update failed');
+    }
+    
+    // Saved-card holds track the current hold so the scheduler knows when to re-authorise
+    await ledger.runStep('scheduled_hold', () => recordHoldPlaced(jobId, paymentIntent));
     
     // 🔧 NEW: Add HireHop note about pre-auth (but don't create deposit yet!)
-    const amount = paymentIntent.amount / 100;
+    const currency = getCurrencyCode(paymentIntent.currency);
+    const amount = fromMinorUnits(paymentIntent.amount, currency);
     const releaseDate = new Date();
     releaseDate.setDate(releaseDate.getDate() + 7);
     
-    const noteText = `🔐 PRE-AUTH COMPLETED: £${amount.toFixed(2)} excess pre-authorization taken
+    const noteText = `🔐 PRE-AUTH COMPLETED: ${formatMoney(amount, currency)} excess pre-authorization taken
 💳 Payment Intent ID: ${paymentIntent.id}
 🔗 Stripe Link: https://dashboard.stripe.com/payments/${paymentIntent.id}
 📅 Auto-release date: ${releaseDate.toLocaleDateString('en-GB')} (7 days from today)
 ⚠️ How to claim: Use Admin Portal - NO customer authentication required!
-📋 This pre-auth will be automatically released in 7 days if not claimed.`;
+📋 This pre-auth will be automatically released in 7 days if not claimed.${describeScheduledHold(paymentIntent)}`;
     
-    await addHireHopNote(jobId, noteText);
+    await ledger.runStep('hirehop_note', () => addJobNote(jobId, noteText));
+    
+    // Renewals of a saved-card hold are routine - the customer was told about the first one
+    if (!paymentIntent.metadata.replacesHold) {
+      await ledger.runStep('customer_email', () => sendCustomerEmail(jobId, 'hold_placed', {
+        amount,
+        currency,
+        releaseDate: releaseDate.toISOString(),
+        scheduled: paymentIntent.metadata.scheduledHold === 'true'
+      }));
+    }
+    await ledger.complete();
     
     console.log('✅ Pre-authorization processed successfully');
     
   } catch (error) {
+    if (error.code === 'PAYMENT_IN_PROGRESS') {
+      throw error;
+    }
+    
     console.error('❌ Error handling pre-authorization:', error);
+    if (ledger) {
+      await ledger.fail(error);
+    }
     throw error;
   }
 }
 
+// Card saved at booking for an excess hold placed automatically before the hire.
+// Keyed by setup intent, so the Checkout session and the setup intent events are one save.
+async function handleScheduledHoldSetup(setupIntentId, metadata, customerId, eventId) {
+  const { jobId, holdAmount, hireStart, hireEnd, currency } = metadata;
+  console.log(`💾 SCHEDULED HOLD SETUP: Card saved for job ${jobId}`);
+  
+  const ledger = await claimPayment(`setup:${setupIntentId}`, { jobId, paymentType: 'excess', eventId });
+  if (!ledger) {
+    return;
+  }
+  
+  const setupIntent = await stripe.setupIntents.retrieve(setupIntentId);
+  
+  const record = await ledger.runStep('save_card', () => saveScheduledHold({
+    jobId,
+    customerId: customerId || setupIntent.customer,
+    paymentMethodId: setupIntent.payment_method,
+    setupIntentId: setupIntent.id,
+    amountPence: parseInt(holdAmount),
+    currency: getCurrencyCode(currency),
+    hireStart,
+    hireEnd
+  }));
+  
+  const holdDate = new Date(record.holdDueAt).toLocaleDateString('en-GB');
+  const noteText = `💾 CARD SAVED FOR EXCESS HOLD: ${formatMinorUnits(record.amountPence, record.currency)} will be held automatically on ${holdDate}
+🔗 Setup Intent: https://dashboard.stripe.com/setup_intents/${setupIntent.id}
+🔄 The hold is renewed before it expires until ${new Date(record.coverUntil).toLocaleDateString('en-GB')}
+📋 Nothing has been charged - no HireHop deposit created.`;
+  
+  await ledger.runStep('monday_update', () => createUpdateForJob(jobId, noteText));
+  await ledger.runStep('hirehop_note', () => addJobNote(jobId, noteText));
+  await ledger.complete();
+  
+  console.log(`✅ Scheduled hold saved for job ${jobId}, due ${record.holdDueAt}`);
+}
+
+function describeScheduledHold(paymentIntent) {
+  const { scheduledHold, replacesHold } = paymentIntent.metadata || {};
+  if (scheduledHold !== 'true') return '';
+  return replacesHold
+    ? `\n🔄 Placed automatically from the saved card - replaces hold ${replacesHold}`
+    : '\n💾 Placed automatically from the saved card';
+}
+
 // 🔧 UPDATED: Handle checkout session with manual capture awareness
-async function handleCheckoutSessionCompleted(session) {
+async function handleCheckoutSessionCompleted(session, eventId) {
   console.log('🎯 Processing checkout session:', session.id);
   const { jobId, paymentType, isPreAuth } = session.metadata;
   
@@ -131,6 +314,16 @@ async function handleCheckoutSessionCompleted(session) {
     return;
   }
   
+  // Card saved for an automatic excess hold - nothing was charged
+  if (session.mode === 'setup') {
+    if (session.metadata.excessMode === 'scheduled_hold') {
+      await handleScheduledHoldSetup(session.setup_intent, session.metadata, session.customer, eventId);
+    } else {
+      console.log('⚠️ Setup session without a scheduled hold - nothing to do');
+    }
+    return;
+  }
+  
   // 🔧 UPDATED: Check for manual capture payment intents
   if (session.payment_intent) {
     const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent);
@@ -144,10 +337,87 @@ async function handleCheckoutSessionCompleted(session) {
   
   // Process regular payments (not manual capture)
   if (isPreAuth !== 'true') {
-    await processPaymentComplete(jobId, paymentType, session, false);
+    await processPaymentComplete(jobId, paymentType, session, false, eventId);
   }
 }
 
+// Payment taken directly on a PaymentIntent (Payment Element). Same processing as a completed
+// Checkout session - both are keyed by the payment intent, so whichever event arrives first wins.
+async function handleDirectPaymentSucceeded(paymentIntent, eventId) {
+  const { jobId, paymentType } = paymentIntent.metadata;
+  
+  if (!jobId || !paymentType) {
+    console.error('❌ Missing required metadata');
+    return;
+  }
+  
+  console.log(`💳 Processing ${paymentIntent.metadata.checkoutFlow} payment intent: ${paymentIntent.id}`);
+  await processPaymentComplete(jobId, paymentType, paymentIntent, false, eventId);
+}
+
+// Bank transfers: match the money to the job by its customer, then record it through the same
+// path as a card payment once it covers a payment intent
+async function handleCashBalanceTransaction(transaction, eventId) {
+  const jobId = await findJobForCustomer(transaction.customer);
+  
+  if (!jobId) {
+    console.log(`⚠️ Cash balance transaction ${transaction.id} is not for a job's bank transfer customer - ignoring`);
+    return;
+  }
+  
+  if (transaction.type === 'funded') {
+    const amount = formatMinorUnits(transaction.net_amount, transaction.currency);
+    const reference = transaction.funded?.bank_transfer?.reference;
+    console.log(`🏦 Bank transfer of ${amount} received for job ${jobId}${reference ? ` (reference ${reference})` : ''}`);
+    
+    // One claim per transaction - concurrent deliveries must not spend the same money twice
+    const ledger = await claimPayment(`cash:${transaction.id}`, { jobId, paymentType: 'bank_transfer', eventId });
+    if (!ledger) {
+      return;
+    }
+    
+    try {
+      // Stripe applies the money to an open request by itself - anything else we pay onto the job.
+      // The amount is kept in the ledger so a resumed delivery repeats the same Stripe request.
+      const unallocatedPence = await ledger.runStep('unallocated_funds', () => getUnallocatedFunds(transaction.customer));
+      let appliedText = 'Matched to the open bank transfer request';
+      
+      if (unallocatedPence > 0) {
+        const applied = await ledger.runStep('cash_balance_payment', async () => {
+          const paymentType = await getHirePaymentType(jobId);
+          const paymentIntent = await payFromCashBalance({ customerId: transaction.customer, jobId, amountPence: unallocatedPence, paymentType }, { idempotencyKey: `cash-balance-${transaction.id}` });
+          return { paymentIntentId: paymentIntent.id, paymentType };
+        });
+        appliedText = `No open request - ${formatMinorUnits(unallocatedPence, transaction.currency)} applied as ${applied.paymentType} (${applied.paymentIntentId})`;
+      }
+      
+      await ledger.runStep('hirehop_note', () => addJobNote(jobId, `🏦 BANK TRANSFER RECEIVED: ${amount}${reference ? ` with reference ${reference}` : ''}
+${appliedText}
+👤 Stripe customer: ${transaction.customer}`));
+      await ledger.complete();
+    } catch (error) {
+      await ledger.fail(error);
+      throw error;
+    }
+    return;
+  }
+  
+  if (transaction.type === 'applied_to_payment') {
+    const paymentIntent = await stripe.paymentIntents.retrieve(transaction.applied_to_payment.payment_intent);
+    
+    if (paymentIntent.status !== 'succeeded') {
+      const remaining = paymentIntent.next_action?.display_bank_transfer_instructions?.amount_remaining || 0;
+      await addJobNote(jobId, `🏦 BANK TRANSFER PART PAYMENT: ${formatMinorUnits(Math.abs(transaction.net_amount), transaction.currency)} towards ${paymentIntent.metadata.paymentType} (${paymentIntent.id}), ${formatMinorUnits(remaining, transaction.currency)} still to come`);
+      return;
+    }
+    
+    await handleDirectPaymentSucceeded(paymentIntent, eventId);
+    return;
+  }
+  
+  console.log(`🔄 Cash balance transaction type ${transaction.type} - nothing to do`);
+}
+
 // 🔧 UPDATED: Handle payment intent succeeded (only for captures)
 async function handlePaymentIntentSucceeded(paymentIntent) {
   console.log('💳 Processing payment intent succeeded:', paymentIntent.id);
@@ -166,7 +436,7 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
     await processPaymentComplete(jobId, 'excess_claim', paymentIntent, false);
     
     // Update Monday.com status to "Pre-auth claimed"
-    await updateMondayExcessStatus(jobId, 'Pre-auth claimed');
+    await setExcessStatus(jobId, 'Pre-auth claimed');
   }
 }
 
@@ -175,44 +445,34 @@ async function updateMondayPreAuthStatus(jobId, paymentIntent) {
   try {
     console.log(`📋 Updating Monday.com with pre-authorization for job ${jobId}`);
     
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
+    if (!isMondayConfigured()) {
       console.log('⚠️ Monday.com credentials not configured');
-      return { success: false };
+      return { success: false, error: 'No credentials' };
     }
     
     // Find Monday.com item
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
+    const mondayItem = await findItemByJobNumber(jobId, { columns: false });
     
     if (!mondayItem) {
       console.log('⚠️ Job not found in Monday.com');
-      return { success: false };
+      return { success: false, error: 'Job not found' };
     }
     
     // Update excess status column
-    await updateMondayColumn(
-      mondayItem.id,
-      'status58',
-      'Pre-auth taken',
-      mondayApiKey,
-      mondayBoardId
-    );
+    await setStatus(mondayItem.id, EXCESS_STATUS_COLUMN, 'Pre-auth taken');
     
     // 🔧 NEW: Create update with payment intent details
-    const amount = paymentIntent.amount / 100;
     const releaseDate = new Date();
     releaseDate.setDate(releaseDate.getDate() + 7);
     
-    const updateText = `🔐 PRE-AUTH COMPLETED: £${amount.toFixed(2)} excess pre-authorization taken
+    const updateText = `🔐 PRE-AUTH COMPLETED: ${formatMinorUnits(paymentIntent.amount, paymentIntent.currency)} excess pre-authorization taken
 💳 Payment Intent ID: ${paymentIntent.id}
 🔗 Stripe Link: https://dashboard.stripe.com/payments/${paymentIntent.id}
 📅 Auto-release date: ${releaseDate.toLocaleDateString('en-GB')} (7 days from today)
 ⚠️ How to claim: Use Admin Portal - NO customer authentication required!
 📋 This pre-auth will be automatically released in 7 days if not claimed.`;
     
-    await createMondayUpdate(mondayItem.id, updateText, mondayApiKey);
+    await createUpdate(mondayItem.id, updateText);
     
     console.log('✅ Monday.com updated with pre-authorization details');
     return { success: true };
@@ -223,8 +483,29 @@ async function updateMondayPreAuthStatus(jobId, paymentIntent) {
   }
 }
 
+// Claim a payment in the ledger. Returns the ledger handle, or null if it's already done.
+// Throws PAYMENT_IN_PROGRESS if another delivery holds it, so the webhook asks Stripe to retry.
+async function claimPayment(paymentKey, details) {
+  const claim = await beginPayment(paymentKey, details);
+  
+  if (claim.status === 'completed') {
+    console.log(`⚠️ DUPLICATE DETECTED: ${paymentKey} already processed - skipping`);
+    return null;
+  }
+  
+  if (claim.status === 'in_progress') {
+    const error = new Error(`Payment ${paymentKey} is already being processed`);
+    error.code = 'PAYMENT_IN_PROGRESS';
+    throw error;
+  }
+  
+  return claim.ledger;
+}
+
 // Complete payment processing with both systems
-async function processPaymentComplete(jobId, paymentType, stripeObject, isPreAuth = false) {
+async function processPaymentComplete(jobId, paymentType, stripeObject, isPreAuth = false, eventId = null) {
+  let ledger = null;
+  
   try {
     console.log(`🔄 COMPLETE PROCESSING: ${paymentType} payment for job ${jobId}`);
     
@@ -234,81 +515,93 @@ async function processPaymentComplete(jobId, paymentType, stripeObject, isPreAut
       return { hirehopSuccess: true, mondayResult: { success: true }, statusResult: { success: true } };
     }
     
-    // Check for duplicate processing
-    const sessionId = stripeObject.id;
-    const existingPayment = await checkForExistingPayment(jobId, sessionId);
-    if (existingPayment) {
-      console.log(`⚠️ DUPLICATE DETECTED: Session ${sessionId} already processed - skipping`);
+    // Check for duplicate processing - keyed by payment intent so every event for the same payment dedupes
+    const paymentKey = stripeObject.payment_intent || stripeObject.id;
+    ledger = await claimPayment(paymentKey, { jobId, paymentType, eventId });
+    if (!ledger) {
       return { hirehopSuccess: true, mondayResult: { success: true, skipped: true }, statusResult: { success: true, skipped: true } };
     }
     
     // STEP 1: Create HireHop deposit
     console.log('💰 STEP 1: Creating HireHop deposit...');
-    const hirehopSuccess = await createDepositWithWorkingXeroSync(jobId, paymentType, stripeObject);
+    // A deposit save that failed before may still have reached HireHop - check before saving again
+    const depositTriedBefore = !!ledger.record.steps.hirehop_deposit;
+    const hirehopSuccess = await ledger.runStep('hirehop_deposit', () => createDepositWithWorkingXeroSync(jobId, paymentType, stripeObject, { checkExisting: depositTriedBefore }));
+    
+    if (!hirehopSuccess) {
+      // Leave the payment unfinished so Stripe's retry resumes from the deposit - the dead letter
+      // covers Stripe giving up
+      await deadLetterPaymentStep('hirehop_deposit', paymentKey, { jobId, paymentType, stripeObject, isPreAuth, eventId }, 'HireHop deposit creation failed');
+      await addJobNote(jobId, `🚨 CRITICAL: HireHop payment failed. Stripe: ${stripeObject.id}. Stripe will redeliver it - if it keeps failing, check HireHop and replay it from the Admin Portal.`);
+      const error = new Error('HireHop deposit creation failed');
+      error.noted = true;
+      throw error;
+    }
     
     // STEP 2: Update Monday.com
     console.log('📋 STEP 2: Updating Monday.com...');
-    const mondayResult = await applyMondayBusinessLogicWithTimeout(jobId, paymentType, stripeObject, isPreAuth);
+    const mondayResult = await ledger.runStep('monday', () => applyMondayBusinessLogicWithTimeout(jobId, paymentType, stripeObject, isPreAuth));
+    if (mondayStepNeedsRetry(mondayResult)) {
+      await deadLetterPaymentStep('monday', paymentKey, { jobId, paymentType, stripeObject, isPreAuth, eventId }, mondayResult.error || 'Monday.com updates failed');
+    }
     
     // STEP 3: Update HireHop job status (only for hire payments)
     console.log('🏢 STEP 3: Updating HireHop job status...');
     let statusResult = { success: false, message: 'Skipped' };
     if (paymentType === 'deposit' || paymentType === 'balance') {
-      statusResult = await updateHireHopJobStatusFixed(jobId, 2);
-      console.log('✅ Job status updated for hire payment');
+      statusResult = await ledger.runStep('hirehop_status', () => updateJobStatus(jobId, 2));
+      if (statusResult.success) {
+        console.log('✅ Job status updated for hire payment');
+      } else {
+        await deadLetterPaymentStep('hirehop_status', paymentKey, { jobId, paymentType, stripeObject, eventId, status: 2 }, statusResult.error);
+      }
     } else {
       console.log('⏭️ Skipping job status update for excess payment');
       statusResult = { success: true, message: 'Skipped - excess payment' };
     }
     
     // STEP 4: Add note
+    const currency = getCurrencyCode(stripeObject.currency);
+    const amountText = formatMoney(mondayResult.amount || 0, currency);
     let noteText = '';
-    if (hirehopSuccess && mondayResult.success && statusResult.success) {
+    if (mondayResult.success && statusResult.success) {
       const mondayStatus = mondayResult.skipped ? 'Skipped (duplicate)' : `${mondayResult.updates} updates applied`;
-      noteText = `✅ COMPLETE SUCCESS: £${mondayResult.amount?.toFixed(2) || '0.00'} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync${paymentType !== 'excess' ? ' + Status "Booked"' : ''}. Monday.com: ${mondayStatus}.`;
-    } else if (hirehopSuccess && mondayResult.success) {
-      noteText = `✅ PAYMENT SUCCESS: £${mondayResult.amount?.toFixed(2) || '0.00'} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync. Monday.com: ${mondayResult.updates} updates. HireHop status: ${statusResult.message}`;
-    } else if (hirehopSuccess) {
-      noteText = `⚠️ PARTIAL SUCCESS: £${mondayResult.amount?.toFixed(2) || '0.00'} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync. Monday.com failed: ${mondayResult.error}`;
+      noteText = `✅ COMPLETE SUCCESS: ${amountText} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync${paymentType !== 'excess' ? ' + Status "Booked"' : ''}. Monday.com: ${mondayStatus}.`;
+    } else if (mondayResult.success) {
+      noteText = `✅ PAYMENT SUCCESS: ${amountText} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync. Monday.com: ${mondayResult.updates} updates. HireHop status: ${statusResult.message || statusResult.error}`;
     } else {
-      noteText = `🚨 CRITICAL: HireHop payment failed. Stripe: ${stripeObject.id}. Monday.com: ${mondayResult.success ? 'Updated' : 'Failed'}`;
+      noteText = `⚠️ PARTIAL SUCCESS: ${amountText} ${paymentType} processed. Stripe: ${stripeObject.id}. HireHop: Deposit created + Xero sync. Monday.com failed: ${mondayResult.error}`;
     }
     
-    await addHireHopNote(jobId, noteText);
+    await ledger.runStep('hirehop_note', () => addJobNote(jobId, noteText));
+    
+    // STEP 5: Let the customer know - excess claims are emailed by the admin claim itself
+    if (paymentType !== 'excess_claim') {
+      await ledger.runStep('customer_email', () => sendCustomerEmail(jobId, 'payment_received', {
+        amount: calculatePaymentAmount(stripeObject),
+        currency,
+        paymentType,
+        reference: stripeObject.payment_intent || stripeObject.id
+      }));
+    }
+    await ledger.complete();
     
     return { hirehopSuccess, mondayResult, statusResult };
     
   } catch (error) {
-    console.error('❌ Error in complete processing:', error);
-    await addHireHopNote(jobId, `🚨 SYSTEM ERROR: ${paymentType} payment failed. Stripe: ${stripeObject.id}. Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Check for existing payment processing to prevent duplicates
-async function checkForExistingPayment(jobId, sessionId) {
-  try {
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    const encodedToken = encodeURIComponent(token);
-    
-    const notesUrl = `https://${hirehopDomain}/api/job_notes.php?job=${jobId}&token=${encodedToken}`;
-    const response = await fetch(notesUrl);
-    
-    if (response.ok) {
-      const notes = await response.json();
-      if (Array.isArray(notes)) {
-        const existingNote = notes.find(note => 
-          note.note && note.note.includes(sessionId)
-        );
-        return existingNote;
-      }
+    if (error.code === 'PAYMENT_IN_PROGRESS') {
+      throw error;
     }
     
-    return null;
-  } catch (error) {
-    console.error('❌ Error checking for existing payment:', error);
-    return null;
+    console.error('❌ Error in complete processing:', error);
+    if (ledger) {
+      await ledger.fail(error);
+    }
+    // One note per failure - a step that already explained itself on the job isn't noted twice
+    if (!error.noted) {
+      await addJobNote(jobId, `🚨 SYSTEM ERROR: ${paymentType} payment failed. Stripe: ${stripeObject.id}. Error: ${error.message}`);
+    }
+    throw error;
   }
 }
 
@@ -328,20 +621,14 @@ async function applyMondayBusinessLogicWithTimeout(jobId, paymentType, stripeObj
       return result;
     } catch (timeoutError) {
       if (timeoutError.message === 'Monday.com timeout') {
-        console.log('⚠️ Monday.com update timed out - processing payment anyway');
-        
-        setImmediate(() => {
-          applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreAuth)
-            .then(result => console.log('✅ Delayed Monday.com update completed:', result))
-            .catch(error => console.error('❌ Delayed Monday.com update failed:', error));
-        });
-        
-        return { 
-          success: true, 
-          updates: 0, 
+        // Left to the dead-letter worker - anything started here may never run once the function freezes
+        console.log('⚠️ Monday.com update timed out - processing payment anyway, queued for retry');
+        return {
+          success: false,
+          updates: 0,
           timeout: true,
           amount: calculatePaymentAmount(stripeObject),
-          message: 'Monday.com update scheduled for async processing'
+          error: 'Monday.com timeout'
         };
       }
       throw timeoutError;
@@ -353,14 +640,83 @@ async function applyMondayBusinessLogicWithTimeout(jobId, paymentType, stripeObj
   }
 }
 
-// Helper function to calculate payment amount
+// Nothing to retry when Monday.com isn't set up, the job isn't on the board or no rule applied
+function mondayStepNeedsRetry(result) {
+  if (result.success) return false;
+  if (result.timeout) return true;
+  if (result.error) return !['No credentials', 'Job not found'].includes(result.error);
+  return result.totalAttempted > 0;
+}
+
+const PAYMENT_STEP_DESCRIPTIONS = {
+  hirehop_deposit: 'HireHop deposit',
+  monday: 'Monday.com payment status update',
+  monday_preauth: 'Monday.com pre-auth update',
+  hirehop_status: 'HireHop job status "Booked"'
+};
+
+function deadLetterPaymentStep(step, paymentKey, payload, error) {
+  const { jobId, paymentType, stripeObject } = payload;
+  const amountText = formatMoney(calculatePaymentAmount(stripeObject), getCurrencyCode(stripeObject.currency));
+  return recordDeadLetter({
+    step,
+    key: paymentKey,
+    jobId,
+    source: 'stripe-webhook',
+    description: `${PAYMENT_STEP_DESCRIPTIONS[step]} for ${amountText} ${paymentType} (Stripe ${stripeObject.id})`,
+    payload,
+    error
+  });
+}
+
+// Dead-letter replay of a payment step (see dead-letters.js). The payment ledger keeps it from
+// running a step that has since worked, e.g. on a Stripe redelivery.
+async function replayPaymentStep({ step, key, payload }) {
+  const { jobId, paymentType, stripeObject, isPreAuth = false, eventId = null } = payload;
+
+  if (step === 'hirehop_deposit') {
+    // Resume the whole payment from the deposit, as a Stripe redelivery would
+    try {
+      await processPaymentComplete(jobId, paymentType, stripeObject, isPreAuth, eventId);
+      return { success: true, message: 'Payment processing completed' };
+    } catch (error) {
+      return { success: false, error: error.message, retryLater: error.code === 'PAYMENT_IN_PROGRESS' };
+    }
+  }
+
+  const runners = {
+    monday: () => applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreAuth),
+    monday_preauth: () => updateMondayPreAuthStatus(jobId, stripeObject),
+    hirehop_status: () => updateJobStatus(jobId, payload.status)
+  };
+  const run = runners[step];
+  const { status, result } = await retryPaymentStep(key, step, run);
+
+  if (status === 'in_progress') {
+    return { success: false, error: `Payment ${key} is being processed`, retryLater: true };
+  }
+  if (status === 'missing') {
+    return { success: false, error: `No ledger record for payment ${key}` };
+  }
+  if (status === 'failed') {
+    return { success: false, error: result?.error || `${PAYMENT_STEP_DESCRIPTIONS[step]} failed` };
+  }
+
+  if (status === 'succeeded') {
+    await addJobNote(jobId, `✅ ${PAYMENT_STEP_DESCRIPTIONS[step]} completed on retry. Stripe: ${stripeObject.id}.`);
+  }
+  return { success: true, message: status === 'skipped' ? 'Step had already succeeded' : 'Step completed' };
+}
+
+// Helper function to calculate payment amount, in the payment's currency
 function calculatePaymentAmount(stripeObject) {
+  const currency = getCurrencyCode(stripeObject.currency);
   if (stripeObject.amount_total) {
-    return stripeObject.amount_total / 100;
+    return fromMinorUnits(stripeObject.amount_total, currency);
   } else if (stripeObject.amount) {
-    return stripeObject.amount / 100;
+    return fromMinorUnits(stripeObject.amount, currency);
   } else if (stripeObject.amount_received) {
-    return stripeObject.amount_received / 100;
+    return fromMinorUnits(stripeObject.amount_received, currency);
   }
   return 0;
 }
@@ -370,17 +726,14 @@ async function applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreA
   try {
     console.log(`📋 MONDAY BUSINESS LOGIC: Applying rules for job ${jobId}`);
     
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
+    if (!isMondayConfigured()) {
       console.log('⚠️ Monday.com credentials not configured, skipping');
       return { success: false, error: 'No credentials', updates: 0 };
     }
     
     let paymentAmount = calculatePaymentAmount(stripeObject);
     
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
+    const mondayItem = await findItemByJobNumber(jobId);
     
     if (!mondayItem) {
       console.log('⚠️ Job not found in Monday.com, skipping updates');
@@ -389,7 +742,7 @@ async function applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreA
     
     console.log(`✅ Found Monday.com item: ${mondayItem.id}`);
     
-    const currentStatuses = extractCurrentStatuses(mondayItem);
+    const currentStatuses = getColumnTexts(mondayItem);
     const jobDetails = await getFreshJobDetails(jobId);
     
     const updates = [];
@@ -443,35 +796,20 @@ async function applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreA
     let successCount = 0;
     
     for (const update of updates) {
-      if (update.type === 'update') {
-        const result = await createMondayUpdate(
-          mondayItem.id,
-          update.updateText,
-          mondayApiKey
-        );
-        
-        if (result.success) {
-          successCount++;
+      try {
+        if (update.type === 'update') {
+          await createUpdate(mondayItem.id, update.updateText);
           console.log(`✅ ${update.description}: Update created`);
-        } else {
-          console.error(`❌ Failed ${update.description}:`, result.error);
-        }
-      } else {
-        const result = await updateMondayColumn(
-          mondayItem.id,
-          update.columnId,
-          update.newValue,
-          mondayApiKey,
-          mondayBoardId,
-          update.isText || false
-        );
-        
-        if (result.success) {
-          successCount++;
+        } else if (update.isText) {
+          await changeSimpleColumnValue(mondayItem.id, update.columnId, update.newValue);
           console.log(`✅ ${update.description}: ${update.newValue}`);
         } else {
-          console.error(`❌ Failed ${update.description}:`, result.error);
+          await setStatus(mondayItem.id, update.columnId, update.newValue);
+          console.log(`✅ ${update.description}: ${update.newValue}`);
         }
+        successCount++;
+      } catch (error) {
+        console.error(`❌ Failed ${update.description}:`, error.message);
       }
     }
     
@@ -490,329 +828,50 @@ async function applyMondayBusinessLogic(jobId, paymentType, stripeObject, isPreA
   }
 }
 
-// YOUR WORKING XERO SYNC METHOD
-async function createDepositWithWorkingXeroSync(jobId, paymentType, stripeObject) {
-  try {
-    console.log(`🏦 Creating ${paymentType} deposit for job ${jobId}`);
-    
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    let amount = calculatePaymentAmount(stripeObject);
-    
-    const description = `${jobId} - ${paymentType}`;
-    const currentDate = new Date().toISOString().split('T')[0];
-    const clientId = await getJobClientId(jobId, token, hirehopDomain);
-    
-    let stripeUrl = '';
-    if (stripeObject.payment_intent) {
-      stripeUrl = `https://dashboard.stripe.com/payments/${stripeObject.payment_intent}`;
-    } else if (stripeObject.id && stripeObject.id.startsWith('pi_')) {
-      stripeUrl = `https://dashboard.stripe.com/payments/${stripeObject.id}`;
-    } else {
-      stripeUrl = `https://dashboard.stripe.com/checkout/sessions/${stripeObject.id}`;
-    }
-    
-    const depositData = {
-      ID: 0,
-      DATE: currentDate,
-      DESCRIPTION: description,
-      AMOUNT: amount,
-      MEMO: `Stripe: ${stripeUrl}`,
-      ACC_ACCOUNT_ID: 267,
-      local: new Date().toISOString().replace('T', ' ').substring(0, 19),
-      tz: 'Europe/London',
-      'CURRENCY[CODE]': 'GBP',
-      'CURRENCY[NAME]': 'United Kingdom Pound',
-      'CURRENCY[SYMBOL]': '£',
-      'CURRENCY[DECIMALS]': 2,
-      'CURRENCY[MULTIPLIER]': 1,
-      'CURRENCY[NEGATIVE_FORMAT]': 1,
-      'CURRENCY[SYMBOL_POSITION]': 0,
-      'CURRENCY[DECIMAL_SEPARATOR]': '.',
-      'CURRENCY[THOUSAND_SEPARATOR]': ',',
-      ACC_PACKAGE_ID: 3,
-      JOB_ID: jobId,
-      CLIENT_ID: clientId,
-      token: token
-    };
-    
-    console.log('💰 STEP 1: Creating deposit (ID: 0)');
-    
-    const response = await fetch(`https://${hirehopDomain}/php_functions/billing_deposit_save.php`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams(depositData).toString()
-    });
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = responseText;
-    }
-    
-    if (response.ok && parsedResponse.hh_id) {
-      console.log(`✅ STEP 1 SUCCESS: Deposit ${parsedResponse.hh_id} created`);
-      
-      console.log('🔄 STEP 2: Triggering accounting tasks endpoint for Xero sync');
-      
-      const tasksResult = await triggerAccountingTasks(
-        parsedResponse.hh_id,
-        3,
-        1,
-        token,
-        hirehopDomain
-      );
-      
-      console.log('📋 Tasks endpoint result:', tasksResult);
-      
-      return true;
-    } else {
-      console.log(`❌ Deposit creation failed:`, parsedResponse);
-      return false;
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in deposit creation:', error);
-    throw error;
+// Deposit in HireHop plus Xero sync
+async function createDepositWithWorkingXeroSync(jobId, paymentType, stripeObject, { checkExisting = false } = {}) {
+  console.log(`🏦 Creating ${paymentType} deposit for job ${jobId}`);
+  
+  let stripeUrl = '';
+  if (stripeObject.payment_intent) {
+    stripeUrl = `https://dashboard.stripe.com/payments/${stripeObject.payment_intent}`;
+  } else if (stripeObject.id && stripeObject.id.startsWith('pi_')) {
+    stripeUrl = `https://dashboard.stripe.com/payments/${stripeObject.id}`;
+  } else {
+    stripeUrl = `https://dashboard.stripe.com/checkout/sessions/${stripeObject.id}`;
   }
-}
-
-// Trigger accounting tasks
-async function triggerAccountingTasks(depositId, accPackageId, packageType, token, hirehopDomain) {
-  try {
-    const tasksData = {
-      hh_package_type: packageType,
-      hh_acc_package_id: accPackageId,
-      hh_task: 'post_deposit',
-      hh_id: depositId,
-      hh_acc_id: '',
-      token: token
-    };
-    
-    const response = await fetch(`https://${hirehopDomain}/php_functions/accounting/tasks.php`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams(tasksData).toString()
-    });
-    
-    const responseText = await response.text();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (e) {
-      parsedResponse = { rawResponse: responseText };
+  
+  const memo = `Stripe: ${stripeUrl}`;
+  if (checkExisting) {
+    const existing = await findDepositByMemo(jobId, memo);
+    if (existing === null) {
+      return false;
     }
-    
-    const success = response.ok && !responseText.includes('login') && !responseText.toLowerCase().includes('error');
-    
-    return { success: success, response: parsedResponse, httpStatus: response.status };
-    
-  } catch (error) {
-    console.error('❌ Error calling tasks.php:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Helper functions
-async function findMondayItem(jobId, apiKey, boardId) {
-  try {
-    const searchQuery = `
-      query {
-        items_page_by_column_values(
-          board_id: ${boardId}
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-          limit: 1
-        ) {
-          items {
-            id
-            name
-            column_values {
-              id
-              text
-              value
-            }
-          }
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query: searchQuery })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('Monday.com search error:', result.errors);
-      return null;
+    if (existing) {
+      console.log(`✅ Deposit ${existing.id} for ${stripeUrl} is already in HireHop - not creating another`);
+      return true;
     }
-    
-    const items = result.data?.items_page_by_column_values?.items || [];
-    return items.length > 0 ? items[0] : null;
-    
-  } catch (error) {
-    console.error('Error finding Monday.com item:', error);
-    return null;
   }
-}
-
-function extractCurrentStatuses(mondayItem) {
-  const statuses = {};
   
-  mondayItem.column_values.forEach(column => {
-    const columnId = column.id;
-    let value = null;
-    
-    if (column.text) {
-      value = column.text;
-    } else if (column.value) {
-      try {
-        const parsed = JSON.parse(column.value);
-        value = parsed.label || parsed.text || null;
-      } catch (e) {
-        value = column.value;
-      }
-    }
-    
-    statuses[columnId] = value;
+  const result = await createDeposit({
+    jobId,
+    amount: calculatePaymentAmount(stripeObject),
+    description: `${jobId} - ${paymentType}`,
+    memo,
+    currency: getCurrencyCode(stripeObject.currency)
   });
   
-  return statuses;
+  return result.success;
 }
 
-async function createMondayUpdate(itemId, updateText, apiKey) {
+// The job's deposit row carrying this memo, false if there isn't one, null if HireHop can't be read
+async function findDepositByMemo(jobId, memo) {
   try {
-    console.log(`📝 Creating Monday.com update for item ${itemId}`);
-    
-    const mutation = `
-      mutation {
-        create_update(
-          item_id: ${itemId}
-          body: "${updateText.replace(/"/g, '\\"').replace(/\n/g, '\\n')}"
-        ) {
-          id
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query: mutation })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('❌ Monday.com update creation error:', result.errors);
-      return { success: false, error: result.errors };
-    }
-    
-    console.log('✅ Monday.com update created successfully');
-    return { success: true, updateId: result.data?.create_update?.id };
-    
-  } catch (error) {
-    console.error('❌ Error creating Monday.com update:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-async function updateMondayColumn(itemId, columnId, newValue, apiKey, boardId, isText = false) {
-  try {
-    let valueJson;
-    
-    if (isText) {
-      valueJson = `"${newValue.replace(/"/g, '\\"')}"`;
-    } else {
-      valueJson = `"{\\"label\\": \\"${newValue.replace(/"/g, '\\"')}\\"}"`;
-    }
-    
-    console.log(`📝 Updating column ${columnId} with value: ${valueJson}`);
-    
-    const mutation = `
-      mutation {
-        change_column_value(
-          item_id: ${itemId}
-          board_id: ${boardId}
-          column_id: "${columnId}"
-          value: ${valueJson}
-        ) {
-          id
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query: mutation })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error(`❌ Monday.com update error for ${columnId}:`, result.errors);
-      return { success: false, error: result.errors };
-    }
-    
-    return { success: true };
-    
-  } catch (error) {
-    console.error(`❌ Error updating Monday.com column ${columnId}:`, error);
-    return { success: false, error: error.message };
-  }
-}
-
-async function updateMondayExcessStatus(jobId, newStatus) {
-  try {
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
-      return { success: false };
-    }
-    
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
-    
-    if (!mondayItem) {
-      return { success: false };
-    }
-    
-    return await updateMondayColumn(
-      mondayItem.id,
-      'status58',
-      newStatus,
-      mondayApiKey,
-      mondayBoardId
-    );
-    
+    const billingData = await getBillingList(jobId);
+    return (billingData.rows || []).find(row => row.kind === 6 && row.data?.MEMO === memo) || false;
   } catch (error) {
-    console.error('Error updating Monday excess status:', error);
-    return { success: false };
+    console.error(`❌ Could not check HireHop job ${jobId} for an earlier deposit:`, error.message);
+    return null;
   }
 }
 
@@ -820,18 +879,14 @@ async function getFreshJobDetails(jobId) {
   try {
     const baseUrl = process.env.URL || process.env.DEPLOY_URL || 'https://ooosh-tours-payment-page.netlify.app';
     
-    let jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}`;
-    const response1 = await fetch(jobDetailsUrl);
-    const result1 = await response1.json();
+    // Short-lived signed token so the webhook can read job details like the payment page does
+    const internalToken = generatePaymentToken(jobId, { expiresAt: Date.now() + (5 * 60 * 1000) });
+    const jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}&token=${encodeURIComponent(internalToken)}`;
+    const response = await fetch(jobDetailsUrl);
+    const result = await response.json();
     
-    if (result1.hash && !result1.authenticated) {
-      jobDetailsUrl = `${baseUrl}/.netlify/functions/get-job-details-v2?jobId=${jobId}&hash=${result1.hash}`;
-      const response2 = await fetch(jobDetailsUrl);
-      const result2 = await response2.json();
-      
-      if (result2.success) {
-        return result2;
-      }
+    if (result.success) {
+      return result;
     }
     
     return null;
@@ -841,77 +896,4 @@ async function getFreshJobDetails(jobId) {
   }
 }
 
-async function updateHireHopJobStatusFixed(jobId, newStatus) {
-  try {
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    const statusData = {
-      job: jobId,
-      status: newStatus,
-      no_webhook: 1,
-      token: token
-    };
-    
-    const response = await fetch(`https://${hirehopDomain}/frames/status_save.php`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams(statusData).toString()
-    });
-    
-    if (response.ok) {
-      const responseText = await response.text();
-      let result;
-      
-      try {
-        result = JSON.parse(responseText);
-      } catch (e) {
-        result = { rawResponse: responseText };
-      }
-      
-      return { success: true, status: newStatus, response: result };
-    } else {
-      const errorText = await response.text();
-      return { success: false, message: `HTTP ${response.status}: ${errorText}` };
-    }
-    
-  } catch (error) {
-    console.error('Error updating HireHop job status:', error);
-    return { success: false, message: error.message };
-  }
-}
-
-async function getJobClientId(jobId, token, hirehopDomain) {
-  try {
-    const encodedToken = encodeURIComponent(token);
-    const jobDataUrl = `https://${hirehopDomain}/api/job_data.php?job=${jobId}&token=${encodedToken}`;
-    
-    const response = await fetch(jobDataUrl);
-    const jobData = await response.json();
-    
-    if (jobData && jobData.CLIENT_ID) {
-      return jobData.CLIENT_ID;
-    } else {
-      return 1822;
-    }
-  } catch (error) {
-    console.error('Error getting client ID:', error);
-    return 1822;
-  }
-}
-
-async function addHireHopNote(jobId, noteText) {
-  try {
-    const token = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    const encodedToken = encodeURIComponent(token);
-    
-    const noteUrl = `https://${hirehopDomain}/api/job_note.php?job=${jobId}&note=${encodeURIComponent(noteText)}&token=${encodedToken}`;
-    const response = await fetch(noteUrl);
-    
-    return response.ok;
-  } catch (error) {
-    console.error('❌ Error adding note:', error);
-    return false;
-  }
-}
+exports.replayPaymentStep = replayPaymentStep;
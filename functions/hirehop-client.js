@@ -0,0 +1,371 @@
+// functions/hirehop-client.js - Shared HireHop API client
+// One place for token handling, timeouts, retries and HireHop's error formats. Reads and idempotent
+// saves (status, dates) are retried; deposits, payment applications, accounting tasks and notes are
+// not, since a retried request that had actually succeeded would duplicate money in HireHop and Xero
+// or post the same note twice.
+const fetch = require('node-fetch');
+const { DEFAULT_CURRENCY, getCurrencyCode, hirehopCurrencyFields } = require('./currency');
+const { recordSyncedChange, recordHireHopSave } = require('./sync-echoes');
+const { fromLondon, toHireHopDateTime } = require('./london-time');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelay: 1000, // 1 second
+  maxDelay: 10000, // 10 seconds
+  backoffFactor: 2
+};
+
+const STRIPE_BANK_ACCOUNT_ID = 267; // Stripe GBP bank account
+const XERO_PACKAGE_ID = 3;          // Xero - main accounting package
+const XERO_PACKAGE_TYPE = 1;
+const FALLBACK_CLIENT_ID = 1822;
+
+class HireHopError extends Error {
+  constructor(message, { status = null, code = null, response = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HireHopError';
+    this.status = status;
+    this.code = code;
+    this.response = response;
+    this.retryable = retryable;
+  }
+}
+
+// HIREHOP_BASE_URL (scheme and host) overrides the domain - the offline test harness points it at a fake server
+function getBaseUrl() {
+  return (process.env.HIREHOP_BASE_URL || `https://${process.env.HIREHOP_DOMAIN || 'hirehop.net'}`).replace(/\/$/, '');
+}
+
+function getToken() {
+  const token = process.env.HIREHOP_API_TOKEN;
+  if (!token) {
+    throw new HireHopError('HireHop API token not configured', { code: 'NO_TOKEN' });
+  }
+  return token;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// HireHop answers with JSON, JSON carrying an "error" code, or an HTML login page when the token is bad.
+// Some save endpoints reply with plain text on success - allowText passes that through as rawResponse.
+function parseResponse(path, response, text, allowText) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    data = null;
+  }
+
+  if (!response.ok) {
+    throw new HireHopError(`HireHop ${path} returned HTTP ${response.status}`, {
+      status: response.status,
+      response: data || text.substring(0, 500),
+      retryable: response.status >= 500 || response.status === 429
+    });
+  }
+
+  if (data === null) {
+    if (/login/i.test(text)) {
+      throw new HireHopError('HireHop token rejected (login page returned)', { status: response.status, code: 'AUTH', response: text.substring(0, 500) });
+    }
+    if (allowText) {
+      return { rawResponse: text };
+    }
+    throw new HireHopError(`HireHop ${path} returned a non-JSON response`, { status: response.status, code: 'BAD_RESPONSE', response: text.substring(0, 500) });
+  }
+
+  if (data && !Array.isArray(data) && data.error) {
+    throw new HireHopError(`HireHop ${path} error ${data.error}`, { status: response.status, code: data.error, response: data });
+  }
+
+  return data;
+}
+
+// Low-level request: GET puts params (and token) in the query string, POST sends them form-encoded
+async function hirehopRequest(path, { method = 'GET', params = {}, retries = 0, timeout = DEFAULT_TIMEOUT_MS, allowText = false } = {}) {
+  const form = new URLSearchParams({ ...params, token: getToken() });
+  const url = method === 'GET' ? `${getBaseUrl()}${path}?${form.toString()}` : `${getBaseUrl()}${path}`;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(url, method === 'GET'
+        ? { method, timeout }
+        : { method, timeout, headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: form.toString() });
+
+      const text = await response.text();
+      return { data: parseResponse(path, response, text, allowText), attempts: attempt };
+
+    } catch (error) {
+      // Network failures and timeouts are worth retrying, HireHop's own error codes are not
+      const retryable = error instanceof HireHopError ? error.retryable : true;
+      if (!retryable || attempt > retries) {
+        const finalError = error instanceof HireHopError
+          ? error
+          : new HireHopError(`HireHop ${path} request failed: ${error.message}`, { code: error.type === 'request-timeout' ? 'TIMEOUT' : 'NETWORK' });
+        finalError.attempts = attempt;
+        throw finalError;
+      }
+
+      const delay = Math.min(RETRY_CONFIG.baseDelay * Math.pow(RETRY_CONFIG.backoffFactor, attempt - 1), RETRY_CONFIG.maxDelay);
+      console.log(`⏱️ HireHop ${path} failed (${error.message}) - retrying in ${delay}ms (attempt ${attempt + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ---------- Reads (retried) ----------
+
+async function getJobData(jobId) {
+  const { data } = await hirehopRequest('/api/job_data.php', { params: { job: jobId }, retries: RETRY_CONFIG.maxRetries });
+  return data;
+}
+
+async function getBillingList(jobId) {
+  const { data } = await hirehopRequest('/php_functions/billing_list.php', { params: { main_id: jobId, type: 1 }, retries: RETRY_CONFIG.maxRetries });
+  return data;
+}
+
+// Line items on the job as an array
+async function getJobItems(jobId) {
+  const { data } = await hirehopRequest('/frames/items_to_supply_list.php', { params: { job: jobId }, retries: RETRY_CONFIG.maxRetries });
+  return Array.isArray(data) ? data : (data.items || []);
+}
+
+async function getJobNotes(jobId) {
+  const { data } = await hirehopRequest('/api/job_notes.php', { params: { job: jobId }, retries: RETRY_CONFIG.maxRetries });
+  return data;
+}
+
+// Job header including LOCKED - what job_save.php checks against
+async function refreshJob(jobId) {
+  const { data } = await hirehopRequest('/php_functions/job_refresh.php', { params: { job: jobId }, retries: RETRY_CONFIG.maxRetries });
+  return data;
+}
+
+async function getJobClientId(jobId) {
+  try {
+    const jobData = await getJobData(jobId);
+    if (jobData && jobData.CLIENT_ID) {
+      return jobData.CLIENT_ID;
+    }
+    console.log('⚠️ Could not get client ID, using fallback');
+    return FALLBACK_CLIENT_ID;
+  } catch (error) {
+    console.error('Error getting client ID:', error.message);
+    return FALLBACK_CLIENT_ID;
+  }
+}
+
+// ---------- Notes (best effort - never throws) ----------
+
+async function addJobNote(jobId, noteText) {
+  try {
+    await hirehopRequest('/api/job_note.php', { params: { job: jobId, note: noteText }, retries: 0, allowText: true });
+    console.log('📝 HireHop note added: Success');
+    return true;
+  } catch (error) {
+    console.error('❌ Error adding HireHop note:', error.message);
+    return false;
+  }
+}
+
+// ---------- Idempotent saves (retried) ----------
+
+// no_webhook stops HireHop echoing the change back to hirehop-job-webhook; the echo record covers
+// webhooks that fire anyway
+async function updateJobStatus(jobId, newStatus) {
+  const startTime = Date.now();
+  try {
+    console.log(`🏢 Updating HireHop job ${jobId} to status ${newStatus}`);
+    await recordSyncedChange('hirehop', jobId, 'status', newStatus);
+    const { data, attempts } = await hirehopRequest('/frames/status_save.php', {
+      method: 'POST',
+      params: { job: jobId, status: newStatus, no_webhook: 1 },
+      retries: RETRY_CONFIG.maxRetries,
+      allowText: true
+    });
+    await recordHireHopSave(jobId);
+    return { success: true, status: newStatus, response: data, attempts, processingTime: Date.now() - startTime };
+  } catch (error) {
+    console.error('Error updating HireHop job status:', error.message);
+    return { success: false, error: error.message, attempts: error.attempts || 1, processingTime: Date.now() - startTime };
+  }
+}
+
+// HireHop job_save date fields: outgoing / returning, and the job's start / end of use
+const JOB_DATE_FIELDS = ['out', 'to', 'start', 'end'];
+
+// dates: { out, to, start, end } as UK time { date: 'YYYY-MM-DD', time: 'HH:MM' } or a bare
+// 'YYYY-MM-DD' (DEFAULT_HIRE_TIME) - only the dates given are changed. HireHop is sent UTC.
+async function updateJobDates(jobId, dates) {
+  try {
+    const job = await refreshJob(jobId);
+    if (job.LOCKED === 1) {
+      return { success: false, locked: true, error: 'Job is locked in HireHop and cannot be modified' };
+    }
+
+    const params = { job: jobId, no_webhook: 1 };
+    for (const field of JOB_DATE_FIELDS) {
+      if (!dates[field]) continue;
+      const { date, time } = typeof dates[field] === 'string' ? { date: dates[field] } : dates[field];
+      params[field] = toHireHopDateTime(fromLondon(date, time));
+      await recordSyncedChange('hirehop', jobId, field, date);
+    }
+
+    console.log(`📅 Saving HireHop job ${jobId} dates:`, params);
+    const { data } = await hirehopRequest('/php_functions/job_save.php', { method: 'POST', params, retries: RETRY_CONFIG.maxRetries, allowText: true });
+    if (data.rawResponse && data.rawResponse.includes('error')) {
+      return { success: false, error: 'HireHop error unknown', response: data.rawResponse };
+    }
+    await recordHireHopSave(jobId);
+    return { success: true, response: data };
+  } catch (error) {
+    console.error('Error updating HireHop job dates:', error.message);
+    return { success: false, error: error.code ? `HireHop error ${error.code}` : error.message, response: error.response };
+  }
+}
+
+// ---------- Money (never retried) ----------
+
+// Post a deposit or payment to Xero - HireHop only syncs it when tasks.php is called
+async function triggerAccountingTask(task, hhId) {
+  try {
+    const { data } = await hirehopRequest('/php_functions/accounting/tasks.php', {
+      method: 'POST',
+      params: {
+        hh_package_type: XERO_PACKAGE_TYPE,
+        hh_acc_package_id: XERO_PACKAGE_ID,
+        hh_task: task,
+        hh_id: hhId,
+        hh_acc_id: ''
+      },
+      allowText: true
+    });
+
+    // tasks.php reports Xero problems in its message rather than an error code
+    if (JSON.stringify(data).toLowerCase().includes('error')) {
+      return { success: false, response: data };
+    }
+    return { success: true, response: data };
+  } catch (error) {
+    console.error('❌ Error calling tasks.php:', error.message);
+    return { success: false, error: error.message, response: error.response };
+  }
+}
+
+// HireHop bank account Stripe money lands in for a currency. GBP is the main Stripe account; others
+// come from HIREHOP_STRIPE_BANK_ACCOUNTS, e.g. "EUR:268,USD:269".
+function getStripeBankAccountId(currency = DEFAULT_CURRENCY) {
+  const code = getCurrencyCode(currency);
+  const configured = (process.env.HIREHOP_STRIPE_BANK_ACCOUNTS || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .find(([entryCode]) => entryCode && entryCode.toUpperCase() === code);
+
+  if (configured && parseInt(configured[1])) return parseInt(configured[1]);
+  if (code === DEFAULT_CURRENCY) return STRIPE_BANK_ACCOUNT_ID;
+
+  // Posting foreign money to the GBP account would misstate it in Xero - fail so the deposit is dead-lettered
+  throw new HireHopError(`No HireHop Stripe bank account configured for ${code} - add it to HIREHOP_STRIPE_BANK_ACCOUNTS`, { code: 'NO_BANK_ACCOUNT' });
+}
+
+// Record money received against a job (the Stripe account for its currency) and sync it to Xero
+async function createDeposit({ jobId, amount, description, memo, clientId, currency = DEFAULT_CURRENCY }) {
+  try {
+    const resolvedClientId = clientId || await getJobClientId(jobId);
+
+    const { data } = await hirehopRequest('/php_functions/billing_deposit_save.php', {
+      method: 'POST',
+      params: {
+        ID: 0, // Always 0 for new deposits
+        DATE: new Date().toISOString().split('T')[0],
+        DESCRIPTION: description,
+        AMOUNT: amount,
+        MEMO: memo,
+        ACC_ACCOUNT_ID: getStripeBankAccountId(currency),
+        local: new Date().toISOString().replace('T', ' ').substring(0, 19),
+        tz: 'Europe/London',
+        ...hirehopCurrencyFields(currency),
+        ACC_PACKAGE_ID: XERO_PACKAGE_ID,
+        JOB_ID: jobId,
+        CLIENT_ID: resolvedClientId
+      }
+    });
+
+    if (!data.hh_id) {
+      console.log('❌ Deposit creation failed:', data);
+      return { success: false, error: `HireHop deposit creation failed: ${JSON.stringify(data)}` };
+    }
+
+    console.log(`✅ Deposit ${data.hh_id} created - triggering Xero sync`);
+    const tasksResult = await triggerAccountingTask('post_deposit', data.hh_id);
+    console.log('📋 Tasks endpoint result:', tasksResult);
+
+    return { success: true, depositId: data.hh_id, tasksResult };
+  } catch (error) {
+    console.error('❌ Error creating HireHop deposit:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Apply a payment against an existing deposit - this is how HireHop records refunds
+async function createPaymentApplication({ amount, description, memo, depositId, currency = DEFAULT_CURRENCY }) {
+  try {
+    // Billing list IDs carry an "e" prefix, the save endpoint wants the number
+    const cleanDepositId = typeof depositId === 'string' && depositId.startsWith('e') ? depositId.substring(1) : depositId;
+
+    const { data } = await hirehopRequest('/php_functions/billing_payments_save.php', {
+      method: 'POST',
+      params: {
+        id: 0,
+        date: new Date().toISOString().split('T')[0],
+        desc: description,
+        paid: amount,
+        memo: memo,
+        bank: getStripeBankAccountId(currency),
+        OWNER: 0,
+        deposit: cleanDepositId
+      }
+    });
+
+    if (!data.hh_id && !data.success) {
+      console.log('❌ Payment application creation failed:', data);
+      return { success: false, error: `HireHop payment application creation failed: ${JSON.stringify(data)}`, response: data };
+    }
+
+    const applicationId = data.hh_id || 'created';
+    console.log(`✅ Payment application ${applicationId} created`);
+
+    let tasksResult = null;
+    if (data.hh_id) {
+      tasksResult = await triggerAccountingTask('post_payment', data.hh_id);
+      console.log('📋 Tasks endpoint result:', tasksResult);
+    }
+
+    return { success: true, applicationId, tasksResult, response: data };
+  } catch (error) {
+    console.error('❌ Error creating HireHop payment application:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  HireHopError,
+  hirehopRequest,
+  getJobData,
+  getBillingList,
+  getJobItems,
+  getJobNotes,
+  refreshJob,
+  getJobClientId,
+  addJobNote,
+  updateJobStatus,
+  updateJobDates,
+  triggerAccountingTask,
+  createDeposit,
+  createPaymentApplication
+};
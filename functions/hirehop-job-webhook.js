@@ -0,0 +1,211 @@
+// functions/hirehop-job-webhook.js - Receives HireHop job webhooks and syncs status and dates to Monday.com
+// The reverse of monday-webhook: when staff change a job's status or dates inside HireHop, the board
+// item follows. Changes our own Monday -> HireHop sync made are dropped (sync-echoes), and everything
+// written here is recorded so Monday's webhook for it doesn't bounce back into HireHop.
+const { verifyHireHopWebhook } = require('./hirehop-webhook-guard');
+const { isMondayConfigured, findItemByJobNumber, getColumnText, getColumnValue, changeColumnValue, createUpdate } = require('./monday-client');
+const { recordSyncedChange, isEchoOfSync } = require('./sync-echoes');
+const { HIREHOP_STATUS_NAMES, labelsForStatus, getDateColumn } = require('./monday-sync-map');
+const { fromHireHopDateTime, parseHireHopDateTime, toMondayDateTime, toLondon, normalizeTime } = require('./london-time');
+
+// Status columns the sync writes - date columns come from monday-sync-map.json
+const MONDAY_COLUMNS = {
+  QUOTE_STATUS: 'status3',                  // Quote status
+  JOB_STATUS: 'dup__of_job_status',         // Job status
+  COMPLETION: 'dup__of_invoice_emailed_'    // Completed in HireHop?
+};
+
+// Status mapping: HireHop -> Monday.com. A column already showing any label monday-sync-map.json maps
+// to this HireHop status is left alone, so a booked job showing "Deposit paid" isn't knocked back to
+// "Confirmed". Statuses not listed here (prepped, dispatched...) don't change the board.
+const STATUS_MAPPING = {
+  0: [{ columnId: MONDAY_COLUMNS.QUOTE_STATUS, label: 'Quoted' }],
+  1: [{ columnId: MONDAY_COLUMNS.QUOTE_STATUS, label: 'Held pending deposit' }],
+  2: [{ columnId: MONDAY_COLUMNS.QUOTE_STATUS, label: 'Confirmed' }],
+  9: [{ columnId: MONDAY_COLUMNS.JOB_STATUS, label: 'Cancelled' }],
+  10: [{ columnId: MONDAY_COLUMNS.QUOTE_STATUS, label: 'No dice' }],
+  11: [{ columnId: MONDAY_COLUMNS.COMPLETION, label: 'All done & hire finished' }]
+};
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('🔄 HireHop job webhook received');
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Preflight call successful' }) };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(event.body);
+    } catch (parseError) {
+      console.error('❌ Failed to parse webhook payload:', parseError);
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON payload' }) };
+    }
+
+    // Reject anything not from our HireHop account before touching Monday.com
+    const authCheck = await verifyHireHopWebhook(event, payload, 'hirehop-job-webhook');
+    if (!authCheck.valid) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized webhook' }) };
+    }
+
+    const change = readJobChange(payload);
+    console.log(`📋 HireHop ${payload.event || 'job'} event:`, JSON.stringify(change));
+
+    if (!change.jobId) {
+      console.log('⚠️ Webhook has no job number, ignoring');
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'No job in webhook' }) };
+    }
+
+    // Drop whatever our own Monday -> HireHop sync just set
+    const fields = [];
+    for (const field of ['status', 'out', 'to']) {
+      if (change[field] === null) continue;
+      if (await isEchoOfSync('hirehop', change.jobId, field, change[field])) {
+        console.log(`🔁 Job ${change.jobId} ${field} "${change[field]}" came from the Monday.com sync, ignoring`);
+        continue;
+      }
+      fields.push(field);
+    }
+
+    if (fields.length === 0) {
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'No status or date changes to sync' }) };
+    }
+
+    if (!isMondayConfigured()) {
+      console.log('⚠️ Monday.com credentials not configured, skipping');
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Monday.com not configured' }) };
+    }
+
+    const dateColumns = ['out', 'to'].map(getDateColumn).filter(Boolean).map(column => column.columnId);
+    const columnIds = [...new Set([...Object.values(MONDAY_COLUMNS), ...dateColumns])];
+    const item = await findItemByJobNumber(change.jobId, { columns: columnIds });
+    if (!item) {
+      console.log(`⚠️ Job ${change.jobId} not found in Monday.com`);
+      return { statusCode: 200, headers, body: JSON.stringify({ message: 'Job not on the board' }) };
+    }
+
+    const writes = planMondayWrites(item, change, fields);
+    if (writes.length === 0) {
+      console.log(`✅ Monday.com item ${item.id} already matches HireHop job ${change.jobId}`);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, jobId: change.jobId, itemId: item.id, changes: [] }) };
+    }
+
+    for (const write of writes) {
+      // Recorded first - Monday's webhook for this write can arrive before the mutation returns
+      await recordSyncedChange('monday', item.id, write.columnId, write.text);
+      await changeColumnValue(item.id, write.columnId, write.value);
+      console.log(`✅ Monday.com ${write.columnId} -> "${write.text}" for job ${change.jobId}`);
+    }
+
+    await createUpdate(item.id, `🔄 Synced from HireHop${payload.user_name ? ` (changed by ${payload.user_name})` : ''}:
+${writes.map(write => `• ${write.description}`).join('\n')}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        jobId: change.jobId,
+        itemId: item.id,
+        changes: writes.map(({ columnId, text }) => ({ columnId, value: text }))
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ HireHop job webhook error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Internal server error', details: error.message })
+    };
+  }
+};
+
+// Job number, status and UK dates (plus the exact times) from the webhook (HireHop's times are UTC, so 23:30 in summer is
+// the next day here). When HireHop lists what changed, only those fields count; otherwise everything
+// in the job data is compared with the board.
+function readJobChange(payload) {
+  const data = payload.data || {};
+  const changes = payload.changes || {};
+  const listsChanges = Object.keys(changes).length > 0;
+  const valueOf = (field) => {
+    if (listsChanges && !(field in changes)) return undefined;
+    const changed = changes[field];
+    return changed && typeof changed === 'object' && 'to' in changed ? changed.to : data[field];
+  };
+
+  const jobId = data.ID || data.id || data.JOB_ID || data.job_id || payload.job_id;
+  const status = valueOf('STATUS');
+
+  return {
+    jobId: jobId ? String(jobId) : null,
+    status: status === undefined || status === null || status === '' ? null : Number(status),
+    out: fromHireHopDateTime(valueOf('JOB_DATE'))?.date || null,
+    to: fromHireHopDateTime(valueOf('JOB_END'))?.date || null,
+    // The instants behind them, so the board keeps the hire times too (null for a bare date)
+    outAt: parseHireHopDateTime(valueOf('JOB_DATE')),
+    toAt: parseHireHopDateTime(valueOf('JOB_END'))
+  };
+}
+
+// Board text '2025-06-01 10:00' -> '2025-06-01'
+function toDate(value) {
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+// Column changes needed to bring the board item in line with HireHop
+function planMondayWrites(item, change, fields) {
+  const writes = [];
+
+  if (fields.includes('status')) {
+    const targets = STATUS_MAPPING[change.status];
+    if (!targets) {
+      console.log(`⏭️ HireHop status ${change.status} (${HIREHOP_STATUS_NAMES[change.status] || 'unknown'}) isn't synced to Monday.com`);
+    }
+
+    for (const target of targets || []) {
+      const current = getColumnText(item, target.columnId);
+      if (current === target.label || labelsForStatus(target.columnId, change.status).includes(current)) continue;
+      writes.push({
+        columnId: target.columnId,
+        value: { label: target.label },
+        text: target.label,
+        description: `Status ${HIREHOP_STATUS_NAMES[change.status]}: ${current ? `"${current}" -> ` : ''}"${target.label}"`
+      });
+    }
+  }
+
+  for (const field of ['out', 'to']) {
+    if (!fields.includes(field)) continue;
+    const column = getDateColumn(field);
+    if (!column) continue;
+    const { columnId, name } = column;
+    const instant = change[`${field}At`];
+    const value = instant ? toMondayDateTime(instant) : { date: change[field] };
+    const currentValue = getColumnValue(item, columnId);
+    if (currentValue?.date === value.date && (normalizeTime(currentValue.time) || null) === (value.time || null)) continue;
+    const current = toDate(getColumnText(item, columnId));
+    const shown = instant ? `${change[field]} ${toLondon(instant).time.slice(0, 5)} (UK time)` : change[field];
+    writes.push({
+      columnId,
+      value,
+      text: change[field],
+      description: `${name}: ${current ? `${current} -> ` : ''}${shown}`
+    });
+  }
+
+  return writes;
+}
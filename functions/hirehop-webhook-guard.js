@@ -0,0 +1,43 @@
+// functions/hirehop-webhook-guard.js - Shared authentication for incoming HireHop webhooks
+// HireHop puts the company's export key in every webhook body (export_key) - set HIREHOP_EXPORT_KEY to
+// match. A webhook registered with a URL token can use ...?token=<HIREHOP_WEBHOOK_TOKEN> instead.
+const { guardWebhook, splitSecrets, safeEqual } = require('./webhook-guard');
+
+// Verify a HireHop webhook. Call after parsing the body and before any HireHop/Monday work.
+// Returns { valid: true, method } or { valid: false, error } (rejections are audited and counted).
+async function verifyHireHopWebhook(event, payload, handlerName) {
+  return guardWebhook(event, {
+    source: 'hirehop',
+    label: 'HireHop',
+    handlerName,
+    check: () => checkHireHopAuthentication(event, payload),
+    auditDetails: { exportKeyPresent: !!payload?.export_key }
+  });
+}
+
+function checkHireHopAuthentication(event, payload) {
+  const exportKeys = splitSecrets(process.env.HIREHOP_EXPORT_KEY);
+  const sharedTokens = splitSecrets(process.env.HIREHOP_WEBHOOK_TOKEN);
+
+  if (exportKeys.length === 0 && sharedTokens.length === 0) {
+    console.error('❌ Neither HIREHOP_EXPORT_KEY nor HIREHOP_WEBHOOK_TOKEN configured - rejecting all deliveries');
+    return { valid: false, error: 'Webhook authentication not configured' };
+  }
+
+  const exportKey = payload?.export_key;
+  if (exportKey && exportKeys.some(key => safeEqual(exportKey, key))) {
+    return { valid: true, method: 'export_key' };
+  }
+
+  const providedToken = event.queryStringParameters?.token;
+  if (providedToken && sharedTokens.some(token => safeEqual(providedToken, token))) {
+    return { valid: true, method: 'shared_token' };
+  }
+
+  if (exportKey) return { valid: false, error: 'Invalid export key' };
+  return { valid: false, error: providedToken ? 'Invalid webhook token' : 'Missing export key' };
+}
+
+module.exports = {
+  verifyHireHopWebhook
+};
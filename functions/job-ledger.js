@@ -0,0 +1,334 @@
+// functions/job-ledger.js - Works out what a job is owed and has paid from HireHop billing rows
+// Pure: no fetching and no logging, so the payment page and the admin portal get the same numbers
+// and the classification can be tested from fixtures. Callers fetch the billing list, items and
+// Monday.com excess check and pass them in.
+const { ACTIVE_PREAUTH_STATUSES } = require('./excess-statuses');
+const { getCurrencyCode } = require('./currency');
+const {
+  addVat,
+  isFullPaymentRequired,
+  calculateRequiredDeposit,
+  isVehicleCategory,
+  requiresExcess,
+  calculateExcessRequired
+} = require('./business-rules');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// HireHop billing_list row kinds
+const ROW_KIND = {
+  JOB_TOTAL: 0,
+  INVOICE: 1,
+  CREDIT_NOTE: 2,
+  PAYMENT_APPLICATION: 3,
+  DEPOSIT: 6
+};
+
+// Insurance excess money is only recognisable from the description staff or the webhook gave it
+function isExcessDescription(description) {
+  const desc = (description || '').toLowerCase();
+  return desc.includes('excess') ||
+    desc.includes('insurance') ||
+    desc.includes('top up') ||
+    /\bxs\b/.test(desc);
+}
+
+// Proformas are estimates and unapproved invoices are drafts - neither is owed yet
+function classifyInvoice(row) {
+  const description = (row.desc || '').toLowerCase();
+  if (description.includes('proforma') || description.includes('pro forma')) return 'proforma';
+  return (row.status || 0) > 0 ? 'approved' : 'unpaid';
+}
+
+// HireHop lists deposits as "e123" but payment applications refer to them as "123"
+function normalizeDepositId(id) {
+  const idStr = String(id);
+  return idStr.startsWith('e') ? idStr.substring(1) : idStr;
+}
+
+function calculateHireDays(jobData) {
+  const start = jobData.JOB_DATE || jobData.job_start;
+  const end = jobData.JOB_END || jobData.job_end;
+
+  if (start && end) {
+    return Math.ceil((new Date(end) - new Date(start)) / DAY_MS);
+  }
+  return jobData.DURATION_DAYS ? parseInt(jobData.DURATION_DAYS) : null;
+}
+
+// Vans on the job (non-virtual excess categories) including line quantities
+function summarizeVans(items, rules) {
+  const vehicles = items.filter(item => isVehicleCategory(item.CATEGORY_ID, rules));
+  const actualVans = items.filter(item => requiresExcess(item.CATEGORY_ID, rules) && item.VIRTUAL !== '1');
+  const vanCount = actualVans.reduce((total, van) => total + parseInt(van.qty || van.QTY || van.quantity || van.QUANTITY || 1), 0);
+
+  return {
+    hasVans: vanCount > 0,
+    vanCount,
+    excessRequired: vanCount > 0 ? calculateExcessRequired(actualVans, rules) : 0,
+    vehicles,
+    actualVans
+  };
+}
+
+// Monday.com knows about pre-auths and excess taken outside HireHop
+function determineExcessStatus(mondayExcess, hireHopExcessPaid, vanInfo, rules) {
+  const status = { paid: hireHopExcessPaid, method: 'not_required', description: 'No excess required', source: 'hirehop' };
+
+  if (!mondayExcess?.found || !mondayExcess.mondayExcessData) {
+    return status;
+  }
+
+  const isActivePreAuth = ACTIVE_PREAUTH_STATUSES.includes(mondayExcess.excessStatus);
+
+  // Only trust a pre-auth when both the update and the column say so
+  if (mondayExcess.preAuthUpdate && isActivePreAuth) {
+    return { ...status, method: 'pre-auth_completed', description: 'Pre-authorization completed (verified via Monday.com update + column)', source: 'monday.com' };
+  }
+  if (mondayExcess.preAuthUpdate && !mondayExcess.excessStatus) {
+    return { ...status, method: 'pre-auth_completed', description: 'Pre-authorization completed (via Monday.com update only)', source: 'monday.com' };
+  }
+  if (!mondayExcess.preAuthUpdate && isActivePreAuth) {
+    return { ...status, method: 'column_only_stale', description: 'Column shows pre-auth taken but no verification update found', source: 'monday.com_stale' };
+  }
+  if (mondayExcess.excessStatus === 'Excess paid') {
+    return {
+      paid: Math.max(hireHopExcessPaid, mondayExcess.mondayExcessData.paid || 0),
+      method: 'completed',
+      description: 'Excess payment completed (via Monday.com record)',
+      source: 'monday.com'
+    };
+  }
+  if (mondayExcess.excessStatus === 'Retained from previous hire') {
+    return {
+      paid: Math.max(hireHopExcessPaid, vanInfo.excessRequired || rules.excess.perVehicle),
+      method: 'retained',
+      description: 'Excess retained from previous hire',
+      source: 'monday.com'
+    };
+  }
+
+  return status;
+}
+
+// billingRows is billing_list.php's rows, or the whole response so bank names and currency come through.
+// mondayExcess is checkMondayExcessStatus()'s result, or null to use HireHop alone.
+function computeJobLedger(billingRows, items, jobData, mondayExcess, rules) {
+  const rows = Array.isArray(billingRows) ? billingRows : billingRows?.rows || [];
+  const banks = Array.isArray(billingRows) ? [] : billingRows?.banks || [];
+  const bankName = (row) => banks.find(b => b.ID === row.data?.ACC_ACCOUNT_ID)?.NAME;
+
+  const vanInfo = summarizeVans(items || [], rules);
+
+  let totalJobValueExVAT = 0;
+  let netHireDeposits = 0;
+  let netExcessDeposits = 0;
+  let totalApprovedInvoices = 0;
+  let totalAllInvoices = 0;
+  const hireDeposits = [];
+  const excessDeposits = [];
+  const approvedInvoices = [];
+  const skippedInvoices = [];
+  const payments = [];
+  const refunds = [];
+  const excessDepositIds = new Set();
+
+  // Pass 1: job total, invoices and deposits - every excess deposit ID must be known before
+  // payment applications can be told apart in pass 2
+  for (const row of rows) {
+    switch (row.kind) {
+      case ROW_KIND.JOB_TOTAL:
+        totalJobValueExVAT = row.accrued || 0;
+        break;
+
+      case ROW_KIND.INVOICE: {
+        totalAllInvoices += row.debit || 0;
+        const invoice = {
+          id: row.id,
+          number: row.number,
+          date: row.date,
+          amount: row.debit,
+          owing: row.owing,
+          status: row.status,
+          description: row.desc
+        };
+        const invoiceClass = classifyInvoice(row);
+        if (invoiceClass === 'approved') {
+          totalApprovedInvoices += row.debit || 0;
+          approvedInvoices.push(invoice);
+        } else {
+          skippedInvoices.push({ ...invoice, reason: invoiceClass });
+        }
+        break;
+      }
+
+      case ROW_KIND.DEPOSIT: {
+        const creditAmount = row.credit || 0;
+        const depositInfo = {
+          id: row.id,
+          number: row.number,
+          date: row.date,
+          amount: creditAmount,
+          description: row.desc,
+          owing: row.owing,
+          enteredBy: row.data?.CREATE_USER_NAME,
+          bankAccount: row.data?.ACC_ACCOUNT_ID,
+          bankName: bankName(row),
+          isRefund: creditAmount < 0
+        };
+
+        if (isExcessDescription(row.desc)) {
+          netExcessDeposits += creditAmount;
+          excessDeposits.push({ ...depositInfo, type: 'excess' });
+          excessDepositIds.add(normalizeDepositId(row.id));
+        } else {
+          netHireDeposits += creditAmount;
+          hireDeposits.push({ ...depositInfo, type: 'hire' });
+          if (creditAmount < 0) {
+            refunds.push({ ...depositInfo, type: 'hire_refund' });
+          }
+        }
+        break;
+      }
+
+      case ROW_KIND.CREDIT_NOTE: {
+        const creditAmount = -(row.debit || 0);
+        if (isExcessDescription(row.desc)) {
+          netExcessDeposits += creditAmount;
+        } else {
+          netHireDeposits += creditAmount;
+          refunds.push({
+            id: row.id,
+            number: row.number,
+            date: row.date,
+            amount: creditAmount,
+            description: row.desc,
+            type: 'credit_note'
+          });
+        }
+        break;
+      }
+    }
+  }
+
+  // Pass 2: payment applications
+  for (const row of rows) {
+    if (row.kind !== ROW_KIND.PAYMENT_APPLICATION) continue;
+
+    const paymentAmount = row.credit || 0;
+    const parentIs = row.data?.parent_is || '';
+    const paymentInfo = {
+      id: row.id,
+      number: row.number || '',
+      date: row.date,
+      amount: paymentAmount,
+      description: row.desc,
+      owner: row.owner,
+      isRefund: paymentAmount < 0,
+      enteredBy: row.data?.CREATE_USER_NAME || '',
+      bankAccount: row.data?.ACC_ACCOUNT_ID,
+      bankName: bankName(row),
+      parentIs
+    };
+    payments.push(paymentInfo);
+
+    const hasDescription = Boolean(row.desc && row.desc.trim() !== '');
+    const ownerDepositId = row.data?.OWNER_DEPOSIT ? String(row.data.OWNER_DEPOSIT) : null;
+
+    // Excess money HireHop applied to the hire automatically - only the deduction side counts
+    if (ownerDepositId && excessDepositIds.has(ownerDepositId) && !hasDescription && paymentAmount < 0) {
+      const usageAmount = Math.abs(paymentAmount);
+      netHireDeposits += usageAmount;
+      hireDeposits.push({
+        id: row.id,
+        number: `XS-USAGE-${row.id}`,
+        date: row.date,
+        amount: usageAmount,
+        description: `Applied from excess deposit (${ownerDepositId}) to ${parentIs}`,
+        type: 'hire',
+        enteredBy: row.data?.CREATE_USER_NAME || '',
+        bankName: 'Excess Usage',
+        isExcessUsage: true
+      });
+    } else if (hasDescription && isExcessDescription(row.desc)) {
+      netExcessDeposits += paymentAmount;
+      excessDeposits.push({ ...paymentInfo, type: 'excess' });
+    } else if (hasDescription) {
+      netHireDeposits += paymentAmount;
+      hireDeposits.push({ ...paymentInfo, type: 'hire' });
+      if (paymentAmount < 0) {
+        refunds.push({ ...paymentInfo, type: 'hire_refund' });
+      }
+    }
+    // Anything else is a deposit being applied to an invoice - already counted as the deposit
+  }
+
+  const excessStatus = determineExcessStatus(mondayExcess, netExcessDeposits, vanInfo, rules);
+
+  // The job value is what's owed - invoices can lag behind or be proformas
+  const totalJobValueIncVAT = addVat(totalJobValueExVAT, rules);
+  const actualTotalOwed = totalJobValueIncVAT;
+  const totalHirePaid = netHireDeposits;
+  const remainingHireBalance = actualTotalOwed - totalHirePaid;
+  const isOverpaid = remainingHireBalance < -0.01;
+  const requiredDeposit = calculateRequiredDeposit(actualTotalOwed, rules);
+  const totalExcessRequired = vanInfo.excessRequired || 0;
+
+  return {
+    hireDays: calculateHireDays(jobData || {}),
+    vanInfo,
+    financial: {
+      totalJobValueExVAT,
+      totalJobValueIncVAT,
+      totalAllInvoices,
+      totalApprovedInvoices,
+      actualTotalOwed,
+      totalHirePaid,
+      totalOwing: actualTotalOwed,
+      remainingHireBalance,
+      isOverpaid,
+      overpaidAmount: isOverpaid ? Math.abs(remainingHireBalance) : 0,
+      requiredDeposit,
+      fullPaymentRequired: isFullPaymentRequired(actualTotalOwed, rules),
+      depositPaid: totalHirePaid >= requiredDeposit,
+      fullyPaid: remainingHireBalance <= 0.01,
+      excessPaid: excessStatus.paid,
+      excessComplete: excessStatus.paid >= totalExcessRequired || ['pre-auth_completed', 'retained'].includes(excessStatus.method),
+      currency: getCurrencyCode(billingRows?.currency)
+    },
+    excess: {
+      required: totalExcessRequired,
+      perVehicle: rules.excess.perVehicle,
+      hireHopPaid: netExcessDeposits,
+      ...excessStatus
+    },
+    payments: {
+      hireDeposits,
+      excessDeposits,
+      approvedInvoices,
+      skippedInvoices,
+      payments,
+      refunds,
+      summary: {
+        totalHirePayments: hireDeposits.length,
+        totalExcessPayments: excessDeposits.length,
+        detectedExcessAmount: netExcessDeposits,
+        approvedInvoiceCount: approvedInvoices.length,
+        skippedInvoiceCount: skippedInvoices.length,
+        refundCount: refunds.length
+      }
+    },
+    breakdown: {
+      netHireDeposits,
+      netExcessDeposits
+    }
+  };
+}
+
+module.exports = {
+  ROW_KIND,
+  isExcessDescription,
+  normalizeDepositId,
+  calculateHireDays,
+  computeJobLedger
+};
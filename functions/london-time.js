@@ -0,0 +1,92 @@
+// functions/london-time.js - UK wall-clock times <-> UTC, BST included
+// Hire times are agreed in UK time. Monday.com keeps a date column's time in UTC, HireHop takes job
+// dates as UTC 'YYYY-MM-DD HH:MM:SS', and hour columns / notes are plain UK time - so every hop
+// goes through here rather than assuming a fixed offset.
+const LONDON_TZ = 'Europe/London';
+const DEFAULT_HIRE_TIME = '09:00:00';
+const HOUR_MS = 60 * 60 * 1000;
+
+const londonFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: LONDON_TZ,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// '9:5' / '09:05' / '09:05:00' -> '09:05:00' (null if it isn't a time)
+function normalizeTime(time) {
+  const match = String(time ?? '').trim().match(/^(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (!match) return null;
+  const [hours, minutes, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// Date -> { date: 'YYYY-MM-DD', time: 'HH:MM:SS' } as a UK clock shows it
+function toLondon(instant) {
+  const parts = Object.fromEntries(londonFormat.formatToParts(instant).map(({ type, value }) => [type, value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}:${parts.second}` };
+}
+
+// Milliseconds UK time is ahead of UTC at this instant (0 in winter, an hour in BST)
+function londonOffsetMs(instant) {
+  const { date, time } = toLondon(instant);
+  return Date.parse(`${date}T${time}Z`) - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// UK wall-clock date and time -> Date. Times the clocks skip in March land an hour later,
+// and the repeated hour in October is read as BST (the first time it happens).
+function fromLondon(date, time = DEFAULT_HIRE_TIME) {
+  const wallClock = Date.parse(`${date}T${normalizeTime(time) || DEFAULT_HIRE_TIME}Z`);
+  if (Number.isNaN(wallClock)) {
+    throw new Error(`Invalid UK date/time: ${date} ${time}`);
+  }
+  // UK time is only ever GMT or BST, so the instant is one of two candidates
+  const bst = wallClock - HOUR_MS;
+  if (londonOffsetMs(new Date(bst)) === HOUR_MS) return new Date(bst);
+  return new Date(wallClock);
+}
+
+// Date -> 'YYYY-MM-DD HH:MM:SS' in UTC, as HireHop job dates are sent and stored
+function toHireHopDateTime(instant) {
+  return instant.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Date -> Monday.com date column value, which keeps its time in UTC: { date, time: 'HH:MM:SS' }
+function toMondayDateTime(instant) {
+  const iso = instant.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+const HIREHOP_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?/;
+
+// HireHop's UTC 'YYYY-MM-DD HH:MM:SS' (or a bare date) -> UK { date, time }
+function fromHireHopDateTime(value) {
+  const match = String(value || '').match(HIREHOP_DATE_TIME);
+  if (!match) return null;
+  if (!match[2]) return { date: match[1], time: null };
+  return toLondon(parseHireHopDateTime(value));
+}
+
+// HireHop's UTC 'YYYY-MM-DD HH:MM:SS' -> Date (null without a time)
+function parseHireHopDateTime(value) {
+  const match = String(value || '').match(HIREHOP_DATE_TIME);
+  if (!match || !match[2]) return null;
+  return new Date(`${match[1]}T${normalizeTime(match[2])}Z`);
+}
+
+module.exports = {
+  LONDON_TZ,
+  DEFAULT_HIRE_TIME,
+  normalizeTime,
+  toLondon,
+  fromLondon,
+  toHireHopDateTime,
+  toMondayDateTime,
+  fromHireHopDateTime,
+  parseHireHopDateTime
+};
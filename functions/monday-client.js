@@ -0,0 +1,396 @@
+// functions/monday-client.js - Shared Monday.com GraphQL client
+// Values always go in as GraphQL variables (never interpolated into the query), list reads follow
+// the items_page cursor, and complexity / rate-limit rejections are retried after Monday's reset time.
+const fetch = require('node-fetch');
+
+const MONDAY_API_URL = 'https://api.monday.com/v2';
+const API_VERSION = '2023-10';
+const DEFAULT_TIMEOUT_MS = 10000;
+const PAGE_SIZE = 100;
+
+const RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelay: 1000,     // 1 second
+  maxDelay: 10000,     // 10 seconds
+  backoffFactor: 2
+};
+
+// Board columns used across functions
+const JOB_NUMBER_COLUMN = 'text7';   // "Create HH job number"
+const EXCESS_STATUS_COLUMN = 'status58'; // Insurance excess
+
+// Error codes Monday uses when it refuses a request before running it - always safe to retry
+const THROTTLE_CODES = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'RATE_LIMIT_EXCEEDED', 'maxConcurrencyExceeded', 'IP_RATE_LIMIT_EXCEEDED'];
+
+class MondayError extends Error {
+  constructor(message, { status = null, code = null, errors = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'MondayError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function isMondayConfigured() {
+  return !!(process.env.MONDAY_API_KEY && process.env.MONDAY_BOARD_ID);
+}
+
+// MONDAY_API_URL overrides the endpoint - the offline test harness points it at a fake server
+function getApiUrl() {
+  return process.env.MONDAY_API_URL || MONDAY_API_URL;
+}
+
+function getApiKey() {
+  const apiKey = process.env.MONDAY_API_KEY;
+  if (!apiKey) {
+    throw new MondayError('Monday.com API key not configured', { code: 'NO_CREDENTIALS' });
+  }
+  return apiKey;
+}
+
+function getBoardId() {
+  const boardId = process.env.MONDAY_BOARD_ID;
+  if (!boardId) {
+    throw new MondayError('Monday.com board ID not configured', { code: 'NO_CREDENTIALS' });
+  }
+  return boardId;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// "... reset in 23 seconds" / extensions.retry_in_seconds -> milliseconds
+function parseRetryAfter(error) {
+  const seconds = error?.extensions?.retry_in_seconds
+    || parseInt(((error?.message || error?.error_message || '').match(/reset in (\d+) seconds?/i) || [])[1]);
+  return seconds ? seconds * 1000 : null;
+}
+
+function getThrottleError(result) {
+  // Older API versions answer with a top-level error_code instead of an errors array
+  const errors = result.errors || (result.error_code ? [{ message: result.error_message, extensions: { code: result.error_code } }] : []);
+  return errors.find(error => THROTTLE_CODES.includes(error.extensions?.code) || /complexity budget exhausted|rate limit/i.test(error.message || '')) || null;
+}
+
+// Low-level request. Queries and idempotent mutations are retried on network/5xx failures too;
+// anything else (e.g. create_update) is only retried when Monday says it didn't run the request.
+async function mondayRequest(query, variables = {}, { idempotent = true, retries = RETRY_CONFIG.maxRetries, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const apiKey = getApiKey();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      let response;
+      try {
+        response = await fetch(getApiUrl(), {
+          method: 'POST',
+          timeout,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': apiKey,
+            'API-Version': API_VERSION
+          },
+          body: JSON.stringify({ query, variables })
+        });
+      } catch (error) {
+        throw new MondayError(`Monday.com request failed: ${error.message}`, {
+          code: error.type === 'request-timeout' ? 'TIMEOUT' : 'NETWORK',
+          retryable: idempotent
+        });
+      }
+
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('retry-after'));
+        throw new MondayError('Monday.com rate limit reached', { status: 429, code: 'RATE_LIMIT_EXCEEDED', retryable: true, retryAfterMs: retryAfter ? retryAfter * 1000 : null });
+      }
+
+      let result;
+      try {
+        result = await response.json();
+      } catch (error) {
+        throw new MondayError(`Monday.com returned HTTP ${response.status} without JSON`, { status: response.status, retryable: idempotent && response.status >= 500 });
+      }
+
+      const throttled = getThrottleError(result);
+      if (throttled) {
+        throw new MondayError(`Monday.com throttled the request: ${throttled.message}`, {
+          status: response.status,
+          code: throttled.extensions?.code || 'ComplexityException',
+          errors: result.errors,
+          retryable: true,
+          retryAfterMs: parseRetryAfter(throttled)
+        });
+      }
+
+      if (result.errors?.length || result.error_message) {
+        throw new MondayError(`Monday.com API error: ${(result.errors || []).map(e => e.message).join('; ') || result.error_message}`, {
+          status: response.status,
+          code: result.errors?.[0]?.extensions?.code || result.error_code || null,
+          errors: result.errors || result.error_message
+        });
+      }
+
+      if (!response.ok) {
+        throw new MondayError(`Monday.com returned HTTP ${response.status}`, { status: response.status, retryable: idempotent && response.status >= 500 });
+      }
+
+      return result.data;
+
+    } catch (error) {
+      if (!error.retryable || attempt > retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const backoff = Math.min(RETRY_CONFIG.baseDelay * Math.pow(RETRY_CONFIG.backoffFactor, attempt - 1), RETRY_CONFIG.maxDelay);
+      const delay = Math.min(error.retryAfterMs || backoff, RETRY_CONFIG.maxDelay);
+      console.log(`⏱️ Monday.com request failed (${error.message}) - retrying in ${delay}ms (attempt ${attempt + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ---------- Query builder ----------
+
+// Item selection set - ask only for what the caller needs, it keeps query complexity down.
+// columns: true for every column, or a list of column IDs; updates: true or a number to limit them.
+function itemFields({ columns = true, updates = false } = {}) {
+  const fields = ['id', 'name'];
+
+  if (columns) {
+    const columnFilter = Array.isArray(columns) ? `(ids: ${JSON.stringify(columns)})` : '';
+    fields.push(`column_values${columnFilter} { id text value }`);
+  }
+
+  if (updates) {
+    const updateLimit = typeof updates === 'number' ? `(limit: ${updates})` : '';
+    fields.push(`updates${updateLimit} { id body created_at creator { name } }`);
+  }
+
+  return fields.join('\n');
+}
+
+// ---------- Reads ----------
+
+// Every item whose column matches one of the values, following the cursor across pages
+async function findItemsByColumnValues(columnId, values, { columns, updates, pageSize = PAGE_SIZE, maxItems = Infinity } = {}) {
+  const fields = itemFields({ columns, updates });
+
+  const firstPage = await mondayRequest(`
+    query ($boardId: ID!, $columns: [ItemsPageByColumnValuesQuery!], $limit: Int!) {
+      items_page_by_column_values(board_id: $boardId, columns: $columns, limit: $limit) {
+        cursor
+        items { ${fields} }
+      }
+    }
+  `, {
+    boardId: getBoardId(),
+    columns: [{ column_id: columnId, column_values: values.map(String) }],
+    limit: Math.min(pageSize, maxItems)
+  });
+
+  let page = firstPage.items_page_by_column_values || { items: [], cursor: null };
+  const items = [...page.items];
+
+  while (page.cursor && items.length < maxItems) {
+    const nextPage = await mondayRequest(`
+      query ($cursor: String!, $limit: Int!) {
+        next_items_page(cursor: $cursor, limit: $limit) {
+          cursor
+          items { ${fields} }
+        }
+      }
+    `, { cursor: page.cursor, limit: pageSize });
+
+    page = nextPage.next_items_page || { items: [], cursor: null };
+    items.push(...page.items);
+  }
+
+  return items.slice(0, maxItems);
+}
+
+// The board item for a HireHop job, or null if there isn't one
+async function findItemByJobNumber(jobId, options = {}) {
+  const items = await findItemsByColumnValues(JOB_NUMBER_COLUMN, [jobId], { ...options, maxItems: 1 });
+  return items[0] || null;
+}
+
+async function getItem(itemId, options = {}) {
+  const data = await mondayRequest(`
+    query ($itemIds: [ID!]) {
+      items(ids: $itemIds) { ${itemFields(options)} }
+    }
+  `, { itemIds: [String(itemId)] });
+
+  return data.items?.[0] || null;
+}
+
+// HireHop job number stored on a board item
+async function getJobNumberForItem(itemId) {
+  const item = await getItem(itemId, { columns: [JOB_NUMBER_COLUMN] });
+  if (!item) return null;
+  return getColumnText(item, JOB_NUMBER_COLUMN);
+}
+
+// Most recent updates first, as Monday returns them
+async function getItemUpdates(itemId, { limit = 25 } = {}) {
+  const item = await getItem(itemId, { columns: false, updates: limit });
+  return item?.updates || [];
+}
+
+// Display value of a column - the text, or the label/text inside the JSON value
+function getColumnText(item, columnId) {
+  const column = (item.column_values || []).find(col => col.id === columnId);
+  if (!column) return null;
+  if (column.text) return column.text;
+  if (!column.value) return null;
+
+  try {
+    const parsed = JSON.parse(column.value);
+    if (typeof parsed !== 'object' || parsed === null) return String(parsed);
+    return parsed.label || parsed.text || null;
+  } catch (e) {
+    return column.value;
+  }
+}
+
+// A column's raw JSON value, e.g. { date: '2025-06-01', time: '08:00:00' } (null when empty)
+function getColumnValue(item, columnId) {
+  const column = (item.column_values || []).find(col => col.id === columnId);
+  if (!column || !column.value) return null;
+  try {
+    return JSON.parse(column.value);
+  } catch (e) {
+    return null;
+  }
+}
+
+// { columnId: display value } for every column on the item
+function getColumnTexts(item) {
+  const texts = {};
+  (item.column_values || []).forEach(column => {
+    texts[column.id] = getColumnText(item, column.id);
+  });
+  return texts;
+}
+
+// ---------- Writes ----------
+
+// value is the column's JSON value, e.g. { label: 'Pre-auth taken' } or { date: '2025-01-31' }
+async function changeColumnValue(itemId, columnId, value) {
+  const data = await mondayRequest(`
+    mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) {
+      change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) { id }
+    }
+  `, { boardId: getBoardId(), itemId: String(itemId), columnId, value: JSON.stringify(value) });
+
+  return data.change_column_value;
+}
+
+// Text, link-as-text and other columns that take a plain string
+async function changeSimpleColumnValue(itemId, columnId, value) {
+  const data = await mondayRequest(`
+    mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: String!) {
+      change_simple_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) { id }
+    }
+  `, { boardId: getBoardId(), itemId: String(itemId), columnId, value: String(value) });
+
+  return data.change_simple_column_value;
+}
+
+async function setStatus(itemId, columnId, label) {
+  console.log(`📝 Updating Monday.com column ${columnId} to "${label}"`);
+  return await changeColumnValue(itemId, columnId, { label });
+}
+
+// Not idempotent - a retried create_update could post the same message twice
+async function createUpdate(itemId, body) {
+  const data = await mondayRequest(`
+    mutation ($itemId: ID!, $body: String!) {
+      create_update(item_id: $itemId, body: $body) { id }
+    }
+  `, { itemId: String(itemId), body }, { idempotent: false });
+
+  return data.create_update?.id || null;
+}
+
+// ---------- Job helpers (best-effort, never throw) ----------
+
+// Set a status column on the job's board item. Returns { success, itemId } or { success: false, error }
+async function setJobStatus(jobId, columnId, label) {
+  try {
+    if (!isMondayConfigured()) {
+      console.log('⚠️ Monday.com credentials not configured, skipping status update');
+      return { success: false, error: 'No credentials' };
+    }
+
+    const item = await findItemByJobNumber(jobId, { columns: false });
+    if (!item) {
+      console.log(`⚠️ Job ${jobId} not found in Monday.com for status update`);
+      return { success: false, error: 'Job not found' };
+    }
+
+    await setStatus(item.id, columnId, label);
+    console.log(`✅ Updated Monday.com ${columnId} to "${label}" for job ${jobId}`);
+    return { success: true, itemId: item.id };
+
+  } catch (error) {
+    console.error(`❌ Failed to update Monday.com ${columnId} for job ${jobId}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function setExcessStatus(jobId, label) {
+  return await setJobStatus(jobId, EXCESS_STATUS_COLUMN, label);
+}
+
+// Post an update on the job's board item. Returns { success, itemId, updateId } or { success: false, error }
+async function createUpdateForJob(jobId, body) {
+  try {
+    if (!isMondayConfigured()) {
+      console.log('⚠️ Monday.com credentials not configured, skipping update');
+      return { success: false, error: 'No credentials' };
+    }
+
+    const item = await findItemByJobNumber(jobId, { columns: false });
+    if (!item) {
+      console.log(`⚠️ Job ${jobId} not found in Monday.com`);
+      return { success: false, error: 'Job not found' };
+    }
+
+    const updateId = await createUpdate(item.id, body);
+    console.log(`✅ Monday.com update created for job ${jobId}`);
+    return { success: true, itemId: item.id, updateId };
+
+  } catch (error) {
+    console.error(`❌ Error creating Monday.com update for job ${jobId}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  JOB_NUMBER_COLUMN,
+  EXCESS_STATUS_COLUMN,
+  MondayError,
+  isMondayConfigured,
+  mondayRequest,
+  itemFields,
+  findItemsByColumnValues,
+  findItemByJobNumber,
+  getItem,
+  getJobNumberForItem,
+  getItemUpdates,
+  getColumnText,
+  getColumnValue,
+  getColumnTexts,
+  changeColumnValue,
+  changeSimpleColumnValue,
+  setStatus,
+  createUpdate,
+  setJobStatus,
+  setExcessStatus,
+  createUpdateForJob
+};
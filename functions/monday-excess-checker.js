@@ -1,65 +1,33 @@
 // monday-excess-checker.js - UPDATED: Support for both payment intents and setup intents
+const { getRules } = require('./business-rules');
+const { EXCESS_STATUS_COLUMN, isMondayConfigured, findItemByJobNumber, getColumnText } = require('./monday-client');
+const { ACTIVE_PREAUTH_STATUSES, ENDED_PREAUTH_STATUSES } = require('./excess-statuses');
+
+// Held amount from a PRE-AUTH COMPLETED update, as formatMoney wrote it: any symbol or code
+// ('£1200.00', 'CHF 950.00'), no thousands separator
+function extractPreAuthAmount(body) {
+  const match = body.match(/PRE-AUTH COMPLETED: [^0-9\n]*([0-9]+(?:\.[0-9]+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
 
 // Check Monday.com updates for pre-auth completion
-async function checkMondayPreAuthStatus(jobId) {
+async function checkMondayPreAuthStatus(jobId, rules = getRules()) {
   try {
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
+    if (!isMondayConfigured()) {
       console.log('⚠️ Monday.com credentials not configured, skipping pre-auth check');
       return { found: false, reason: 'no_credentials' };
     }
     
     console.log(`🔍 Checking Monday.com updates for pre-auth completion on job ${jobId}`);
     
-    const query = `
-      query {
-        items_page_by_column_values(
-          board_id: ${mondayBoardId}
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-          limit: 1
-        ) {
-          items {
-            id
-            name
-            updates {
-              id
-              body
-              created_at
-              creator {
-                name
-              }
-            }
-          }
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': mondayApiKey,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query })
-    });
-    
-    const result = await response.json();
-    console.log(`📋 Monday.com API response:`, JSON.stringify(result, null, 2));
-    
-    if (result.errors) {
-      console.error('❌ Monday.com API errors:', result.errors);
-      return { found: false, reason: 'api_error', error: result.errors };
+    let items;
+    try {
+      const item = await findItemByJobNumber(jobId, { columns: false, updates: true });
+      items = item ? [item] : [];
+    } catch (error) {
+      console.error('❌ Monday.com API errors:', error.errors || error.message);
+      return { found: false, reason: 'api_error', error: error.errors || error.message };
     }
-    
-    const items = result.data?.items_page_by_column_values?.items || [];
     console.log(`📋 Found ${items.length} items for job ${jobId}`);
     
     if (items.length === 0) {
@@ -135,10 +103,9 @@ async function checkMondayPreAuthStatus(jobId) {
         }
         
         // Extract amount from the update
-        const amountMatch = update.body.match(/£([0-9]+\.?[0-9]*)/);
-        if (amountMatch) {
-          preAuthAmount = parseFloat(amountMatch[1]);
-          console.log(`💰 Extracted amount: £${preAuthAmount}`);
+        preAuthAmount = extractPreAuthAmount(update.body);
+        if (preAuthAmount !== null) {
+          console.log(`💰 Extracted amount: ${preAuthAmount}`);
         }
         
         break; // Take the first (most recent) match
@@ -156,7 +123,7 @@ async function checkMondayPreAuthStatus(jobId) {
         intentId: intentId,
         intentType: intentType,
         isManualCapture: intentType === 'payment_intent',
-        amount: preAuthAmount || 1200,
+        amount: preAuthAmount || rules.excess.perVehicle,
         updateId: preAuthUpdate.id,
         createdAt: preAuthUpdate.created_at,
         creator: preAuthUpdate.creator?.name,
@@ -180,77 +147,30 @@ async function checkMondayPreAuthStatus(jobId) {
 }
 
 // 🔧 UPDATED: Main function with enhanced intent type detection
-async function checkMondayExcessStatus(jobId) {
+// rules: the job's business rules, for the excess amount assumed when Monday only has a status
+async function checkMondayExcessStatus(jobId, rules = getRules()) {
   try {
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    
-    if (!mondayApiKey || !mondayBoardId) {
+    if (!isMondayConfigured()) {
       console.log('⚠️ Monday.com credentials not configured, skipping excess status check');
       return { found: false, reason: 'no_credentials' };
     }
     
     console.log(`🔍 MAIN EXCESS CHECK: Starting Monday.com excess status check for job ${jobId}`);
     
-    const query = `
-      query {
-        items_page_by_column_values(
-          board_id: ${mondayBoardId}
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-          limit: 1
-        ) {
-          items {
-            id
-            name
-            column_values {
-              id
-              text
-              value
-            }
-            updates {
-              id
-              body
-              created_at
-              creator {
-                name
-              }
-            }
-          }
-        }
-      }
-    `;
-    
     console.log(`📤 Sending Monday.com query for job ${jobId}`);
     
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': mondayApiKey,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query })
-    });
-    
-    if (!response.ok) {
-      console.error(`❌ Monday.com API HTTP error: ${response.status} ${response.statusText}`);
-      return { found: false, reason: 'http_error', status: response.status };
-    }
-    
-    const result = await response.json();
-    console.log(`📥 Monday.com API response received`);
-    
-    if (result.errors) {
-      console.error('❌ Monday.com API errors:', result.errors);
-      return { found: false, reason: 'api_error', error: result.errors };
+    let items;
+    try {
+      const item = await findItemByJobNumber(jobId, { updates: true });
+      items = item ? [item] : [];
+    } catch (error) {
+      if (error.status && !error.errors) {
+        console.error(`❌ Monday.com API HTTP error: ${error.status}`);
+        return { found: false, reason: 'http_error', status: error.status };
+      }
+      console.error('❌ Monday.com API errors:', error.errors || error.message);
+      return { found: false, reason: 'api_error', error: error.errors || error.message };
     }
-    
-    const items = result.data?.items_page_by_column_values?.items || [];
     console.log(`📋 Query returned ${items.length} items`);
     
     if (items.length === 0) {
@@ -262,25 +182,15 @@ async function checkMondayExcessStatus(jobId) {
     console.log(`📋 Found Monday.com item: ${item.id} - "${item.name}"`);
     
     // Extract the insurance excess status from columns
-    const excessColumn = item.column_values.find(col => col.id === 'status58');
+    const excessColumn = item.column_values.find(col => col.id === EXCESS_STATUS_COLUMN);
     const stripeXsColumn = item.column_values.find(col => col.id === 'text_mkrjj4sa');
     
     let excessStatus = null;
     let hasStripeLink = false;
     
     if (excessColumn) {
-      try {
-        if (excessColumn.text) {
-          excessStatus = excessColumn.text;
-        } else if (excessColumn.value) {
-          const parsed = JSON.parse(excessColumn.value);
-          excessStatus = parsed.label || parsed.text || null;
-        }
-        console.log(`📋 Excess column status: "${excessStatus}"`);
-      } catch (e) {
-        excessStatus = excessColumn.value;
-        console.log(`📋 Excess column raw value: "${excessStatus}"`);
-      }
+      excessStatus = getColumnText(item, EXCESS_STATUS_COLUMN);
+      console.log(`📋 Excess column status: "${excessStatus}"`);
     }
     
     if (stripeXsColumn && stripeXsColumn.text) {
@@ -350,10 +260,9 @@ async function checkMondayExcessStatus(jobId) {
         }
         
         // Extract amount
-        const amountMatch = update.body.match(/£([0-9]+\.?[0-9]*)/);
-        if (amountMatch) {
-          preAuthAmount = parseFloat(amountMatch[1]);
-          console.log(`💰 Found amount: £${preAuthAmount}`);
+        preAuthAmount = extractPreAuthAmount(update.body);
+        if (preAuthAmount !== null) {
+          console.log(`💰 Found amount: ${preAuthAmount}`);
         }
         
         break;
@@ -369,7 +278,19 @@ async function checkMondayExcessStatus(jobId) {
     let excessMethod = 'not_required';
     let excessDescription = 'No excess required';
     
-    if (preAuthUpdate) {
+    if (excessStatus === 'Pre-auth expired') {
+      // Stripe released the hold - the old pre-auth update no longer counts
+      console.log(`🔓 DETECTED: Previous pre-auth expired`);
+      excessPaid = 0;
+      excessMethod = 'expired';
+      excessDescription = 'Previous pre-authorization expired';
+    } else if (excessStatus === 'Pre-auth released') {
+      // Staff released the hold without claiming - the old pre-auth update no longer counts
+      console.log(`🔓 DETECTED: Previous pre-auth released by staff`);
+      excessPaid = 0;
+      excessMethod = 'released';
+      excessDescription = 'Previous pre-authorization released without claim';
+    } else if (preAuthUpdate) {
       console.log(`🔐 DETECTED: Pre-auth completed via Monday.com update`);
       console.log(`   Type: ${intentType === 'payment_intent' ? 'TRUE PRE-AUTH (manual capture)' : 'LEGACY (setup intent)'}`);
       excessPaid = 0;
@@ -377,24 +298,24 @@ async function checkMondayExcessStatus(jobId) {
       excessDescription = intentType === 'payment_intent' 
         ? 'Pre-authorization completed (manual capture - no auth required)'
         : 'Pre-authorization completed (legacy - may require auth)';
-    } else if (excessStatus === 'Pre-auth taken' || hasStripeLink) {
+    } else if (ACTIVE_PREAUTH_STATUSES.includes(excessStatus) || hasStripeLink) {
       console.log(`🔐 DETECTED: Pre-auth completed via Monday.com column`);
       excessPaid = 0;
       excessMethod = 'pre-auth_completed';
       excessDescription = 'Pre-authorization completed via Monday.com column';
     } else if (excessStatus === 'Pre-auth claimed') {
       console.log(`💰 DETECTED: Pre-auth has been claimed`);
-      excessPaid = 1200;
+      excessPaid = rules.excess.perVehicle;
       excessMethod = 'claimed';
       excessDescription = 'Pre-authorization has been claimed';
     } else if (excessStatus === 'Excess paid') {
       console.log(`💰 DETECTED: Excess payment completed`);
-      excessPaid = 1200;
+      excessPaid = rules.excess.perVehicle;
       excessMethod = 'completed';
       excessDescription = 'Excess payment completed via Monday.com record';
     } else if (excessStatus === 'Retained from previous hire') {
       console.log(`🔄 DETECTED: Excess retained from previous hire`);
-      excessPaid = 1200;
+      excessPaid = rules.excess.perVehicle;
       excessMethod = 'retained';
       excessDescription = 'Excess retained from previous hire';
     } else {
@@ -1,5 +1,7 @@
 // monday-integration.js - Complete Monday.com + HireHop status update system
-const fetch = require('node-fetch');
+const { updateJobStatus } = require('./hirehop-client');
+const { isMondayConfigured, findItemByJobNumber, getColumnTexts, setStatus, changeSimpleColumnValue, createUpdate } = require('./monday-client');
+const { formatMoney } = require('./currency');
 
 // Monday.com column IDs from your board
 const MONDAY_COLUMNS = {
@@ -33,20 +35,15 @@ const STATUS_VALUES = {
 // Main function to update Monday.com and HireHop after payment
 async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paymentAmount, isPreAuth = false, jobDetails) {
   try {
-    console.log(`🎯 MONDAY INTEGRATION: Starting update for job ${jobId}, payment type: ${paymentType}, amount: £${paymentAmount}`);
+    console.log(`🎯 MONDAY INTEGRATION: Starting update for job ${jobId}, payment type: ${paymentType}, amount: ${formatMoney(paymentAmount, jobDetails?.financial?.currency)}`);
     
-    const mondayApiKey = process.env.MONDAY_API_KEY;
-    const mondayBoardId = process.env.MONDAY_BOARD_ID;
-    const hirehopToken = process.env.HIREHOP_API_TOKEN;
-    const hirehopDomain = process.env.HIREHOP_DOMAIN || 'hirehop.net';
-    
-    if (!mondayApiKey || !mondayBoardId) {
+    if (!isMondayConfigured()) {
       throw new Error('Monday.com API credentials not configured');
     }
     
     // Step 1: Find the Monday.com item by job ID
     console.log('📋 STEP 1: Finding Monday.com item...');
-    const mondayItem = await findMondayItem(jobId, mondayApiKey, mondayBoardId);
+    const mondayItem = await findItemByJobNumber(jobId);
     
     if (!mondayItem) {
       console.log(`⚠️ No Monday.com item found for job ${jobId}`);
@@ -57,7 +54,7 @@ async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paym
     
     // Step 2: Get current status values
     console.log('📋 STEP 2: Reading current status values...');
-    const currentStatuses = extractCurrentStatuses(mondayItem);
+    const currentStatuses = getColumnTexts(mondayItem);
     console.log('Current statuses:', currentStatuses);
     
     // Step 3: Determine what status updates to make
@@ -78,14 +75,14 @@ async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paym
     
     for (const [columnId, newValue] of Object.entries(statusUpdates)) {
       if (newValue) {
-        const result = await updateMondayColumn(
-          mondayItem.id, 
-          columnId, 
-          newValue, 
-          mondayApiKey, 
-          mondayBoardId
-        );
-        mondayResults.push({ column: columnId, value: newValue, success: result.success });
+        try {
+          await setStatus(mondayItem.id, columnId, newValue);
+          console.log(`✅ Updated ${columnId} successfully`);
+          mondayResults.push({ column: columnId, value: newValue, success: true });
+        } catch (error) {
+          console.error(`Monday.com update error for ${columnId}:`, error.message);
+          mondayResults.push({ column: columnId, value: newValue, success: false });
+        }
       }
     }
     
@@ -97,8 +94,7 @@ async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paym
       paymentType,
       paymentAmount,
       isPreAuth,
-      mondayApiKey,
-      mondayBoardId
+      jobDetails?.financial?.currency
     );
     
     // Step 6: Update HireHop job status to "Booked" for payments
@@ -106,7 +102,7 @@ async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paym
     let hirehopResult = { success: false, message: 'Skipped' };
     
     if (paymentType === 'deposit' || paymentType === 'balance') {
-      hirehopResult = await updateHireHopJobStatus(jobId, 2, hirehopToken, hirehopDomain); // Status 2 = Booked
+      hirehopResult = await updateJobStatus(jobId, 2); // Status 2 = Booked
     }
     
     // Step 7: Return comprehensive results
@@ -137,79 +133,6 @@ async function updatePaymentStatus(jobId, paymentType, stripeTransactionId, paym
   }
 }
 
-// Find Monday.com item by job ID
-async function findMondayItem(jobId, apiKey, boardId) {
-  try {
-    // Search in the "Create HH job number" column (text7)
-    const query = `
-      query {
-        items_by_column_values(
-          board_id: ${boardId}
-          column_id: "text7"
-          column_value: "${jobId}"
-        ) {
-          id
-          name
-          column_values {
-            id
-            text
-            value
-          }
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('Monday.com API errors:', result.errors);
-      return null;
-    }
-    
-    const items = result.data?.items_by_column_values || [];
-    return items.length > 0 ? items[0] : null;
-    
-  } catch (error) {
-    console.error('Error finding Monday.com item:', error);
-    return null;
-  }
-}
-
-// Extract current status values from Monday.com item
-function extractCurrentStatuses(mondayItem) {
-  const statuses = {};
-  
-  mondayItem.column_values.forEach(column => {
-    const columnId = column.id;
-    let value = null;
-    
-    // Parse the column value based on type
-    if (column.text) {
-      value = column.text;
-    } else if (column.value) {
-      try {
-        const parsed = JSON.parse(column.value);
-        value = parsed.label || parsed.text || null;
-      } catch (e) {
-        value = column.value;
-      }
-    }
-    
-    statuses[columnId] = value;
-  });
-  
-  return statuses;
-}
-
 // Calculate what status updates to make based on business logic
 function calculateStatusUpdates(paymentType, paymentAmount, isPreAuth, currentStatuses, jobDetails) {
   const updates = {};
@@ -225,7 +148,7 @@ function calculateStatusUpdates(paymentType, paymentAmount, isPreAuth, currentSt
     const remainingAfterPayment = Math.max(0, jobDetails.financial.remainingHireBalance - paymentAmount);
     const isFullPayment = remainingAfterPayment <= 0.01; // Allow for small rounding differences
     
-    console.log(`Payment logic: Amount paid: £${paymentAmount}, Remaining after: £${remainingAfterPayment}, Is full payment: ${isFullPayment}`);
+    console.log(`Payment logic: Amount paid: ${formatMoney(paymentAmount, jobDetails.financial.currency)}, Remaining after: ${formatMoney(remainingAfterPayment, jobDetails.financial.currency)}, Is full payment: ${isFullPayment}`);
     
     if (isQuote) {
       // Quote logic
@@ -256,54 +179,8 @@ function calculateStatusUpdates(paymentType, paymentAmount, isPreAuth, currentSt
   return updates;
 }
 
-// Update a Monday.com column with new status value
-async function updateMondayColumn(itemId, columnId, newValue, apiKey, boardId) {
-  try {
-    console.log(`📝 Updating Monday.com column ${columnId} to "${newValue}"`);
-    
-    // Create the appropriate value format for Monday.com API
-    const value = JSON.stringify({ label: newValue });
-    
-    const mutation = `
-      mutation {
-        change_column_value(
-          item_id: ${itemId}
-          board_id: ${boardId}
-          column_id: "${columnId}"
-          value: "${value.replace(/"/g, '\\"')}"
-        ) {
-          id
-        }
-      }
-    `;
-    
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': apiKey
-      },
-      body: JSON.stringify({ query: mutation })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error(`Monday.com update error for ${columnId}:`, result.errors);
-      return { success: false, error: result.errors };
-    }
-    
-    console.log(`✅ Updated ${columnId} successfully`);
-    return { success: true };
-    
-  } catch (error) {
-    console.error(`Error updating Monday.com column ${columnId}:`, error);
-    return { success: false, error: error.message };
-  }
-}
-
 // Add Stripe transaction ID - different logic for payments vs pre-auths
-async function addStripeTransactionId(itemId, stripeId, paymentType, amount, isPreAuth, apiKey, boardId) {
+async function addStripeTransactionId(itemId, stripeId, paymentType, amount, isPreAuth, currency) {
   try {
     console.log(`📝 Adding Stripe transaction ID: ${stripeId}`);
     
@@ -312,73 +189,20 @@ async function addStripeTransactionId(itemId, stripeId, paymentType, amount, isP
       console.log('🔐 Adding pre-auth link to Stripe XS column');
       
       const stripeUrl = `https://dashboard.stripe.com/setup_intents/${stripeId}`;
-      
-      const mutation = `
-        mutation {
-          change_column_value(
-            item_id: ${itemId}
-            board_id: ${boardId}
-            column_id: "${MONDAY_COLUMNS.STRIPE_XS_LINK}"
-            value: "${stripeUrl}"
-          ) {
-            id
-          }
-        }
-      `;
-      
-      const response = await fetch('https://api.monday.com/v2', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': apiKey
-        },
-        body: JSON.stringify({ query: mutation })
-      });
-      
-      const result = await response.json();
-      
-      if (result.errors) {
-        console.error('Monday.com Stripe XS link update error:', result.errors);
-        return { success: false, error: result.errors };
-      }
+      await changeSimpleColumnValue(itemId, MONDAY_COLUMNS.STRIPE_XS_LINK, stripeUrl);
       
       console.log(`✅ Added Stripe pre-auth link to XS column`);
       return { success: true, type: 'stripe_xs_link' };
       
     } else {
       // For regular payments, add as an update
-      const paymentDescription = `Payment: £${amount} (${paymentType})`;
+      const paymentDescription = `Payment: ${formatMoney(amount, currency)} (${paymentType})`;
       const updateText = `${paymentDescription} - Stripe ID: ${stripeId}`;
       
-      const mutation = `
-        mutation {
-          create_update(
-            item_id: ${itemId}
-            body: "${updateText}"
-          ) {
-            id
-          }
-        }
-      `;
-      
-      const response = await fetch('https://api.monday.com/v2', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': apiKey
-        },
-        body: JSON.stringify({ query: mutation })
-      });
-      
-      const result = await response.json();
-      
-      if (result.errors) {
-        console.error('Monday.com update creation error:', result.errors);
-        return { success: false, error: result.errors };
-      }
+      const updateId = await createUpdate(itemId, updateText);
       
       console.log(`✅ Added Stripe transaction ID update`);
-      return { success: true, updateId: result.data?.create_update?.id, type: 'update' };
+      return { success: true, updateId, type: 'update' };
     }
     
   } catch (error) {
@@ -387,32 +211,6 @@ async function addStripeTransactionId(itemId, stripeId, paymentType, amount, isP
   }
 }
 
-// Update HireHop job status
-async function updateHireHopJobStatus(jobId, newStatus, token, domain) {
-  try {
-    console.log(`🏢 Updating HireHop job ${jobId} status to ${newStatus} (Booked)`);
-    
-    // Try the job status update endpoint
-    const encodedToken = encodeURIComponent(token);
-    const statusUrl = `https://${domain}/api/job_status.php?job=${jobId}&status=${newStatus}&token=${encodedToken}`;
-    
-    const response = await fetch(statusUrl, { method: 'POST' });
-    
-    if (response.ok) {
-      console.log(`✅ HireHop job status updated successfully`);
-      return { success: true, status: newStatus };
-    } else {
-      const errorText = await response.text();
-      console.error(`❌ HireHop status update failed: ${response.status} - ${errorText}`);
-      return { success: false, error: `HTTP ${response.status}: ${errorText}` };
-    }
-    
-  } catch (error) {
-    console.error('Error updating HireHop job status:', error);
-    return { success: false, error: error.message };
-  }
-}
-
 module.exports = {
   updatePaymentStatus,
   MONDAY_COLUMNS,
@@ -0,0 +1,234 @@
+// functions/monday-sync-actions.js - What each monday-sync-map action does to the HireHop job
+// Shared by monday-webhook, the sync conflict review (admin-sync-conflicts) and dead-letter replays,
+// so a change retried later is applied exactly as the webhook would have applied it.
+const { addJobNote, updateJobStatus, updateJobDates } = require('./hirehop-client');
+const { getItem, getColumnValue } = require('./monday-client');
+const { HIREHOP_STATUS_NAMES, getColumnAction, getDateColumn, getTimeColumn } = require('./monday-sync-map');
+const { toLondon, normalizeTime, DEFAULT_HIRE_TIME } = require('./london-time');
+
+// Why a value needs nothing doing in HireHop, or null when it does
+function getSkipReason(column, newValue) {
+  if (column.action === 'status' && column.labels[newValue] === undefined) {
+    return `Status "${newValue}" not in our mapping for ${column.columnId}`;
+  }
+  if (column.action === 'completion' && newValue !== column.label) {
+    return `Status "${newValue}" is not the completion status`;
+  }
+  return null;
+}
+
+// Each action returns { success, note, details }, { success: false, error, attempts } or { skipped }
+const ACTION_HANDLERS = {
+  async status(jobId, column, label) {
+    const hireHopStatus = column.labels[label];
+    console.log(`🎯 Syncing job ${jobId}: Monday "${label}" -> HireHop status ${hireHopStatus} (${HIREHOP_STATUS_NAMES[hireHopStatus]})`);
+
+    // Spread the load when a batch of items changes at once
+    const batchDelay = Math.random() * 2000;
+    console.log(`⏱️ Adding ${Math.round(batchDelay)}ms batch processing delay`);
+    await sleep(batchDelay);
+
+    const updateResult = await updateJobStatus(jobId, hireHopStatus);
+    if (!updateResult.success) return updateResult;
+
+    return {
+      success: true,
+      note: `📋 Status synced from Monday.com: "${label}" -> ${HIREHOP_STATUS_NAMES[hireHopStatus]}`,
+      details: {
+        mondayStatus: label,
+        hireHopStatus,
+        statusName: HIREHOP_STATUS_NAMES[hireHopStatus],
+        attempts: updateResult.attempts,
+        processingTime: updateResult.processingTime
+      }
+    };
+  },
+
+  async completion(jobId, column, label) {
+    console.log(`🏁 Setting job ${jobId} to ${HIREHOP_STATUS_NAMES[column.status]} status`);
+
+    const updateResult = await updateJobStatus(jobId, column.status);
+    if (!updateResult.success) return updateResult;
+
+    return {
+      success: true,
+      note: `🏁 Job marked as ${HIREHOP_STATUS_NAMES[column.status]} - synced from Monday.com ${column.name}`,
+      details: { mondayStatus: label, hireHopStatus: column.status, statusName: HIREHOP_STATUS_NAMES[column.status] }
+    };
+  },
+
+  async date(jobId, column, dateValue, { itemId, value }) {
+    // The date column's own time wins; otherwise the board's hour column, if it has one
+    const when = readMondayDate(value);
+    const timeColumn = when.time ? null : getTimeColumn(column.field);
+    if (timeColumn) {
+      when.time = readMondayHour(await getItemColumnValue(itemId, timeColumn.columnId));
+    }
+
+    return saveHireTime(jobId, column, when);
+  },
+
+  async time(jobId, column, time, { itemId }) {
+    const dateColumn = getDateColumn(column.field);
+    const when = dateColumn && readMondayDate(await getItemColumnValue(itemId, dateColumn.columnId));
+    if (!when) {
+      return { skipped: `No ${dateColumn ? dateColumn.name : column.field} date on the item to set the time of` };
+    }
+
+    return saveHireTime(jobId, dateColumn, { date: when.date, time });
+  },
+
+  async note(jobId, column, text) {
+    return {
+      success: true,
+      note: `📝 ${column.name} changed on Monday.com: ${text}`,
+      details: { value: text }
+    };
+  }
+};
+
+// Send a UK date and time to HireHop's out / to date, and its start / end of use when the map says so
+async function saveHireTime(jobId, dateColumn, { date, time }) {
+  const label = dateColumn.field === 'out' ? 'Outgoing' : 'Returning';
+  const when = { date, time: time || DEFAULT_HIRE_TIME };
+  const dates = { [dateColumn.field]: when };
+  if (dateColumn.useField) dates[dateColumn.useField] = when;
+
+  const updateResult = await updateJobDates(jobId, dates);
+  if (!updateResult.success) return updateResult;
+
+  const shownTime = when.time.slice(0, 5);
+  const prefix = dateColumn.field === 'out' ? 'outgoing' : 'returning';
+  return {
+    success: true,
+    note: `📅 ${label} date synced from Monday.com: ${date} ${shownTime} (UK time)${time ? '' : ' - no time on the board, default used'}${dateColumn.useField ? ` - job ${dateColumn.useField} of use moved too` : ''}`,
+    details: { [`${prefix}Date`]: date, [`${prefix}Time`]: shownTime, useField: dateColumn.useField || null }
+  };
+}
+
+// The value Monday.com's webhook carries, in the form the column's action works with
+function extractColumnValue(column, value) {
+  if (column.action === 'date') return readMondayDate(value)?.date || null;
+  if (column.action === 'time') return readMondayHour(value);
+  return extractStatusLabel(value);
+}
+
+// Status label from any of the shapes Monday.com sends
+function extractStatusLabel(value) {
+  console.log('🔍 Extracting value from:', JSON.stringify(value));
+
+  if (typeof value === 'string') {
+    // Stringified column value, or the label itself
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object') return extractStatusLabel(parsed);
+    } catch (e) {
+      // Not JSON - the label itself
+    }
+    return value;
+  }
+
+  if (value && typeof value === 'object') {
+    if (value.label && value.label.text) {
+      return value.label.text;
+    } else if (value.label && typeof value.label === 'string') {
+      return value.label;
+    } else if (value.text) {
+      return value.text;
+    } else if (value.name) {
+      return value.name;
+    } else if (value.date) {
+      return value.date;
+    }
+
+    // Try to find any string value in the object
+    const stringValues = Object.values(value).filter(v => typeof v === 'string');
+    if (stringValues.length > 0) {
+      return stringValues[0];
+    }
+  }
+
+  console.log('❌ Could not extract status label');
+  return null;
+}
+
+// Date columns send { date: '2025-06-01', time: '08:00:00' } with the time in UTC (or null), or the
+// date string -> UK { date, time } (time null when the column has none)
+function readMondayDate(value) {
+  let raw = value;
+  if (typeof value === 'string') {
+    try {
+      raw = JSON.parse(value);
+    } catch (e) {
+      raw = { date: value };
+    }
+  }
+  if (!raw?.date) return null;
+
+  const utcTime = normalizeTime(raw.time);
+  if (!utcTime) return { date: raw.date, time: null };
+  return toLondon(new Date(`${raw.date}T${utcTime}Z`));
+}
+
+// Hour columns send { hour: 14, minute: 30 } in UK time -> '14:30:00'
+function readMondayHour(value) {
+  let raw = value;
+  if (typeof value === 'string') {
+    try {
+      raw = JSON.parse(value);
+    } catch (e) {
+      return normalizeTime(value);
+    }
+  }
+  if (!raw || raw.hour === undefined || raw.hour === null) return null;
+  return normalizeTime(`${raw.hour}:${raw.minute || 0}`);
+}
+
+// Raw value of another column on the item (e.g. the time that goes with a date)
+async function getItemColumnValue(itemId, columnId) {
+  const item = await getItem(itemId, { columns: [columnId] });
+  return item ? getColumnValue(item, columnId) : null;
+}
+
+// Run the column's action for a value extractColumnValue() gave. context: { itemId, value } where
+// value is the raw column value from Monday.com.
+async function applyColumnChange(jobId, column, newValue, context) {
+  return ACTION_HANDLERS[column.action](jobId, column, newValue, context);
+}
+
+// Dead-letter replay of a column change monday-webhook couldn't save (see dead-letters.js)
+async function replayColumnChange({ payload }) {
+  const { jobId, itemId, columnId, value, displayValue } = payload;
+  const column = getColumnAction(columnId);
+  if (!column) {
+    return { success: false, error: `Column ${columnId} is no longer in the sync map` };
+  }
+
+  const result = await applyColumnChange(jobId, column, displayValue, { itemId, value });
+  if (result.skipped) {
+    return { success: true, message: result.skipped };
+  }
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  await addJobNote(jobId, `${result.note} (retried after an earlier failure)`);
+  return { success: true, message: `${column.name} synced to HireHop` };
+}
+
+// Actions that change the HireHop job itself (notes don't, so they never conflict)
+function changesHireHopJob(column) {
+  return column.action !== 'note';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  extractColumnValue,
+  getSkipReason,
+  applyColumnChange,
+  replayColumnChange,
+  changesHireHopJob
+};
@@ -0,0 +1,128 @@
+// functions/monday-sync-map.js - Which Monday.com board columns sync to HireHop, and how
+// The map comes from monday-sync-map.json, or MONDAY_SYNC_MAP_JSON when set. Each column entry has an
+// action:
+//   status     - "labels": { "<Monday label>": <HireHop status code> }
+//   date       - "field": "out" (outgoing / hire start) or "to" (returning / hire end). A time set on the
+//                date column is used; "useField": "start" / "end" also moves the job's dates of use.
+//   time       - an hour column holding the UK time for "field"'s date column, when the board keeps
+//                times separately
+//   completion - "label" that marks the job with HireHop "status" (Completed when left out)
+//   note       - records the new value as a HireHop job note
+// "name" is what notes and logs call the column.
+const defaultMap = require('./monday-sync-map.json');
+
+const ACTIONS = ['status', 'date', 'time', 'completion', 'note'];
+const COMPLETED_STATUS = 11;
+
+const HIREHOP_STATUS_NAMES = {
+  0: 'Enquiry',
+  1: 'Provisional',
+  2: 'Booked',
+  3: 'Prepped',
+  4: 'Part dispatched',
+  5: 'Dispatched',
+  6: 'Returned incomplete',
+  7: 'Returned',
+  8: 'Requires attention',
+  9: 'Cancelled',
+  10: 'Not interested',
+  11: 'Completed'
+};
+
+let cachedMap = null;
+
+function loadMap() {
+  if (process.env.MONDAY_SYNC_MAP_JSON) {
+    return JSON.parse(process.env.MONDAY_SYNC_MAP_JSON);
+  }
+  return defaultMap;
+}
+
+// Throws if the map is unusable - a bad entry would otherwise silently stop a column syncing
+function validateMap(map) {
+  if (!map || typeof map.columns !== 'object' || map.columns === null) {
+    throw new Error('Invalid Monday.com sync map: "columns" must be an object');
+  }
+
+  const errors = [];
+  for (const [columnId, entry] of Object.entries(map.columns)) {
+    if (!ACTIONS.includes(entry.action)) {
+      errors.push(`${columnId}: action must be one of ${ACTIONS.join(', ')}`);
+    } else if (entry.action === 'status') {
+      const labels = Object.entries(entry.labels || {});
+      if (labels.length === 0) errors.push(`${columnId}: status columns need "labels"`);
+      labels.filter(([, status]) => !Number.isInteger(status)).forEach(([label]) => {
+        errors.push(`${columnId}: "${label}" must map to a HireHop status number`);
+      });
+    } else if (['date', 'time'].includes(entry.action) && !['out', 'to'].includes(entry.field)) {
+      errors.push(`${columnId}: ${entry.action} columns need "field" of "out" or "to"`);
+    } else if (entry.action === 'date' && entry.useField !== undefined && !['start', 'end'].includes(entry.useField)) {
+      errors.push(`${columnId}: "useField" must be "start" or "end"`);
+    } else if (entry.action === 'completion') {
+      if (!entry.label) errors.push(`${columnId}: completion columns need a "label"`);
+      if (entry.status !== undefined && !Number.isInteger(entry.status)) errors.push(`${columnId}: "status" must be a HireHop status number`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid Monday.com sync map: ${errors.join('; ')}`);
+  }
+  return map;
+}
+
+function getSyncMap() {
+  if (!cachedMap) {
+    cachedMap = validateMap(loadMap());
+  }
+  return cachedMap;
+}
+
+// { columnId, name, action, ... } or null for columns that don't sync
+function getColumnAction(columnId) {
+  const entry = getSyncMap().columns[columnId];
+  if (!entry) return null;
+  return {
+    ...entry,
+    columnId,
+    name: entry.name || columnId,
+    status: entry.action === 'completion' ? (entry.status ?? COMPLETED_STATUS) : entry.status
+  };
+}
+
+// Labels on a column that already stand for this HireHop status (several can, e.g. every "paid" label is Booked)
+function labelsForStatus(columnId, status) {
+  const action = getColumnAction(columnId);
+  if (!action) return [];
+  if (action.action === 'status') {
+    return Object.entries(action.labels).filter(([, code]) => code === status).map(([label]) => label);
+  }
+  if (action.action === 'completion' && action.status === status) {
+    return [action.label];
+  }
+  return [];
+}
+
+function findColumn(action, field) {
+  const entry = Object.entries(getSyncMap().columns).find(([, column]) => column.action === action && column.field === field);
+  return entry ? getColumnAction(entry[0]) : null;
+}
+
+// The column a HireHop date ('out' / 'to') syncs with
+function getDateColumn(field) {
+  return findColumn('date', field);
+}
+
+// The hour column holding that date's time, if the board has one
+function getTimeColumn(field) {
+  return findColumn('time', field);
+}
+
+module.exports = {
+  HIREHOP_STATUS_NAMES,
+  validateMap,
+  getSyncMap,
+  getColumnAction,
+  labelsForStatus,
+  getDateColumn,
+  getTimeColumn
+};
@@ -0,0 +1,95 @@
+// functions/monday-webhook-guard.js - Shared authentication for incoming Monday.com webhooks
+// Monday.com signs webhook requests with a JWT (HS256, app signing secret) in the Authorization header.
+// Board webhooks that can't be signed may instead carry a shared token: ...?token=<MONDAY_WEBHOOK_TOKEN>
+const crypto = require('crypto');
+const { guardWebhook, splitSecrets, safeEqual } = require('./webhook-guard');
+
+// Allowed clock drift when checking JWT expiry
+const CLOCK_SKEW_SECONDS = 60;
+
+// Verify a Monday.com webhook. Call after challenge handling and before any HireHop/Monday work.
+// Returns { valid: true, method, claims } or { valid: false, error } (rejections are audited and counted).
+async function verifyMondayWebhook(event, handlerName) {
+  return guardWebhook(event, {
+    source: 'monday',
+    label: 'Monday.com',
+    handlerName,
+    check: () => checkMondayAuthentication(event),
+    auditDetails: { authorizationPresent: !!getAuthorizationHeader(event) }
+  });
+}
+
+function checkMondayAuthentication(event) {
+  const signingSecrets = splitSecrets(process.env.MONDAY_SIGNING_SECRET);
+  const sharedTokens = splitSecrets(process.env.MONDAY_WEBHOOK_TOKEN);
+
+  if (signingSecrets.length === 0 && sharedTokens.length === 0) {
+    console.error('❌ Neither MONDAY_SIGNING_SECRET nor MONDAY_WEBHOOK_TOKEN configured - rejecting all deliveries');
+    return { valid: false, error: 'Webhook authentication not configured' };
+  }
+
+  const authorization = getAuthorizationHeader(event);
+  if (authorization && signingSecrets.length > 0) {
+    const jwtCheck = verifyJwt(authorization.replace(/^Bearer\s+/i, ''), signingSecrets);
+    return jwtCheck.valid ? { valid: true, method: 'jwt', claims: jwtCheck.claims } : jwtCheck;
+  }
+
+  const providedToken = event.queryStringParameters?.token;
+  if (providedToken && sharedTokens.some(token => safeEqual(providedToken, token))) {
+    return { valid: true, method: 'shared_token', claims: null };
+  }
+
+  return { valid: false, error: providedToken ? 'Invalid webhook token' : 'Missing webhook signature' };
+}
+
+// Verify an HS256 JWT against any of the configured secrets (several allowed while rotating)
+function verifyJwt(jwt, secrets) {
+  const parts = jwt.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed JWT' };
+  }
+
+  const [header64, claims64, signature] = parts;
+
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(header64, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(claims64, 'base64url').toString());
+  } catch (error) {
+    return { valid: false, error: 'Malformed JWT' };
+  }
+
+  if (header.alg !== 'HS256') {
+    return { valid: false, error: `Unsupported JWT algorithm: ${header.alg}` };
+  }
+
+  const signedPart = `${header64}.${claims64}`;
+  const signatureMatches = secrets.some(secret =>
+    safeEqual(signature, crypto.createHmac('sha256', secret).update(signedPart).digest('base64url'))
+  );
+
+  if (!signatureMatches) {
+    return { valid: false, error: 'Invalid JWT signature' };
+  }
+
+  // Monday.com always sets exp - a signed token without one would be good forever
+  if (!Number.isFinite(claims.exp)) {
+    return { valid: false, error: 'JWT has no expiry' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now > claims.exp + CLOCK_SKEW_SECONDS) {
+    return { valid: false, error: 'JWT expired' };
+  }
+
+  return { valid: true, claims };
+}
+
+function getAuthorizationHeader(event) {
+  const headers = event.headers || {};
+  return headers.authorization || headers.Authorization || null;
+}
+
+module.exports = {
+  verifyMondayWebhook
+};
@@ -0,0 +1,100 @@
+// functions/notifications.js - Customer emails for payment events, logged against the job
+// Best-effort: a failed email is logged and reported but never throws, so it can't undo a payment
+// that has already gone through. Callers that can be retried (the Stripe webhook) run it as a
+// ledger step so the customer gets one email per payment.
+const { getStore } = require('./persistent-store');
+const { getJobData } = require('./hirehop-client');
+const { getTransport } = require('./email-transport');
+const { renderEmail } = require('./email-templates');
+
+// Keep the log to a sensible size - busy jobs see a handful of emails, not hundreds
+const MAX_LOG_ENTRIES = 50;
+
+function emailLogStore() {
+  return getStore('email-log');
+}
+
+function isEmailEnabled() {
+  return process.env.CUSTOMER_EMAILS_ENABLED !== 'false';
+}
+
+function getCustomerEmail(jobData) {
+  const email = jobData?.customer_email || jobData?.CUSTOMER_EMAIL || jobData?.EMAIL || '';
+  return email.trim();
+}
+
+function getCustomerName(jobData) {
+  return jobData?.customer_name || jobData?.CUSTOMER_NAME || jobData?.NAME || '';
+}
+
+// Send a templated email to the job's customer.
+// Returns { success, messageId } or { success: false, skipped?, error }.
+async function sendCustomerEmail(jobId, templateName, data = {}, { jobData = null } = {}) {
+  if (!isEmailEnabled()) {
+    console.log(`📧 Customer emails disabled - not sending ${templateName} for job ${jobId}`);
+    return { success: false, skipped: true, error: 'Customer emails disabled' };
+  }
+
+  let to = '';
+  let email = null;
+  try {
+    const job = jobData || await getJobData(jobId);
+    to = getCustomerEmail(job);
+
+    if (!to) {
+      console.log(`⚠️ No customer email on job ${jobId} - not sending ${templateName}`);
+      await logEmail(jobId, { template: templateName, to: null, status: 'skipped', error: 'No customer email on job' });
+      return { success: false, skipped: true, error: 'No customer email on job' };
+    }
+
+    const transport = getTransport();
+    if (!transport) {
+      console.log(`⚠️ No email transport configured (SMTP_HOST or EMAIL_TRANSPORT) - not sending ${templateName} for job ${jobId}`);
+      await logEmail(jobId, { template: templateName, to, status: 'skipped', error: 'Email sending not configured' });
+      return { success: false, skipped: true, error: 'Email sending not configured' };
+    }
+
+    email = renderEmail(templateName, { ...data, jobId: String(jobId), customerName: getCustomerName(job) });
+    const result = await transport.send({ to, ...email });
+
+    // The log transport never reaches the customer - don't record it as sent
+    if (result.logged) {
+      await logEmail(jobId, { template: templateName, to, subject: email.subject, status: 'skipped', error: 'Logged only (EMAIL_TRANSPORT=log)' });
+      return { success: false, skipped: true, error: 'Logged only (EMAIL_TRANSPORT=log)' };
+    }
+
+    console.log(`📧 Sent ${templateName} email for job ${jobId} to ${to}`);
+    await logEmail(jobId, { template: templateName, to, subject: email.subject, status: 'sent', messageId: result.messageId });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error(`❌ Failed to send ${templateName} email for job ${jobId}:`, error.message);
+    try {
+      await logEmail(jobId, { template: templateName, to: to || null, subject: email?.subject, status: 'failed', error: error.message });
+    } catch (logError) {
+      console.error('❌ Failed to log email:', logError.message);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+async function logEmail(jobId, entry) {
+  const store = emailLogStore();
+  const key = `job:${jobId}`;
+  const log = await store.get(key) || { jobId: String(jobId), emails: [] };
+
+  log.emails.push({ ...entry, at: new Date().toISOString() });
+  log.emails = log.emails.slice(-MAX_LOG_ENTRIES);
+  await store.set(key, log);
+}
+
+// Every email sent (or attempted) for a job, oldest first
+async function getEmailLog(jobId) {
+  const log = await emailLogStore().get(`job:${jobId}`);
+  return log?.emails || [];
+}
+
+module.exports = {
+  sendCustomerEmail,
+  getEmailLog
+};
@@ -0,0 +1,218 @@
+// functions/payment-ledger.js - Durable idempotency ledger for Stripe webhook processing
+// Records every Stripe event we've handled and, per payment, the outcome of each processing step,
+// so a retried delivery skips the steps that already worked and resumes where the last one stopped.
+const { getStore } = require('./persistent-store');
+
+// A delivery that claimed a payment but hasn't finished within this window is assumed dead
+const LEASE_MS = 60 * 1000;
+
+function ledgerStore() {
+  return getStore('stripe-ledger');
+}
+
+// Has this exact Stripe event already been fully handled?
+async function isEventProcessed(eventId) {
+  if (!eventId) return false;
+  const record = await ledgerStore().get(`event:${eventId}`);
+  return !!(record && record.status === 'completed');
+}
+
+async function markEventProcessed(eventId, details = {}) {
+  if (!eventId) return;
+  await ledgerStore().set(`event:${eventId}`, {
+    eventId,
+    ...details,
+    status: 'completed',
+    completedAt: new Date().toISOString()
+  });
+}
+
+// Claim a payment (keyed by payment intent ID, or session ID when there isn't one) for processing.
+// Returns { status: 'claimed' | 'completed' | 'in_progress', ledger }
+async function beginPayment(paymentKey, details = {}) {
+  const store = ledgerStore();
+  const key = `payment:${paymentKey}`;
+  const now = Date.now();
+
+  const initialRecord = {
+    paymentKey,
+    jobId: details.jobId || null,
+    paymentType: details.paymentType || null,
+    eventIds: details.eventId ? [details.eventId] : [],
+    status: 'processing',
+    attempts: 1,
+    steps: {},
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    leaseUntil: now + LEASE_MS
+  };
+
+  // One atomic write decides which delivery gets the payment, even when Stripe sends two at once
+  let outcome;
+  const { value: record } = await store.update(key, (current) => {
+    if (!current) {
+      outcome = 'new';
+      return initialRecord;
+    }
+    if (current.status === 'completed') {
+      outcome = 'completed';
+      return undefined;
+    }
+    if (current.status === 'processing' && current.leaseUntil > now) {
+      outcome = 'in_progress';
+      return undefined;
+    }
+
+    // Failed or abandoned earlier - take it over and resume
+    outcome = 'resumed';
+    const eventIds = details.eventId && !current.eventIds.includes(details.eventId)
+      ? [...current.eventIds, details.eventId]
+      : current.eventIds;
+    return {
+      ...current,
+      eventIds,
+      status: 'processing',
+      attempts: (current.attempts || 0) + 1,
+      leaseUntil: now + LEASE_MS,
+      updatedAt: new Date(now).toISOString()
+    };
+  });
+
+  if (outcome === 'completed') {
+    console.log(`⚠️ LEDGER: Payment ${paymentKey} already completed - skipping`);
+    return { status: 'completed', ledger: null };
+  }
+
+  if (outcome === 'in_progress') {
+    console.log(`⏳ LEDGER: Payment ${paymentKey} is being processed by another delivery`);
+    return { status: 'in_progress', ledger: null };
+  }
+
+  if (outcome === 'resumed') {
+    const doneSteps = Object.keys(record.steps).filter(step => record.steps[step].status === 'succeeded');
+    console.log(`🔁 LEDGER: Resuming payment ${paymentKey} (attempt ${record.attempts}), completed steps: ${doneSteps.join(', ') || 'none'}`);
+  }
+
+  return { status: 'claimed', ledger: createLedgerHandle(store, key, record) };
+}
+
+function createLedgerHandle(store, key, record) {
+  async function save() {
+    record.updatedAt = new Date().toISOString();
+    await store.set(key, record);
+  }
+
+  return {
+    record,
+
+    // Run a step once. A step that already succeeded returns its stored result without running again.
+    // isSuccess decides whether a returned result counts as success (exceptions always count as failure).
+    async runStep(name, fn, isSuccess = defaultStepSuccess) {
+      const previous = record.steps[name];
+      if (previous && previous.status === 'succeeded') {
+        console.log(`⏭️ LEDGER: Step "${name}" already succeeded - skipping`);
+        return previous.result;
+      }
+
+      const attempts = (previous?.attempts || 0) + 1;
+      try {
+        const result = await fn();
+        record.steps[name] = {
+          status: isSuccess(result) ? 'succeeded' : 'failed',
+          result: result === undefined ? null : result,
+          attempts,
+          at: new Date().toISOString()
+        };
+        await save();
+        return result;
+      } catch (error) {
+        record.steps[name] = { status: 'failed', error: error.message, attempts, at: new Date().toISOString() };
+        await save();
+        throw error;
+      }
+    },
+
+    stepSucceeded(name) {
+      return record.steps[name]?.status === 'succeeded';
+    },
+
+    async complete() {
+      record.status = 'completed';
+      record.leaseUntil = null;
+      record.completedAt = new Date().toISOString();
+      await save();
+    },
+
+    async fail(error) {
+      record.status = 'failed';
+      record.leaseUntil = null;
+      record.lastError = error?.message || String(error);
+      await save();
+    }
+  };
+}
+
+// Run one step of a payment again outside a Stripe delivery (dead-letter replays). The payment is
+// leased for the step like a delivery would, and a step that has since succeeded - on a Stripe
+// redelivery, say - isn't run twice.
+// Returns { status: 'succeeded' | 'failed' | 'skipped' | 'in_progress' | 'missing', result }
+async function retryPaymentStep(paymentKey, name, fn, isSuccess = defaultStepSuccess) {
+  const store = ledgerStore();
+  const key = `payment:${paymentKey}`;
+  const now = Date.now();
+
+  let outcome;
+  let previousStatus;
+  const { value: record } = await store.update(key, (current) => {
+    if (!current) {
+      outcome = 'missing';
+      return undefined;
+    }
+    if (current.status === 'processing' && current.leaseUntil > now) {
+      outcome = 'in_progress';
+      return undefined;
+    }
+    if (current.steps[name]?.status === 'succeeded') {
+      outcome = 'skipped';
+      return undefined;
+    }
+    outcome = 'claimed';
+    previousStatus = current.status;
+    return { ...current, status: 'processing', leaseUntil: now + LEASE_MS, updatedAt: new Date(now).toISOString() };
+  });
+
+  if (outcome === 'missing') {
+    return { status: 'missing', result: null };
+  }
+  if (outcome === 'in_progress') {
+    return { status: 'in_progress', result: null };
+  }
+  if (outcome === 'skipped') {
+    console.log(`⏭️ LEDGER: Step "${name}" of ${paymentKey} already succeeded - skipping`);
+    return { status: 'skipped', result: record.steps[name].result };
+  }
+
+  try {
+    const result = await createLedgerHandle(store, key, record).runStep(name, fn, isSuccess);
+    return { status: record.steps[name].status, result };
+  } finally {
+    // Hand the payment back in the state the replay found it
+    record.status = previousStatus;
+    record.leaseUntil = null;
+    record.updatedAt = new Date().toISOString();
+    await store.set(key, record);
+  }
+}
+
+function defaultStepSuccess(result) {
+  if (result === false) return false;
+  if (result && typeof result === 'object' && result.success === false) return false;
+  return true;
+}
+
+module.exports = {
+  isEventProcessed,
+  markEventProcessed,
+  beginPayment,
+  retryPaymentStep
+};
@@ -0,0 +1,183 @@
+// functions/persistent-store.js - Pluggable key/value storage shared by functions
+// Adapters: "file" (JSON files on disk, for local runs) and "netlify-blobs" (deployed site).
+// Choose with STORE_ADAPTER; defaults to netlify-blobs on Netlify and file everywhere else.
+const fs = require('fs');
+const path = require('path');
+
+function getAdapterName() {
+  if (process.env.STORE_ADAPTER) {
+    return process.env.STORE_ADAPTER;
+  }
+  return process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME ? 'netlify-blobs' : 'file';
+}
+
+// Get a named store. Every adapter exposes the same async API:
+// get(key), set(key, value), create(key, value) -> false if key exists, delete(key), list(prefix),
+// update(key, fn) -> { updated, value }. create and update are atomic: update reads the current value
+// (null if none), stores what fn returns (undefined leaves it alone) and runs fn again if another
+// writer got there first - so fn must not have side effects.
+const MAX_UPDATE_ATTEMPTS = 10;
+
+function getStore(name) {
+  const adapter = getAdapterName();
+
+  switch (adapter) {
+    case 'file':
+      return createFileStore(name);
+    case 'netlify-blobs':
+      return createBlobsStore(name);
+    default:
+      throw new Error(`Unknown STORE_ADAPTER "${adapter}" - use "file" or "netlify-blobs"`);
+  }
+}
+
+// Lambda-style handlers must pass their event through before using Netlify Blobs
+function connectStore(event) {
+  if (getAdapterName() === 'netlify-blobs' && event && event.blobs) {
+    require('@netlify/blobs').connectLambda(event);
+  }
+}
+
+// Updates queued per file - the file adapter serves one process (local runs and tests)
+const fileUpdateQueues = new Map();
+
+// JSON file per key under STORE_DIR/<store name>/
+function createFileStore(name) {
+  const dir = path.join(process.env.STORE_DIR || path.resolve('.data'), name);
+
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  async function ensureDir() {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      await ensureDir();
+      // Write to a temp file then rename so readers never see half a record
+      const tempFile = `${fileFor(key)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(value, null, 2));
+      await fs.promises.rename(tempFile, fileFor(key));
+    },
+
+    async create(key, value) {
+      await ensureDir();
+      try {
+        await fs.promises.writeFile(fileFor(key), JSON.stringify(value, null, 2), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    },
+
+    async update(key, fn) {
+      const file = fileFor(key);
+      const previous = fileUpdateQueues.get(file) || Promise.resolve();
+      const run = previous.catch(() => {}).then(async () => {
+        const current = await this.get(key);
+        const next = fn(current);
+        if (next === undefined) return { updated: false, value: current };
+        await this.set(key, next);
+        return { updated: true, value: next };
+      });
+      fileUpdateQueues.set(file, run);
+      try {
+        return await run;
+      } finally {
+        if (fileUpdateQueues.get(file) === run) fileUpdateQueues.delete(file);
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(fileFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      try {
+        const files = await fs.promises.readdir(dir);
+        return files
+          .filter(file => file.endsWith('.json'))
+          .map(file => decodeURIComponent(file.slice(0, -5)))
+          .filter(key => key.startsWith(prefix));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
+
+// Netlify Blobs store (strong consistency so a write is visible to the next read)
+function createBlobsStore(name) {
+  const { getStore: getBlobStore } = require('@netlify/blobs');
+
+  const options = { name, consistency: 'strong' };
+  if (process.env.NETLIFY_BLOBS_SITE_ID && process.env.NETLIFY_BLOBS_TOKEN) {
+    options.siteID = process.env.NETLIFY_BLOBS_SITE_ID;
+    options.token = process.env.NETLIFY_BLOBS_TOKEN;
+  }
+
+  let store;
+  const blobs = () => {
+    store = store || getBlobStore(options);
+    return store;
+  };
+
+  return {
+    async get(key) {
+      return blobs().get(key, { type: 'json' });
+    },
+
+    async set(key, value) {
+      await blobs().setJSON(key, value);
+    },
+
+    async create(key, value) {
+      const { modified } = await blobs().setJSON(key, value, { onlyIfNew: true });
+      return modified;
+    },
+
+    // Compare-and-set on the blob's etag, retried when another writer changed it in between
+    async update(key, fn) {
+      for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+        const entry = await blobs().getWithMetadata(key, { type: 'json' });
+        const current = entry ? entry.data : null;
+        const next = fn(current);
+        if (next === undefined) return { updated: false, value: current };
+
+        const condition = entry ? { onlyIfMatch: entry.etag } : { onlyIfNew: true };
+        const { modified } = await blobs().setJSON(key, next, condition);
+        if (modified) return { updated: true, value: next };
+      }
+      throw new Error(`Store update of "${key}" kept conflicting with other writers`);
+    },
+
+    async delete(key) {
+      await blobs().delete(key);
+    },
+
+    async list(prefix = '') {
+      const { blobs: entries } = await blobs().list({ prefix });
+      return entries.map(entry => entry.key);
+    }
+  };
+}
+
+module.exports = {
+  getStore,
+  connectStore
+};
@@ -0,0 +1,169 @@
+// functions/preauth-expiry-monitor.js - Scheduled watch on excess pre-auth holds
+// Card holds taken with manual capture are released by Stripe after 7 days. This flags holds
+// approaching that point and records the ones Stripe has cancelled, in Monday.com and HireHop,
+// and lets the customer know when their hold has been released.
+const stripe = require('./stripe-client');
+const { getStore, connectStore } = require('./persistent-store');
+const { holdExpiresAt, getHoldClaims } = require('./excess-claims');
+const { REAUTH_BEFORE_EXPIRY_HOURS } = require('./scheduled-holds');
+const { addJobNote } = require('./hirehop-client');
+const { sendCustomerEmail } = require('./notifications');
+const { getCurrencyCode, formatMoney, formatMinorUnits, fromMinorUnits } = require('./currency');
+const { EXCESS_STATUS_COLUMN, isMondayConfigured, findItemByJobNumber, setStatus, createUpdate } = require('./monday-client');
+
+const DEFAULT_WARNING_HOURS = 48;
+// Saved-card holds are renewed by scheduled-preauth-holds from REAUTH_BEFORE_EXPIRY_HOURS before
+// expiry - only warn about one that is still open this long into that window
+const RENEWAL_GRACE_HOURS = 6;
+const EXPIRED_LOOKBACK_DAYS = 14; // how far back to look for holds Stripe has cancelled
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('⏰ PRE-AUTH EXPIRY MONITOR: Starting run');
+
+    connectStore(event);
+
+    const store = getStore('preauth-monitor');
+    const warningHours = parseInt(process.env.PREAUTH_EXPIRY_WARNING_HOURS) || DEFAULT_WARNING_HOURS;
+    const now = Date.now();
+
+    const summary = { checked: 0, expiring: 0, expired: 0, alreadyFlagged: 0, errors: 0 };
+
+    // STEP 1: Open holds getting close to expiry
+    const openHolds = stripe.paymentIntents.search({
+      query: "status:'requires_capture' AND metadata['paymentType']:'excess'",
+      limit: 100
+    });
+
+    for await (const paymentIntent of openHolds) {
+      summary.checked++;
+      const expiresAt = holdExpiresAt(paymentIntent).getTime();
+      const hoursLeft = (expiresAt - now) / (60 * 60 * 1000);
+
+      const scheduled = paymentIntent.metadata.scheduledHold === 'true';
+      const warnFromHours = scheduled ? Math.min(warningHours, REAUTH_BEFORE_EXPIRY_HOURS - RENEWAL_GRACE_HOURS) : warningHours;
+      if (hoursLeft > warnFromHours) continue;
+
+      const record = (await store.get(paymentIntent.id)) || {};
+      if (record.warnedAt) {
+        summary.alreadyFlagged++;
+        continue;
+      }
+
+      try {
+        await flagExpiringHold(paymentIntent, expiresAt, hoursLeft);
+        await store.set(paymentIntent.id, { ...record, jobId: paymentIntent.metadata.jobId, warnedAt: new Date().toISOString(), expiresAt: new Date(expiresAt).toISOString() });
+        summary.expiring++;
+      } catch (error) {
+        console.error(`❌ Failed to flag expiring hold ${paymentIntent.id}:`, error);
+        summary.errors++;
+      }
+    }
+
+    // STEP 2: Holds Stripe has cancelled automatically
+    const lookbackStart = Math.floor((now - EXPIRED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) / 1000);
+    const cancelledHolds = stripe.paymentIntents.search({
+      query: `status:'canceled' AND metadata['paymentType']:'excess' AND created>${lookbackStart}`,
+      limit: 100
+    });
+
+    for await (const paymentIntent of cancelledHolds) {
+      summary.checked++;
+
+      // Holds released by staff are recorded by the admin tools, not here
+      if (paymentIntent.cancellation_reason !== 'automatic') continue;
+
+      const record = (await store.get(paymentIntent.id)) || {};
+      if (record.expiredAt) {
+        summary.alreadyFlagged++;
+        continue;
+      }
+
+      try {
+        await flagExpiredHold(paymentIntent);
+        await store.set(paymentIntent.id, { ...record, jobId: paymentIntent.metadata.jobId, expiredAt: new Date().toISOString() });
+        summary.expired++;
+      } catch (error) {
+        console.error(`❌ Failed to flag expired hold ${paymentIntent.id}:`, error);
+        summary.errors++;
+      }
+    }
+
+    console.log('✅ PRE-AUTH EXPIRY MONITOR: Run complete', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('❌ Pre-auth expiry monitor error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+// Hold is about to lapse - prompt staff to claim it or take a fresh one
+async function flagExpiringHold(paymentIntent, expiresAt, hoursLeft) {
+  const jobId = paymentIntent.metadata.jobId;
+  const amount = fromMinorUnits(paymentIntent.amount_capturable || paymentIntent.amount, paymentIntent);
+  const expiryText = new Date(expiresAt).toLocaleString('en-GB', { timeZone: 'Europe/London' });
+
+  // Staged claims are only taken when the hold is captured - they are lost if it lapses
+  const holdClaims = await getHoldClaims(paymentIntent.id);
+  const stagedPence = (holdClaims?.claims || []).reduce((total, claim) => total + claim.amountPence, 0);
+
+  console.log(`⚠️ Hold ${paymentIntent.id} for job ${jobId} expires in ${Math.max(0, hoursLeft).toFixed(1)}h`);
+
+  const message = `⏰ PRE-AUTH EXPIRING: ${formatMoney(amount, paymentIntent)} excess hold expires ${expiryText}
+💳 Payment Intent ID: ${paymentIntent.id}
+🔗 Stripe Link: https://dashboard.stripe.com/payments/${paymentIntent.id}
+${stagedPence > 0 ? `📝 ${formatMinorUnits(stagedPence, paymentIntent)} in staged claims has not been captured yet
+` : ''}⚠️ Claim any damages via the Admin Portal before then, or arrange a new pre-auth with the customer.`;
+
+  await updateMondayForHold(jobId, 'Pre-auth expiring', message);
+  await addJobNote(jobId, message);
+}
+
+// Stripe released the hold - nothing can be claimed against it any more
+async function flagExpiredHold(paymentIntent) {
+  const jobId = paymentIntent.metadata.jobId;
+  const amount = fromMinorUnits(paymentIntent.amount, paymentIntent);
+  const currency = getCurrencyCode(paymentIntent);
+
+  console.log(`🔓 Hold ${paymentIntent.id} for job ${jobId} was released by Stripe`);
+
+  const message = `🔓 PRE-AUTH EXPIRED: ${formatMoney(amount, currency)} excess hold was released by Stripe and can no longer be claimed
+💳 Payment Intent ID: ${paymentIntent.id}
+🔗 Stripe Link: https://dashboard.stripe.com/payments/${paymentIntent.id}
+⚠️ If an excess is still needed, ask the customer for a new pre-auth or payment.`;
+
+  await updateMondayForHold(jobId, 'Pre-auth expired', message);
+  await addJobNote(jobId, message);
+  await sendCustomerEmail(jobId, 'hold_expired', { amount, currency });
+}
+
+async function updateMondayForHold(jobId, excessStatus, updateText) {
+  if (!isMondayConfigured()) {
+    console.log('⚠️ Monday.com credentials not configured, skipping');
+    return { success: false };
+  }
+
+  try {
+    const mondayItem = await findItemByJobNumber(jobId, { columns: false });
+    if (!mondayItem) {
+      console.log(`⚠️ Job ${jobId} not found in Monday.com`);
+      return { success: false };
+    }
+
+    await setStatus(mondayItem.id, EXCESS_STATUS_COLUMN, excessStatus);
+    await createUpdate(mondayItem.id, updateText);
+    return { success: true };
+
+  } catch (error) {
+    console.error(`❌ Monday.com update failed for job ${jobId}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
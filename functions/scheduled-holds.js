@@ -0,0 +1,213 @@
+// functions/scheduled-holds.js - Saved-card excess holds placed automatically before hire start
+// Card holds only last 7 days, so longer or far-off hires save the card at booking instead. The
+// scheduler places a manual-capture hold a few days before the hire and re-authorises it until the
+// post-hire claim window has passed.
+const stripe = require('./stripe-client');
+const { getStore } = require('./persistent-store');
+const { holdExpiresAt, getHoldClaims, closeHoldClaims } = require('./excess-claims');
+const { getCurrencyCode, formatMinorUnits, fromMinorUnits, toStripeCurrency } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LEAD_DAYS = 2;         // place the hold this long before hire start
+const DEFAULT_CLAIM_WINDOW_DAYS = 3; // keep a hold in place this long after the hire ends
+const REAUTH_BEFORE_EXPIRY_HOURS = 24;
+const MAX_ATTEMPTS = 3;
+
+function holdsStore() {
+  return getStore('scheduled-holds');
+}
+
+function isScheduledHoldEnabled() {
+  return process.env.SCHEDULED_PREAUTH_ENABLED !== 'false';
+}
+
+function getLeadDays() {
+  return parseInt(process.env.SCHEDULED_HOLD_LEAD_DAYS) || DEFAULT_LEAD_DAYS;
+}
+
+// When the first hold should be placed for a hire starting on startDate
+function getHoldDueDate(startDate) {
+  return new Date(new Date(startDate).getTime() - getLeadDays() * DAY_MS);
+}
+
+// Holds must keep covering the job until staff have had time to inspect the van
+function getCoverUntil(endDate) {
+  const claimDays = parseInt(process.env.SCHEDULED_HOLD_CLAIM_DAYS) || DEFAULT_CLAIM_WINDOW_DAYS;
+  return new Date(new Date(endDate).getTime() + claimDays * DAY_MS);
+}
+
+async function getScheduledHold(jobId) {
+  return await holdsStore().get(`job:${jobId}`);
+}
+
+async function listScheduledHolds() {
+  const store = holdsStore();
+  const keys = await store.list('job:');
+  const records = [];
+  for (const key of keys) {
+    const record = await store.get(key);
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+// Card saved at booking - schedule the first hold
+async function saveScheduledHold({ jobId, customerId, paymentMethodId, setupIntentId, amountPence, currency, hireStart, hireEnd }) {
+  const record = {
+    jobId: jobId.toString(),
+    customerId,
+    paymentMethodId,
+    setupIntentId,
+    amountPence,
+    currency: getCurrencyCode(currency),
+    hireStart: new Date(hireStart).toISOString(),
+    hireEnd: new Date(hireEnd).toISOString(),
+    holdDueAt: getHoldDueDate(hireStart).toISOString(),
+    coverUntil: getCoverUntil(hireEnd).toISOString(),
+    status: 'scheduled',
+    currentHoldId: null,
+    holds: [],
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await holdsStore().set(`job:${record.jobId}`, record);
+  console.log(`📅 SCHEDULED HOLD: Job ${record.jobId} - ${formatMinorUnits(amountPence, record.currency)} hold due ${record.holdDueAt}`);
+  return record;
+}
+
+async function updateScheduledHold(jobId, changes) {
+  const store = holdsStore();
+  const key = `job:${jobId}`;
+  const record = await store.get(key);
+  if (!record) return null;
+
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  await store.set(key, record);
+  return record;
+}
+
+// A hold for this job was authorised (by the scheduler, or by the customer after an SCA prompt)
+async function recordHoldPlaced(jobId, paymentIntent) {
+  const record = await getScheduledHold(jobId);
+  if (!record) return null;
+
+  const previousHoldId = record.currentHoldId;
+  if (!record.holds.includes(paymentIntent.id)) {
+    record.holds.push(paymentIntent.id);
+  }
+
+  const updated = await updateScheduledHold(jobId, {
+    status: 'held',
+    currentHoldId: paymentIntent.id,
+    holds: record.holds,
+    // A card confirmed on-session replaces whatever was saved at booking
+    paymentMethodId: paymentIntent.payment_method || record.paymentMethodId,
+    customerId: paymentIntent.customer || record.customerId,
+    currentHoldExpiresAt: holdExpiresAt(paymentIntent).toISOString(),
+    attempts: 0,
+    lastError: null,
+    renewalBlockedAt: null
+  });
+
+  if (previousHoldId && previousHoldId !== paymentIntent.id) {
+    await releaseSupersededHold(previousHoldId, paymentIntent.id);
+  }
+
+  return updated;
+}
+
+// The customer should only ever have one excess hold on their card
+async function releaseSupersededHold(oldHoldId, newHoldId) {
+  const holdClaims = await getHoldClaims(oldHoldId);
+  if (holdClaims?.status === 'open' && holdClaims.claims.length > 0) {
+    console.log(`⚠️ Keeping superseded hold ${oldHoldId} - it has staged claims`);
+    return false;
+  }
+
+  const oldHold = await stripe.paymentIntents.retrieve(oldHoldId);
+  if (oldHold.status === 'requires_capture') {
+    await stripe.paymentIntents.cancel(oldHoldId, { cancellation_reason: 'abandoned' });
+  }
+  await closeHoldClaims(oldHoldId, 'replaced', { replacedBy: newHoldId });
+
+  console.log(`🔄 Hold ${oldHoldId} replaced by ${newHoldId}`);
+  return true;
+}
+
+// Place an off-session manual-capture hold on the saved card.
+// Returns { status: 'held', paymentIntent } | { status: 'action_required', paymentIntentId, error } | { status: 'failed', error }
+async function placeOffSessionHold(record, { replacesHoldId } = {}) {
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: record.amountPence,
+      currency: toStripeCurrency(record.currency),
+      customer: record.customerId,
+      payment_method: record.paymentMethodId,
+      capture_method: 'manual',
+      off_session: true,
+      confirm: true,
+      statement_descriptor_suffix: `JOB${record.jobId}`,
+      description: `Pre-auth excess hold for job #${record.jobId} - placed from saved card`,
+      metadata: {
+        jobId: record.jobId,
+        paymentType: 'excess',
+        isPreAuth: 'true',
+        captureMethod: 'manual',
+        scheduledHold: 'true',
+        replacesHold: replacesHoldId || ''
+      }
+    }, {
+      // One attempt per hold slot, even if the scheduler overlaps with itself
+      idempotencyKey: `scheduled-hold:${record.jobId}:${replacesHoldId || 'initial'}:${record.attempts || 0}`
+    });
+
+    console.log(`✅ SCHEDULED HOLD: Placed ${paymentIntent.id} for job ${record.jobId} (${paymentIntent.status})`);
+    return { status: 'held', paymentIntent };
+
+  } catch (error) {
+    // The bank wants the customer to authenticate - can't be done off-session
+    if (error.code === 'authentication_required' || error.raw?.payment_intent?.status === 'requires_action') {
+      console.log(`🔐 SCHEDULED HOLD: Job ${record.jobId} needs customer authentication`);
+      return {
+        status: 'action_required',
+        paymentIntentId: error.raw?.payment_intent?.id || null,
+        error: 'Your bank needs you to confirm the hold'
+      };
+    }
+
+    console.error(`❌ SCHEDULED HOLD: Failed for job ${record.jobId}:`, error.message);
+    return { status: 'failed', error: error.message, declineCode: error.decline_code || error.code || null };
+  }
+}
+
+// Customer-safe view for the payment page
+function summarizeScheduledHold(record) {
+  if (!record) return null;
+
+  return {
+    status: record.status,
+    amount: fromMinorUnits(record.amountPence, record.currency),
+    currency: getCurrencyCode(record.currency),
+    holdDueAt: record.holdDueAt,
+    coverUntil: record.coverUntil,
+    currentHoldExpiresAt: record.currentHoldExpiresAt || null,
+    lastError: record.status === 'action_required' || record.status === 'failed' ? record.lastError : null
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  REAUTH_BEFORE_EXPIRY_HOURS,
+  isScheduledHoldEnabled,
+  getHoldDueDate,
+  getCoverUntil,
+  getScheduledHold,
+  listScheduledHolds,
+  saveScheduledHold,
+  updateScheduledHold,
+  recordHoldPlaced,
+  placeOffSessionHold,
+  summarizeScheduledHold
+};
@@ -0,0 +1,151 @@
+// functions/scheduled-preauth-holds.js - Places and renews saved-card excess holds
+// Runs hourly: places the first hold a few days before hire start, re-authorises holds about to
+// expire while the hire (plus claim window) is still running, and flags holds that need the
+// customer to authenticate with their bank.
+const stripe = require('./stripe-client');
+const { connectStore } = require('./persistent-store');
+const { getHoldClaims } = require('./excess-claims');
+const { addJobNote } = require('./hirehop-client');
+const { createUpdateForJob } = require('./monday-client');
+const { formatMinorUnits } = require('./currency');
+const {
+  MAX_ATTEMPTS,
+  REAUTH_BEFORE_EXPIRY_HOURS,
+  listScheduledHolds,
+  updateScheduledHold,
+  recordHoldPlaced,
+  placeOffSessionHold
+} = require('./scheduled-holds');
+
+// Wait this long before retrying a hold the card issuer declined
+const RETRY_AFTER_HOURS = 12;
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('📅 SCHEDULED HOLDS: Starting run');
+
+    connectStore(event);
+
+    const now = Date.now();
+    const summary = { checked: 0, placed: 0, renewed: 0, completed: 0, actionRequired: 0, failed: 0, skipped: 0 };
+
+    const records = await listScheduledHolds();
+
+    for (const record of records) {
+      summary.checked++;
+
+      try {
+        const outcome = await processScheduledHold(record, now);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        console.error(`❌ Scheduled hold for job ${record.jobId} failed:`, error);
+        summary.failed++;
+      }
+    }
+
+    console.log('✅ SCHEDULED HOLDS: Run complete', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('❌ Scheduled holds error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+// Work out what, if anything, a job's saved-card hold needs this hour
+async function processScheduledHold(record, now) {
+  const coverUntil = new Date(record.coverUntil).getTime();
+
+  if (['complete', 'cancelled'].includes(record.status)) return 'skipped';
+
+  // Hire and claim window are over - stop chasing holds
+  if (now >= coverUntil) {
+    await updateScheduledHold(record.jobId, { status: 'complete', completedAt: new Date(now).toISOString() });
+    console.log(`🏁 Job ${record.jobId}: cover period over`);
+    return 'completed';
+  }
+
+  if (record.status === 'scheduled') {
+    if (now < new Date(record.holdDueAt).getTime()) return 'skipped';
+    return await placeHold(record, null);
+  }
+
+  if (record.status === 'failed') {
+    const retryDue = new Date(record.lastAttemptAt).getTime() + RETRY_AFTER_HOURS * 60 * 60 * 1000;
+    if (record.attempts >= MAX_ATTEMPTS || now < retryDue) return 'skipped';
+    return await placeHold(record, record.currentHoldId);
+  }
+
+  if (record.status !== 'held') return 'skipped';
+
+  // Staff captured or released the hold, or the cover period is over - nothing more to do
+  const currentHold = await stripe.paymentIntents.retrieve(record.currentHoldId);
+  if (currentHold.status !== 'requires_capture') {
+    await updateScheduledHold(record.jobId, { status: 'complete', completedAt: new Date(now).toISOString() });
+    console.log(`🏁 Job ${record.jobId}: saved-card hold finished (${currentHold.status})`);
+    return 'completed';
+  }
+
+  const expiresAt = new Date(record.currentHoldExpiresAt).getTime();
+  const renewFrom = expiresAt - REAUTH_BEFORE_EXPIRY_HOURS * 60 * 60 * 1000;
+  if (now < renewFrom || expiresAt >= coverUntil) return 'skipped';
+
+  // Renewing would drop claims recorded against the current hold - staff must capture them first
+  const holdClaims = await getHoldClaims(record.currentHoldId);
+  if (holdClaims?.status === 'open' && holdClaims.claims.length > 0) {
+    if (!record.renewalBlockedAt) {
+      await notifyJob(record.jobId, `⚠️ EXCESS HOLD NOT RENEWED: ${holdClaims.claims.length} staged claim(s) on ${record.currentHoldId}
+📋 Capture the staged claims in the Admin Portal before the hold expires on ${new Date(expiresAt).toLocaleString('en-GB', { timeZone: 'Europe/London' })}`);
+      await updateScheduledHold(record.jobId, { renewalBlockedAt: new Date(now).toISOString() });
+    }
+    return 'skipped';
+  }
+
+  return await placeHold(record, record.currentHoldId);
+}
+
+async function placeHold(record, replacesHoldId) {
+  const attempts = (record.attempts || 0) + 1;
+  await updateScheduledHold(record.jobId, { attempts, lastAttemptAt: new Date().toISOString() });
+
+  const result = await placeOffSessionHold({ ...record, attempts }, { replacesHoldId });
+
+  if (result.status === 'held') {
+    // Also lets the replaced hold go
+    await recordHoldPlaced(record.jobId, result.paymentIntent);
+    return replacesHoldId ? 'renewed' : 'placed';
+  }
+
+  const amountText = formatMinorUnits(record.amountPence, record.currency);
+
+  if (result.status === 'action_required') {
+    await updateScheduledHold(record.jobId, { status: 'action_required', lastError: result.error, pendingPaymentIntentId: result.paymentIntentId });
+    await notifyJob(record.jobId, `🔐 EXCESS HOLD NEEDS CUSTOMER: ${amountText} hold on the saved card needs the customer to confirm with their bank
+${replacesHoldId ? `📋 Current hold ${replacesHoldId} stays valid until it expires\n` : ''}⚠️ Send the customer their payment link - the payment page will ask them to confirm the hold.`);
+    return 'actionRequired';
+  }
+
+  await updateScheduledHold(record.jobId, {
+    status: 'failed',
+    lastError: result.error,
+    declineCode: result.declineCode,
+    currentHoldId: replacesHoldId || record.currentHoldId
+  });
+  await notifyJob(record.jobId, `❌ EXCESS HOLD FAILED: ${amountText} hold on the saved card was declined (${result.declineCode || result.error})
+🔄 Attempt ${attempts} of ${MAX_ATTEMPTS}${attempts < MAX_ATTEMPTS ? ` - retrying in ${RETRY_AFTER_HOURS} hours` : ' - no more automatic retries'}
+⚠️ Contact the customer for another card or an excess payment.`);
+  return 'failed';
+}
+
+// Post the same message to Monday.com and HireHop so staff see it either way
+async function notifyJob(jobId, message) {
+  await createUpdateForJob(jobId, message);
+  await addJobNote(jobId, message);
+}
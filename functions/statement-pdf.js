@@ -0,0 +1,230 @@
+// functions/statement-pdf.js - Customer statement for a job: what was hired, paid, refunded and held
+// buildStatement() turns the job ledger into the figures the statement shows; renderStatementPdf()
+// lays them out as a branded A4 PDF.
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+
+const COMPANY_NAME = 'Ooosh! Tours Ltd';
+const COMPANY_EMAIL = 'info@oooshtours.co.uk';
+const BRAND_COLOUR = '#1d4ed8';
+const MUTED_COLOUR = '#6b7280';
+
+function roundMoney(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Europe/London' });
+}
+
+// HireHop line items - price fields vary between item types, so the amount is optional
+function toLineItem(item) {
+  const description = item.title || item.NAME || item.name;
+  if (!description) return null;
+
+  const quantity = parseInt(item.qty || item.QTY || item.quantity || item.QUANTITY || 1);
+  const amount = parseFloat(item.TOTAL ?? item.total ?? item.PRICE ?? item.price);
+  return { description, quantity, amount: isNaN(amount) ? null : roundMoney(amount) };
+}
+
+function toTransaction(entry, account) {
+  let method = entry.bankName || 'Card payment';
+  if (entry.isExcessUsage) method = 'Transferred from excess';
+
+  return {
+    date: entry.date,
+    description: entry.description || (account === 'excess' ? 'Insurance excess' : 'Hire payment'),
+    method,
+    account,
+    type: entry.amount < 0 ? 'refund' : 'payment',
+    amount: roundMoney(entry.amount)
+  };
+}
+
+// What happened to a card hold for the excess
+function describeExcessHold(excessHold) {
+  if (!excessHold) return null;
+
+  const held = excessHold.authorizedAmount;
+  const claimed = excessHold.capturedAmount;
+  const released = excessHold.open ? 0 : roundMoney(held - claimed);
+  const status = excessHold.open ? 'Held' : claimed > 0 ? 'Claimed' : 'Released';
+
+  return { status, held, claimed, released };
+}
+
+// ledger is computeJobLedger()'s result; excessHold is summarizeHold()'s result for the job's card hold, if any
+function buildStatement({ jobId, jobData, items, ledger, excessHold = null, rules, generatedAt = new Date() }) {
+  const { financial } = ledger;
+
+  const transactions = [
+    ...ledger.payments.hireDeposits.map(entry => toTransaction(entry, 'hire')),
+    ...ledger.payments.excessDeposits.map(entry => toTransaction(entry, 'excess'))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return {
+    jobId: String(jobId),
+    generatedAt: generatedAt.toISOString(),
+    customerName: jobData.customer_name || jobData.CUSTOMER_NAME || jobData.NAME || '',
+    jobName: jobData.job_name || jobData.JOB_NAME || '',
+    startDate: jobData.job_start || jobData.JOB_START || jobData.JOB_DATE || '',
+    endDate: jobData.job_end || jobData.JOB_END || '',
+    currency: financial.currency,
+    lineItems: (items || []).map(toLineItem).filter(Boolean),
+    vat: {
+      rate: rules.vatRate,
+      net: roundMoney(financial.totalJobValueExVAT),
+      vat: roundMoney(financial.totalJobValueIncVAT - financial.totalJobValueExVAT),
+      gross: roundMoney(financial.totalJobValueIncVAT)
+    },
+    transactions,
+    excess: {
+      required: roundMoney(ledger.excess.required),
+      paid: roundMoney(ledger.excess.hireHopPaid),
+      hold: describeExcessHold(excessHold)
+    },
+    totals: {
+      hirePaid: roundMoney(financial.totalHirePaid),
+      balanceDue: roundMoney(Math.max(0, financial.remainingHireBalance)),
+      overpaid: roundMoney(financial.overpaidAmount)
+    }
+  };
+}
+
+// ---------- PDF layout ----------
+
+function sectionHeading(doc, text) {
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOUR).text(text, doc.page.margins.left);
+  doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.width - doc.page.margins.right, doc.y + 2).strokeColor('#e5e7eb').stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+}
+
+// One row of a table - columns are [{ text, width, align }]
+function tableRow(doc, columns, { bold = false, colour = 'black' } = {}) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+
+  const top = doc.y;
+  let x = doc.page.margins.left;
+  let height = 0;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(colour);
+  for (const column of columns) {
+    doc.text(column.text, x, top, { width: column.width, align: column.align || 'left' });
+    height = Math.max(height, doc.y - top);
+    x += column.width;
+  }
+  doc.x = doc.page.margins.left;
+  doc.y = top + height + 4;
+}
+
+function summaryRow(doc, label, value, options = {}) {
+  tableRow(doc, [{ text: label, width: 395 }, { text: value, width: 100, align: 'right' }], options);
+}
+
+// Resolves to the PDF as a Buffer
+function renderStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const money = (value) => formatMoney(value, statement.currency);
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `Statement for job #${statement.jobId}`, Author: COMPANY_NAME }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOUR).text(COMPANY_NAME);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOUR).text(COMPANY_EMAIL);
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('black').text(`Statement - Job #${statement.jobId}`);
+    doc.font('Helvetica').fontSize(10);
+    if (statement.customerName) doc.text(`Customer: ${statement.customerName}`);
+    if (statement.jobName) doc.text(`Job: ${statement.jobName}`);
+    if (statement.startDate) doc.text(`Hire: ${formatDate(statement.startDate)} to ${formatDate(statement.endDate)}`);
+    doc.fillColor(MUTED_COLOUR).text(`Issued: ${formatDate(statement.generatedAt)}`);
+
+    // What was hired
+    sectionHeading(doc, 'Items');
+    if (statement.lineItems.length === 0) {
+      doc.fillColor(MUTED_COLOUR).text('No items listed');
+    } else {
+      tableRow(doc, [{ text: 'Item', width: 345 }, { text: 'Qty', width: 50, align: 'right' }, { text: 'Amount', width: 100, align: 'right' }], { bold: true });
+      for (const item of statement.lineItems) {
+        tableRow(doc, [
+          { text: item.description, width: 345 },
+          { text: String(item.quantity), width: 50, align: 'right' },
+          { text: item.amount === null ? '' : money(item.amount), width: 100, align: 'right' }
+        ]);
+      }
+    }
+
+    // VAT breakdown
+    sectionHeading(doc, 'Hire charges');
+    summaryRow(doc, 'Total excluding VAT', money(statement.vat.net));
+    summaryRow(doc, `VAT at ${Math.round(statement.vat.rate * 100)}%`, money(statement.vat.vat));
+    summaryRow(doc, 'Total including VAT', money(statement.vat.gross), { bold: true });
+
+    // Money received and refunded
+    sectionHeading(doc, 'Payments and refunds');
+    if (statement.transactions.length === 0) {
+      doc.fillColor(MUTED_COLOUR).text('No payments recorded yet');
+    } else {
+      tableRow(doc, [
+        { text: 'Date', width: 80 },
+        { text: 'Description', width: 195 },
+        { text: 'Method', width: 120 },
+        { text: 'Amount', width: 100, align: 'right' }
+      ], { bold: true });
+      for (const transaction of statement.transactions) {
+        const label = transaction.account === 'excess' ? `${transaction.description} (excess)` : transaction.description;
+        tableRow(doc, [
+          { text: formatDate(transaction.date), width: 80 },
+          { text: transaction.type === 'refund' ? `Refund: ${label}` : label, width: 195 },
+          { text: transaction.method, width: 120 },
+          { text: money(transaction.amount), width: 100, align: 'right' }
+        ]);
+      }
+    }
+
+    // Insurance excess
+    if (statement.excess.required > 0 || statement.excess.paid !== 0 || statement.excess.hold) {
+      sectionHeading(doc, 'Insurance excess');
+      summaryRow(doc, 'Excess required', money(statement.excess.required));
+      summaryRow(doc, 'Excess paid (after refunds)', money(statement.excess.paid));
+      const hold = statement.excess.hold;
+      if (hold) {
+        summaryRow(doc, `Card hold (${hold.status.toLowerCase()})`, money(hold.held));
+        summaryRow(doc, 'Claimed from hold', money(hold.claimed));
+        summaryRow(doc, 'Released back to card', money(hold.released));
+      }
+    }
+
+    // Balance
+    sectionHeading(doc, 'Balance');
+    summaryRow(doc, 'Hire paid', money(statement.totals.hirePaid));
+    if (statement.totals.overpaid > 0) {
+      summaryRow(doc, 'Overpaid', money(statement.totals.overpaid), { bold: true });
+    } else {
+      summaryRow(doc, 'Balance due', money(statement.totals.balanceDue), { bold: true, colour: statement.totals.balanceDue > 0 ? '#b91c1c' : 'black' });
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOUR)
+      .text(`Amounts in ${statement.currency}. Excess holds are not charges - only claimed amounts are taken from the card. Questions? Email ${COMPANY_EMAIL} quoting job #${statement.jobId}.`, doc.page.margins.left);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildStatement,
+  renderStatementPdf
+};
@@ -0,0 +1,17 @@
+// functions/stripe-client.js - Stripe SDK instance shared by every function
+// STRIPE_API_BASE (e.g. http://localhost:12111) sends API calls to another server - the offline
+// test harness points it at a fake Stripe. Unset, the SDK talks to api.stripe.com as usual.
+const Stripe = require('stripe');
+
+function getConnectionOptions() {
+  if (!process.env.STRIPE_API_BASE) return {};
+
+  const url = new URL(process.env.STRIPE_API_BASE);
+  return {
+    protocol: url.protocol.replace(':', ''),
+    host: url.hostname,
+    port: url.port || (url.protocol === 'https:' ? 443 : 80)
+  };
+}
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY, getConnectionOptions());
@@ -0,0 +1,184 @@
+// functions/sync-conflicts.js - Review queue for Monday.com changes HireHop couldn't or shouldn't take
+// A column change isn't applied when the HireHop job is locked, or when the job has been changed in
+// HireHop since the Monday.com edit was made - a late or retried webhook would otherwise overwrite
+// newer work. Those changes are held here with the reason until staff retry or dismiss them
+// (admin-sync-conflicts).
+const crypto = require('crypto');
+const { getStore } = require('./persistent-store');
+const { refreshJob } = require('./hirehop-client');
+const { getLastHireHopSave } = require('./sync-echoes');
+const { toLondon, parseHireHopDateTime } = require('./london-time');
+
+// job_refresh.php's stamp for the last change to the job (UTC)
+const HIREHOP_LAST_CHANGE_FIELD = 'LAST_CHANGE';
+// HireHop's and Monday.com's clocks and queues are never quite in step
+const CLOCK_SKEW_MS = 30 * 1000;
+
+const CONFLICT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+function conflictStore() {
+  return getStore('sync-conflicts');
+}
+
+// '2031-07-01 10:30 (UK time)'
+function formatUkTime(date) {
+  const { date: day, time } = toLondon(new Date(date));
+  return `${day} ${time.slice(0, 5)} (UK time)`;
+}
+
+// When the Monday.com change was made: the event's triggerTime, or changedAt in seconds
+function getMondayChangedAt(mondayEvent) {
+  if (mondayEvent?.triggerTime && !Number.isNaN(Date.parse(mondayEvent.triggerTime))) {
+    return new Date(mondayEvent.triggerTime);
+  }
+  if (mondayEvent?.changedAt) {
+    return new Date(Number(mondayEvent.changedAt) * 1000);
+  }
+  return null;
+}
+
+// { reason, detail, hirehopChangedAt } when the change shouldn't go into HireHop, otherwise null.
+// Without a changedAt only the lock is checked (a reviewed retry). If HireHop can't be read the
+// change goes ahead and the save itself reports the failure.
+async function checkForConflict(jobId, { changedAt = null } = {}) {
+  let job;
+  try {
+    job = await refreshJob(jobId);
+  } catch (error) {
+    console.error(`⚠️ Could not read HireHop job ${jobId} for conflict check:`, error.message);
+    return null;
+  }
+
+  if (Number(job.LOCKED) === 1) {
+    return { reason: 'locked', detail: `Job ${jobId} is locked in HireHop`, hirehopChangedAt: null };
+  }
+
+  const hirehopChangedAt = parseHireHopDateTime(job[HIREHOP_LAST_CHANGE_FIELD]);
+  if (!changedAt || !hirehopChangedAt) return null;
+  if (hirehopChangedAt.getTime() <= changedAt.getTime() + CLOCK_SKEW_MS) return null;
+
+  // Our own saves (e.g. the status sync a moment earlier) aren't someone else's change
+  const lastOwnSave = await getLastHireHopSave(jobId);
+  if (lastOwnSave && hirehopChangedAt.getTime() <= lastOwnSave + CLOCK_SKEW_MS) return null;
+
+  return {
+    reason: 'stale',
+    detail: `Job ${jobId} was changed in HireHop at ${formatUkTime(hirehopChangedAt)}, after this Monday.com change at ${formatUkTime(changedAt)}`,
+    hirehopChangedAt: hirehopChangedAt.toISOString()
+  };
+}
+
+// Key marking the open conflict for an item's column - created atomically, so parallel webhooks for the
+// same column end up on one record
+function openConflictKey(itemId, columnId) {
+  return `open:${itemId}:${columnId}`;
+}
+
+// Hold a change for review. A newer change to the same column replaces the value on its open record
+// rather than queueing twice.
+async function queueConflict({ conflict, jobId, itemId, boardId = null, column, value, displayValue, changedAt = null }) {
+  const store = conflictStore();
+  const openKey = openConflictKey(itemId, column.columnId);
+  const now = new Date().toISOString();
+
+  const details = {
+    reason: conflict.reason,
+    detail: conflict.detail,
+    hirehopChangedAt: conflict.hirehopChangedAt || null,
+    mondayChangedAt: changedAt ? changedAt.toISOString() : null,
+    value,
+    displayValue,
+    updatedAt: now
+  };
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const open = await store.get(openKey);
+    if (open) {
+      const { updated, value: record } = await store.update(`conflict:${open.conflictId}`, (current) =>
+        current && current.status === 'open' ? { ...current, ...details, occurrences: current.occurrences + 1 } : undefined
+      );
+      if (updated) {
+        console.log(`⚠️ SYNC CONFLICT: ${record.id} updated - job ${jobId} ${column.name} -> "${displayValue}" (${conflict.reason})`);
+        return record;
+      }
+      // The marked record has been resolved or dismissed - a new one takes its place below
+    }
+
+    const record = {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      status: 'open',
+      jobId: String(jobId),
+      itemId: String(itemId),
+      boardId: boardId ? String(boardId) : null,
+      columnId: column.columnId,
+      columnName: column.name,
+      action: column.action,
+      ...details,
+      occurrences: 1,
+      retries: [],
+      createdAt: now
+    };
+
+    // The record is written before its marker, so whoever finds the marker can always update the record.
+    // A marker left by a closed record is swapped only if nobody else has swapped it already.
+    await store.set(`conflict:${record.id}`, record);
+    const marked = open
+      ? (await store.update(openKey, (current) => current?.conflictId === open.conflictId ? { conflictId: record.id } : undefined)).updated
+      : await store.create(openKey, { conflictId: record.id });
+    if (marked) {
+      console.log(`⚠️ SYNC CONFLICT: ${record.id} queued - job ${jobId} ${column.name} -> "${displayValue}" (${conflict.reason})`);
+      return record;
+    }
+
+    // Another delivery marked this column first - fold into its record instead
+    await store.delete(`conflict:${record.id}`);
+  }
+
+  throw new Error(`Could not queue sync conflict for item ${itemId} column ${column.columnId}`);
+}
+
+async function getConflict(conflictId) {
+  return await conflictStore().get(`conflict:${conflictId}`);
+}
+
+// Apply changes (an object, or a function of the current record returning one) to an open conflict.
+// Returns the updated record, or null when it doesn't exist or was resolved or dismissed meanwhile.
+async function updateConflict(conflictId, changes) {
+  const { updated, value: record } = await conflictStore().update(`conflict:${conflictId}`, (current) => {
+    if (!current || current.status !== 'open') return undefined;
+    const next = typeof changes === 'function' ? changes(current) : changes;
+    return { ...current, ...next, updatedAt: new Date().toISOString() };
+  });
+  return updated ? record : null;
+}
+
+// Newest first; status 'all' (or none) for every record
+async function listConflicts({ status = null } = {}) {
+  const store = conflictStore();
+  const keys = await store.list('conflict:');
+  const records = [];
+  for (const key of keys) {
+    const record = await store.get(key);
+    if (record && (!status || status === 'all' || record.status === status)) records.push(record);
+  }
+  return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// The Monday.com update explaining why a change didn't reach HireHop
+function describeConflictForMonday(record) {
+  return `⚠️ Not synced to HireHop: ${record.columnName} -> "${record.displayValue}"
+${record.detail}.
+The change is waiting in the sync review queue - retry or dismiss it from the Admin Portal.`;
+}
+
+module.exports = {
+  CONFLICT_STATUSES,
+  CLOCK_SKEW_MS,
+  getMondayChangedAt,
+  checkForConflict,
+  queueConflict,
+  getConflict,
+  updateConflict,
+  listConflicts,
+  describeConflictForMonday
+};
@@ -0,0 +1,76 @@
+// functions/sync-echoes.js - Loop suppression for the two-way HireHop <-> Monday.com sync
+// Every change one side of the sync writes comes straight back as a webhook from the other system.
+// Writers record what they set here; the opposite handler drops a delivery that matches a recent
+// record instead of bouncing it back. Records lapse after a few minutes so later edits by staff
+// to the same value still go through.
+const { getStore } = require('./persistent-store');
+
+const ECHO_TTL_MS = 10 * 60 * 1000;
+
+function echoStore() {
+  return getStore('sync-echoes');
+}
+
+// system 'hirehop': id is the job number, field 'status', 'out' or 'to'
+// system 'monday': id is the board item, field the column id
+function echoKey(system, id, field) {
+  return `${system}:${id}:${field}`;
+}
+
+function normalizeValue(value) {
+  return String(value ?? '').trim();
+}
+
+// Never throws - a missed record only means one extra (harmless) round trip
+async function recordSyncedChange(system, id, field, value) {
+  const key = echoKey(system, id, field);
+  try {
+    await echoStore().set(key, {
+      value: normalizeValue(value),
+      expiresAt: new Date(Date.now() + ECHO_TTL_MS).toISOString()
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not record synced change ${key}:`, error.message);
+  }
+}
+
+async function isEchoOfSync(system, id, field, value) {
+  const key = echoKey(system, id, field);
+  try {
+    const record = await echoStore().get(key);
+    if (!record || new Date(record.expiresAt).getTime() < Date.now()) return false;
+    return record.value === normalizeValue(value);
+  } catch (error) {
+    console.error(`⚠️ Could not check synced change ${key}:`, error.message);
+    return false;
+  }
+}
+
+// When we last saved a HireHop job. Our own saves move the job's last-change stamp too, and
+// mustn't look like someone else's newer change to sync-conflicts. Never throws.
+async function recordHireHopSave(jobId) {
+  try {
+    await echoStore().set(`hirehop:${jobId}:saved`, { savedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`⚠️ Could not record HireHop save for job ${jobId}:`, error.message);
+  }
+}
+
+// Milliseconds timestamp, or null if we haven't saved the job
+async function getLastHireHopSave(jobId) {
+  try {
+    const record = await echoStore().get(`hirehop:${jobId}:saved`);
+    return record ? new Date(record.savedAt).getTime() : null;
+  } catch (error) {
+    console.error(`⚠️ Could not read HireHop save for job ${jobId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ECHO_TTL_MS,
+  recordSyncedChange,
+  isEchoOfSync,
+  recordHireHopSave,
+  getLastHireHopSave
+};
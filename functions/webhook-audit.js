@@ -0,0 +1,115 @@
+// functions/webhook-audit.js - Audit trail and rejection metrics for webhook deliveries
+// Rejections are folded into one record per source and day: counters by reason and handler plus the
+// last few deliveries for each reason. Anyone can send us a bad request, so storage grows with the
+// number of days and reasons, never with the number of requests, and days past RETENTION_DAYS go.
+const { getStore } = require('./persistent-store');
+
+const RETENTION_DAYS = 30;
+// Sample deliveries kept per reason per day - enough to see who is knocking
+const SAMPLES_PER_REASON = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function metricsStore() {
+  return getStore('webhook-metrics');
+}
+
+// Record a rejected delivery in its source's bucket for the day.
+// Never throws - auditing must not change the webhook's response.
+async function recordWebhookRejection(source, event, reason, extra = {}) {
+  const headers = event.headers || {};
+  const entry = {
+    source,
+    reason,
+    receivedAt: new Date().toISOString(),
+    clientIP: headers['x-forwarded-for']?.split(',')[0] || headers['x-real-ip'] || 'unknown',
+    userAgent: headers['user-agent'] || 'unknown',
+    bodyLength: event.body ? event.body.length : 0,
+    ...extra
+  };
+
+  console.log(`🚫 AUDIT: Rejected ${source} webhook - ${reason} (IP ${entry.clientIP})`);
+
+  try {
+    const date = entry.receivedAt.slice(0, 10);
+    let newBucket = false;
+
+    await metricsStore().update(`${source}:${date}`, (current) => {
+      newBucket = !current;
+      const metrics = current || { source, date, total: 0, byReason: {}, byHandler: {}, samples: {} };
+      const samples = metrics.samples || {};
+
+      return {
+        ...metrics,
+        total: metrics.total + 1,
+        byReason: { ...metrics.byReason, [reason]: (metrics.byReason[reason] || 0) + 1 },
+        byHandler: entry.handler
+          ? { ...metrics.byHandler, [entry.handler]: (metrics.byHandler[entry.handler] || 0) + 1 }
+          : metrics.byHandler,
+        samples: { ...samples, [reason]: [entry, ...(samples[reason] || [])].slice(0, SAMPLES_PER_REASON) },
+        lastRejectedAt: entry.receivedAt,
+        lastClientIP: entry.clientIP
+      };
+    });
+
+    // First rejection of the day for this source - a good moment to drop expired days
+    if (newBucket) {
+      await pruneOldBuckets();
+    }
+  } catch (error) {
+    console.error('❌ Failed to write webhook audit entry:', error);
+  }
+
+  return entry;
+}
+
+async function pruneOldBuckets(now = Date.now()) {
+  const store = metricsStore();
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+  for (const key of await store.list()) {
+    if (bucketDate(key) < cutoff) {
+      await store.delete(key);
+    }
+  }
+}
+
+function bucketDate(key) {
+  return key.split(':').pop();
+}
+
+// Bucket records for the last N days, newest first
+async function getBuckets(days) {
+  const store = metricsStore();
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+  const keys = (await store.list()).filter(key => bucketDate(key) >= cutoff);
+  const buckets = [];
+  for (const key of keys) {
+    const bucket = await store.get(key);
+    if (bucket) buckets.push(bucket);
+  }
+  return buckets.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Rejection counters for the last N days, newest first
+async function getRejectionMetrics(days = 7) {
+  const buckets = await getBuckets(days);
+  return buckets.map(({ samples, ...metrics }) => metrics);
+}
+
+// Most recent individual rejections, from the samples kept in the retained days
+async function getRecentRejections(limit = 50) {
+  const buckets = await getBuckets(RETENTION_DAYS);
+  const entries = buckets.flatMap(bucket => Object.values(bucket.samples || {}).flat());
+  return entries
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  SAMPLES_PER_REASON,
+  recordWebhookRejection,
+  getRejectionMetrics,
+  getRecentRejections
+};
@@ -0,0 +1,39 @@
+// functions/webhook-guard.js - Pieces shared by the incoming webhook guards
+// Each source's guard (monday-webhook-guard, hirehop-webhook-guard) supplies its own credential
+// check; running it, auditing rejections and comparing secrets work the same way for all of them.
+const crypto = require('crypto');
+const { connectStore } = require('./persistent-store');
+const { recordWebhookRejection } = require('./webhook-audit');
+
+// Run a guard's check ({ valid, method } or { valid: false, error }) and audit a rejection.
+// auditDetails are extra fields for the rejection record.
+async function guardWebhook(event, { source, label, handlerName, check, auditDetails = {} }) {
+  connectStore(event);
+  const result = check();
+
+  if (!result.valid) {
+    await recordWebhookRejection(source, event, result.error, { handler: handlerName, ...auditDetails });
+    return result;
+  }
+
+  console.log(`🔐 ${label} webhook authenticated (${result.method}) for ${handlerName}`);
+  return result;
+}
+
+// Comma-separated secrets from an env var - several allowed while one is being rotated
+function splitSecrets(value) {
+  return (value || '').split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+// Constant-time comparison for secrets and signatures
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  guardWebhook,
+  splitSecrets,
+  safeEqual
+};
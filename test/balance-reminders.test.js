@@ -0,0 +1,100 @@
+// test/balance-reminders.test.js - Scheduled reminders for balances still to pay before hire start
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob, depositRow } = require('./fixtures');
+
+describe('balance reminders', () => {
+  let harness;
+  let verifyPaymentToken;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ verifyPaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  // A booked job with the deposit paid, starting in startInDays
+  function bookedJob(jobId, { startInDays, billing = [depositRow(1, 300, `${jobId} - deposit`)] }) {
+    harness.hirehop.addJob(jobId, vanHireJob({ startInDays, valueExVat: 1000, billing }));
+    return harness.monday.addItem({ jobId, columns: { status3: 'Deposit paid' } });
+  }
+
+  function remindersFor(jobId) {
+    return harness.smtp.state.messages.filter(message => message.subject === `Balance due for job #${jobId}`);
+  }
+
+  async function runReminders() {
+    const response = await harness.invoke('balance-reminders');
+    assert.equal(response.statusCode, 200, response.body);
+    return response.json.summary;
+  }
+
+  it('emails the balance with a fresh payment link once the hire is a week away, and only once', async () => {
+    const mondayItem = bookedJob(801, { startInDays: 6 });
+
+    await runReminders();
+    await runReminders();
+
+    const emails = remindersFor(801);
+    assert.equal(emails.length, 1);
+    assert.match(emails[0].text, /£900\.00 left to pay/);
+
+    const token = decodeURIComponent(emails[0].text.match(/payment\.html\?jobId=801&token=(\S+)/)[1]);
+    const check = verifyPaymentToken(token, '801', { paymentType: 'balance' });
+    assert.equal(check.valid, true, check.error);
+
+    const notes = harness.hirehop.getJob(801).notes.filter(n => n.note.includes('BALANCE REMINDER'));
+    assert.equal(notes.length, 1);
+    assert.match(notes[0].note, /\(7 days before hire\): £900\.00/);
+    assert.equal(mondayItem.updates.filter(u => u.body.includes('BALANCE REMINDER')).length, 1);
+  });
+
+  it('does not repeat a reminder already recorded in HireHop', async () => {
+    bookedJob(802, { startInDays: 10 });
+    const job = harness.hirehop.getJob(802);
+    job.notes.unshift({ note: '💷 BALANCE REMINDER (14 days before hire): £900.00 balance outstanding', date: new Date().toISOString() });
+
+    await runReminders();
+
+    assert.equal(remindersFor(802).length, 0);
+    assert.equal(job.notes.filter(n => n.note.includes('BALANCE REMINDER')).length, 1);
+  });
+
+  it('leaves jobs that are paid up, not yet due or already started', async () => {
+    bookedJob(803, { startInDays: 5, billing: [depositRow(1, 1200, '803 - full payment')] });
+    bookedJob(804, { startInDays: 30 });
+    bookedJob(805, { startInDays: -1 });
+
+    await runReminders();
+
+    for (const jobId of [803, 804, 805]) {
+      assert.equal(remindersFor(jobId).length, 0, `job ${jobId}`);
+    }
+  });
+
+  it('does not send a reminder twice when HireHop would not take the note', async () => {
+    bookedJob(807, { startInDays: 6 });
+    harness.hirehop.failNext('/api/job_note.php', { status: 400 });
+
+    await runReminders();
+    await runReminders();
+
+    assert.equal(remindersFor(807).length, 1);
+  });
+
+  it('tries again on the next run when the email cannot be sent', async () => {
+    bookedJob(806, { startInDays: 1 });
+    harness.smtp.failNext();
+
+    await runReminders();
+    assert.equal(harness.hirehop.getJob(806).notes.filter(n => n.note.includes('BALANCE REMINDER')).length, 0);
+
+    await runReminders();
+    assert.equal(remindersFor(806).length, 1);
+    assert.match(harness.hirehop.getJob(806).notes[0].note, /\(2 days before hire\)/);
+  });
+});
@@ -0,0 +1,158 @@
+// test/bank-transfer.test.js - Bank transfers through Stripe customer balances, reconciled to the job
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+describe('bank transfers', () => {
+  let harness;
+  let generatePaymentToken;
+
+  before(async () => {
+    harness = await startHarness({ env: { BANK_TRANSFERS_ENABLED: 'true' } });
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function requestTransfer(jobId, body) {
+    return harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), token: generatePaymentToken(String(jobId)), flow: 'bank_transfer', ...body }
+    });
+  }
+
+  async function deliver(type, object) {
+    const delivery = harness.stripe.webhookEvent(type, object);
+    const response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(response.statusCode, 200, response.body);
+  }
+
+  async function deliverTransactions(transactions) {
+    for (const transaction of transactions) {
+      await deliver('customer_cash_balance_transaction.created', transaction);
+    }
+  }
+
+  function customerFor(intentId) {
+    return harness.stripe.state.paymentIntents.get(intentId).customer;
+  }
+
+  function depositsFor(jobId) {
+    return harness.hirehop.state.deposits.filter(d => d.jobId === String(jobId));
+  }
+
+  it('gives each job its own account details and records the deposit when the money arrives', async () => {
+    harness.hirehop.addJob(1001, vanHireJob({ valueExVat: 1000 }));
+    const mondayItem = harness.monday.addItem({ jobId: 1001, columns: { status6: 'Quote' } });
+    harness.hirehop.addJob(1002, vanHireJob({ valueExVat: 1000 }));
+
+    const response = await requestTransfer(1001, { paymentType: 'deposit', amount: 300 });
+    assert.equal(response.statusCode, 200, response.body);
+    const { bankTransfer, intentId } = response.json;
+    assert.equal(response.json.flow, 'bank_transfer');
+    assert.equal(bankTransfer.amountRemaining, 300);
+    assert.ok(bankTransfer.reference && bankTransfer.sortCode && bankTransfer.accountNumber);
+
+    const other = await requestTransfer(1002, { paymentType: 'deposit', amount: 300 });
+    assert.notEqual(other.json.bankTransfer.accountNumber, bankTransfer.accountNumber);
+
+    await deliverTransactions(harness.stripe.sendBankTransfer(customerFor(intentId), 30000, { reference: bankTransfer.reference }));
+    await deliver('payment_intent.succeeded', harness.stripe.state.paymentIntents.get(intentId));
+
+    const deposits = depositsFor(1001);
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].amount, 300);
+    assert.equal(depositsFor(1002).length, 0);
+    assert.equal(harness.monday.columnText(mondayItem.id, 'status3'), 'Deposit paid');
+    assert.ok(harness.hirehop.getJob(1001).notes.some(n => n.note.includes('BANK TRANSFER RECEIVED: £300.00')));
+  });
+
+  it('waits for the rest of a part payment before recording it', async () => {
+    harness.hirehop.addJob(1003, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1003 });
+
+    const response = await requestTransfer(1003, { paymentType: 'deposit', amount: 300 });
+    const { bankTransfer, intentId } = response.json;
+    const customerId = customerFor(intentId);
+
+    await deliverTransactions(harness.stripe.sendBankTransfer(customerId, 10000, { reference: bankTransfer.reference }));
+    assert.equal(depositsFor(1003).length, 0);
+    assert.ok(harness.hirehop.getJob(1003).notes.some(n => n.note.includes('PART PAYMENT: £100.00') && n.note.includes('£200.00 still to come')));
+
+    await deliverTransactions(harness.stripe.sendBankTransfer(customerId, 20000, { reference: bankTransfer.reference }));
+    assert.equal(depositsFor(1003).length, 1);
+    assert.equal(depositsFor(1003)[0].amount, 300);
+  });
+
+  it('pays money sent without an open request onto the job as the next hire payment', async () => {
+    harness.hirehop.addJob(1004, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1004 });
+
+    // Deposit paid by transfer, then the customer sends the balance to the same account unprompted
+    const response = await requestTransfer(1004, { paymentType: 'deposit', amount: 300 });
+    const customerId = customerFor(response.json.intentId);
+    await deliverTransactions(harness.stripe.sendBankTransfer(customerId, 30000, { reference: response.json.bankTransfer.reference }));
+
+    const before = harness.stripe.cashBalanceTransactionsFor(customerId).length;
+    const [funded] = harness.stripe.sendBankTransfer(customerId, 90000, { reference: 'JOB 1004' });
+    await deliver('customer_cash_balance_transaction.created', funded);
+    await deliverTransactions(harness.stripe.cashBalanceTransactionsFor(customerId).slice(before + 1));
+
+    const deposits = depositsFor(1004);
+    assert.equal(deposits.length, 2);
+    assert.equal(deposits[1].amount, 900);
+    assert.equal(deposits[1].description, '1004 - balance');
+    assert.ok(harness.hirehop.getJob(1004).notes.some(n => n.note.includes('No open request - £900.00 applied as balance')));
+  });
+
+  it('pays unrequested money onto the job once when Stripe delivers the transfer twice at once', async () => {
+    harness.hirehop.addJob(1006, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1006 });
+    const response = await requestTransfer(1006, { paymentType: 'deposit', amount: 300 });
+    const customerId = customerFor(response.json.intentId);
+    await deliverTransactions(harness.stripe.sendBankTransfer(customerId, 30000, { reference: response.json.bankTransfer.reference }));
+
+    const [funded] = harness.stripe.sendBankTransfer(customerId, 90000, { reference: 'JOB 1006' });
+    const delivery = harness.stripe.webhookEvent('customer_cash_balance_transaction.created', funded);
+    const responses = await Promise.all([1, 2].map(() =>
+      harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers })
+    ));
+
+    const unrequested = [...harness.stripe.state.paymentIntents.values()]
+      .filter(intent => intent.customer === customerId && intent.metadata.unrequestedTransfer === 'true');
+    assert.ok(responses.every(r => [200, 409].includes(r.statusCode)), responses.map(r => r.body).join());
+    assert.equal(unrequested.length, 1);
+    assert.equal(harness.hirehop.getJob(1006).notes.filter(n => n.note.includes('BANK TRANSFER RECEIVED: £900.00')).length, 1);
+  });
+
+  it('leaves money from customers that are not a job bank transfer account alone', async () => {
+    const stranger = { id: 'cus_stranger', object: 'customer', metadata: {} };
+    harness.stripe.state.customers.set(stranger.id, stranger);
+    const depositCount = harness.hirehop.state.deposits.length;
+
+    await deliverTransactions(harness.stripe.sendBankTransfer(stranger.id, 5000));
+
+    assert.equal(harness.stripe.state.cashBalances.get(stranger.id), 5000);
+    assert.equal(harness.hirehop.state.deposits.length, depositCount);
+  });
+
+  it('refuses bank transfer when it is switched off or for a saved-card hold', async () => {
+    harness.hirehop.addJob(1005, vanHireJob());
+
+    const hold = await requestTransfer(1005, { paymentType: 'excess', excessOption: 'scheduled_hold', amount: 1200 });
+    assert.equal(hold.statusCode, 400);
+    assert.equal(hold.json.code, 'BANK_TRANSFER_UNAVAILABLE');
+
+    delete process.env.BANK_TRANSFERS_ENABLED;
+    try {
+      const response = await requestTransfer(1005, { paymentType: 'deposit', amount: 300 });
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.json.code, 'BANK_TRANSFER_UNAVAILABLE');
+    } finally {
+      process.env.BANK_TRANSFERS_ENABLED = 'true';
+    }
+  });
+});
@@ -0,0 +1,88 @@
+// test/clients.test.js - Retries, errors and pagination in the shared HireHop and Monday.com clients
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+describe('hirehop-client', () => {
+  let harness;
+  let hirehop;
+
+  before(async () => {
+    harness = await startHarness();
+    hirehop = harness.loadFunction('hirehop-client');
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  it('retries a read when HireHop has a wobble', async () => {
+    harness.hirehop.addJob(301, vanHireJob());
+    harness.hirehop.failNext('/api/job_data.php', { status: 503 });
+
+    const data = await hirehop.getJobData(301);
+
+    assert.equal(String(data.ID), '301');
+    assert.equal(harness.hirehop.state.requests.filter(r => r.path === '/api/job_data.php' && r.params.job === '301').length, 2);
+  });
+
+  it('never retries a deposit', async () => {
+    harness.hirehop.addJob(302, vanHireJob());
+    harness.hirehop.failNext('/php_functions/billing_deposit_save.php', { status: 503 });
+
+    const result = await hirehop.createDeposit({ jobId: 302, amount: 100, description: '302 - deposit', memo: 'test' });
+
+    assert.equal(result.success, false);
+    assert.equal(harness.hirehop.state.requests.filter(r => r.path === '/php_functions/billing_deposit_save.php').length, 1);
+    assert.equal(harness.hirehop.state.deposits.length, 0);
+  });
+
+  it('reports a rejected token as an auth error', async () => {
+    harness.hirehop.addJob(303, vanHireJob());
+    process.env.HIREHOP_API_TOKEN = 'wrong-token';
+    try {
+      await assert.rejects(hirehop.getJobData(303), error => error instanceof hirehop.HireHopError && error.code === 'AUTH');
+    } finally {
+      process.env.HIREHOP_API_TOKEN = 'test-hirehop-token';
+    }
+  });
+});
+
+describe('monday-client', () => {
+  let harness;
+  let monday;
+
+  before(async () => {
+    harness = await startHarness();
+    monday = harness.loadFunction('monday-client');
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  it('pages through every item matching a column value', async () => {
+    for (let i = 0; i < 5; i++) harness.monday.addItem({ jobId: 401 });
+
+    const items = await monday.findItemsByColumnValues(monday.JOB_NUMBER_COLUMN, ['401'], { pageSize: 2 });
+
+    assert.equal(items.length, 5);
+  });
+
+  it('waits out a complexity throttle and carries on', async () => {
+    const item = harness.monday.addItem({ jobId: 402 });
+    harness.monday.throttleNext({ retryInSeconds: 1 });
+
+    const result = await monday.setExcessStatus(402, 'Pre-auth taken');
+
+    assert.equal(result.success, true);
+    assert.equal(harness.monday.columnText(item.id, monday.EXCESS_STATUS_COLUMN), 'Pre-auth taken');
+  });
+
+  it('reports a job with no Monday.com item without throwing', async () => {
+    const result = await monday.setExcessStatus(403, 'Pre-auth taken');
+
+    assert.deepEqual(result, { success: false, error: 'Job not found' });
+  });
+});
@@ -0,0 +1,248 @@
+// test/dead-letters.test.js - Failed integration steps kept for automatic retries and admin replay
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+const MONDAY_TOKEN = 'test-monday-token';
+
+describe('Dead-letter queue', () => {
+  let harness;
+  let generatePaymentToken;
+  let deadLetters;
+
+  before(async () => {
+    harness = await startHarness({ env: { MONDAY_WEBHOOK_TOKEN: MONDAY_TOKEN } });
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+    deadLetters = harness.loadFunction('dead-letters');
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function mondayWebhook(itemId, columnId, value) {
+    return harness.invoke('monday-webhook', {
+      method: 'POST',
+      query: { token: MONDAY_TOKEN },
+      body: { event: { pulseId: itemId, boardId: 1234, columnId, value } }
+    });
+  }
+
+  async function deadLettersAdmin({ method = 'GET', query = {}, body = null } = {}) {
+    return harness.invoke('admin-dead-letters', { method, query, body, headers: await harness.adminAuthHeader('0') });
+  }
+
+  // Pay a deposit through Stripe, returning the webhook delivery so it can be sent again
+  async function payDeposit(jobId) {
+    const session = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), paymentType: 'deposit', amount: 300, token: generatePaymentToken(String(jobId)) }
+    });
+    assert.equal(session.statusCode, 200, session.body);
+
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId);
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', completed);
+    const response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    return { delivery, response };
+  }
+
+  // Skip the backoff so the next worker run picks the entry up
+  async function makeDue(id) {
+    await deadLetters.updateDeadLetter(id, { nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+  }
+
+  async function runWorker() {
+    const response = await harness.invoke('dead-letter-worker');
+    assert.equal(response.statusCode, 200, response.body);
+    return response.json.summary;
+  }
+
+  it('keeps a failed Monday.com column sync and replays it from the Admin Portal', async () => {
+    harness.hirehop.addJob(1601, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1601 });
+    harness.hirehop.failNext('/frames/status_save.php', { status: 400 });
+
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Deposit paid' } });
+
+    assert.equal(response.json.success, false, response.body);
+    const id = response.json.deadLetter;
+    assert.equal(id, `monday_column_sync:${item.id}:status3`);
+
+    const list = await deadLettersAdmin({ query: { jobId: '1601' } });
+    assert.equal(list.json.deadLetters.length, 1);
+    assert.equal(list.json.deadLetters[0].status, 'pending');
+    assert.deepEqual(list.json.deadLetters[0].payload, {
+      jobId: '1601',
+      itemId: String(item.id),
+      columnId: 'status3',
+      value: { label: { text: 'Deposit paid' } },
+      displayValue: 'Deposit paid'
+    });
+
+    const replayed = await deadLettersAdmin({ method: 'POST', body: { action: 'replay', id } });
+
+    assert.equal(replayed.statusCode, 200, replayed.body);
+    assert.equal(replayed.json.deadLetter.status, 'resolved');
+    assert.equal(harness.hirehop.getJob(1601).status, 2);
+    assert.ok(harness.hirehop.getJob(1601).notes.some(({ note }) => note.includes('retried after an earlier failure')));
+
+    const open = await deadLettersAdmin({ query: { jobId: '1601' } });
+    assert.equal(open.json.deadLetters.length, 0);
+  });
+
+  it('leaves a failed HireHop deposit for staff and doesn\'t double it on Stripe redelivery', async () => {
+    harness.hirehop.addJob(1602, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1602, columns: { status6: 'Quote' } });
+    harness.hirehop.failNext('/php_functions/billing_deposit_save.php', { status: 400 });
+
+    const { delivery, response } = await payDeposit(1602);
+
+    assert.equal(response.statusCode, 500, response.body);
+    const [deadLetter] = await deadLetters.listDeadLetters({ jobId: '1602' });
+    assert.equal(deadLetter.step, 'hirehop_deposit');
+    assert.equal(deadLetter.status, 'pending');
+    assert.equal(deadLetter.nextAttemptAt, null);
+    const failureNotes = harness.hirehop.getJob(1602).notes.filter(({ note }) => note.startsWith('🚨'));
+    assert.equal(failureNotes.length, 1);
+    assert.match(failureNotes[0].note, /CRITICAL: HireHop payment failed/);
+
+    // The worker never replays a deposit, even when asked to directly
+    assert.equal((await runWorker()).due, 0);
+    const refused = await deadLetters.replayDeadLetter(deadLetter.id, { by: 'worker' });
+    assert.equal(refused.outcome.success, false);
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '1602').length, 0);
+
+    const replayed = await deadLettersAdmin({ method: 'POST', body: { action: 'replay', id: deadLetter.id } });
+
+    assert.equal(replayed.json.deadLetter.status, 'resolved', replayed.body);
+    assert.equal(harness.hirehop.getJob(1602).status, 2);
+
+    const redelivered = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(redelivered.statusCode, 200, redelivered.body);
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '1602').length, 1);
+  });
+
+  it('doesn\'t create a deposit again when the failed save reached HireHop after all', async () => {
+    harness.hirehop.addJob(1606, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1606, columns: { status6: 'Quote' } });
+    harness.hirehop.failNext('/php_functions/billing_deposit_save.php', { status: 400 });
+
+    await payDeposit(1606);
+    const [deadLetter] = await deadLetters.listDeadLetters({ jobId: '1606' });
+    // As if the save had gone through and only the response was lost
+    const paymentIntent = deadLetter.payload.stripeObject.payment_intent;
+    harness.hirehop.getJob(1606).billing.push({
+      kind: 6, id: 'e9001', credit: 300, desc: '1606 - deposit',
+      data: { MEMO: `Stripe: https://dashboard.stripe.com/payments/${paymentIntent}` }
+    });
+
+    const replayed = await deadLettersAdmin({ method: 'POST', body: { action: 'replay', id: deadLetter.id } });
+
+    assert.equal(replayed.json.deadLetter.status, 'resolved', replayed.body);
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '1606').length, 0);
+    assert.equal(harness.hirehop.getJob(1606).status, 2);
+  });
+
+  it('replays only the HireHop status step when the rest of the payment went through', async () => {
+    harness.hirehop.addJob(1603, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1603, columns: { status6: 'Quote' } });
+    harness.hirehop.failNext('/frames/status_save.php', { status: 400 });
+
+    const { response } = await payDeposit(1603);
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(harness.hirehop.getJob(1603).status, 1);
+    const [deadLetter] = await deadLetters.listDeadLetters({ jobId: '1603' });
+    assert.equal(deadLetter.step, 'hirehop_status');
+
+    const replayed = await deadLettersAdmin({ method: 'POST', body: { action: 'replay', id: deadLetter.id } });
+
+    assert.equal(replayed.json.deadLetter.status, 'resolved', replayed.body);
+    assert.equal(harness.hirehop.getJob(1603).status, 2);
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '1603').length, 1);
+    assert.ok(harness.hirehop.getJob(1603).notes.some(({ note }) => note.includes('completed on retry')));
+  });
+
+  it('queues a failed Monday.com pre-auth update and replays it', async () => {
+    harness.hirehop.addJob(1607, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1607 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '1607', paymentType: 'excess', isPreAuth: 'true' } });
+    const delivery = harness.stripe.webhookEvent('payment_intent.amount_capturable_updated', hold);
+
+    const apiKey = process.env.MONDAY_API_KEY;
+    let response;
+    try {
+      process.env.MONDAY_API_KEY = 'revoked-key';
+      response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    } finally {
+      process.env.MONDAY_API_KEY = apiKey;
+    }
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.ok(harness.hirehop.getJob(1607).notes.some(({ note }) => note.includes('PRE-AUTH COMPLETED')));
+    const [deadLetter] = await deadLetters.listDeadLetters({ jobId: '1607' });
+    assert.equal(deadLetter.step, 'monday_preauth');
+    assert.equal(deadLetter.status, 'pending');
+
+    await makeDue(deadLetter.id);
+    const summary = await runWorker();
+
+    assert.equal(summary.resolved, 1, JSON.stringify(summary));
+    assert.equal(harness.monday.columnText(item.id, 'status58'), 'Pre-auth taken');
+    assert.ok(harness.monday.getItem(item.id).updates.some(update => update.body.includes(`Payment Intent ID: ${hold.id}`)));
+  });
+
+  it('gives up after the last retry and flags the job in HireHop', async () => {
+    harness.hirehop.addJob(1604, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1604 });
+    harness.hirehop.failNext('/frames/status_save.php', { status: 400, times: 1 + deadLetters.MAX_ATTEMPTS });
+
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Deposit paid' } });
+    const id = response.json.deadLetter;
+
+    for (let attempt = 1; attempt <= deadLetters.MAX_ATTEMPTS; attempt++) {
+      await makeDue(id);
+      await runWorker();
+    }
+
+    const deadLetter = await deadLetters.getDeadLetter(id);
+    assert.equal(deadLetter.status, 'exhausted');
+    assert.equal(deadLetter.attempts, deadLetters.MAX_ATTEMPTS);
+    assert.equal(deadLetter.nextAttemptAt, null);
+    const critical = harness.hirehop.getJob(1604).notes.filter(({ note }) => note.includes('🚨 CRITICAL'));
+    assert.equal(critical.length, 1);
+    assert.match(critical[0].note, /still failing after 5 retries/);
+
+    // Still open for staff, but the worker leaves it alone
+    assert.equal((await runWorker()).due, 0);
+    const open = await deadLettersAdmin({ query: { status: 'exhausted', jobId: '1604' } });
+    assert.equal(open.json.deadLetters.length, 1);
+  });
+
+  it('discards a step that was sorted out by hand', async () => {
+    harness.hirehop.addJob(1605, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1605 });
+    harness.hirehop.failNext('/frames/status_save.php', { status: 400 });
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Deposit paid' } });
+    const id = response.json.deadLetter;
+
+    const discarded = await deadLettersAdmin({ method: 'POST', body: { action: 'discard', id, reason: 'Booked by hand' } });
+
+    assert.equal(discarded.statusCode, 200, discarded.body);
+    assert.equal(discarded.json.deadLetter.status, 'discarded');
+    assert.equal(discarded.json.deadLetter.discardReason, 'Booked by hand');
+    assert.equal(harness.hirehop.getJob(1605).status, 1);
+
+    const again = await deadLettersAdmin({ method: 'POST', body: { action: 'replay', id } });
+    assert.equal(again.statusCode, 409);
+    const discardedList = await deadLettersAdmin({ query: { status: 'discarded', jobId: '1605' } });
+    assert.equal(discardedList.json.deadLetters.length, 1);
+  });
+
+  it('requires an admin session', async () => {
+    const response = await harness.invoke('admin-dead-letters', { method: 'GET' });
+
+    assert.equal(response.statusCode, 401);
+  });
+});
@@ -0,0 +1,165 @@
+// test/excess-holds.test.js - Excess pre-auth holds: releasing them and placing them from a saved card
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob, DAY_MS } = require('./fixtures');
+
+describe('excess holds', () => {
+  let harness;
+  let generatePaymentToken;
+  let scheduledHolds;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+    scheduledHolds = harness.loadFunction('scheduled-holds');
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  // Customer saves a card at booking; returns the excess amount the page offered
+  async function saveCardForHold(jobId, paymentMethod) {
+    const token = generatePaymentToken(String(jobId));
+    const details = await harness.invoke('get-job-details-v2', { query: { jobId, token } });
+    assert.equal(details.statusCode, 200, details.body);
+    assert.equal(details.json.excess.canScheduleHold, true);
+
+    const session = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), paymentType: 'excess', excessOption: 'scheduled_hold', amount: details.json.excess.amount, token }
+    });
+    assert.equal(session.statusCode, 200, session.body);
+
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId, { paymentMethod });
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', completed);
+    const webhook = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(webhook.statusCode, 200, webhook.body);
+
+    // Bring the first hold forward so this run of the scheduler picks it up
+    await scheduledHolds.updateScheduledHold(String(jobId), { holdDueAt: new Date(Date.now() - DAY_MS).toISOString() });
+    return details.json.excess.amount;
+  }
+
+  it('releases a hold and tells Monday.com', async () => {
+    harness.hirehop.addJob(201, vanHireJob());
+    const mondayItem = harness.monday.addItem({ jobId: 201 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '201', paymentType: 'excess', isPreAuth: 'true' } });
+
+    const response = await harness.invoke('admin-release-preauth', {
+      method: 'POST',
+      headers: await harness.adminAuthHeader('201'),
+      body: { jobId: '201', paymentIntentId: hold.id, reason: 'Van returned undamaged' }
+    });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(harness.stripe.state.paymentIntents.get(hold.id).status, 'canceled');
+    assert.equal(harness.monday.columnText(mondayItem.id, 'status58'), 'Pre-auth released');
+  });
+
+  it('will not release a hold taken for another job', async () => {
+    harness.hirehop.addJob(202, vanHireJob());
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '999', paymentType: 'excess', isPreAuth: 'true' } });
+
+    const response = await harness.invoke('admin-release-preauth', {
+      method: 'POST',
+      headers: await harness.adminAuthHeader('202'),
+      body: { jobId: '202', paymentIntentId: hold.id, reason: 'Wrong job' }
+    });
+
+    assert.notEqual(response.statusCode, 200);
+    assert.equal(harness.stripe.state.paymentIntents.get(hold.id).status, 'requires_capture');
+  });
+
+  it('places the first hold from the saved card once it is due', async () => {
+    harness.hirehop.addJob(203, vanHireJob({ startInDays: 20 }));
+    harness.monday.addItem({ jobId: 203 });
+    const amount = await saveCardForHold(203, 'pm_card_visa');
+
+    const run = await harness.invoke('scheduled-preauth-holds');
+    assert.equal(run.statusCode, 200, run.body);
+    assert.equal(run.json.summary.placed, 1);
+
+    const record = await scheduledHolds.getScheduledHold('203');
+    assert.equal(record.status, 'held');
+    const hold = harness.stripe.state.paymentIntents.get(record.currentHoldId);
+    assert.equal(hold.status, 'requires_capture');
+    assert.equal(hold.amount, Math.round(amount * 100));
+
+    // Nothing more to do on the next run
+    const again = await harness.invoke('scheduled-preauth-holds');
+    assert.equal(again.json.summary.placed, 0);
+  });
+
+  it('asks staff to chase the customer when the bank wants authentication', async () => {
+    harness.hirehop.addJob(204, vanHireJob({ startInDays: 20 }));
+    const mondayItem = harness.monday.addItem({ jobId: 204 });
+    await saveCardForHold(204, 'pm_card_authenticationRequired');
+
+    const run = await harness.invoke('scheduled-preauth-holds');
+    assert.equal(run.json.summary.actionRequired, 1);
+
+    const record = await scheduledHolds.getScheduledHold('204');
+    assert.equal(record.status, 'action_required');
+    assert.ok(harness.monday.getItem(mondayItem.id).updates.some(u => u.body.includes('EXCESS HOLD NEEDS CUSTOMER')));
+    assert.ok(harness.hirehop.getJob(204).notes.some(n => n.note.includes('EXCESS HOLD NEEDS CUSTOMER')));
+  });
+
+  it('marks holds near the 7-day limit as expiring and lapsed ones as expired, once each', async () => {
+    harness.hirehop.addJob(205, vanHireJob());
+    harness.hirehop.addJob(206, vanHireJob());
+    const expiringItem = harness.monday.addItem({ jobId: 205 });
+    const expiredItem = harness.monday.addItem({ jobId: 206 });
+    harness.stripe.createHold({ amount: 120000, metadata: { jobId: '205', paymentType: 'excess', isPreAuth: 'true' }, createdDaysAgo: 6 });
+    const lapsed = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '206', paymentType: 'excess', isPreAuth: 'true' }, createdDaysAgo: 8 });
+    harness.stripe.expireHold(lapsed.id);
+
+    const run = await harness.invoke('preauth-expiry-monitor');
+    const again = await harness.invoke('preauth-expiry-monitor');
+
+    assert.equal(run.statusCode, 200, run.body);
+    assert.deepEqual([run.json.summary.expiring, run.json.summary.expired, run.json.summary.errors], [1, 1, 0]);
+    assert.deepEqual([again.json.summary.expiring, again.json.summary.expired, again.json.summary.alreadyFlagged], [0, 0, 2]);
+    assert.equal(harness.monday.columnText(expiringItem.id, 'status58'), 'Pre-auth expiring');
+    assert.equal(harness.monday.columnText(expiredItem.id, 'status58'), 'Pre-auth expired');
+    assert.equal(harness.hirehop.getJob(205).notes.filter(n => n.note.includes('PRE-AUTH EXPIRING')).length, 1);
+    assert.equal(harness.hirehop.getJob(206).notes.filter(n => n.note.includes('PRE-AUTH EXPIRED')).length, 1);
+  });
+
+  it('keeps every claim when staff stage against the same hold at once', async () => {
+    harness.hirehop.addJob(207, vanHireJob());
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '207', paymentType: 'excess', isPreAuth: 'true' } });
+    const headers = await harness.adminAuthHeader('207');
+    const stage = (amount, reason) => harness.invoke('admin-stage-claim', {
+      method: 'POST',
+      headers,
+      body: { jobId: '207', paymentIntentId: hold.id, amount, reason }
+    });
+
+    const responses = await Promise.all([stage(100, 'Scuffed bumper'), stage(250, 'Cracked mirror'), stage(80, 'Cleaning')]);
+
+    assert.ok(responses.every(response => response.statusCode === 200), responses.map(r => r.body).join());
+    const record = await harness.loadFunction('excess-claims').getHoldClaims(hold.id);
+    assert.deepEqual(record.claims.map(claim => claim.reason).sort(), ['Cleaning', 'Cracked mirror', 'Scuffed bumper']);
+  });
+
+  it('leaves saved-card holds to the scheduler until their renewal is overdue', async () => {
+    const metadata = (jobId) => ({ jobId, paymentType: 'excess', isPreAuth: 'true', scheduledHold: 'true' });
+    harness.hirehop.addJob(208, vanHireJob());
+    harness.hirehop.addJob(209, vanHireJob());
+    const renewingItem = harness.monday.addItem({ jobId: 208, columns: { status58: 'Pre-auth taken' } });
+    const overdueItem = harness.monday.addItem({ jobId: 209, columns: { status58: 'Pre-auth taken' } });
+    // 30 hours left - before the scheduler's renewal window; 4 hours left - renewal should have happened by now
+    harness.stripe.createHold({ amount: 120000, metadata: metadata('208'), createdDaysAgo: 7 - 30 / 24 });
+    harness.stripe.createHold({ amount: 120000, metadata: metadata('209'), createdDaysAgo: 7 - 4 / 24 });
+
+    const run = await harness.invoke('preauth-expiry-monitor');
+
+    assert.equal(run.statusCode, 200, run.body);
+    assert.equal(harness.monday.columnText(renewingItem.id, 'status58'), 'Pre-auth taken');
+    assert.ok(!harness.hirehop.getJob(208).notes.some(n => n.note.includes('PRE-AUTH EXPIRING')));
+    assert.equal(harness.monday.columnText(overdueItem.id, 'status58'), 'Pre-auth expiring');
+    assert.ok(harness.hirehop.getJob(209).notes.some(n => n.note.includes('PRE-AUTH EXPIRING')));
+  });
+});
@@ -0,0 +1,202 @@
+// test/fakes/hirehop-server.js - Stateful stand-in for the HireHop endpoints the functions use
+// Jobs are seeded with addJob(); deposits, notes and status changes made by the functions land in
+// the same state so tests can assert on them. failNext() queues HTTP failures for retry tests.
+const { send, startServer } = require('./http');
+
+const LOGIN_PAGE = '<html><head><title>HireHop Login</title></head><body><form action="/login.php"></form></body></html>';
+
+function createFakeHireHop({ token = 'test-hirehop-token' } = {}) {
+  const state = {
+    jobs: new Map(),
+    deposits: [],
+    payments: [],
+    tasks: [],
+    requests: [],
+    failures: []
+  };
+  let nextId = 1000;
+
+  // HireHop's UTC 'YYYY-MM-DD HH:MM:SS'
+  function hirehopTime(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  // currency is HireHop's currency record, e.g. { CODE: 'EUR', SYMBOL: '€' } - billing lists omit it when null.
+  // lastChange is the job's LAST_CHANGE stamp (a Date); saves move it to now.
+  function addJob(jobId, { data = {}, items = [], billing = [], notes = [], status = 1, locked = 0, currency = null, lastChange = null } = {}) {
+    const job = {
+      id: String(jobId),
+      data: { ID: Number(jobId), STATUS: status, CLIENT_ID: 501, ...data },
+      items,
+      billing,
+      currency,
+      notes: notes.map(text => ({ note: text, date: new Date().toISOString() })),
+      status,
+      locked,
+      lastChange: lastChange ? hirehopTime(lastChange) : null,
+      statusHistory: [],
+      dateSaves: []
+    };
+    state.jobs.set(job.id, job);
+    return job;
+  }
+
+  function getJob(jobId) {
+    return state.jobs.get(String(jobId)) || null;
+  }
+
+  // Queue a failure for the next request(s) to a path, e.g. failNext('/api/job_data.php', { status: 503 })
+  function failNext(path, { status = 500, body = 'Server error', times = 1 } = {}) {
+    state.failures.push({ path, status, body, times });
+  }
+
+  function takeFailure(path) {
+    const failure = state.failures.find(f => f.path === path && f.times > 0);
+    if (!failure) return null;
+    failure.times--;
+    return failure;
+  }
+
+  // Deposit row in the shape billing_list.php returns (kind 6, "e" prefixed ID)
+  function depositRow(deposit) {
+    return {
+      kind: 6,
+      id: `e${deposit.id}`,
+      number: `D${deposit.id}`,
+      date: deposit.date,
+      credit: deposit.amount,
+      desc: deposit.description,
+      owing: 0,
+      data: { ACC_ACCOUNT_ID: deposit.bankAccount, CREATE_USER_NAME: 'API', MEMO: deposit.memo }
+    };
+  }
+
+  const routes = {
+    'GET /api/job_data.php': (params) => {
+      const job = getJob(params.job);
+      return job ? { ...job.data, STATUS: job.status } : { error: 2 };
+    },
+    'GET /php_functions/billing_list.php': (params) => {
+      const job = getJob(params.main_id);
+      if (!job) return { error: 2 };
+      return { rows: job.billing, banks: [{ ID: 267, NAME: 'Stripe GBP' }, { ID: 268, NAME: 'Stripe EUR' }], ...(job.currency ? { currency: job.currency } : {}) };
+    },
+    'GET /frames/items_to_supply_list.php': (params) => {
+      const job = getJob(params.job);
+      return job ? job.items : { error: 2 };
+    },
+    'GET /api/job_notes.php': (params) => {
+      const job = getJob(params.job);
+      return job ? job.notes : { error: 2 };
+    },
+    'GET /api/job_note.php': (params) => {
+      const job = getJob(params.job);
+      if (!job) return { error: 2 };
+      job.notes.unshift({ note: params.note, date: new Date().toISOString() });
+      return 'OK';
+    },
+    'GET /php_functions/job_refresh.php': (params) => {
+      const job = getJob(params.job);
+      return job ? { ID: job.data.ID, LOCKED: job.locked, STATUS: job.status, LAST_CHANGE: job.lastChange } : { error: 2 };
+    },
+    'POST /frames/status_save.php': (params) => {
+      const job = getJob(params.job);
+      if (!job) return { error: 2 };
+      job.status = Number(params.status);
+      job.lastChange = hirehopTime();
+      job.statusHistory.push({ status: job.status, noWebhook: params.no_webhook === '1' });
+      return { success: true };
+    },
+    'POST /php_functions/job_save.php': (params) => {
+      const job = getJob(params.job);
+      if (!job) return { error: 2 };
+      if (job.locked) return { error: 'locked' };
+      job.lastChange = hirehopTime();
+      if (params.out) job.data.JOB_DATE = params.out;
+      if (params.to) job.data.JOB_END = params.to;
+      job.dateSaves.push({
+        out: params.out || null,
+        to: params.to || null,
+        start: params.start || null,
+        end: params.end || null,
+        noWebhook: params.no_webhook === '1'
+      });
+      return { success: true };
+    },
+    'POST /php_functions/billing_deposit_save.php': (params) => {
+      const job = getJob(params.JOB_ID);
+      if (!job) return { error: 2 };
+      const deposit = {
+        id: nextId++,
+        jobId: job.id,
+        date: params.DATE,
+        amount: parseFloat(params.AMOUNT),
+        description: params.DESCRIPTION,
+        memo: params.MEMO,
+        bankAccount: Number(params.ACC_ACCOUNT_ID),
+        currency: params['CURRENCY[CODE]'],
+        currencySymbol: params['CURRENCY[SYMBOL]'],
+        clientId: params.CLIENT_ID
+      };
+      state.deposits.push(deposit);
+      job.billing.push(depositRow(deposit));
+      return { hh_id: deposit.id };
+    },
+    'POST /php_functions/billing_payments_save.php': (params) => {
+      const payment = {
+        id: nextId++,
+        depositId: Number(params.deposit),
+        amount: parseFloat(params.paid),
+        description: params.desc,
+        memo: params.memo
+      };
+      state.payments.push(payment);
+      return { hh_id: payment.id };
+    },
+    'POST /php_functions/accounting/tasks.php': (params) => {
+      state.tasks.push({ task: params.hh_task, id: params.hh_id });
+      return { success: true, message: 'Posted' };
+    }
+  };
+
+  let server = null;
+
+  return {
+    state,
+    addJob,
+    getJob,
+    failNext,
+    get url() {
+      return server.url;
+    },
+
+    async start() {
+      server = await startServer(async (req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = req.method === 'GET'
+          ? Object.fromEntries(url.searchParams)
+          : Object.fromEntries(new URLSearchParams(body));
+        state.requests.push({ method: req.method, path: url.pathname, params });
+
+        const failure = takeFailure(url.pathname);
+        if (failure) return send(res, failure.status, failure.body, 'text/plain');
+
+        // A bad token gets the login page, exactly like the real thing
+        if (params.token !== token) return send(res, 200, LOGIN_PAGE, 'text/html');
+
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) return send(res, 404, 'Not found', 'text/plain');
+
+        const result = route(params);
+        return typeof result === 'string' ? send(res, 200, result, 'text/plain') : send(res, 200, result);
+      });
+      return this;
+    },
+
+    async stop() {
+      if (server) await server.close();
+    }
+  };
+}
+
+module.exports = { createFakeHireHop };
@@ -0,0 +1,42 @@
+// test/fakes/http.js - Tiny HTTP server helper shared by the fake services
+const http = require('http');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, statusCode, body, contentType = 'application/json') {
+  res.writeHead(statusCode, { 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Listen on a free local port. handler(req, res, body) may be async; thrown errors become HTTP 500.
+async function startServer(handler) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const body = await readBody(req);
+      await handler(req, res, body);
+    } catch (error) {
+      send(res, 500, { error: { message: `Fake server error: ${error.message}` } });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // The Stripe SDK keeps connections alive - drop them so close() doesn't wait
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = { readBody, send, startServer };
@@ -0,0 +1,174 @@
+// test/fakes/monday-server.js - Stateful stand-in for the Monday.com GraphQL API
+// Understands the operations monday-client sends (items_page_by_column_values, next_items_page,
+// items, change_column_value, change_simple_column_value, create_update) and answers from the
+// variables, so queries are never string-matched on values. throttleNext() simulates complexity errors.
+const { send, startServer } = require('./http');
+
+function createFakeMonday({ apiKey = 'test-monday-key', boardId = '1234' } = {}) {
+  const state = {
+    items: new Map(),
+    cursors: new Map(),
+    requests: [],
+    throttles: []
+  };
+  let nextId = 5000;
+
+  // addItem({ name, jobId, columns: { status58: 'Pre-auth taken', date4: { date: '2025-06-01', time: '08:00:00' } } })
+  // Strings are status labels; objects are stored as the column's raw value
+  function addItem({ name = 'Test job', jobId = null, columns = {} } = {}) {
+    const item = { id: String(nextId++), name, columns: {}, updates: [] };
+    if (jobId !== null) item.columns.text7 = { text: String(jobId), value: JSON.stringify(String(jobId)) };
+    for (const [columnId, text] of Object.entries(columns)) {
+      if (typeof text === 'object') {
+        setColumn(item, columnId, JSON.stringify(text));
+      } else {
+        item.columns[columnId] = { text, value: JSON.stringify({ label: text }) };
+      }
+    }
+    state.items.set(item.id, item);
+    return item;
+  }
+
+  function getItem(itemId) {
+    return state.items.get(String(itemId)) || null;
+  }
+
+  function findByJob(jobId) {
+    return [...state.items.values()].find(item => item.columns.text7?.text === String(jobId)) || null;
+  }
+
+  function columnText(itemId, columnId) {
+    return getItem(itemId)?.columns[columnId]?.text ?? null;
+  }
+
+  function throttleNext({ times = 1, retryInSeconds = 1 } = {}) {
+    state.throttles.push({ times, retryInSeconds });
+  }
+
+  // Shape an item the way the query asked for it
+  function renderItem(item, query) {
+    const rendered = { id: item.id, name: item.name };
+
+    if (/\scolumn_values\s*[({]/.test(query)) {
+      const idsMatch = query.match(/column_values\(ids:\s*(\[[^\]]*\])\)/);
+      const ids = idsMatch ? JSON.parse(idsMatch[1]) : Object.keys(item.columns);
+      rendered.column_values = ids
+        .filter(id => item.columns[id])
+        .map(id => ({ id, text: item.columns[id].text, value: item.columns[id].value }));
+    }
+
+    if (/\supdates\s*[({]/.test(query)) {
+      const limitMatch = query.match(/updates\(limit:\s*(\d+)\)/);
+      const limit = limitMatch ? parseInt(limitMatch[1]) : 25;
+      rendered.updates = item.updates.slice(0, limit);
+    }
+
+    return rendered;
+  }
+
+  function page(ids, offset, limit, query) {
+    const pageIds = ids.slice(offset, offset + limit);
+    let cursor = null;
+    if (offset + limit < ids.length) {
+      cursor = `cursor-${state.cursors.size + 1}`;
+      state.cursors.set(cursor, { ids, offset: offset + limit });
+    }
+    return { cursor, items: pageIds.map(id => renderItem(getItem(id), query)) };
+  }
+
+  function setColumn(item, columnId, value, simple) {
+    if (simple) {
+      item.columns[columnId] = { text: value, value: JSON.stringify(value) };
+      return;
+    }
+    const parsed = JSON.parse(value);
+    const text = parsed.label || parsed.date || parsed.text || (typeof parsed === 'string' ? parsed : JSON.stringify(parsed));
+    item.columns[columnId] = { text, value };
+  }
+
+  function execute(query, variables) {
+    if (/items_page_by_column_values/.test(query)) {
+      if (String(variables.boardId) !== String(boardId)) return { errors: [{ message: 'Board not found' }] };
+      const [{ column_id: columnId, column_values: values }] = variables.columns;
+      const ids = [...state.items.values()]
+        .filter(item => values.includes(item.columns[columnId]?.text))
+        .map(item => item.id);
+      return { data: { items_page_by_column_values: page(ids, 0, variables.limit, query) } };
+    }
+
+    if (/next_items_page/.test(query)) {
+      const cursor = state.cursors.get(variables.cursor);
+      if (!cursor) return { errors: [{ message: 'Invalid cursor' }] };
+      return { data: { next_items_page: page(cursor.ids, cursor.offset, variables.limit, query) } };
+    }
+
+    if (/change_simple_column_value|change_column_value/.test(query)) {
+      const field = /change_simple_column_value/.test(query) ? 'change_simple_column_value' : 'change_column_value';
+      const item = getItem(variables.itemId);
+      if (!item) return { errors: [{ message: `Item ${variables.itemId} not found`, extensions: { code: 'InvalidItemIdException' } }] };
+      setColumn(item, variables.columnId, variables.value, field === 'change_simple_column_value');
+      return { data: { [field]: { id: item.id } } };
+    }
+
+    if (/create_update/.test(query)) {
+      const item = getItem(variables.itemId);
+      if (!item) return { errors: [{ message: `Item ${variables.itemId} not found`, extensions: { code: 'InvalidItemIdException' } }] };
+      const update = { id: String(nextId++), body: variables.body, created_at: new Date().toISOString(), creator: { name: 'API' } };
+      item.updates.unshift(update);
+      return { data: { create_update: { id: update.id } } };
+    }
+
+    if (/items\(ids/.test(query)) {
+      const items = (variables.itemIds || []).map(getItem).filter(Boolean).map(item => renderItem(item, query));
+      return { data: { items } };
+    }
+
+    return { errors: [{ message: 'Fake Monday does not support this operation' }] };
+  }
+
+  let server = null;
+
+  return {
+    state,
+    boardId,
+    addItem,
+    getItem,
+    findByJob,
+    columnText,
+    throttleNext,
+    get url() {
+      return server.url;
+    },
+
+    async start() {
+      server = await startServer(async (req, res, body) => {
+        if (req.headers.authorization !== apiKey) {
+          return send(res, 401, { errors: [{ message: 'Not Authenticated' }] });
+        }
+
+        const { query, variables = {} } = JSON.parse(body);
+        state.requests.push({ query, variables });
+
+        const throttle = state.throttles.find(t => t.times > 0);
+        if (throttle) {
+          throttle.times--;
+          return send(res, 200, {
+            errors: [{
+              message: `Complexity budget exhausted, query cost 30001 budget remaining 0 out of 1000000 reset in ${throttle.retryInSeconds} seconds`,
+              extensions: { code: 'ComplexityException', retry_in_seconds: throttle.retryInSeconds }
+            }]
+          });
+        }
+
+        return send(res, 200, execute(query, variables));
+      });
+      return this;
+    },
+
+    async stop() {
+      if (server) await server.close();
+    }
+  };
+}
+
+module.exports = { createFakeMonday };
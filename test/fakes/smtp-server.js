@@ -0,0 +1,189 @@
+// test/fakes/smtp-server.js - Local SMTP catcher for outgoing email
+// Speaks just enough SMTP (no TLS, no auth) for nodemailer to deliver to it, and keeps every
+// message it receives with the headers, plain-text and HTML parts decoded. failNext() turns the
+// next delivery away with a temporary error.
+const net = require('net');
+
+function decodeQuotedPrintable(value) {
+  const bytes = value
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+function decodeBody(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    default:
+      return body;
+  }
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?Q?=C2=A3300?=
+function decodeHeader(value) {
+  return value.replace(/=\?([^?]+)\?([QB])\?([^?]*)\?=\s*/gi, (match, charset, type, text) => (
+    type.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64').toString('utf8')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '))
+  ));
+}
+
+// Split a raw message (or MIME part) into lower-cased headers and body
+function parsePart(raw) {
+  const splitAt = raw.indexOf('\r\n\r\n');
+  const headerBlock = splitAt === -1 ? raw : raw.slice(0, splitAt);
+  const body = splitAt === -1 ? '' : raw.slice(splitAt + 4);
+
+  const headers = {};
+  for (const line of headerBlock.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = decodeHeader(line.slice(colon + 1).trim());
+  }
+  return { headers, body };
+}
+
+// Pull the text/plain and text/html bodies out of a (possibly nested) multipart message
+function collectBodies(part, bodies = {}) {
+  const contentType = part.headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+
+  if (boundary) {
+    for (const section of part.body.split(`--${boundary}`).slice(1)) {
+      if (section.startsWith('--')) break;
+      collectBodies(parsePart(section.replace(/^\r\n/, '')), bodies);
+    }
+  } else if (/text\/(plain|html)/i.test(contentType)) {
+    const kind = /text\/html/i.test(contentType) ? 'html' : 'text';
+    bodies[kind] = decodeBody(part.body, part.headers['content-transfer-encoding']).replace(/\r\n$/, '');
+  }
+  return bodies;
+}
+
+function createFakeSmtp() {
+  const state = {
+    messages: [],
+    failures: 0
+  };
+  const sockets = new Set();
+
+  function failNext(times = 1) {
+    state.failures += times;
+  }
+
+  function messagesTo(address) {
+    return state.messages.filter(message => message.to.includes(address));
+  }
+
+  function receive(envelope, raw) {
+    const part = parsePart(raw);
+    const bodies = collectBodies(part);
+    const message = {
+      from: envelope.from,
+      to: envelope.to,
+      subject: part.headers.subject || '',
+      headers: part.headers,
+      text: bodies.text || '',
+      html: bodies.html || '',
+      raw
+    };
+    state.messages.push(message);
+    return message;
+  }
+
+  function handleConnection(socket) {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let dataLines = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function handleCommand(line) {
+      const command = line.slice(0, 4).toUpperCase();
+      switch (command) {
+        case 'EHLO':
+        case 'HELO':
+          return reply('250 fake-smtp');
+        case 'MAIL':
+          if (state.failures > 0) {
+            state.failures--;
+            return reply('451 Fake temporary failure');
+          }
+          envelope = { from: line.match(/<([^>]*)>/)?.[1] || '', to: [] };
+          return reply('250 OK');
+        case 'RCPT':
+          envelope.to.push(line.match(/<([^>]*)>/)?.[1] || '');
+          return reply('250 OK');
+        case 'DATA':
+          dataLines = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (dataLines) {
+          if (line === '.') {
+            receive(envelope, dataLines.join('\r\n'));
+            dataLines = null;
+            reply(`250 OK queued as fake-${state.messages.length}`);
+          } else {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+        } else {
+          handleCommand(line);
+        }
+      }
+    });
+
+    reply('220 fake-smtp ESMTP');
+  }
+
+  let server = null;
+
+  return {
+    state,
+    failNext,
+    messagesTo,
+    host: '127.0.0.1',
+    get port() {
+      return server.address().port;
+    },
+
+    async start() {
+      server = net.createServer(handleConnection);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return this;
+    },
+
+    async stop() {
+      if (!server) return;
+      await new Promise(resolve => {
+        server.close(resolve);
+        for (const socket of sockets) socket.destroy();
+      });
+    }
+  };
+}
+
+module.exports = { createFakeSmtp };
@@ -0,0 +1,515 @@
+// test/fakes/stripe-server.js - Stateful stand-in for the Stripe API endpoints the functions use
+// The real Stripe SDK talks to it (via STRIPE_API_BASE), so requests arrive form-encoded exactly as
+// they would in production. Helpers simulate what happens outside our code: a customer finishing
+// Checkout or confirming the Payment Element, a bank transfer arriving, Stripe letting a hold lapse,
+// and signed webhook deliveries.
+const Stripe = require('stripe');
+const { send, startServer } = require('./http');
+
+// Test card behaviours, named after Stripe's own test payment methods
+const CARD_BEHAVIOURS = {
+  pm_card_visa: 'succeed',
+  pm_card_authenticationRequired: 'authentication_required',
+  pm_card_chargeDeclined: 'card_declined'
+};
+
+// metadata[jobId]=1&line_items[0][quantity]=1 -> { metadata: { jobId: '1' }, line_items: [{ quantity: '1' }] }
+function parseForm(body) {
+  const result = {};
+
+  for (const [key, value] of new URLSearchParams(body)) {
+    const path = key.replace(/\]/g, '').split('[');
+    let target = result;
+    path.forEach((part, index) => {
+      if (index === path.length - 1) {
+        target[part] = value;
+      } else {
+        target[part] = target[part] || {};
+        target = target[part];
+      }
+    });
+  }
+
+  return toArrays(result);
+}
+
+function toArrays(value) {
+  if (!value || typeof value !== 'object') return value;
+  const keys = Object.keys(value);
+  const converted = {};
+  keys.forEach(key => { converted[key] = toArrays(value[key]); });
+  if (keys.length > 0 && keys.every(key => /^\d+$/.test(key))) {
+    return keys.sort((a, b) => a - b).map(key => converted[key]);
+  }
+  return converted;
+}
+
+function stripeError(statusCode, type, code, message, extra = {}) {
+  return { statusCode, body: { error: { type, code, message, ...extra } } };
+}
+
+function createFakeStripe({ webhookSecret = 'whsec_test_secret' } = {}) {
+  const state = {
+    customers: new Map(),
+    paymentIntents: new Map(),
+    setupIntents: new Map(),
+    paymentMethods: new Map(),
+    checkoutSessions: new Map(),
+    refunds: new Map(),
+    cashBalances: new Map(),
+    cashBalanceTransactions: [],
+    idempotent: new Map(),
+    requests: []
+  };
+  let counter = 0;
+  const newId = (prefix) => `${prefix}_test${String(++counter).padStart(6, '0')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  Object.keys(CARD_BEHAVIOURS).forEach(id => {
+    state.paymentMethods.set(id, { id, object: 'payment_method', type: 'card', customer: null, card: { brand: 'visa', last4: '4242' } });
+  });
+
+  function paymentIntent(params) {
+    const amount = parseInt(params.amount);
+    const id = newId('pi');
+    return {
+      id,
+      object: 'payment_intent',
+      client_secret: `${id}_secret_test`,
+      amount,
+      amount_capturable: 0,
+      amount_received: 0,
+      currency: params.currency || 'gbp',
+      status: 'requires_payment_method',
+      capture_method: params.capture_method || 'automatic',
+      customer: params.customer || null,
+      payment_method: params.payment_method || null,
+      payment_method_types: params.payment_method_types || ['card'],
+      next_action: null,
+      description: params.description || null,
+      statement_descriptor_suffix: params.statement_descriptor_suffix || null,
+      metadata: params.metadata || {},
+      created: now(),
+      canceled_at: null,
+      cancellation_reason: null
+    };
+  }
+
+  // Confirming moves the intent on as the card behaviour dictates
+  function confirm(intent, offSession) {
+    const behaviour = CARD_BEHAVIOURS[intent.payment_method] || 'succeed';
+
+    if (behaviour === 'card_declined') {
+      intent.status = 'requires_payment_method';
+      return stripeError(402, 'card_error', 'card_declined', 'Your card was declined.', { decline_code: 'generic_decline', payment_intent: intent });
+    }
+
+    if (behaviour === 'authentication_required' && offSession) {
+      intent.status = 'requires_action';
+      return stripeError(402, 'card_error', 'authentication_required', 'This payment requires authentication.', { payment_intent: intent });
+    }
+
+    if (intent.capture_method === 'manual') {
+      intent.status = 'requires_capture';
+      intent.amount_capturable = intent.amount;
+    } else {
+      intent.status = 'succeeded';
+      intent.amount_received = intent.amount;
+    }
+    return null;
+  }
+
+  // ---------- Bank transfers (customer cash balance) ----------
+
+  function cashBalanceTransaction(customerId, type, netAmount, details) {
+    const transaction = {
+      id: newId('ccsbtxn'),
+      object: 'customer_cash_balance_transaction',
+      customer: customerId,
+      currency: 'gbp',
+      type,
+      net_amount: netAmount,
+      ending_balance: state.cashBalances.get(customerId) || 0,
+      created: now(),
+      ...details
+    };
+    state.cashBalanceTransactions.push(transaction);
+    return transaction;
+  }
+
+  function isOpenBankTransfer(intent) {
+    return intent.status === 'requires_action' && intent.payment_method_types.includes('customer_balance');
+  }
+
+  // Each customer has its own virtual account, numbered in creation order
+  function transferInstructions(intent) {
+    const existing = intent.next_action?.display_bank_transfer_instructions;
+    const customerIndex = [...state.customers.keys()].indexOf(intent.customer) + 1;
+    return {
+      type: 'gb_bank_transfer',
+      currency: intent.currency,
+      amount_remaining: intent.amount - intent.amount_received,
+      reference: existing?.reference || `REF${intent.id.slice(-6)}`,
+      hosted_instructions_url: `https://payments.stripe.test/bank_transfers/${intent.id}`,
+      financial_addresses: [{
+        type: 'sort_code',
+        supported_networks: ['bacs', 'fps'],
+        sort_code: { account_holder_name: 'Ooosh Tours Ltd', account_number: String(10000000 + customerIndex), sort_code: '108800' }
+      }]
+    };
+  }
+
+  // Apply whatever is in the customer's balance to the intent; returns the transactions made
+  function applyCashBalance(intent) {
+    const available = state.cashBalances.get(intent.customer) || 0;
+    const applied = Math.min(available, intent.amount - intent.amount_received);
+    const transactions = [];
+
+    if (applied > 0) {
+      state.cashBalances.set(intent.customer, available - applied);
+      intent.amount_received += applied;
+      transactions.push(cashBalanceTransaction(intent.customer, 'applied_to_payment', -applied, { applied_to_payment: { payment_intent: intent.id } }));
+    }
+
+    if (intent.amount_received >= intent.amount) {
+      intent.status = 'succeeded';
+      intent.next_action = null;
+    } else {
+      intent.status = 'requires_action';
+      intent.next_action = { type: 'display_bank_transfer_instructions', display_bank_transfer_instructions: transferInstructions(intent) };
+    }
+    return transactions;
+  }
+
+  // status:'requires_capture' AND metadata['paymentType']:'excess' AND created>1700000000
+  function matchesSearch(intent, query) {
+    return query.split(/\s+AND\s+/i).every(clause => {
+      let match = clause.match(/^metadata\['([^']+)'\]:'([^']*)'$/);
+      if (match) return intent.metadata[match[1]] === match[2];
+      match = clause.match(/^(\w+):'([^']*)'$/);
+      if (match) return String(intent[match[1]]) === match[2];
+      match = clause.match(/^created([<>]=?)(\d+)$/);
+      if (match) {
+        const limit = parseInt(match[2]);
+        return { '>': intent.created > limit, '>=': intent.created >= limit, '<': intent.created < limit, '<=': intent.created <= limit }[match[1]];
+      }
+      return false;
+    });
+  }
+
+  function getOr404(map, id, label) {
+    const object = map.get(id);
+    if (!object) throw stripeError(404, 'invalid_request_error', 'resource_missing', `No such ${label}: '${id}'`);
+    return object;
+  }
+
+  const routes = [
+    ['POST', /^\/v1\/customers$/, (params) => {
+      const customer = { id: newId('cus'), object: 'customer', email: params.email || null, name: params.name || null, metadata: params.metadata || {} };
+      state.customers.set(customer.id, customer);
+      return customer;
+    }],
+
+    ['GET', /^\/v1\/customers\/(cus_\w+)$/, (params, id) => getOr404(state.customers, id, 'customer')],
+
+    ['GET', /^\/v1\/customers\/(cus_\w+)\/cash_balance$/, (params, id) => {
+      getOr404(state.customers, id, 'customer');
+      return { object: 'cash_balance', customer: id, available: { gbp: state.cashBalances.get(id) || 0 }, livemode: false };
+    }],
+
+    ['GET', /^\/v1\/payment_intents$/, (params) => {
+      const data = [...state.paymentIntents.values()].filter(intent => !params.customer || intent.customer === params.customer);
+      return { object: 'list', data: data.reverse(), has_more: false, url: '/v1/payment_intents' };
+    }],
+
+    ['GET', /^\/v1\/payment_intents\/search$/, (params) => {
+      const data = [...state.paymentIntents.values()].filter(intent => matchesSearch(intent, params.query || ''));
+      return { object: 'search_result', data, has_more: false, next_page: null, url: '/v1/payment_intents/search' };
+    }],
+
+    ['POST', /^\/v1\/payment_intents$/, (params) => {
+      const intent = paymentIntent(params);
+      state.paymentIntents.set(intent.id, intent);
+      if (params.confirm === 'true' && intent.payment_method_types.includes('customer_balance')) {
+        applyCashBalance(intent);
+      } else if (params.confirm === 'true') {
+        const failure = confirm(intent, params.off_session === 'true');
+        if (failure) throw failure;
+      }
+      return intent;
+    }],
+
+    ['GET', /^\/v1\/payment_intents\/(pi_\w+)$/, (params, id) => getOr404(state.paymentIntents, id, 'payment_intent')],
+
+    ['POST', /^\/v1\/payment_intents\/(pi_\w+)$/, (params, id) => {
+      const intent = getOr404(state.paymentIntents, id, 'payment_intent');
+      if (params.metadata) intent.metadata = { ...intent.metadata, ...params.metadata };
+      if (params.description) intent.description = params.description;
+      return intent;
+    }],
+
+    ['POST', /^\/v1\/payment_intents\/(pi_\w+)\/capture$/, (params, id) => {
+      const intent = getOr404(state.paymentIntents, id, 'payment_intent');
+      if (intent.status !== 'requires_capture') {
+        throw stripeError(400, 'invalid_request_error', 'payment_intent_unexpected_state', `This PaymentIntent could not be captured because it has a status of ${intent.status}.`);
+      }
+      const amount = params.amount_to_capture ? parseInt(params.amount_to_capture) : intent.amount_capturable;
+      if (amount > intent.amount_capturable) {
+        throw stripeError(400, 'invalid_request_error', 'amount_too_large', 'The amount to capture is larger than the capturable amount.');
+      }
+      intent.status = 'succeeded';
+      intent.amount_received = amount;
+      intent.amount_capturable = 0;
+      if (params.metadata) intent.metadata = { ...intent.metadata, ...params.metadata };
+      return intent;
+    }],
+
+    ['POST', /^\/v1\/payment_intents\/(pi_\w+)\/cancel$/, (params, id) => {
+      const intent = getOr404(state.paymentIntents, id, 'payment_intent');
+      if (['succeeded', 'canceled'].includes(intent.status)) {
+        throw stripeError(400, 'invalid_request_error', 'payment_intent_unexpected_state', `You cannot cancel this PaymentIntent because it has a status of ${intent.status}.`);
+      }
+      intent.status = 'canceled';
+      intent.amount_capturable = 0;
+      intent.canceled_at = now();
+      intent.cancellation_reason = params.cancellation_reason || null;
+      return intent;
+    }],
+
+    ['POST', /^\/v1\/checkout\/sessions$/, (params) => {
+      const session = {
+        id: newId('cs'),
+        object: 'checkout.session',
+        mode: params.mode || 'payment',
+        status: 'open',
+        payment_status: 'unpaid',
+        customer: params.customer || null,
+        customer_email: params.customer_email || null,
+        payment_intent: null,
+        setup_intent: null,
+        amount_total: (params.line_items || []).reduce((total, item) => total + parseInt(item.price_data?.unit_amount || 0) * parseInt(item.quantity || 1), 0),
+        currency: params.line_items?.[0]?.price_data?.currency || 'gbp',
+        metadata: params.metadata || {},
+        payment_intent_data: params.payment_intent_data || {},
+        setup_intent_data: params.setup_intent_data || {},
+        success_url: params.success_url,
+        cancel_url: params.cancel_url
+      };
+      session.url = `https://checkout.stripe.test/pay/${session.id}`;
+      state.checkoutSessions.set(session.id, session);
+      return session;
+    }],
+
+    ['GET', /^\/v1\/checkout\/sessions\/(cs_\w+)$/, (params, id) => getOr404(state.checkoutSessions, id, 'checkout.session')],
+
+    ['POST', /^\/v1\/setup_intents$/, (params) => {
+      const id = newId('seti');
+      const setupIntent = {
+        id,
+        object: 'setup_intent',
+        client_secret: `${id}_secret_test`,
+        status: 'requires_payment_method',
+        customer: params.customer || null,
+        payment_method: null,
+        usage: params.usage || 'off_session',
+        description: params.description || null,
+        metadata: params.metadata || {}
+      };
+      state.setupIntents.set(setupIntent.id, setupIntent);
+      return setupIntent;
+    }],
+
+    ['GET', /^\/v1\/setup_intents\/(seti_\w+)$/, (params, id) => getOr404(state.setupIntents, id, 'setup_intent')],
+
+    ['GET', /^\/v1\/payment_methods\/(pm_\w+)$/, (params, id) => getOr404(state.paymentMethods, id, 'payment_method')],
+
+    ['POST', /^\/v1\/payment_methods\/(pm_\w+)\/attach$/, (params, id) => {
+      const paymentMethod = getOr404(state.paymentMethods, id, 'payment_method');
+      paymentMethod.customer = params.customer;
+      return paymentMethod;
+    }],
+
+    ['POST', /^\/v1\/refunds$/, (params) => {
+      const intent = getOr404(state.paymentIntents, params.payment_intent, 'payment_intent');
+      const refund = {
+        id: newId('re'),
+        object: 'refund',
+        amount: params.amount ? parseInt(params.amount) : intent.amount_received,
+        payment_intent: intent.id,
+        status: 'succeeded',
+        reason: params.reason || null,
+        metadata: params.metadata || {}
+      };
+      state.refunds.set(refund.id, refund);
+      return refund;
+    }]
+  ];
+
+  // ---------- Simulating the outside world ----------
+
+  // The customer pays (or saves a card) on the hosted Checkout page
+  function completeCheckoutSession(sessionId, { paymentMethod = 'pm_card_visa' } = {}) {
+    const session = state.checkoutSessions.get(sessionId);
+    if (!session) throw new Error(`No such checkout session ${sessionId}`);
+
+    if (session.mode === 'setup') {
+      const setupIntent = {
+        id: newId('seti'),
+        object: 'setup_intent',
+        status: 'succeeded',
+        customer: session.customer,
+        payment_method: paymentMethod,
+        metadata: session.setup_intent_data.metadata || {}
+      };
+      state.setupIntents.set(setupIntent.id, setupIntent);
+      state.paymentMethods.get(paymentMethod).customer = session.customer;
+      session.setup_intent = setupIntent.id;
+    } else {
+      const intent = paymentIntent({
+        amount: session.amount_total,
+        currency: session.currency,
+        capture_method: session.payment_intent_data.capture_method,
+        customer: session.customer,
+        payment_method: paymentMethod,
+        description: session.payment_intent_data.description,
+        metadata: session.payment_intent_data.metadata || session.metadata
+      });
+      state.paymentIntents.set(intent.id, intent);
+      confirm(intent, false);
+      session.payment_intent = intent.id;
+      session.payment_status = intent.status === 'succeeded' ? 'paid' : 'unpaid';
+    }
+
+    session.status = 'complete';
+    return session;
+  }
+
+  // The customer confirms a PaymentIntent in the Payment Element on our page
+  function confirmPaymentIntent(paymentIntentId, { paymentMethod = 'pm_card_visa' } = {}) {
+    const intent = state.paymentIntents.get(paymentIntentId);
+    if (!intent) throw new Error(`No such payment intent ${paymentIntentId}`);
+
+    intent.payment_method = paymentMethod;
+    if (intent.customer && state.paymentMethods.has(paymentMethod)) state.paymentMethods.get(paymentMethod).customer = intent.customer;
+    confirm(intent, false);
+    return intent;
+  }
+
+  // The customer saves a card in the Payment Element
+  function confirmSetupIntent(setupIntentId, { paymentMethod = 'pm_card_visa' } = {}) {
+    const setupIntent = state.setupIntents.get(setupIntentId);
+    if (!setupIntent) throw new Error(`No such setup intent ${setupIntentId}`);
+
+    setupIntent.payment_method = paymentMethod;
+    setupIntent.status = 'succeeded';
+    state.paymentMethods.get(paymentMethod).customer = setupIntent.customer;
+    return setupIntent;
+  }
+
+  // A bank transfer lands in the customer's virtual account. Like Stripe's automatic reconciliation,
+  // it goes to the open request with the same reference, else the only one for exactly that amount.
+  // Returns the cash balance transactions to deliver as webhooks, in order.
+  function sendBankTransfer(customerId, amount, { reference = null } = {}) {
+    state.cashBalances.set(customerId, (state.cashBalances.get(customerId) || 0) + amount);
+    const funded = cashBalanceTransaction(customerId, 'funded', amount, { funded: { bank_transfer: { type: 'gb_bank_transfer', reference } } });
+
+    const open = [...state.paymentIntents.values()].filter(intent => intent.customer === customerId && isOpenBankTransfer(intent));
+    const sameAmount = open.filter(intent => intent.amount - intent.amount_received === amount);
+    const target = open.find(intent => intent.next_action.display_bank_transfer_instructions.reference === reference)
+      || (sameAmount.length === 1 ? sameAmount[0] : null);
+
+    return [funded, ...(target ? applyCashBalance(target) : [])];
+  }
+
+  // Every cash balance transaction for a customer, oldest first
+  function cashBalanceTransactionsFor(customerId) {
+    return state.cashBalanceTransactions.filter(transaction => transaction.customer === customerId);
+  }
+
+  // A manual-capture hold as if the customer had just authorised it
+  function createHold({ amount, metadata = {}, customer = null, paymentMethod = 'pm_card_visa', createdDaysAgo = 0 }) {
+    const intent = paymentIntent({ amount, capture_method: 'manual', customer, payment_method: paymentMethod, metadata });
+    intent.created -= Math.round(createdDaysAgo * 24 * 60 * 60);
+    confirm(intent, false);
+    state.paymentIntents.set(intent.id, intent);
+    return intent;
+  }
+
+  // Stripe lets an uncaptured hold lapse after 7 days
+  function expireHold(paymentIntentId) {
+    const intent = state.paymentIntents.get(paymentIntentId);
+    intent.status = 'canceled';
+    intent.amount_capturable = 0;
+    intent.canceled_at = now();
+    intent.cancellation_reason = 'automatic';
+    return intent;
+  }
+
+  // A webhook delivery signed with the endpoint secret: { body, headers } ready for the handler
+  function webhookEvent(type, object) {
+    const event = { id: newId('evt'), object: 'event', type, created: now(), data: { object: JSON.parse(JSON.stringify(object)) } };
+    const payload = JSON.stringify(event);
+    const signature = Stripe('sk_test_signer').webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+    return { event, body: payload, headers: { 'stripe-signature': signature } };
+  }
+
+  let server = null;
+
+  return {
+    state,
+    webhookSecret,
+    completeCheckoutSession,
+    confirmPaymentIntent,
+    confirmSetupIntent,
+    sendBankTransfer,
+    cashBalanceTransactionsFor,
+    createHold,
+    expireHold,
+    webhookEvent,
+    get url() {
+      return server.url;
+    },
+
+    async start() {
+      server = await startServer(async (req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = req.method === 'GET' ? parseForm(url.searchParams.toString()) : parseForm(body);
+        state.requests.push({ method: req.method, path: url.pathname, params });
+
+        // Replay the stored response for a repeated idempotency key, like Stripe does
+        const idempotencyKey = req.headers['idempotency-key'];
+        if (req.method === 'POST' && idempotencyKey && state.idempotent.has(idempotencyKey)) {
+          const stored = state.idempotent.get(idempotencyKey);
+          return send(res, stored.statusCode, stored.body);
+        }
+
+        let result;
+        const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) {
+          result = stripeError(404, 'invalid_request_error', 'resource_missing', `Unrecognized request URL (${req.method}: ${url.pathname})`);
+        } else {
+          try {
+            const [, , handler] = route;
+            const [, id] = url.pathname.match(route[1]);
+            result = { statusCode: 200, body: handler(params, id) };
+          } catch (error) {
+            if (!error.statusCode) throw error;
+            result = error;
+          }
+        }
+
+        // Snapshot so later changes to the object don't alter what was returned
+        result = { statusCode: result.statusCode, body: JSON.parse(JSON.stringify(result.body)) };
+        if (req.method === 'POST' && idempotencyKey) state.idempotent.set(idempotencyKey, result);
+        return send(res, result.statusCode, result.body);
+      });
+      return this;
+    },
+
+    async stop() {
+      if (server) await server.close();
+    }
+  };
+}
+
+module.exports = { createFakeStripe, parseForm };
@@ -0,0 +1,44 @@
+// test/fixtures.js - Seed data shared by the tests
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hireDate(daysFromNow, time) {
+  return `${new Date(Date.now() + daysFromNow * DAY_MS).toISOString().slice(0, 10)} ${time}`;
+}
+
+// addJob() options for a van hire: valueExVat is the job total before VAT, vans the excess-bearing vehicles,
+// currency HireHop's currency record for jobs not priced in pounds
+function vanHireJob({ startInDays = 10, hireDays = 4, valueExVat = 1000, vans = 1, status = 1, billing = [], currency = null } = {}) {
+  return {
+    status,
+    currency,
+    data: {
+      JOB_DATE: hireDate(startInDays, '09:00:00'),
+      JOB_END: hireDate(startInDays + hireDays - 1, '17:00:00'),
+      NAME: 'Test Customer',
+      EMAIL: 'customer@example.com',
+      JOB_NAME: 'Test Tour'
+    },
+    items: vans > 0 ? [{ ID: 1, CATEGORY_ID: 370, qty: vans, VIRTUAL: '0', NAME: 'Premium LWB Van' }] : [],
+    billing: [{ kind: 0, accrued: valueExVat }, ...billing]
+  };
+}
+
+// billing_list.php rows as HireHop returns them. Deposits carry an "e" prefixed ID; payment
+// applications refer back to the deposit by its bare number in OWNER_DEPOSIT.
+function depositRow(id, credit, desc, { bankId = 267, user = 'Stripe' } = {}) {
+  return { kind: 6, id: `e${id}`, number: `D${id}`, date: '2025-06-01', credit, desc, owing: 0, data: { ACC_ACCOUNT_ID: bankId, CREATE_USER_NAME: user } };
+}
+
+function applicationRow(id, credit, { desc = '', ownerDeposit = null, parentIs = '' } = {}) {
+  return { kind: 3, id: String(id), date: '2025-06-02', credit, desc, owner: 0, data: { OWNER_DEPOSIT: ownerDeposit, parent_is: parentIs } };
+}
+
+function invoiceRow(id, debit, { desc = 'Invoice', status = 1 } = {}) {
+  return { kind: 1, id: String(id), number: `INV-${id}`, date: '2025-06-01', debit, desc, status, owing: debit };
+}
+
+function creditNoteRow(id, debit, desc) {
+  return { kind: 2, id: String(id), number: `CN-${id}`, date: '2025-06-03', debit, desc };
+}
+
+module.exports = { DAY_MS, hireDate, vanHireJob, depositRow, applicationRow, invoiceRow, creditNoteRow };
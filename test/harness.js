@@ -0,0 +1,124 @@
+// test/harness.js - Runs the functions offline against fake HireHop, Monday.com, Stripe and SMTP servers
+// startHarness() starts the fakes, points the functions at them through their base-URL settings,
+// gives the persistent store a throwaway directory and serves /.netlify/functions/<name> locally
+// (some functions call get-job-details-v2 over HTTP). Call it before requiring anything in functions/.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { send, startServer } = require('./fakes/http');
+const { createFakeHireHop } = require('./fakes/hirehop-server');
+const { createFakeMonday } = require('./fakes/monday-server');
+const { createFakeStripe } = require('./fakes/stripe-server');
+const { createFakeSmtp } = require('./fakes/smtp-server');
+
+const FUNCTIONS_DIR = path.resolve(__dirname, '..', 'functions');
+
+const TEST_ENV = {
+  HIREHOP_API_TOKEN: 'test-hirehop-token',
+  MONDAY_API_KEY: 'test-monday-key',
+  MONDAY_BOARD_ID: '1234',
+  STRIPE_SECRET_KEY: 'sk_test_offline',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test_secret',
+  PAYMENT_LINK_SECRET: 'test-payment-link-secret',
+  ADMIN_PASSWORD: 'test-admin-password',
+  STORE_ADAPTER: 'file',
+  EMAIL_TRANSPORT: 'smtp',
+  EMAIL_FROM: 'Ooosh! Tours <payments@example.com>'
+};
+
+function loadFunction(name) {
+  return require(path.join(FUNCTIONS_DIR, `${name}.js`));
+}
+
+// Sign in to the admin portal for a job - returns the Authorization header admin functions expect
+async function adminAuthHeader(jobId) {
+  const response = await invoke('admin-auth', { method: 'POST', body: { password: process.env.ADMIN_PASSWORD, jobId } });
+  if (!response.json?.token) throw new Error(`Admin sign-in failed: ${response.body}`);
+  return { authorization: `Bearer ${response.json.token}` };
+}
+
+// Netlify-style event for a handler
+function buildEvent({ method = 'GET', query = {}, body = null, headers = {} } = {}) {
+  return {
+    httpMethod: method,
+    headers: { host: 'localhost', ...headers },
+    queryStringParameters: Object.fromEntries(Object.entries(query).map(([key, value]) => [key, String(value)])),
+    body: body === null || typeof body === 'string' ? body : JSON.stringify(body),
+    isBase64Encoded: false
+  };
+}
+
+// Call a handler directly. Returns the Netlify response with the JSON body parsed as `json`.
+async function invoke(name, options = {}) {
+  const response = await loadFunction(name).handler(buildEvent(options), {});
+  let json = null;
+  try {
+    json = JSON.parse(response.body);
+  } catch (e) {
+    // Not every handler answers with JSON
+  }
+  return { ...response, json };
+}
+
+// The functions log every step - keep test output readable unless TEST_LOGS=1
+function silenceLogs() {
+  if (process.env.TEST_LOGS === '1') return;
+  console.log = () => {};
+  console.error = () => {};
+}
+
+async function startHarness({ env = {} } = {}) {
+  silenceLogs();
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-test-store-'));
+
+  const hirehop = await createFakeHireHop({ token: TEST_ENV.HIREHOP_API_TOKEN }).start();
+  const monday = await createFakeMonday({ apiKey: TEST_ENV.MONDAY_API_KEY, boardId: TEST_ENV.MONDAY_BOARD_ID }).start();
+  const stripe = await createFakeStripe({ webhookSecret: TEST_ENV.STRIPE_WEBHOOK_SECRET }).start();
+  const smtp = await createFakeSmtp().start();
+
+  // Lets functions reach each other the way they do on Netlify
+  const functionsServer = await startServer(async (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/\.netlify\/functions\/([\w-]+)$/);
+    if (!match || !fs.existsSync(path.join(FUNCTIONS_DIR, `${match[1]}.js`))) {
+      return send(res, 404, { error: 'Function not found' });
+    }
+
+    const response = await loadFunction(match[1]).handler(buildEvent({
+      method: req.method,
+      query: Object.fromEntries(url.searchParams),
+      body: body || null,
+      headers: req.headers
+    }), {});
+    res.writeHead(response.statusCode, response.headers || {});
+    res.end(response.body || '');
+  });
+
+  Object.assign(process.env, TEST_ENV, {
+    HIREHOP_BASE_URL: hirehop.url,
+    MONDAY_API_URL: monday.url,
+    STRIPE_API_BASE: stripe.url,
+    SMTP_HOST: smtp.host,
+    SMTP_PORT: String(smtp.port),
+    STORE_DIR: storeDir,
+    URL: functionsServer.url
+  }, env);
+
+  return {
+    hirehop,
+    monday,
+    stripe,
+    smtp,
+    storeDir,
+    invoke,
+    adminAuthHeader,
+    loadFunction,
+
+    async stop() {
+      await Promise.all([hirehop.stop(), monday.stop(), stripe.stop(), smtp.stop(), functionsServer.close()]);
+      fs.rmSync(storeDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startHarness, invoke, adminAuthHeader, buildEvent, loadFunction };
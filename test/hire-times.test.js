@@ -0,0 +1,122 @@
+// test/hire-times.test.js - Monday.com hire times into HireHop, in UK time across BST changes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+const { fromLondon, toHireHopDateTime, fromHireHopDateTime } = require('../functions/london-time');
+
+const MONDAY_TOKEN = 'test-monday-token';
+
+// Start date with a separate collection time column that also moves the start of use;
+// the end date keeps its time on the date column
+const SYNC_MAP = {
+  columns: {
+    date: { name: 'Hire starts', action: 'date', field: 'out', useField: 'start' },
+    hour_collection: { name: 'Collection time', action: 'time', field: 'out' },
+    dup__of_hire_starts: { name: 'Hire ends', action: 'date', field: 'to' }
+  }
+};
+
+describe('UK time conversion', () => {
+  it('sends HireHop UTC an hour behind in summer and unchanged in winter', () => {
+    assert.equal(toHireHopDateTime(fromLondon('2031-07-01', '10:30')), '2031-07-01 09:30:00');
+    assert.equal(toHireHopDateTime(fromLondon('2031-01-10', '10:30')), '2031-01-10 10:30:00');
+    // Midnight-ish BST times are the previous day in UTC
+    assert.equal(toHireHopDateTime(fromLondon('2031-07-01', '00:30')), '2031-06-30 23:30:00');
+  });
+
+  it('handles the hours the clocks skip and repeat', () => {
+    // 30 March 2031: 01:30 never happens, so it is read as 02:30 BST
+    assert.equal(toHireHopDateTime(fromLondon('2031-03-30', '01:30')), '2031-03-30 01:30:00');
+    // 26 October 2031: 01:30 happens twice - the first, still BST
+    assert.equal(toHireHopDateTime(fromLondon('2031-10-26', '01:30')), '2031-10-26 00:30:00');
+    assert.equal(toHireHopDateTime(fromLondon('2031-10-26', '02:30')), '2031-10-26 02:30:00');
+  });
+
+  it('reads HireHop times back as UK dates', () => {
+    assert.deepEqual(fromHireHopDateTime('2031-06-30 23:30:00'), { date: '2031-07-01', time: '00:30:00' });
+    assert.deepEqual(fromHireHopDateTime('2031-12-31 23:30:00'), { date: '2031-12-31', time: '23:30:00' });
+  });
+});
+
+describe('Monday.com hire times', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      env: { MONDAY_WEBHOOK_TOKEN: MONDAY_TOKEN, MONDAY_SYNC_MAP_JSON: JSON.stringify(SYNC_MAP) }
+    });
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function mondayWebhook(itemId, columnId, value) {
+    return harness.invoke('monday-webhook', {
+      method: 'POST',
+      query: { token: MONDAY_TOKEN },
+      body: { event: { pulseId: itemId, boardId: 1234, columnId, value } }
+    });
+  }
+
+  it('keeps the time set on a date column, which Monday.com holds in UTC', async () => {
+    harness.hirehop.addJob(1401, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1401 });
+
+    // 16:00 UTC - 17:00 on a UK clock in July, 16:00 in December
+    const summer = await mondayWebhook(item.id, 'dup__of_hire_starts', { date: '2031-07-04', time: '16:00:00' });
+    const winter = await mondayWebhook(item.id, 'dup__of_hire_starts', { date: '2031-12-04', time: '16:00:00' });
+
+    assert.equal(summer.json.returningTime, '17:00', summer.body);
+    assert.equal(winter.json.returningTime, '16:00', winter.body);
+    assert.deepEqual(harness.hirehop.getJob(1401).dateSaves.map(save => save.to), ['2031-07-04 16:00:00', '2031-12-04 16:00:00']);
+    assert.ok(harness.hirehop.getJob(1401).notes.some(({ note }) => note.includes('2031-07-04 17:00 (UK time)')));
+  });
+
+  it('combines a start date with the collection time column and moves the start of use', async () => {
+    harness.hirehop.addJob(1402, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1402, columns: { hour_collection: { hour: 7, minute: 45 } } });
+
+    const response = await mondayWebhook(item.id, 'date', { date: '2031-08-01' });
+
+    assert.equal(response.json.outgoingTime, '07:45', response.body);
+    assert.equal(response.json.useField, 'start');
+    const [save] = harness.hirehop.getJob(1402).dateSaves;
+    assert.equal(save.out, '2031-08-01 06:45:00');
+    assert.equal(save.start, '2031-08-01 06:45:00');
+    assert.equal(save.noWebhook, true);
+  });
+
+  it('moves the time when only the time column changes', async () => {
+    harness.hirehop.addJob(1403, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1403, columns: { date: { date: '2031-11-14', time: null } } });
+
+    const response = await mondayWebhook(item.id, 'hour_collection', { hour: 14, minute: 0 });
+
+    assert.equal(response.json.outgoingDate, '2031-11-14', response.body);
+    assert.deepEqual(harness.hirehop.getJob(1403).dateSaves.map(({ out, start }) => ({ out, start })), [
+      { out: '2031-11-14 14:00:00', start: '2031-11-14 14:00:00' }
+    ]);
+  });
+
+  it('skips a time change when the item has no start date yet', async () => {
+    harness.hirehop.addJob(1404, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1404 });
+
+    const response = await mondayWebhook(item.id, 'hour_collection', { hour: 9, minute: 30 });
+
+    assert.match(response.json.message, /No Hire starts date/);
+    assert.equal(harness.hirehop.getJob(1404).dateSaves.length, 0);
+  });
+
+  it('falls back to 9am UK time when the board has no time', async () => {
+    harness.hirehop.addJob(1405, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1405 });
+
+    await mondayWebhook(item.id, 'date', { date: '2031-02-03' });
+
+    assert.equal(harness.hirehop.getJob(1405).dateSaves[0].out, '2031-02-03 09:00:00');
+    assert.ok(harness.hirehop.getJob(1405).notes.some(({ note }) => note.includes('default used')));
+  });
+});
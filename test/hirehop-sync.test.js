@@ -0,0 +1,130 @@
+// test/hirehop-sync.test.js - HireHop -> Monday.com status and date sync, without bouncing changes back
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+const EXPORT_KEY = 'test-export-key';
+const MONDAY_TOKEN = 'test-monday-token';
+
+describe('HireHop to Monday.com sync', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ env: { HIREHOP_EXPORT_KEY: EXPORT_KEY, MONDAY_WEBHOOK_TOKEN: MONDAY_TOKEN } });
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  // What HireHop posts when staff edit a job
+  async function hirehopWebhook(jobId, { data = {}, changes = {}, exportKey = EXPORT_KEY } = {}) {
+    return harness.invoke('hirehop-job-webhook', {
+      method: 'POST',
+      body: { event: 'job.status.updated', user_name: 'Sam', export_key: exportKey, data: { ID: jobId, ...data }, changes }
+    });
+  }
+
+  // What Monday.com posts when a board column changes
+  async function mondayWebhook(handler, itemId, columnId, value) {
+    return harness.invoke(handler, {
+      method: 'POST',
+      query: { token: MONDAY_TOKEN },
+      body: { event: { pulseId: itemId, boardId: 1234, columnId, value } }
+    });
+  }
+
+  it('moves the quote status when a job is booked in HireHop', async () => {
+    harness.hirehop.addJob(1201, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1201, columns: { status3: 'Held pending deposit' } });
+
+    const response = await hirehopWebhook(1201, { data: { STATUS: 2 }, changes: { STATUS: { from: 1, to: 2 } } });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(harness.monday.columnText(item.id, 'status3'), 'Confirmed');
+    assert.ok(harness.monday.getItem(item.id).updates[0].body.includes('Synced from HireHop (changed by Sam)'));
+  });
+
+  it('leaves a paid job alone when HireHop says it is booked', async () => {
+    harness.hirehop.addJob(1202, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1202, columns: { status3: 'Deposit paid' } });
+
+    const response = await hirehopWebhook(1202, { data: { STATUS: 2 } });
+
+    assert.deepEqual(response.json.changes, []);
+    assert.equal(harness.monday.columnText(item.id, 'status3'), 'Deposit paid');
+    assert.equal(harness.monday.getItem(item.id).updates.length, 0);
+  });
+
+  it('marks cancelled jobs and copies date changes', async () => {
+    harness.hirehop.addJob(1203, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1203, columns: { status3: 'Confirmed' } });
+
+    const response = await hirehopWebhook(1203, {
+      data: { STATUS: 9, JOB_DATE: '2031-05-01 09:00:00', JOB_END: '2031-05-04 17:00:00' },
+      changes: { STATUS: { from: 2, to: 9 }, JOB_DATE: { from: '2031-04-30 09:00:00', to: '2031-05-01 09:00:00' } }
+    });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(harness.monday.columnText(item.id, 'dup__of_job_status'), 'Cancelled');
+    assert.equal(harness.monday.columnText(item.id, 'date'), '2031-05-01');
+    // Monday.com keeps the time in UTC; the board update says it in UK time (BST in May)
+    assert.deepEqual(JSON.parse(harness.monday.getItem(item.id).columns.date.value), { date: '2031-05-01', time: '09:00:00' });
+    assert.match(harness.monday.getItem(item.id).updates[0].body, /2031-05-01 10:00 \(UK time\)/);
+    // The end date wasn't in the change list
+    assert.equal(harness.monday.columnText(item.id, 'dup__of_hire_starts'), null);
+
+    // Same day, later collection - only the time moved
+    const later = await hirehopWebhook(1203, {
+      data: { STATUS: 9, JOB_DATE: '2031-05-01 13:30:00' },
+      changes: { JOB_DATE: { from: '2031-05-01 09:00:00', to: '2031-05-01 13:30:00' } }
+    });
+    assert.equal(later.json.changes.length, 1, later.body);
+    assert.deepEqual(JSON.parse(harness.monday.getItem(item.id).columns.date.value), { date: '2031-05-01', time: '13:30:00' });
+  });
+
+  it('does not push its own Monday.com changes back into HireHop', async () => {
+    harness.hirehop.addJob(1204, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1204, columns: { status3: 'Quoted' } });
+
+    await hirehopWebhook(1204, { data: { STATUS: 10, JOB_DATE: '2031-06-01 09:00:00' } });
+    assert.equal(harness.monday.columnText(item.id, 'status3'), 'No dice');
+
+    // Monday.com fires its own webhooks for the columns we just set
+    const status = await mondayWebhook('hirehop-webhook', item.id, 'status3', { label: { text: 'No dice' } });
+    const start = await mondayWebhook('monday-start-date-sync', item.id, 'date', { date: '2031-06-01' });
+
+    assert.equal(status.json.message, 'Change made by HireHop sync, ignored');
+    assert.equal(start.json.message, 'Change made by HireHop sync, ignored');
+    const job = harness.hirehop.getJob(1204);
+    assert.equal(job.statusHistory.length, 0);
+    assert.equal(job.dateSaves.length, 0);
+  });
+
+  it('ignores HireHop webhooks for changes the Monday.com sync made', async () => {
+    harness.hirehop.addJob(1205, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1205, columns: { status3: 'Quoted' } });
+
+    // Staff confirm on the board; HireHop calls back with the new status anyway
+    const sync = await mondayWebhook('hirehop-webhook', item.id, 'status3', { label: { text: 'Confirmed' } });
+    assert.equal(sync.json.success, true, sync.body);
+    assert.equal(harness.hirehop.getJob(1205).status, 2);
+    assert.equal(harness.hirehop.getJob(1205).statusHistory[0].noWebhook, true);
+
+    const response = await hirehopWebhook(1205, { data: { STATUS: 2 } });
+
+    assert.equal(response.json.message, 'No status or date changes to sync');
+    assert.equal(harness.monday.getItem(item.id).updates.length, 0);
+  });
+
+  it('rejects deliveries without the account export key', async () => {
+    harness.hirehop.addJob(1206, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1206, columns: { status3: 'Quoted' } });
+
+    const response = await hirehopWebhook(1206, { data: { STATUS: 9 }, exportKey: 'wrong-key' });
+
+    assert.equal(response.statusCode, 401);
+    assert.equal(harness.monday.columnText(item.id, 'dup__of_job_status'), null);
+  });
+});
@@ -0,0 +1,159 @@
+// test/job-ledger.test.js - What a job is owed and has paid, worked out from HireHop billing rows
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeJobLedger, isExcessDescription } = require('../functions/job-ledger');
+const { getRulesForJob } = require('../functions/business-rules');
+const { depositRow, applicationRow, invoiceRow, creditNoteRow } = require('./fixtures');
+
+const JOB_DATA = { JOB_DATE: '2025-06-10 09:00:00', JOB_END: '2025-06-13 17:00:00' };
+const RULES = getRulesForJob(JOB_DATA);
+const ONE_VAN = [{ CATEGORY_ID: 370, qty: 1, VIRTUAL: '0' }];
+
+function ledgerFor(valueExVat, rows, { items = ONE_VAN, mondayExcess = null } = {}) {
+  const billing = { rows: [{ kind: 0, accrued: valueExVat }, ...rows], banks: [{ ID: 267, NAME: 'Stripe GBP' }] };
+  return computeJobLedger(billing, items, JOB_DATA, mondayExcess, RULES);
+}
+
+describe('computeJobLedger', () => {
+  it('counts a hire deposit against the job value including VAT', () => {
+    const ledger = ledgerFor(1000, [depositRow(1, 300, '1001 - deposit')]);
+
+    assert.equal(ledger.financial.totalJobValueIncVAT, 1200);
+    assert.equal(ledger.financial.requiredDeposit, 300);
+    assert.equal(ledger.financial.totalHirePaid, 300);
+    assert.equal(ledger.financial.remainingHireBalance, 900);
+    assert.equal(ledger.financial.depositPaid, true);
+    assert.equal(ledger.financial.fullyPaid, false);
+    assert.equal(ledger.payments.hireDeposits[0].bankName, 'Stripe GBP');
+    assert.equal(ledger.hireDays, 4);
+  });
+
+  it('keeps excess money out of the hire balance', () => {
+    const ledger = ledgerFor(1000, [
+      depositRow(1, 300, '1001 - deposit'),
+      depositRow(2, 1200, '1001 - excess')
+    ]);
+
+    assert.equal(ledger.financial.totalHirePaid, 300);
+    assert.equal(ledger.financial.excessPaid, 1200);
+    assert.equal(ledger.financial.excessComplete, true);
+    assert.equal(ledger.payments.excessDeposits.length, 1);
+  });
+
+  it('treats excess applied to the hire by HireHop as a hire payment', () => {
+    // Deposit "e7" is applied to an invoice - the application names it by its bare number
+    const ledger = ledgerFor(1000, [
+      depositRow(7, 1200, 'Insurance excess'),
+      invoiceRow(20, 1200, { status: 1 }),
+      applicationRow(31, -200, { ownerDeposit: '7', parentIs: 'INV-20' }),
+      applicationRow(32, 200, { ownerDeposit: '7', parentIs: 'INV-20' })
+    ]);
+
+    const usage = ledger.payments.hireDeposits.filter(d => d.isExcessUsage);
+    assert.equal(usage.length, 1);
+    assert.equal(usage[0].amount, 200);
+    assert.equal(usage[0].number, 'XS-USAGE-31');
+    assert.equal(ledger.financial.totalHirePaid, 200);
+    assert.equal(ledger.excess.hireHopPaid, 1200);
+  });
+
+  it('ignores applications from hire deposits', () => {
+    const ledger = ledgerFor(1000, [
+      depositRow(8, 300, '1001 - deposit'),
+      applicationRow(33, -300, { ownerDeposit: '8', parentIs: 'INV-21' })
+    ]);
+
+    assert.equal(ledger.financial.totalHirePaid, 300);
+    assert.equal(ledger.payments.payments.length, 1);
+  });
+
+  it('nets off hire and excess refunds', () => {
+    const ledger = ledgerFor(1000, [
+      depositRow(1, 500, '1001 - balance'),
+      depositRow(2, -100, '1001 - refund'),
+      depositRow(3, 1200, '1001 - excess'),
+      applicationRow(34, -1200, { desc: 'XS refund - van returned clean' }),
+      creditNoteRow(40, 50, 'Goodwill credit')
+    ]);
+
+    assert.equal(ledger.financial.totalHirePaid, 350);
+    assert.equal(ledger.financial.excessPaid, 0);
+    assert.deepEqual(ledger.payments.refunds.map(r => r.type), ['hire_refund', 'credit_note']);
+    assert.equal(ledger.payments.excessDeposits.length, 2);
+  });
+
+  it('skips proforma and draft invoices but still owes the job value', () => {
+    const ledger = ledgerFor(1000, [
+      invoiceRow(20, 1200, { desc: 'Proforma invoice', status: 1 }),
+      invoiceRow(21, 600, { desc: 'Invoice', status: 0 }),
+      invoiceRow(22, 300, { desc: 'Deposit invoice', status: 2 })
+    ]);
+
+    assert.equal(ledger.financial.totalAllInvoices, 2100);
+    assert.equal(ledger.financial.totalApprovedInvoices, 300);
+    assert.deepEqual(ledger.payments.skippedInvoices.map(i => i.reason), ['proforma', 'unpaid']);
+    assert.equal(ledger.financial.actualTotalOwed, 1200);
+  });
+
+  it('flags overpayment beyond a penny', () => {
+    const overpaid = ledgerFor(100, [depositRow(1, 150, '1001 - full payment')]);
+    assert.equal(overpaid.financial.isOverpaid, true);
+    assert.equal(overpaid.financial.overpaidAmount, 30);
+    assert.equal(overpaid.financial.fullyPaid, true);
+
+    const rounding = ledgerFor(100, [depositRow(1, 120.005, '1001 - full payment')]);
+    assert.equal(rounding.financial.isOverpaid, false);
+  });
+
+  it('asks for full payment on small jobs', () => {
+    const ledger = ledgerFor(200, []);
+
+    assert.equal(ledger.financial.fullPaymentRequired, true);
+    assert.equal(ledger.financial.requiredDeposit, 240);
+  });
+
+  it('counts vans by quantity and leaves out virtual items and other vehicles', () => {
+    const ledger = ledgerFor(1000, [], {
+      items: [
+        { CATEGORY_ID: 370, qty: 2, VIRTUAL: '0' },
+        { CATEGORY_ID: 370, qty: 1, VIRTUAL: '1' },
+        { CATEGORY_ID: 369, qty: 1, VIRTUAL: '0' }
+      ]
+    });
+
+    assert.equal(ledger.vanInfo.vanCount, 2);
+    assert.equal(ledger.vanInfo.vehicles.length, 3);
+    assert.equal(ledger.excess.required, 2400);
+  });
+
+  it('takes pre-auths and excess paid elsewhere from Monday.com', () => {
+    const preAuth = ledgerFor(1000, [], {
+      mondayExcess: { found: true, excessStatus: 'Pre-auth taken', preAuthUpdate: { intentId: 'pi_1' }, mondayExcessData: { paid: 0 } }
+    });
+    assert.equal(preAuth.excess.method, 'pre-auth_completed');
+    assert.equal(preAuth.financial.excessComplete, true);
+
+    const stale = ledgerFor(1000, [], {
+      mondayExcess: { found: true, excessStatus: 'Pre-auth taken', preAuthUpdate: null, mondayExcessData: { paid: 0 } }
+    });
+    assert.equal(stale.excess.method, 'column_only_stale');
+    assert.equal(stale.financial.excessComplete, false);
+
+    const paid = ledgerFor(1000, [], {
+      mondayExcess: { found: true, excessStatus: 'Excess paid', preAuthUpdate: null, mondayExcessData: { paid: 1200 } }
+    });
+    assert.equal(paid.financial.excessPaid, 1200);
+    assert.equal(paid.excess.hireHopPaid, 0);
+  });
+});
+
+describe('isExcessDescription', () => {
+  it('recognises the ways staff describe excess', () => {
+    for (const desc of ['1001 - excess', 'Insurance excess', 'XS refund', 'refund xs', 'Top up', '1001 - xs']) {
+      assert.equal(isExcessDescription(desc), true, desc);
+    }
+    for (const desc of ['1001 - deposit', 'Boxes of cables', '', undefined]) {
+      assert.equal(isExcessDescription(desc), false, String(desc));
+    }
+  });
+});
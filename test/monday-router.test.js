@@ -0,0 +1,145 @@
+// test/monday-router.test.js - Monday.com column webhooks routed through monday-sync-map
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+const defaultMap = require('../functions/monday-sync-map.json');
+
+const MONDAY_TOKEN = 'test-monday-token';
+const MONDAY_SIGNING_SECRET = 'test-monday-signing-secret';
+
+// The shipped map plus a column that only leaves a note, as adding one would
+const SYNC_MAP = {
+  columns: {
+    ...defaultMap.columns,
+    text_driver: { name: 'Driver name', action: 'note' }
+  }
+};
+
+describe('Monday.com webhook router', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      env: { MONDAY_WEBHOOK_TOKEN: MONDAY_TOKEN, MONDAY_SIGNING_SECRET, MONDAY_SYNC_MAP_JSON: JSON.stringify(SYNC_MAP) }
+    });
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function mondayWebhook(itemId, columnId, value, handler = 'monday-webhook') {
+    return harness.invoke(handler, {
+      method: 'POST',
+      query: { token: MONDAY_TOKEN },
+      body: { event: { pulseId: itemId, boardId: 1234, columnId, value } }
+    });
+  }
+
+  // HS256 JWT as Monday.com puts in the Authorization header
+  function signedJwt(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signedPart = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${signedPart}.${crypto.createHmac('sha256', MONDAY_SIGNING_SECRET).update(signedPart).digest('base64url')}`;
+  }
+
+  it('maps quote status labels to HireHop statuses', async () => {
+    harness.hirehop.addJob(1301, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1301 });
+
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Deposit paid' } });
+
+    assert.equal(response.json.success, true, response.body);
+    assert.equal(response.json.hireHopStatus, 2);
+    assert.equal(harness.hirehop.getJob(1301).status, 2);
+    assert.ok(harness.hirehop.getJob(1301).notes.some(({ note }) => note.includes('"Deposit paid" -> Booked')));
+  });
+
+  it('ignores labels the map does not list', async () => {
+    harness.hirehop.addJob(1302, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1302 });
+
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Chasing' } });
+
+    assert.match(response.json.message, /not in our mapping/);
+    assert.equal(harness.hirehop.getJob(1302).statusHistory.length, 0);
+  });
+
+  it('copies hire start and end dates', async () => {
+    harness.hirehop.addJob(1303, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1303 });
+
+    const start = await mondayWebhook(item.id, 'date', { date: '2031-07-01' });
+    const end = await mondayWebhook(item.id, 'dup__of_hire_starts', { date: '2031-07-05' });
+
+    assert.equal(start.json.outgoingDate, '2031-07-01');
+    assert.equal(end.json.returningDate, '2031-07-05');
+    assert.deepEqual(harness.hirehop.getJob(1303).dateSaves.map(({ out, to }) => ({ out, to })), [
+      { out: '2031-07-01 08:00:00', to: null },
+      { out: null, to: '2031-07-05 08:00:00' }
+    ]);
+  });
+
+  it('completes the job only for the completion label', async () => {
+    harness.hirehop.addJob(1304, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1304 });
+
+    const other = await mondayWebhook(item.id, 'dup__of_invoice_emailed_', { label: { text: 'Not yet' } });
+    assert.match(other.json.message, /not the completion status/);
+
+    const done = await mondayWebhook(item.id, 'dup__of_invoice_emailed_', { label: { text: 'All done & hire finished' } });
+    assert.equal(done.json.success, true, done.body);
+    assert.equal(harness.hirehop.getJob(1304).status, 11);
+  });
+
+  it('adds a job note for note columns', async () => {
+    harness.hirehop.addJob(1305, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1305 });
+
+    const response = await mondayWebhook(item.id, 'text_driver', 'Alex Smith');
+
+    assert.equal(response.json.success, true, response.body);
+    assert.ok(harness.hirehop.getJob(1305).notes.some(({ note }) => note === '📝 Driver name changed on Monday.com: Alex Smith'));
+    assert.equal(harness.hirehop.getJob(1305).statusHistory.length, 0);
+  });
+
+  it('ignores columns that are not in the map', async () => {
+    const item = harness.monday.addItem({ jobId: 1306 });
+
+    const response = await mondayWebhook(item.id, 'person', { personsAndTeams: [] });
+
+    assert.equal(response.json.message, 'Column not monitored');
+  });
+
+  it('accepts signed Monday.com requests only while the JWT has an expiry still ahead', async () => {
+    harness.hirehop.addJob(1308, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1308 });
+    const body = { event: { pulseId: item.id, columnId: 'text_driver', value: { value: 'Sam' } } };
+    const now = Math.floor(Date.now() / 1000);
+
+    const send = (claims) => harness.invoke('monday-webhook', { method: 'POST', body, headers: { authorization: signedJwt(claims) } });
+    const current = await send({ accountId: 1, exp: now + 300 });
+    const noExpiry = await send({ accountId: 1 });
+    const expired = await send({ accountId: 1, exp: now - 600 });
+
+    assert.equal(current.statusCode, 200, current.body);
+    assert.equal(noExpiry.statusCode, 401);
+    assert.equal(expired.statusCode, 401);
+  });
+
+  it('still answers on the old per-column addresses', async () => {
+    harness.hirehop.addJob(1307, vanHireJob());
+    const item = harness.monday.addItem({ jobId: 1307 });
+
+    const response = await mondayWebhook(item.id, 'dup__of_hire_starts', { date: '2031-08-09' }, 'monday-end-date-sync');
+    const unsigned = await harness.invoke('hirehop-webhook', {
+      method: 'POST',
+      body: { event: { pulseId: item.id, columnId: 'status3', value: { label: { text: 'Confirmed' } } } }
+    });
+
+    assert.equal(response.json.returningDate, '2031-08-09');
+    assert.equal(unsigned.statusCode, 401);
+  });
+});
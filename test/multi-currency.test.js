@@ -0,0 +1,149 @@
+// test/multi-currency.test.js - Jobs priced in euros from the payment page through to HireHop
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob, depositRow } = require('./fixtures');
+
+const EURO = { CODE: 'EUR', SYMBOL: '€', NAME: 'Euro' };
+
+const RULES = {
+  versions: [{
+    version: 'test.1',
+    effectiveFrom: '2024-01-01',
+    vatRate: 0.2,
+    deposit: { percent: 0.25, minimum: 100, fullPaymentBelow: 400 },
+    excess: { perVehicle: 1200, perCategory: { 370: 1200 }, preAuthMaxHireDays: 4, preAuthMaxHoldDays: 5 },
+    vehicles: { categoryIds: [369, 370, 371], excessCategoryIds: [370] },
+    currencies: {
+      EUR: { excess: { perVehicle: 1400, perCategory: { 370: 1400 } }, minimumCharge: 20 }
+    }
+  }]
+};
+
+describe('multi-currency jobs', () => {
+  let harness;
+  let generatePaymentToken;
+
+  before(async () => {
+    harness = await startHarness({
+      env: { BUSINESS_RULES_JSON: JSON.stringify(RULES), HIREHOP_STRIPE_BANK_ACCOUNTS: 'EUR:268' }
+    });
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function createSession(jobId, body) {
+    return harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), token: generatePaymentToken(String(jobId)), ...body }
+    });
+  }
+
+  async function deliver(type, object) {
+    const delivery = harness.stripe.webhookEvent(type, object);
+    const response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(response.statusCode, 200, response.body);
+  }
+
+  it('shows the job in its HireHop currency with that currency\'s excess', async () => {
+    harness.hirehop.addJob(1101, vanHireJob({ valueExVat: 1000, currency: EURO }));
+
+    const response = await harness.invoke('get-job-details-v2', { query: { jobId: 1101, token: generatePaymentToken('1101') } });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.deepEqual(response.json.currency, { code: 'EUR', symbol: '€', decimals: 2 });
+    assert.equal(response.json.financial.totalJobValueIncVAT, 1200);
+    assert.equal(response.json.excess.amountPerVan, 1400);
+  });
+
+  it('takes a euro deposit and records it against the euro bank account', async () => {
+    harness.hirehop.addJob(1102, vanHireJob({ valueExVat: 1000, currency: EURO }));
+    harness.monday.addItem({ jobId: 1102, columns: { status6: 'Quote' } });
+
+    const session = await createSession(1102, { paymentType: 'deposit', amount: 300 });
+    assert.equal(session.statusCode, 200, session.body);
+    assert.equal(session.json.currency, 'EUR');
+
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId);
+    assert.equal(completed.currency, 'eur');
+    assert.equal(completed.amount_total, 30000);
+    await deliver('checkout.session.completed', completed);
+
+    const deposits = harness.hirehop.state.deposits.filter(d => d.jobId === '1102');
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].amount, 300);
+    assert.equal(deposits[0].currency, 'EUR');
+    assert.equal(deposits[0].currencySymbol, '€');
+    assert.equal(deposits[0].bankAccount, 268);
+
+    assert.ok(harness.hirehop.getJob(1102).notes.some(n => n.note.includes('€300.00')));
+    const [email] = harness.smtp.messagesTo('customer@example.com').filter(m => m.subject.includes('#1102'));
+    assert.ok(email.text.includes('€300.00'), email.text);
+  });
+
+  it('keeps pound jobs on the pound bank account', async () => {
+    harness.hirehop.addJob(1103, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 1103, columns: { status6: 'Quote' } });
+
+    const session = await createSession(1103, { paymentType: 'deposit', amount: 300 });
+    assert.equal(session.json.currency, 'GBP');
+    await deliver('checkout.session.completed', harness.stripe.completeCheckoutSession(session.json.sessionId));
+
+    const [deposit] = harness.hirehop.state.deposits.filter(d => d.jobId === '1103');
+    assert.equal(deposit.currency, 'GBP');
+    assert.equal(deposit.bankAccount, 267);
+    assert.ok(harness.hirehop.getJob(1103).notes.some(n => n.note.includes('£300.00')));
+  });
+
+  it('dead-letters the deposit rather than posting it to the pound account when the currency has no bank account', async () => {
+    harness.hirehop.addJob(1106, vanHireJob({ valueExVat: 1000, currency: { CODE: 'USD', SYMBOL: '$', NAME: 'US Dollar' } }));
+    harness.monday.addItem({ jobId: 1106, columns: { status6: 'Quote' } });
+
+    const session = await createSession(1106, { paymentType: 'deposit', amount: 300 });
+    assert.equal(session.json.currency, 'USD');
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', harness.stripe.completeCheckoutSession(session.json.sessionId));
+    const response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(response.statusCode, 500, response.body);
+
+    const { listDeadLetters } = harness.loadFunction('dead-letters');
+    const deadLetters = await listDeadLetters({ jobId: '1106' });
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '1106').length, 0);
+    assert.deepEqual(deadLetters.map(d => d.step), ['hirehop_deposit']);
+    assert.ok(harness.hirehop.getJob(1106).notes.some(n => n.note.includes('CRITICAL')));
+  });
+
+  it('refuses a balance below the currency\'s minimum charge', async () => {
+    harness.hirehop.addJob(1104, vanHireJob({
+      valueExVat: 1000,
+      currency: EURO,
+      billing: [depositRow(5001, 1190, '1104 - deposit')]
+    }));
+
+    const response = await createSession(1104, { paymentType: 'balance', amount: 10 });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'BELOW_MINIMUM_CHARGE');
+    assert.ok(response.json.details.includes('€10.00'), response.json.details);
+  });
+
+  it('reads back a hold Monday.com recorded in a currency without a symbol of its own', async () => {
+    const { formatMinorUnits } = harness.loadFunction('currency');
+    const { checkMondayPreAuthStatus, checkMondayExcessStatus } = harness.loadFunction('monday-excess-checker');
+    const mondayItem = harness.monday.addItem({ jobId: 1105, columns: { status58: 'Pre-auth taken' } });
+    mondayItem.updates.push({
+      id: '1',
+      body: `🔐 PRE-AUTH COMPLETED: ${formatMinorUnits(95000, 'chf')} excess pre-authorization taken\n💳 Payment Intent ID: pi_test_chf`,
+      created_at: new Date().toISOString()
+    });
+
+    const preAuth = await checkMondayPreAuthStatus('1105');
+    const excess = await checkMondayExcessStatus('1105');
+
+    assert.match(mondayItem.updates[0].body, /CHF 950\.00/);
+    assert.equal(preAuth.amount, 950);
+    assert.equal(excess.preAuthUpdate.amount, 950);
+  });
+});
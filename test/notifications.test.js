@@ -0,0 +1,158 @@
+// test/notifications.test.js - Customer emails for payments, claims and holds, caught by a local SMTP server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+const CUSTOMER = 'customer@example.com';
+
+describe('customer emails', () => {
+  let harness;
+  let generatePaymentToken;
+  let getEmailLog;
+  let renderEmail;
+  let TEMPLATE_NAMES;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+    ({ getEmailLog } = harness.loadFunction('notifications'));
+    ({ renderEmail, TEMPLATE_NAMES } = harness.loadFunction('email-templates'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function emailsFor(jobId) {
+    return harness.smtp.messagesTo(CUSTOMER).filter(message => message.subject.includes(`#${jobId}`));
+  }
+
+  async function claimFromHold(jobId, hold, amount) {
+    return harness.invoke('admin-claim-preauth', {
+      method: 'POST',
+      headers: await harness.adminAuthHeader(String(jobId)),
+      body: { jobId: String(jobId), amount, reason: 'Scuffed bumper', setupIntentId: hold.id }
+    });
+  }
+
+  it('emails a receipt once per deposit, however often Stripe delivers it', async () => {
+    harness.hirehop.addJob(701, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 701 });
+
+    const session = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: '701', paymentType: 'deposit', amount: 300, token: generatePaymentToken('701') }
+    });
+    assert.equal(session.statusCode, 200, session.body);
+
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId);
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', completed);
+    await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+
+    const emails = emailsFor(701);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].subject, 'Payment received for job #701');
+    assert.match(emails[0].text, /Hi Test Customer,/);
+    assert.match(emails[0].text, /deposit of £300\.00/);
+    assert.match(emails[0].html, /deposit of £300\.00/);
+    assert.equal(emails[0].from, 'payments@example.com');
+
+    const log = await getEmailLog('701');
+    assert.deepEqual(log.map(entry => [entry.template, entry.to, entry.status]), [['payment_received', CUSTOMER, 'sent']]);
+  });
+
+  it('tells the customer what was claimed from their hold and what was released', async () => {
+    harness.hirehop.addJob(702, vanHireJob());
+    harness.monday.addItem({ jobId: 702 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '702', paymentType: 'excess', isPreAuth: 'true' } });
+
+    const response = await claimFromHold(702, hold, 200);
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(response.json.claimDetails.customerEmailed, true);
+    const [email] = emailsFor(702);
+    assert.equal(email.subject, 'Insurance excess claim for job #702');
+    assert.match(email.text, /We've taken £200\.00/);
+    assert.match(email.text, /Reason: Scuffed bumper/);
+    assert.match(email.text, /remaining £1000\.00 has been released/);
+  });
+
+  it('still completes the claim when the email cannot be sent, and logs the failure', async () => {
+    harness.hirehop.addJob(703, vanHireJob());
+    harness.monday.addItem({ jobId: 703 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '703', paymentType: 'excess', isPreAuth: 'true' } });
+    harness.smtp.failNext();
+
+    const response = await claimFromHold(703, hold, 150);
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(response.json.claimDetails.customerEmailed, false);
+    assert.equal(harness.stripe.state.paymentIntents.get(hold.id).status, 'succeeded');
+    const [entry] = await getEmailLog('703');
+    assert.equal(entry.status, 'failed');
+    assert.match(entry.error, /451/);
+  });
+
+  it('lets the customer know when Stripe releases an unclaimed hold', async () => {
+    harness.hirehop.addJob(704, vanHireJob());
+    harness.monday.addItem({ jobId: 704 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '704', paymentType: 'excess', isPreAuth: 'true' }, createdDaysAgo: 8 });
+    harness.stripe.expireHold(hold.id);
+
+    await harness.invoke('preauth-expiry-monitor');
+    await harness.invoke('preauth-expiry-monitor');
+
+    const emails = emailsFor(704);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].subject, 'Insurance excess hold released for job #704');
+    assert.match(emails[0].text, /£1200\.00 hold/);
+  });
+
+  it('logs a skipped email when the job has no customer address', async () => {
+    const job = vanHireJob();
+    job.data.EMAIL = '';
+    harness.hirehop.addJob(705, job);
+    harness.monday.addItem({ jobId: 705 });
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '705', paymentType: 'excess', isPreAuth: 'true' } });
+
+    const response = await claimFromHold(705, hold, 100);
+
+    assert.equal(response.statusCode, 200, response.body);
+    const [entry] = await getEmailLog('705');
+    assert.deepEqual([entry.template, entry.status, entry.to], ['excess_claimed', 'skipped', null]);
+  });
+
+  it('skips rather than pretends to send when no email transport is configured', async () => {
+    const { sendCustomerEmail } = harness.loadFunction('notifications');
+    const saved = { EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT, SMTP_HOST: process.env.SMTP_HOST };
+    harness.hirehop.addJob(706, vanHireJob());
+
+    try {
+      delete process.env.EMAIL_TRANSPORT;
+      delete process.env.SMTP_HOST;
+      const unconfigured = await sendCustomerEmail('706', 'balance_reminder', { amount: 900, paymentUrl: 'https://example.com/pay' });
+
+      process.env.EMAIL_TRANSPORT = 'log';
+      const logged = await sendCustomerEmail('706', 'balance_reminder', { amount: 900, paymentUrl: 'https://example.com/pay' });
+
+      assert.deepEqual([unconfigured.success, unconfigured.skipped], [false, true]);
+      assert.deepEqual([logged.success, logged.skipped], [false, true]);
+    } finally {
+      Object.assign(process.env, saved);
+    }
+
+    assert.equal(emailsFor(706).length, 0);
+    const log = await getEmailLog('706');
+    assert.deepEqual(log.map(entry => entry.status), ['skipped', 'skipped']);
+  });
+
+  it('escapes customer details in the HTML version', () => {
+    for (const template of TEMPLATE_NAMES) {
+      const email = renderEmail(template, { jobId: '706', customerName: '<b>Sam</b>', amount: 10, reason: 'a < b' });
+      assert.ok(email.subject && email.text && email.html, template);
+      assert.doesNotMatch(email.html, /<b>Sam<\/b>/, template);
+    }
+  });
+});
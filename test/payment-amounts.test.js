@@ -0,0 +1,74 @@
+// test/payment-amounts.test.js - Server-side checks on what the payment page asks Stripe to charge
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob, depositRow } = require('./fixtures');
+
+describe('payment amount validation', () => {
+  let harness;
+  let generatePaymentToken;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function createSession(jobId, paymentType, amount) {
+    return harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), paymentType, amount, token: generatePaymentToken(String(jobId)) }
+    });
+  }
+
+  it('refuses a balance payment of less than the balance', async () => {
+    harness.hirehop.addJob(1801, vanHireJob({ valueExVat: 1000, billing: [depositRow(1, 300, '1801 - deposit')] }));
+
+    const response = await createSession(1801, 'balance', 1);
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'AMOUNT_OUT_OF_RANGE');
+    assert.deepEqual(response.json.allowedRange, { min: 900, max: 900 });
+    assert.equal(harness.stripe.state.checkoutSessions.size, 0);
+  });
+
+  it('refuses a deposit below the deposit still owed', async () => {
+    harness.hirehop.addJob(1802, vanHireJob({ valueExVat: 1000 }));
+
+    const response = await createSession(1802, 'deposit', 100);
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'AMOUNT_OUT_OF_RANGE');
+    assert.deepEqual(response.json.allowedRange, { min: 300, max: 1200 });
+  });
+
+  it('caps an excess payment at the excess not yet paid', async () => {
+    harness.hirehop.addJob(1803, vanHireJob({
+      valueExVat: 1000,
+      billing: [depositRow(1, 300, '1803 - deposit'), depositRow(2, 200, '1803 - excess')]
+    }));
+    const details = await harness.invoke('get-job-details-v2', { query: { jobId: 1803, token: generatePaymentToken('1803') } });
+    const excessDue = details.json.excess.amount - details.json.financial.excessPaid;
+    assert.equal(details.json.financial.excessPaid, 200);
+
+    const over = await createSession(1803, 'excess', excessDue + 1);
+    const exact = await createSession(1803, 'excess', excessDue);
+
+    assert.equal(over.statusCode, 400);
+    assert.equal(over.json.code, 'AMOUNT_OUT_OF_RANGE');
+    assert.equal(over.json.allowedRange.max, excessDue);
+    assert.equal(exact.statusCode, 200, exact.body);
+  });
+
+  it('says so when nothing is left to pay', async () => {
+    harness.hirehop.addJob(1804, vanHireJob({ valueExVat: 1000, billing: [depositRow(1, 1200, '1804 - full payment')] }));
+
+    const response = await createSession(1804, 'balance', 10);
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'NOTHING_OUTSTANDING');
+  });
+});
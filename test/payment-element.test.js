@@ -0,0 +1,122 @@
+// test/payment-element.test.js - Embedded Payment Element payments, handled the same as hosted Checkout
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+describe('payment element flow', () => {
+  let harness;
+  let generatePaymentToken;
+  let getScheduledHold;
+
+  before(async () => {
+    harness = await startHarness({ env: { STRIPE_PUBLISHABLE_KEY: 'pk_test_offline' } });
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+    ({ getScheduledHold } = harness.loadFunction('scheduled-holds'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function createPayment(jobId, body) {
+    const response = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: String(jobId), token: generatePaymentToken(String(jobId)), ...body }
+    });
+    assert.equal(response.statusCode, 200, response.body);
+    return response.json;
+  }
+
+  async function deliver(type, object) {
+    const delivery = harness.stripe.webhookEvent(type, object);
+    const response = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(response.statusCode, 200, response.body);
+    return response;
+  }
+
+  it('takes a deposit on a PaymentIntent and records it once', async () => {
+    harness.hirehop.addJob(901, vanHireJob({ valueExVat: 1000 }));
+    const mondayItem = harness.monday.addItem({ jobId: 901, columns: { status6: 'Quote' } });
+
+    const payment = await createPayment(901, { paymentType: 'deposit', amount: 300, flow: 'payment_element' });
+
+    assert.equal(payment.flow, 'payment_element');
+    assert.equal(payment.intentType, 'payment');
+    assert.equal(payment.publishableKey, 'pk_test_offline');
+    assert.equal(payment.clientSecret, `${payment.intentId}_secret_test`);
+    assert.ok(payment.returnUrl.startsWith(`${process.env.URL}/payment.html?jobId=901&token=`), payment.returnUrl);
+    assert.equal(harness.stripe.state.paymentIntents.get(payment.intentId).metadata.checkoutFlow, 'payment_element');
+
+    const intent = harness.stripe.confirmPaymentIntent(payment.intentId);
+    await deliver('payment_intent.succeeded', intent);
+    await deliver('payment_intent.succeeded', intent);
+
+    const deposits = harness.hirehop.state.deposits.filter(d => d.jobId === '901');
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].amount, 300);
+    assert.equal(harness.monday.columnText(mondayItem.id, 'status3'), 'Deposit paid');
+  });
+
+  it('records a hosted Checkout payment once when both its events arrive', async () => {
+    harness.hirehop.addJob(902, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 902, columns: { status6: 'Quote' } });
+
+    const session = await createPayment(902, { paymentType: 'deposit', amount: 300, flow: 'checkout' });
+    assert.equal(session.flow, 'checkout');
+    assert.ok(session.returnUrl.startsWith(`${process.env.URL}/payment.html`), session.returnUrl);
+
+    const completed = harness.stripe.completeCheckoutSession(session.sessionId);
+    await deliver('payment_intent.succeeded', harness.stripe.state.paymentIntents.get(completed.payment_intent));
+    await deliver('checkout.session.completed', completed);
+
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '902').length, 1);
+  });
+
+  it('holds the excess with manual capture', async () => {
+    harness.hirehop.addJob(903, vanHireJob({ startInDays: 1, hireDays: 2 }));
+    harness.monday.addItem({ jobId: 903 });
+
+    const payment = await createPayment(903, { paymentType: 'excess', flow: 'payment_element' });
+    assert.equal(payment.isPreAuth, true);
+
+    const intent = harness.stripe.confirmPaymentIntent(payment.intentId);
+    assert.equal(intent.status, 'requires_capture');
+    await deliver('payment_intent.amount_capturable_updated', intent);
+
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '903').length, 0);
+    assert.ok(harness.hirehop.getJob(903).notes.some(n => n.note.includes(`PRE-AUTH COMPLETED`) && n.note.includes(intent.id)));
+  });
+
+  it('saves a card for a scheduled excess hold on a SetupIntent', async () => {
+    harness.hirehop.addJob(904, vanHireJob());
+    harness.monday.addItem({ jobId: 904 });
+
+    const payment = await createPayment(904, { paymentType: 'excess', excessOption: 'scheduled_hold', amount: 1200, flow: 'payment_element' });
+    assert.equal(payment.intentType, 'setup');
+
+    const setupIntent = harness.stripe.confirmSetupIntent(payment.intentId);
+    await deliver('setup_intent.succeeded', setupIntent);
+    await deliver('setup_intent.succeeded', setupIntent);
+
+    const record = await getScheduledHold('904');
+    assert.equal(record.status, 'scheduled');
+    assert.equal(record.paymentMethodId, 'pm_card_visa');
+    assert.equal(record.amountPence, 120000);
+    assert.equal(harness.hirehop.getJob(904).notes.filter(n => n.note.includes('CARD SAVED FOR EXCESS HOLD')).length, 1);
+  });
+
+  it('falls back to hosted Checkout when no publishable key is configured', async () => {
+    harness.hirehop.addJob(905, vanHireJob({ valueExVat: 1000 }));
+    const publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+
+    try {
+      const session = await createPayment(905, { paymentType: 'deposit', amount: 300, flow: 'payment_element' });
+      assert.equal(session.flow, 'checkout');
+      assert.ok(session.sessionId.startsWith('cs_'));
+    } finally {
+      process.env.STRIPE_PUBLISHABLE_KEY = publishableKey;
+    }
+  });
+});
@@ -0,0 +1,98 @@
+// test/payment-flow.test.js - Hire payments from the payment page through to HireHop and Monday.com
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+describe('hire payment flow', () => {
+  let harness;
+  let generatePaymentToken;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  it('shows the job totals from HireHop on the payment page', async () => {
+    harness.hirehop.addJob(101, vanHireJob({ valueExVat: 1000 }));
+
+    const response = await harness.invoke('get-job-details-v2', { query: { jobId: 101, token: generatePaymentToken('101') } });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.financial.totalJobValueIncVAT, 1200);
+    assert.equal(response.json.financial.requiredDeposit, 300);
+    assert.equal(response.json.excess.vanCount, 1);
+  });
+
+  it('rejects a payment link for another job', async () => {
+    harness.hirehop.addJob(102, vanHireJob());
+
+    const response = await harness.invoke('get-job-details-v2', { query: { jobId: 102, token: generatePaymentToken('101') } });
+
+    assert.equal(response.statusCode, 403);
+  });
+
+  it('records a deposit in HireHop and Monday.com once, however often Stripe delivers it', async () => {
+    harness.hirehop.addJob(103, vanHireJob({ valueExVat: 1000 }));
+    const mondayItem = harness.monday.addItem({ jobId: 103, columns: { status6: 'Quote' } });
+    const token = generatePaymentToken('103');
+
+    const session = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: '103', paymentType: 'deposit', amount: 300, token }
+    });
+    assert.equal(session.statusCode, 200, session.body);
+
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId);
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', completed);
+
+    const first = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    const second = await harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers });
+    assert.equal(first.statusCode, 200, first.body);
+    assert.equal(second.statusCode, 200, second.body);
+
+    const deposits = harness.hirehop.state.deposits.filter(d => d.jobId === '103');
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].amount, 300);
+    assert.equal(deposits[0].description, '103 - deposit');
+    assert.deepEqual(harness.hirehop.state.tasks.find(t => t.id === String(deposits[0].id)), { task: 'post_deposit', id: String(deposits[0].id) });
+
+    assert.equal(harness.hirehop.getJob(103).status, 2);
+    assert.equal(harness.monday.columnText(mondayItem.id, 'status3'), 'Deposit paid');
+  });
+
+  it('lets only one of two simultaneous Stripe deliveries process the payment', async () => {
+    harness.hirehop.addJob(104, vanHireJob({ valueExVat: 1000 }));
+    harness.monday.addItem({ jobId: 104, columns: { status6: 'Quote' } });
+
+    const session = await harness.invoke('create-stripe-session', {
+      method: 'POST',
+      body: { jobId: '104', paymentType: 'deposit', amount: 300, token: generatePaymentToken('104') }
+    });
+    const completed = harness.stripe.completeCheckoutSession(session.json.sessionId);
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', completed);
+
+    const responses = await Promise.all([1, 2].map(() =>
+      harness.invoke('handle-stripe-webhook', { method: 'POST', body: delivery.body, headers: delivery.headers })
+    ));
+
+    assert.deepEqual(responses.map(response => response.statusCode).sort(), [200, 409]);
+    assert.equal(harness.hirehop.state.deposits.filter(d => d.jobId === '104').length, 1);
+  });
+
+  it('refuses webhook deliveries with a bad signature', async () => {
+    const delivery = harness.stripe.webhookEvent('checkout.session.completed', { id: 'cs_forged', metadata: { jobId: '103', paymentType: 'deposit' } });
+
+    const response = await harness.invoke('handle-stripe-webhook', {
+      method: 'POST',
+      body: delivery.body.replace('cs_forged', 'cs_tampered'),
+      headers: delivery.headers
+    });
+
+    assert.equal(response.statusCode, 400);
+  });
+});
@@ -0,0 +1,110 @@
+// test/payment-links.test.js - Signed customer payment links: expiry, revocation and HireHop outages
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+describe('payment links', () => {
+  let harness;
+  let generatePaymentToken;
+
+  before(async () => {
+    harness = await startHarness({ env: { ALLOW_LEGACY_JOB_HASH: 'true' } });
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function openPaymentPage(jobId, token) {
+    return harness.invoke('get-job-details-v2', { query: { jobId, token } });
+  }
+
+  it('refuses an expired link', async () => {
+    harness.hirehop.addJob(1702, vanHireJob());
+
+    const response = await openPaymentPage(1702, generatePaymentToken('1702', { expiresAt: Date.now() - 1000 }));
+
+    assert.equal(response.statusCode, 403, response.body);
+    assert.equal(response.json.expired, true);
+    assert.equal(response.json.revoked, false);
+  });
+
+  it('refuses links issued before a revocation but accepts the reissued one', async () => {
+    harness.hirehop.addJob(1703, vanHireJob());
+    const oldToken = generatePaymentToken('1703');
+    assert.equal((await openPaymentPage(1703, oldToken)).statusCode, 200);
+
+    const revoke = await harness.invoke('admin-payment-link', {
+      method: 'POST',
+      body: { jobId: '1703', action: 'revoke', reason: 'Link sent to the wrong customer', reissue: true },
+      headers: await harness.adminAuthHeader('1703')
+    });
+    assert.equal(revoke.statusCode, 200, revoke.body);
+
+    const oldLink = await openPaymentPage(1703, oldToken);
+    const newLink = await openPaymentPage(1703, revoke.json.link.token);
+
+    assert.equal(oldLink.statusCode, 403, oldLink.body);
+    assert.equal(oldLink.json.revoked, true);
+    assert.equal(newLink.statusCode, 200, newLink.body);
+  });
+
+  it('stops accepting the old job hash once the links are revoked', async () => {
+    const job = vanHireJob();
+    Object.assign(job.data, { USER: '12', DURATION_HRS: '96' });
+    harness.hirehop.addJob(1704, job);
+    const legacyHash = '12961704';
+
+    const firstVisit = await harness.invoke('get-job-details-v2', { query: { jobId: 1704, hash: legacyHash } });
+    assert.equal(firstVisit.statusCode, 200, firstVisit.body);
+    assert.ok(Date.parse(firstVisit.json.paymentLink.expiresAt) < Date.now() + 24 * 60 * 60 * 1000);
+
+    const revoke = await harness.invoke('admin-payment-link', {
+      method: 'POST',
+      body: { jobId: '1704', action: 'revoke', reason: 'Old link forwarded on' },
+      headers: await harness.adminAuthHeader('1704')
+    });
+    assert.equal(revoke.statusCode, 200, revoke.body);
+
+    const revokedVisit = await harness.invoke('get-job-details-v2', { query: { jobId: 1704, hash: legacyHash } });
+    const upgraded = await openPaymentPage(1704, firstVisit.json.paymentLink.upgradedToken);
+
+    assert.equal(revokedVisit.statusCode, 403, revokedVisit.body);
+    assert.equal(revokedVisit.json.revoked, true);
+    assert.equal(revokedVisit.json.paymentLink, undefined);
+    assert.equal(upgraded.statusCode, 403, upgraded.body);
+  });
+
+  it('only issues links for a whole number of days up to the cap', async () => {
+    harness.hirehop.addJob(1705, vanHireJob());
+    const headers = await harness.adminAuthHeader('1705');
+    const issue = (expiresInDays) => harness.invoke('admin-payment-link', {
+      method: 'POST',
+      body: { jobId: '1705', expiresInDays },
+      headers
+    });
+
+    for (const expiresInDays of [0, -3, 2.5, '7', 3650]) {
+      const response = await issue(expiresInDays);
+      assert.equal(response.statusCode, 400, `${expiresInDays}: ${response.body}`);
+      assert.match(response.json.error, /expiresInDays/);
+    }
+
+    const response = await issue(7);
+    assert.equal(response.statusCode, 200, response.body);
+    const days = (Date.parse(response.json.link.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 6.9 && days <= 7, String(days));
+  });
+
+  it('refuses the link when HireHop notes cannot be read to check for revocation', async () => {
+    harness.hirehop.addJob(1701, vanHireJob());
+    harness.hirehop.failNext('/api/job_notes.php', { status: 400 });
+
+    const response = await openPaymentPage(1701, generatePaymentToken('1701'));
+
+    assert.equal(response.statusCode, 503, response.body);
+    assert.equal(response.json.financial, undefined);
+  });
+});
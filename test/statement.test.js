@@ -0,0 +1,102 @@
+// test/statement.test.js - Customer PDF statement: the figures it shows and the download itself
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob, depositRow, applicationRow } = require('./fixtures');
+
+describe('job statement', () => {
+  let harness;
+  let generatePaymentToken;
+  let buildStatement;
+  let computeJobLedger;
+  let getRulesForJob;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ generatePaymentToken } = harness.loadFunction('auth-helper'));
+    ({ buildStatement } = harness.loadFunction('statement-pdf'));
+    ({ computeJobLedger } = harness.loadFunction('job-ledger'));
+    ({ getRulesForJob } = harness.loadFunction('business-rules'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  it('lists items, VAT, payments, refunds, the excess hold and the balance', () => {
+    const job = vanHireJob({
+      valueExVat: 1000,
+      billing: [
+        depositRow(1, 300, '601 - deposit'),
+        depositRow(2, 1200, '601 - excess'),
+        applicationRow(3, -1200, { desc: 'Excess refund' }),
+        depositRow(4, -50, '601 - refund')
+      ]
+    });
+    const rules = getRulesForJob(job.data);
+    const ledger = computeJobLedger({ rows: job.billing, banks: [{ ID: 267, NAME: 'Stripe GBP' }] }, job.items, job.data, null, rules);
+    const excessHold = { open: false, authorizedAmount: 1200, capturedAmount: 200 };
+
+    const statement = buildStatement({ jobId: 601, jobData: job.data, items: job.items, ledger, excessHold, rules });
+
+    assert.deepEqual(statement.lineItems, [{ description: 'Premium LWB Van', quantity: 1, amount: null }]);
+    assert.deepEqual(statement.vat, { rate: 0.2, net: 1000, vat: 200, gross: 1200 });
+    assert.deepEqual(statement.transactions.map(t => [t.account, t.type, t.amount]), [
+      ['hire', 'payment', 300],
+      ['hire', 'refund', -50],
+      ['excess', 'payment', 1200],
+      ['excess', 'refund', -1200]
+    ]);
+    assert.equal(statement.transactions[0].method, 'Stripe GBP');
+    assert.deepEqual(statement.excess.hold, { status: 'Claimed', held: 1200, claimed: 200, released: 1000 });
+    assert.equal(statement.excess.paid, 0);
+    assert.deepEqual(statement.totals, { hirePaid: 250, balanceDue: 950, overpaid: 0 });
+  });
+
+  it('downloads as a PDF with the payment link', async () => {
+    harness.hirehop.addJob(602, vanHireJob({ billing: [depositRow(5, 300, '602 - deposit')] }));
+
+    const response = await harness.invoke('get-job-statement', { query: { jobId: 602, token: generatePaymentToken('602') } });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(response.isBase64Encoded, true);
+    assert.equal(response.headers['Content-Type'], 'application/pdf');
+    assert.match(response.headers['Content-Disposition'], /ooosh-statement-job-602\.pdf/);
+    assert.equal(Buffer.from(response.body, 'base64').subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('looks up the excess card hold in Stripe', async () => {
+    harness.hirehop.addJob(603, vanHireJob());
+    const hold = harness.stripe.createHold({ amount: 120000, metadata: { jobId: '603' } });
+    const mondayItem = harness.monday.addItem({ jobId: 603, columns: { status58: 'Pre-auth taken' } });
+    mondayItem.updates.push({ id: '1', body: `🔐 PRE-AUTH COMPLETED: £1200.00 held\nPayment Intent ID: ${hold.id}`, created_at: new Date().toISOString() });
+
+    const response = await harness.invoke('get-job-statement', { query: { jobId: 603, token: generatePaymentToken('603') } });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.ok(harness.stripe.state.requests.some(r => r.method === 'GET' && r.path === `/v1/payment_intents/${hold.id}`));
+  });
+
+  it('refuses a payment link for another job', async () => {
+    harness.hirehop.addJob(604, vanHireJob());
+
+    const response = await harness.invoke('get-job-statement', { query: { jobId: 604, token: generatePaymentToken('602') } });
+
+    assert.equal(response.statusCode, 403);
+  });
+
+  it('refuses the link when HireHop notes cannot be read to check for revocation', async () => {
+    harness.hirehop.addJob(605, vanHireJob());
+    harness.hirehop.failNext('/api/job_notes.php', { status: 400 });
+
+    const response = await harness.invoke('get-job-statement', { query: { jobId: 605, token: generatePaymentToken('605') } });
+
+    assert.equal(response.statusCode, 503, response.body);
+  });
+
+  it('needs a payment link', async () => {
+    const response = await harness.invoke('get-job-statement', { query: { jobId: 604 } });
+
+    assert.equal(response.statusCode, 401);
+  });
+});
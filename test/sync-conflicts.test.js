@@ -0,0 +1,167 @@
+// test/sync-conflicts.test.js - Monday.com changes held back from locked or since-changed HireHop jobs
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+const { vanHireJob } = require('./fixtures');
+
+const MONDAY_TOKEN = 'test-monday-token';
+const MINUTE_MS = 60 * 1000;
+
+describe('Sync conflicts', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ env: { MONDAY_WEBHOOK_TOKEN: MONDAY_TOKEN } });
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  // triggerTime is when the change was made on the board
+  async function mondayWebhook(itemId, columnId, value, { triggerTime = new Date() } = {}) {
+    return harness.invoke('monday-webhook', {
+      method: 'POST',
+      query: { token: MONDAY_TOKEN },
+      body: { event: { pulseId: itemId, boardId: 1234, columnId, value, triggerTime: triggerTime.toISOString() } }
+    });
+  }
+
+  async function conflictsAdmin({ method = 'GET', query = {}, body = null } = {}) {
+    return harness.invoke('admin-sync-conflicts', { method, query, body, headers: await harness.adminAuthHeader('0') });
+  }
+
+  it('queues status changes for locked jobs and explains on the board', async () => {
+    harness.hirehop.addJob(1501, { ...vanHireJob(), locked: 1 });
+    const item = harness.monday.addItem({ jobId: 1501 });
+
+    const response = await mondayWebhook(item.id, 'status3', { label: { text: 'Confirmed' } });
+
+    assert.equal(response.json.conflict.reason, 'locked', response.body);
+    assert.equal(harness.hirehop.getJob(1501).statusHistory.length, 0);
+    const [update] = harness.monday.getItem(item.id).updates;
+    assert.match(update.body, /Not synced to HireHop: Quote status -> "Confirmed"/);
+    assert.match(update.body, /Job 1501 is locked in HireHop/);
+  });
+
+  it('queues a change made before the HireHop job was last changed', async () => {
+    harness.hirehop.addJob(1502, { ...vanHireJob(), lastChange: new Date() });
+    const item = harness.monday.addItem({ jobId: 1502 });
+
+    const response = await mondayWebhook(item.id, 'date', { date: '2031-09-01' }, { triggerTime: new Date(Date.now() - 10 * MINUTE_MS) });
+
+    assert.equal(response.json.conflict.reason, 'stale', response.body);
+    assert.equal(harness.hirehop.getJob(1502).dateSaves.length, 0);
+    assert.match(harness.monday.getItem(item.id).updates[0].body, /was changed in HireHop at .* after this Monday\.com change/);
+  });
+
+  it('applies changes newer than the last HireHop change, including after its own saves', async () => {
+    harness.hirehop.addJob(1503, { ...vanHireJob(), lastChange: new Date(Date.now() - 60 * MINUTE_MS) });
+    const item = harness.monday.addItem({ jobId: 1503 });
+    const madeAt = new Date(Date.now() - 5 * MINUTE_MS);
+
+    const status = await mondayWebhook(item.id, 'status3', { label: { text: 'Confirmed' } }, { triggerTime: madeAt });
+    // Delivered after the status save moved HireHop's stamp - that save was ours
+    const date = await mondayWebhook(item.id, 'date', { date: '2031-09-02' }, { triggerTime: madeAt });
+
+    assert.equal(status.json.success, true, status.body);
+    assert.equal(date.json.success, true, date.body);
+    assert.equal(harness.hirehop.getJob(1503).dateSaves.length, 1);
+  });
+
+  it('still spots a staff edit after we only added a note to the job', async () => {
+    harness.hirehop.addJob(1507, { ...vanHireJob(), lastChange: new Date() });
+    const item = harness.monday.addItem({ jobId: 1507 });
+    // e.g. a payment webhook or reminder leaving its note - not a change to the job itself
+    await harness.loadFunction('hirehop-client').addJobNote(1507, '💷 BALANCE REMINDER: sent');
+
+    const response = await mondayWebhook(item.id, 'date', { date: '2031-09-03' }, { triggerTime: new Date(Date.now() - 10 * MINUTE_MS) });
+
+    assert.equal(response.json.conflict.reason, 'stale', response.body);
+    assert.equal(harness.hirehop.getJob(1507).dateSaves.length, 0);
+  });
+
+  it('keeps one open conflict per column with the latest value', async () => {
+    harness.hirehop.addJob(1504, { ...vanHireJob(), locked: 1 });
+    const item = harness.monday.addItem({ jobId: 1504 });
+
+    const first = await mondayWebhook(item.id, 'status3', { label: { text: 'Confirmed' } });
+    const second = await mondayWebhook(item.id, 'status3', { label: { text: 'Paid in full' } });
+
+    assert.equal(first.json.conflict.id, second.json.conflict.id);
+    const list = await conflictsAdmin();
+    const conflict = list.json.conflicts.find(record => record.id === first.json.conflict.id);
+    assert.equal(conflict.displayValue, 'Paid in full');
+    assert.equal(conflict.occurrences, 2);
+  });
+
+  it('retries a queued change once the job is unlocked', async () => {
+    harness.hirehop.addJob(1505, { ...vanHireJob(), locked: 1 });
+    const item = harness.monday.addItem({ jobId: 1505 });
+    const queued = await mondayWebhook(item.id, 'status3', { label: { text: 'Deposit paid' } });
+    const conflictId = queued.json.conflict.id;
+
+    const stillLocked = await conflictsAdmin({ method: 'POST', body: { action: 'retry', conflictId } });
+    assert.equal(stillLocked.statusCode, 409);
+    assert.equal(stillLocked.json.locked, true);
+
+    harness.hirehop.getJob(1505).locked = 0;
+    const retried = await conflictsAdmin({ method: 'POST', body: { action: 'retry', conflictId } });
+
+    assert.equal(retried.statusCode, 200, retried.body);
+    assert.equal(retried.json.conflict.status, 'resolved');
+    assert.equal(retried.json.conflict.retries.length, 2);
+    assert.equal(harness.hirehop.getJob(1505).status, 2);
+    assert.ok(harness.hirehop.getJob(1505).notes.some(({ note }) => note.includes('applied from the sync review queue')));
+    assert.match(harness.monday.getItem(item.id).updates[0].body, /Queued change applied to HireHop after review/);
+
+    const again = await conflictsAdmin({ method: 'POST', body: { action: 'retry', conflictId } });
+    assert.equal(again.statusCode, 409);
+  });
+
+  it('dismisses a queued change without touching HireHop', async () => {
+    harness.hirehop.addJob(1506, { ...vanHireJob(), locked: 1 });
+    const item = harness.monday.addItem({ jobId: 1506 });
+    const queued = await mondayWebhook(item.id, 'status3', { label: { text: 'No dice' } });
+    const conflictId = queued.json.conflict.id;
+
+    const dismissed = await conflictsAdmin({ method: 'POST', body: { action: 'dismiss', conflictId, reason: 'Customer still booking' } });
+
+    assert.equal(dismissed.json.conflict.status, 'dismissed', dismissed.body);
+    assert.equal(harness.hirehop.getJob(1506).statusHistory.length, 0);
+    assert.match(harness.monday.getItem(item.id).updates[0].body, /dismissed in review[\s\S]*Customer still booking/);
+
+    const open = await conflictsAdmin();
+    assert.ok(!open.json.conflicts.some(record => record.id === conflictId));
+    const dismissedList = await conflictsAdmin({ query: { status: 'dismissed' } });
+    assert.ok(dismissedList.json.conflicts.some(record => record.id === conflictId));
+  });
+
+  it('queues one conflict when webhooks for the same column arrive together, and a fresh one once it is closed', async () => {
+    harness.hirehop.addJob(1508, { ...vanHireJob(), locked: 1 });
+    const item = harness.monday.addItem({ jobId: 1508 });
+
+    const responses = await Promise.all(['Confirmed', 'Deposit paid', 'Paid in full']
+      .map(text => mondayWebhook(item.id, 'status3', { label: { text } })));
+
+    const ids = new Set(responses.map(response => response.json.conflict.id));
+    assert.equal(ids.size, 1, responses.map(r => r.body).join());
+    const [conflictId] = ids;
+    const forItem = (await conflictsAdmin({ query: { status: 'all' } })).json.conflicts.filter(record => record.itemId === String(item.id));
+    assert.equal(forItem.length, 1);
+    assert.equal(forItem[0].occurrences, 3);
+
+    await conflictsAdmin({ method: 'POST', body: { action: 'dismiss', conflictId } });
+    const later = await mondayWebhook(item.id, 'status3', { label: { text: 'Confirmed' } });
+
+    assert.notEqual(later.json.conflict.id, conflictId);
+    const open = (await conflictsAdmin()).json.conflicts.filter(record => record.itemId === String(item.id));
+    assert.deepEqual(open.map(record => [record.id, record.occurrences]), [[later.json.conflict.id, 1]]);
+  });
+
+  it('requires an admin session', async () => {
+    const response = await harness.invoke('admin-sync-conflicts', { method: 'GET' });
+
+    assert.equal(response.statusCode, 401);
+  });
+});
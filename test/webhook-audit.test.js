@@ -0,0 +1,56 @@
+// test/webhook-audit.test.js - Rejected webhook deliveries counted per source and day, with bounded storage
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+describe('webhook rejection audit', () => {
+  let harness;
+  let audit;
+  let metricsStore;
+
+  before(async () => {
+    harness = await startHarness({ env: { MONDAY_WEBHOOK_TOKEN: 'test-monday-token' } });
+    audit = harness.loadFunction('webhook-audit');
+    metricsStore = harness.loadFunction('persistent-store').getStore('webhook-metrics');
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  async function probe(count) {
+    const responses = [];
+    for (let i = 0; i < count; i++) {
+      responses.push(await harness.invoke('monday-webhook', {
+        method: 'POST',
+        query: { token: `guess-${i}` },
+        body: { event: { pulseId: 1, columnId: 'status3', value: {} } }
+      }));
+    }
+    return responses;
+  }
+
+  it('folds every rejection into one record per source and day', async () => {
+    // An expired day left over from before - dropped when the new day's record starts
+    await metricsStore.set('monday:2000-01-01', { source: 'monday', date: '2000-01-01', total: 3, byReason: {}, byHandler: {} });
+
+    const responses = await probe(audit.SAMPLES_PER_REASON + 3);
+
+    assert.ok(responses.every(response => response.statusCode === 401));
+    const keys = await metricsStore.list('monday:');
+    assert.deepEqual(keys, [`monday:${new Date().toISOString().slice(0, 10)}`]);
+
+    const [today] = await audit.getRejectionMetrics(1);
+    assert.equal(today.total, audit.SAMPLES_PER_REASON + 3);
+    assert.equal(today.samples, undefined);
+    assert.equal(Object.values(today.byReason).reduce((sum, count) => sum + count, 0), today.total);
+  });
+
+  it('keeps only the latest few deliveries for each reason', async () => {
+    const response = await harness.invoke('admin-webhook-metrics', { method: 'GET', headers: await harness.adminAuthHeader('0') });
+
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(response.json.recent.length, audit.SAMPLES_PER_REASON);
+    assert.equal(response.json.totalRejections, audit.SAMPLES_PER_REASON + 3);
+  });
+});